@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * md2page 命令行入口
+ * 用法: md2page <输入文件或 glob...> [选项]，运行 md2page --help 查看全部选项
+ */
+
+import { CommandLine } from '../src/cli/CommandLine.js';
+
+const cli = new CommandLine();
+const code = cli.run(process.argv.slice(2));
+
+// 监听模式下保持运行，直到用户退出
+if (cli.watchers.length === 0) {
+    process.exitCode = code;
+} else {
+    process.on('SIGINT', () => {
+        cli.close();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,480 @@
+/**
+ * md2page 命令行工具
+ * 在 Node 中把 Markdown 转换为与页面下载按钮相同的自包含 HTML，可以用于构建流程
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { MarkdownConverter } from '../core/MarkdownConverter.js';
+import { DocumentExporter } from '../core/DocumentExporter.js';
+import { SiteGenerator } from '../core/SiteGenerator.js';
+import { ImageStore } from '../core/ImageStore.js';
+import { PrismHighlighter } from '../core/PrismHighlighter.js';
+import { Prism } from '../core/PrismLanguages.js';
+import { FileMatcher } from './FileMatcher.js';
+
+const USAGE = `用法: md2page <输入文件或 glob...> [选项]
+      md2page <目录> [选项]
+
+输入为目录时生成多页面站点：包含侧边导航、上一页/下一页链接和首页，.md 链接改写为 .html
+
+选项:
+  -o, --output <路径>     输出文件；有多个输入时为输出目录，使用 - 输出到标准输出
+                          缺省时在输入文件旁生成同名 .html 文件
+                          生成站点时以 .zip 结尾输出压缩包，否则输出到目录，缺省为 <目录>.zip
+  -t, --theme <主题>      导出主题：light 或 dark（默认使用 front matter 中的设置或 light）
+                          页面默认跟随读者的系统主题，此主题在脚本不可用或使用 --no-theme-toggle 时生效
+      --title <标题>      文档标题（默认使用 front matter 中的 title 或第一个标题），生成站点时为站点标题
+      --toc               加入带有滚动高亮的侧边目录（默认使用 front matter 中的 toc），生成站点时放在正文前
+      --print-css         加入完整的打印样式
+      --no-embed-images   不把本地图片嵌入为 data URI（默认嵌入相对 Markdown 文件的图片）
+      --no-theme-toggle   不加入亮色/暗色切换按钮，固定使用导出主题
+      --embed-source      在导出文件中保存原始 Markdown，可以在页面中重新载入编辑
+      --sanitize <策略>   HTML 清理策略：strict、safe（默认）或 trusted
+  -w, --watch             监听输入文件，变化时重新生成
+  -h, --help              显示帮助
+  -v, --version           显示版本
+
+示例:
+  md2page README.md -o README.html
+  md2page "docs/**/*.md" -o site --toc --theme dark
+  md2page docs -o docs-site.zip`;
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    theme: { type: 'string', short: 't' },
+    title: { type: 'string' },
+    toc: { type: 'boolean' },
+    'print-css': { type: 'boolean' },
+    'no-embed-images': { type: 'boolean' },
+    'no-theme-toggle': { type: 'boolean' },
+    'embed-source': { type: 'boolean' },
+    sanitize: { type: 'string' },
+    watch: { type: 'boolean', short: 'w' },
+    help: { type: 'boolean', short: 'h' },
+    version: { type: 'boolean', short: 'v' }
+};
+
+const THEMES = ['light', 'dark'];
+const SANITIZE_POLICIES = ['strict', 'safe', 'trusted'];
+
+// 监听模式下合并短时间内的多次文件变化
+const WATCH_DELAY = 100;
+
+export class CommandLine {
+    /**
+     * @param {Object} options 选项
+     * @param {string} options.cwd 工作目录
+     * @param {Object} options.stdout 标准输出，需要提供 write(text)
+     * @param {Object} options.stderr 标准错误，需要提供 write(text)
+     */
+    constructor(options = {}) {
+        this.cwd = options.cwd || process.cwd();
+        this.stdout = options.stdout || process.stdout;
+        this.stderr = options.stderr || process.stderr;
+        this.fileMatcher = new FileMatcher(this.cwd);
+        this.exporter = null;
+        this.watchers = [];
+        this.pendingChanges = new Map();
+    }
+
+    /**
+     * 运行命令
+     * 监听模式下完成首次转换后返回，之后在后台继续监听，调用 close() 停止
+     * @param {Array<string>} argv 命令行参数（不含 node 和脚本路径）
+     * @returns {number} 退出码：0 成功，1 转换失败，2 参数错误
+     */
+    run(argv) {
+        let args;
+        try {
+            args = this.parseArgs(argv);
+        } catch (error) {
+            this.stderr.write(`参数错误: ${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+
+        if (args.help) {
+            this.stdout.write(`${USAGE}\n`);
+            return 0;
+        }
+
+        if (args.version) {
+            this.stdout.write(`${CommandLine.getVersion()}\n`);
+            return 0;
+        }
+
+        this.exporter = new DocumentExporter({
+            converter: new MarkdownConverter({
+                sanitizePolicy: args.sanitize,
+                highlighter: new PrismHighlighter(Prism)
+            })
+        });
+
+        let directory;
+        try {
+            directory = this.getSiteDirectory(args.inputs);
+        } catch (error) {
+            this.stderr.write(`参数错误: ${error.message}\n`);
+            return 2;
+        }
+
+        if (directory) {
+            args.site = directory;
+            const code = this.buildSite(directory, args);
+            if (args.watch) {
+                this.watch(args);
+                return 0;
+            }
+            return code;
+        }
+
+        const files = this.resolveInputs(args.inputs);
+        if (files.length === 0 && !args.watch) {
+            this.stderr.write(`没有找到输入文件: ${args.inputs.join(' ')}\n`);
+            return 1;
+        }
+
+        let outputs;
+        try {
+            outputs = this.resolveOutputs(files, args);
+        } catch (error) {
+            this.stderr.write(`参数错误: ${error.message}\n`);
+            return 2;
+        }
+
+        const failed = outputs.filter(({ input, output }) => !this.convertFile(input, output, args));
+
+        if (args.watch) {
+            this.watch(args);
+            return 0;
+        }
+
+        return failed.length > 0 ? 1 : 0;
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {Array<string>} argv 命令行参数
+     * @returns {Object} 参数 { inputs, output, theme, title, toc, printCSS, embedImages, themeToggle, includeSource, sanitize, watch, help, version }
+     */
+    parseArgs(argv) {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+        if (values.theme && !THEMES.includes(values.theme)) {
+            throw new Error(`不支持的主题 ${values.theme}，可选值: ${THEMES.join(', ')}`);
+        }
+        if (values.sanitize && !SANITIZE_POLICIES.includes(values.sanitize)) {
+            throw new Error(`不支持的清理策略 ${values.sanitize}，可选值: ${SANITIZE_POLICIES.join(', ')}`);
+        }
+        if (positionals.length === 0 && !values.help && !values.version) {
+            throw new Error('缺少输入文件');
+        }
+
+        return {
+            inputs: positionals,
+            output: values.output || null,
+            theme: values.theme || null,
+            title: values.title || null,
+            toc: values.toc ? true : null,
+            printCSS: Boolean(values['print-css']),
+            embedImages: !values['no-embed-images'],
+            themeToggle: !values['no-theme-toggle'],
+            includeSource: Boolean(values['embed-source']),
+            sanitize: values.sanitize || 'safe',
+            watch: Boolean(values.watch),
+            help: Boolean(values.help),
+            version: Boolean(values.version)
+        };
+    }
+
+    /**
+     * 判断是否生成站点：输入为单个目录
+     * @param {Array<string>} inputs 输入
+     * @returns {string|null} 目录绝对路径，不生成站点时返回 null
+     */
+    getSiteDirectory(inputs) {
+        const directory = path.resolve(this.cwd, inputs[0]);
+        if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+            return null;
+        }
+        if (inputs.length > 1) {
+            throw new Error('生成站点时只能输入一个目录');
+        }
+        return directory;
+    }
+
+    /**
+     * 把目录中的 Markdown 文件生成为多页面站点
+     * @param {string} directory 输入目录
+     * @param {Object} args 参数
+     * @returns {number} 退出码
+     */
+    buildSite(directory, args) {
+        const output = args.output
+            ? path.resolve(this.cwd, args.output)
+            : `${directory.replace(/[\\/]+$/, '')}.zip`;
+
+        try {
+            const files = this.fileMatcher.walk(directory)
+                .filter(file => /\.(md|markdown)$/i.test(file))
+                .map(file => ({
+                    path: FileMatcher.toPosix(path.relative(directory, file)),
+                    content: fs.readFileSync(file, 'utf8')
+                }));
+
+            const generator = new SiteGenerator({ exporter: this.exporter });
+            const options = {
+                title: args.title || path.basename(directory),
+                theme: args.theme,
+                toc: args.toc,
+                printCSS: args.printCSS,
+                themeToggle: args.themeToggle,
+                includeSource: args.includeSource
+            };
+
+            let site;
+            if (/\.zip$/i.test(output)) {
+                site = generator.generateZip(files, options);
+                fs.mkdirSync(path.dirname(output), { recursive: true });
+                fs.writeFileSync(output, site.data);
+            } else {
+                site = generator.generate(files, options);
+                site.files.forEach(file => {
+                    const target = path.join(output, file.path);
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    fs.writeFileSync(target, file.content, 'utf8');
+                });
+            }
+
+            site.warnings.forEach(warning => this.stderr.write(`警告: ${warning}\n`));
+            this.stdout.write(`已生成 ${path.relative(this.cwd, output) || output}（${site.pages.length} 个页面）\n`);
+            return 0;
+        } catch (error) {
+            this.stderr.write(`生成站点失败 ${path.relative(this.cwd, directory) || directory}: ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    /**
+     * 展开输入文件，去除重复
+     * @param {Array<string>} inputs 输入文件或 glob
+     * @returns {Array<string>} 文件绝对路径
+     */
+    resolveInputs(inputs) {
+        const files = inputs.flatMap(input => {
+            const matched = this.fileMatcher.expand(input);
+            if (matched.length === 0) {
+                this.stderr.write(`警告: ${input} 没有匹配的文件\n`);
+            }
+            return matched;
+        });
+
+        return [...new Set(files)];
+    }
+
+    /**
+     * 计算每个输入文件的输出位置
+     * 单个输入时 -o 是输出文件（以 / 结尾或已存在的目录除外）；多个输入时 -o 是输出目录，
+     * 保留文件相对于 glob 起始目录的层级
+     * @param {Array<string>} files 输入文件
+     * @param {Object} args 参数
+     * @returns {Array<Object>} [{ input, output }]，output 为 null 表示输出到标准输出
+     */
+    resolveOutputs(files, args) {
+        const { output } = args;
+
+        if (output === '-') {
+            if (files.length > 1 || args.watch) {
+                throw new Error('只有单个输入且不监听时才能输出到标准输出');
+            }
+            return files.map(input => ({ input, output: null }));
+        }
+
+        const outputPath = output ? path.resolve(this.cwd, output) : null;
+        const isDirectory = outputPath !== null && (
+            files.length > 1
+            || FileMatcher.isGlob(args.inputs.join(' '))
+            || /[\\/]$/.test(output)
+            || (fs.existsSync(outputPath) && fs.statSync(outputPath).isDirectory())
+        );
+
+        return files.map(input => {
+            if (!outputPath) {
+                return { input, output: CommandLine.toHTMLPath(input) };
+            }
+            if (!isDirectory) {
+                return { input, output: outputPath };
+            }
+            return { input, output: path.join(outputPath, CommandLine.toHTMLPath(this.getRelativePath(input, args.inputs))) };
+        });
+    }
+
+    /**
+     * 获取输入文件相对于所属输入模式起始目录的路径
+     * @param {string} file 文件绝对路径
+     * @param {Array<string>} inputs 输入文件或 glob
+     * @returns {string} 相对路径
+     */
+    getRelativePath(file, inputs) {
+        const pattern = inputs.find(input => this.fileMatcher.matches(input, file));
+        const base = pattern && FileMatcher.isGlob(pattern)
+            ? path.resolve(this.cwd, FileMatcher.getBase(pattern))
+            : path.dirname(file);
+        return path.relative(base, file);
+    }
+
+    /**
+     * 转换单个文件
+     * @param {string} input 输入文件
+     * @param {string|null} output 输出文件，null 表示输出到标准输出
+     * @param {Object} args 参数
+     * @returns {boolean} 是否成功
+     */
+    convertFile(input, output, args) {
+        try {
+            const markdown = fs.readFileSync(input, 'utf8');
+            const result = this.exporter.exportMarkdown(markdown, {
+                title: args.title,
+                theme: args.theme,
+                toc: args.toc,
+                printCSS: args.printCSS,
+                images: args.embedImages ? this.createImageSource(input) : null,
+                themeToggle: args.themeToggle,
+                includeSource: args.includeSource
+            });
+
+            result.images.failed.forEach(({ src, reason }) => {
+                this.stderr.write(`警告: ${path.relative(this.cwd, input)} 中的图片 ${src} 未能嵌入: ${reason}\n`);
+            });
+
+            if (output === null) {
+                this.stdout.write(result.html);
+                return true;
+            }
+
+            fs.mkdirSync(path.dirname(output), { recursive: true });
+            fs.writeFileSync(output, result.html, 'utf8');
+            this.stdout.write(`已生成 ${path.relative(this.cwd, output) || output}\n`);
+            return true;
+        } catch (error) {
+            this.stderr.write(`转换失败 ${path.relative(this.cwd, input)}: ${error.message}\n`);
+            return false;
+        }
+    }
+
+    /**
+     * 创建从磁盘读取图片的图片来源，图片地址相对 Markdown 文件所在目录
+     * @param {string} file Markdown 文件
+     * @returns {Object} 图片来源 { resolve(src) }
+     */
+    createImageSource(file) {
+        const directory = path.dirname(file);
+
+        return {
+            resolve: (src) => {
+                if (/^[a-z][a-z0-9+.-]*:/i.test(src) || src.startsWith('//')) {
+                    return null;
+                }
+
+                const imagePath = path.resolve(directory, ImageStore.normalizePath(src));
+                const mimeType = ImageStore.getMimeType(imagePath);
+                if (!mimeType || !fs.existsSync(imagePath) || !fs.statSync(imagePath).isFile()) {
+                    return null;
+                }
+
+                return `data:${mimeType};base64,${fs.readFileSync(imagePath).toString('base64')}`;
+            }
+        };
+    }
+
+    /**
+     * 监听输入文件，变化或新增匹配的文件时重新生成
+     * @param {Object} args 参数
+     */
+    watch(args) {
+        const directories = args.site ? new Set([args.site]) : new Set(args.inputs.map(input => FileMatcher.isGlob(input)
+            ? path.resolve(this.cwd, FileMatcher.getBase(input))
+            : path.dirname(path.resolve(this.cwd, input))));
+
+        directories.forEach(directory => {
+            try {
+                const watcher = fs.watch(directory, { recursive: true }, (eventType, filename) => {
+                    if (filename) {
+                        this.scheduleConversion(path.join(directory, filename.toString()), args);
+                    }
+                });
+                this.watchers.push(watcher);
+            } catch (error) {
+                this.stderr.write(`无法监听 ${directory}: ${error.message}\n`);
+            }
+        });
+
+        this.stdout.write('正在监听文件变化，按 Ctrl+C 退出\n');
+    }
+
+    /**
+     * 延迟转换变化的文件，编辑器保存时可能连续触发多次事件
+     * @param {string} file 变化的文件
+     * @param {Object} args 参数
+     */
+    scheduleConversion(file, args) {
+        // 生成站点时任意 Markdown 文件变化都重新生成整个站点，导航和链接可能随之变化
+        if (args.site) {
+            if (/\.(md|markdown)$/i.test(file)) {
+                clearTimeout(this.pendingChanges.get(args.site));
+                this.pendingChanges.set(args.site, setTimeout(() => {
+                    this.pendingChanges.delete(args.site);
+                    this.buildSite(args.site, args);
+                }, WATCH_DELAY));
+            }
+            return;
+        }
+
+        if (!args.inputs.some(input => this.fileMatcher.matches(input, file))) {
+            return;
+        }
+
+        clearTimeout(this.pendingChanges.get(file));
+        this.pendingChanges.set(file, setTimeout(() => {
+            this.pendingChanges.delete(file);
+            if (!fs.existsSync(file)) return;
+
+            const [{ output }] = this.resolveOutputs([file], args);
+            this.convertFile(file, output, args);
+        }, WATCH_DELAY));
+    }
+
+    /**
+     * 停止监听
+     */
+    close() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        this.pendingChanges.forEach(timer => clearTimeout(timer));
+        this.pendingChanges.clear();
+    }
+
+    /**
+     * 将 Markdown 文件路径转换为 HTML 文件路径
+     * @param {string} file 文件路径
+     * @returns {string} .html 文件路径
+     */
+    static toHTMLPath(file) {
+        const extension = path.extname(file);
+        return (/^\.(md|markdown|mdown|mkd|txt)$/i.test(extension) ? file.slice(0, -extension.length) : file) + '.html';
+    }
+
+    /**
+     * 读取 package.json 中的版本号
+     * @returns {string} 版本号
+     */
+    static getVersion() {
+        try {
+            const pkg = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+            return pkg.version;
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * 输入文件匹配
+ * 展开命令行中的 glob（如 docs/**\/*.md），支持 *、**、?、[abc] 和 {a,b}。
+ * 未被 shell 展开的 glob（加了引号，或在 Windows 上）由这里展开
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// 遍历目录时跳过的目录
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+export class FileMatcher {
+    /**
+     * @param {string} cwd 相对路径的基准目录
+     */
+    constructor(cwd = process.cwd()) {
+        this.cwd = cwd;
+    }
+
+    /**
+     * 展开输入模式
+     * @param {string} pattern 文件路径或 glob
+     * @returns {Array<string>} 匹配的文件绝对路径，按路径排序
+     */
+    expand(pattern) {
+        if (!FileMatcher.isGlob(pattern)) {
+            const file = path.resolve(this.cwd, pattern);
+            return fs.existsSync(file) && fs.statSync(file).isFile() ? [file] : [];
+        }
+
+        const base = path.resolve(this.cwd, FileMatcher.getBase(pattern));
+        const matcher = FileMatcher.toRegExp(FileMatcher.toPosix(path.resolve(this.cwd, pattern)));
+
+        return this.walk(base)
+            .filter(file => matcher.test(FileMatcher.toPosix(file)))
+            .sort();
+    }
+
+    /**
+     * 判断文件是否匹配输入模式，用于监听模式中判断新增的文件
+     * @param {string} pattern 文件路径或 glob
+     * @param {string} file 文件绝对路径
+     * @returns {boolean} 是否匹配
+     */
+    matches(pattern, file) {
+        const resolved = path.resolve(this.cwd, pattern);
+        if (!FileMatcher.isGlob(pattern)) {
+            return resolved === path.resolve(file);
+        }
+        return FileMatcher.toRegExp(FileMatcher.toPosix(resolved)).test(FileMatcher.toPosix(path.resolve(file)));
+    }
+
+    /**
+     * 列出目录下的全部文件
+     * @param {string} directory 目录
+     * @returns {Array<string>} 文件绝对路径
+     */
+    walk(directory) {
+        const files = [];
+        let entries;
+
+        try {
+            entries = fs.readdirSync(directory, { withFileTypes: true });
+        } catch (error) {
+            return files;
+        }
+
+        entries.forEach(entry => {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (!IGNORED_DIRECTORIES.has(entry.name)) {
+                    files.push(...this.walk(fullPath));
+                }
+            } else if (entry.isFile()) {
+                files.push(fullPath);
+            }
+        });
+
+        return files;
+    }
+
+    /**
+     * 判断是否为 glob
+     * @param {string} pattern 输入模式
+     * @returns {boolean} 是否包含通配符
+     */
+    static isGlob(pattern) {
+        return /[*?[{]/.test(pattern);
+    }
+
+    /**
+     * 获取 glob 中不含通配符的目录部分，作为遍历的起点
+     * @param {string} pattern glob
+     * @returns {string} 目录，如 docs/**\/*.md 返回 docs
+     */
+    static getBase(pattern) {
+        const segments = FileMatcher.toPosix(pattern).split('/');
+        const index = segments.findIndex(segment => FileMatcher.isGlob(segment));
+        const base = segments.slice(0, index === -1 ? segments.length - 1 : index).join('/');
+        return base || (pattern.startsWith('/') ? '/' : '.');
+    }
+
+    /**
+     * 将 glob 转换为正则表达式
+     * @param {string} pattern 使用 / 分隔的 glob
+     * @returns {RegExp} 匹配完整路径的正则表达式
+     */
+    static toRegExp(pattern) {
+        let source = '';
+        let inGroup = false;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const ch = pattern[i];
+
+            if (ch === '*') {
+                if (pattern[i + 1] === '*') {
+                    // ** 匹配任意层目录，**/ 也可以匹配零层
+                    const slash = pattern[i + 2] === '/';
+                    source += slash ? '(?:.*/)?' : '.*';
+                    i += slash ? 2 : 1;
+                } else {
+                    source += '[^/]*';
+                }
+            } else if (ch === '?') {
+                source += '[^/]';
+            } else if (ch === '[') {
+                const close = pattern.indexOf(']', i + 1);
+                if (close === -1) {
+                    source += '\\[';
+                } else {
+                    const body = pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                    source += `[${body}]`;
+                    i = close;
+                }
+            } else if (ch === '{') {
+                inGroup = true;
+                source += '(?:';
+            } else if (ch === '}' && inGroup) {
+                inGroup = false;
+                source += ')';
+            } else if (ch === ',' && inGroup) {
+                source += '|';
+            } else {
+                source += ch.replace(/[.+^$()|\\\]{}]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * 统一使用 / 作为路径分隔符
+     * @param {string} value 路径
+     * @returns {string} 转换后的路径
+     */
+    static toPosix(value) {
+        return value.split(path.sep).join('/');
+    }
+}
@@ -0,0 +1,306 @@
+/**
+ * 图片资源管理组件
+ * 列出资源库中的图片，可以重命名、删除、插入引用，并找出文档中没有引用的图片
+ */
+
+export class AssetManager {
+    /**
+     * @param {AssetStore} assetStore 图片资源库
+     */
+    constructor(assetStore) {
+        this.assetStore = assetStore;
+        this.modal = null;
+        this.list = null;
+        this.markdown = '';
+        this.showUnusedOnly = false;
+
+        this.onInsert = null;
+        this.onChange = null;
+        this.onError = null;
+    }
+
+    /**
+     * 创建资源管理模态框
+     */
+    createModal() {
+        if (this.modal) return;
+
+        const modalHTML = `
+            <div id="asset-manager-modal" class="modal asset-manager-modal" style="display: none;">
+                <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="asset-manager-title">
+                    <div class="modal-header">
+                        <h3 id="asset-manager-title">图片资源</h3>
+                        <button class="modal-close" id="asset-manager-close" aria-label="关闭">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="asset-toolbar">
+                            <label>
+                                <input type="checkbox" id="asset-unused-only">
+                                只显示未使用的图片
+                            </label>
+                            <span class="asset-summary" id="asset-summary"></span>
+                        </div>
+                        <ul class="asset-list" id="asset-list"></ul>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" id="asset-remove-unused">删除未使用的图片</button>
+                        <button class="btn btn-primary" id="asset-manager-done">完成</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modal = document.getElementById('asset-manager-modal');
+        this.list = this.modal.querySelector('#asset-list');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    setupEventListeners() {
+        this.modal.querySelector('#asset-manager-close').addEventListener('click', () => this.hide());
+        this.modal.querySelector('#asset-manager-done').addEventListener('click', () => this.hide());
+
+        // 点击遮罩或按 Esc 关闭
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.hide();
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hide();
+        });
+
+        this.modal.querySelector('#asset-unused-only').addEventListener('change', (e) => {
+            this.showUnusedOnly = e.target.checked;
+            this.renderList();
+        });
+
+        this.modal.querySelector('#asset-remove-unused').addEventListener('click', () => {
+            this.removeUnused();
+        });
+
+        // 列表中的按钮和名称输入框使用事件委托
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const id = button.closest('.asset-item').dataset.id;
+            if (button.dataset.action === 'insert') {
+                this.insert(id);
+            } else if (button.dataset.action === 'delete') {
+                this.remove(id);
+            }
+        });
+
+        this.list.addEventListener('change', (e) => {
+            if (e.target.classList.contains('asset-name')) {
+                this.rename(e.target.closest('.asset-item').dataset.id, e.target.value);
+            }
+        });
+    }
+
+    /**
+     * 显示资源管理
+     * @param {string} markdown 当前 Markdown 内容，用于判断哪些图片没有被引用
+     */
+    show(markdown = '') {
+        this.createModal();
+        this.markdown = markdown;
+        this.renderList();
+        this.modal.style.display = 'flex';
+        this.modal.querySelector('#asset-manager-close').focus();
+    }
+
+    /**
+     * 隐藏资源管理
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * 渲染资源列表
+     */
+    renderList() {
+        if (!this.list) return;
+
+        const assets = this.assetStore.list();
+        const unusedIds = new Set(this.assetStore.findUnused(this.markdown).map(asset => asset.id));
+        const visible = this.showUnusedOnly ? assets.filter(asset => unusedIds.has(asset.id)) : assets;
+
+        this.modal.querySelector('#asset-summary').textContent =
+            `共 ${assets.length} 张图片，${unusedIds.size} 张未使用`;
+        this.modal.querySelector('#asset-remove-unused').disabled = unusedIds.size === 0;
+
+        this.list.innerHTML = '';
+        if (visible.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'asset-empty';
+            empty.textContent = assets.length === 0 ? '还没有图片，粘贴或拖入图片即可添加' : '没有未使用的图片';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        visible.forEach(asset => {
+            this.list.appendChild(this.createItem(asset, unusedIds.has(asset.id)));
+        });
+    }
+
+    /**
+     * 创建资源列表项
+     * @param {Object} asset 资源信息
+     * @param {boolean} unused 是否未被引用
+     * @returns {HTMLElement} 列表项
+     */
+    createItem(asset, unused) {
+        const item = document.createElement('li');
+        item.className = `asset-item${unused ? ' unused' : ''}`;
+        item.dataset.id = asset.id;
+        item.innerHTML = `
+            <img class="asset-thumbnail" alt="">
+            <div class="asset-info">
+                <input type="text" class="asset-name" aria-label="图片名称">
+                <div class="asset-meta"></div>
+            </div>
+            <div class="asset-actions">
+                <button class="btn btn-secondary" data-action="insert">插入</button>
+                <button class="btn btn-danger" data-action="delete">删除</button>
+            </div>
+        `;
+
+        item.querySelector('.asset-thumbnail').src = this.assetStore.getObjectURL(asset.reference) || '';
+        item.querySelector('.asset-name').value = asset.name;
+        item.querySelector('.asset-meta').textContent = [
+            formatSize(asset.size),
+            asset.reference,
+            unused ? '未使用' : ''
+        ].filter(Boolean).join(' · ');
+
+        return item;
+    }
+
+    /**
+     * 在编辑器中插入图片引用并关闭资源管理
+     * @param {string} id 资源 ID
+     */
+    insert(id) {
+        const asset = this.assetStore.list().find(item => item.id === id);
+        if (asset && this.onInsert) {
+            this.hide();
+            this.onInsert(asset.reference);
+        }
+    }
+
+    /**
+     * 重命名资源
+     * @param {string} id 资源 ID
+     * @param {string} name 新名称
+     * @returns {Promise<void>}
+     */
+    async rename(id, name) {
+        try {
+            await this.assetStore.rename(id, name);
+        } catch (error) {
+            this.handleError(error.message);
+        }
+        this.renderList();
+    }
+
+    /**
+     * 删除资源，仍被引用的图片需要确认
+     * @param {string} id 资源 ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const used = !this.assetStore.findUnused(this.markdown).some(asset => asset.id === id);
+        if (used && !confirm('文档中仍在使用这张图片，确定要删除吗？')) {
+            return;
+        }
+
+        await this.assetStore.remove(id);
+        this.renderList();
+        this.notifyChange();
+    }
+
+    /**
+     * 删除全部未使用的图片
+     * @returns {Promise<void>}
+     */
+    async removeUnused() {
+        const count = await this.assetStore.removeUnused(this.markdown);
+        this.renderList();
+        if (count > 0) {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * 通知资源已变化
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * 处理错误
+     * @param {string} message 错误消息
+     */
+    handleError(message) {
+        console.error('图片资源错误:', message);
+        if (this.onError) {
+            this.onError(message);
+        }
+    }
+
+    /**
+     * 设置插入引用回调
+     * @param {Function} callback 回调函数，参数为 asset://id 引用
+     */
+    setOnInsert(callback) {
+        this.onInsert = callback;
+    }
+
+    /**
+     * 设置资源变化回调
+     * @param {Function} callback 回调函数
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * 设置错误回调
+     * @param {Function} callback 回调函数
+     */
+    setOnError(callback) {
+        this.onError = callback;
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        if (this.modal && this.modal.parentNode) {
+            this.modal.parentNode.removeChild(this.modal);
+        }
+        this.modal = null;
+        this.list = null;
+    }
+}
+
+/**
+ * 格式化文件大小
+ * @param {number} bytes 字节数
+ * @returns {string} 格式化后的大小
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -1,18 +1,67 @@
 /**
  * 代码高亮管理器
- * 负责集成和管理 Prism.js 代码语法高亮功能
+ * 负责集成和管理 Prism.js 代码语法高亮功能。
+ * 解析时使用本地打包的 Prism 直接生成高亮 HTML，下载的文件中同样带有高亮和配色。
+ * Prism、语言语法和高亮主题都由 Vite 打包为独立的文件，从应用自身的地址按需加载，不依赖 CDN
  */
+
+import { PrismHighlighter } from '../core/PrismHighlighter.js';
+
+// 可选的高亮主题，appearance 表示适合亮色还是暗色界面，load 加载页面使用的样式文件地址，loadStyles 加载嵌入导出文件的样式文本
+const CODE_THEMES = {
+    'default': {
+        name: '默认',
+        appearance: 'light',
+        load: () => import('prismjs/themes/prism.min.css?url'),
+        loadStyles: () => import('prismjs/themes/prism.min.css?inline')
+    },
+    'coy': {
+        name: 'Coy',
+        appearance: 'light',
+        load: () => import('prismjs/themes/prism-coy.min.css?url'),
+        loadStyles: () => import('prismjs/themes/prism-coy.min.css?inline')
+    },
+    'solarizedlight': {
+        name: 'Solarized Light',
+        appearance: 'light',
+        load: () => import('prismjs/themes/prism-solarizedlight.min.css?url'),
+        loadStyles: () => import('prismjs/themes/prism-solarizedlight.min.css?inline')
+    },
+    'dark': {
+        name: 'Dark',
+        appearance: 'dark',
+        load: () => import('prismjs/themes/prism-dark.min.css?url'),
+        loadStyles: () => import('prismjs/themes/prism-dark.min.css?inline')
+    },
+    'tomorrow': {
+        name: 'Tomorrow Night',
+        appearance: 'dark',
+        load: () => import('prismjs/themes/prism-tomorrow.min.css?url'),
+        loadStyles: () => import('prismjs/themes/prism-tomorrow.min.css?inline')
+    },
+    'twilight': {
+        name: 'Twilight',
+        appearance: 'dark',
+        load: () => import('prismjs/themes/prism-twilight.min.css?url'),
+        loadStyles: () => import('prismjs/themes/prism-twilight.min.css?inline')
+    },
+    'okaidia': {
+        name: 'Okaidia',
+        appearance: 'dark',
+        load: () => import('prismjs/themes/prism-okaidia.min.css?url'),
+        loadStyles: () => import('prismjs/themes/prism-okaidia.min.css?inline')
+    }
+};
+
 export class CodeHighlighter {
     constructor() {
+        this.prism = null;
+        this.prismHighlighter = new PrismHighlighter(null);
         this.isInitialized = false;
         this.supportedLanguages = new Set();
-        this.currentTheme = 'default';
-        this.themes = {
-            'default': 'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism.min.css',
-            'dark': 'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism-dark.min.css',
-            'tomorrow': 'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism-tomorrow.min.css',
-            'twilight': 'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/themes/prism-twilight.min.css'
-        };
+        this.currentTheme = null;
+        this.themes = CODE_THEMES;
+        this.ready = null;
         
         this.init();
     }
@@ -21,31 +70,38 @@ export class CodeHighlighter {
      * 初始化代码高亮器
      */
     init() {
-        this.checkPrismAvailability();
-        this.setupAutoloader();
         this.loadCommonLanguages();
+        this.ready = this.loadPrism();
         this.isInitialized = true;
     }
 
     /**
-     * 检查 Prism.js 是否可用
+     * 加载本地打包的 Prism 和语言语法，加载完成前代码块不高亮
+     * @returns {Promise<boolean>} 是否加载成功
      */
-    checkPrismAvailability() {
-        if (typeof Prism === 'undefined') {
-            console.warn('Prism.js 未加载，代码高亮功能将不可用');
+    async loadPrism() {
+        try {
+            // 由本组件高亮预览中的代码块，不需要 Prism 在加载后自动高亮整个页面
+            globalThis.Prism = { ...globalThis.Prism, manual: true };
+            const { Prism } = await import('../core/PrismLanguages.js');
+            this.prism = Prism;
+            this.prismHighlighter.prism = Prism;
+            return true;
+        } catch (error) {
+            console.warn('Prism.js 加载失败，代码高亮功能将不可用:', error);
             return false;
         }
-        return true;
     }
 
     /**
-     * 设置自动加载器
+     * 检查 Prism.js 是否可用
      */
-    setupAutoloader() {
-        if (typeof Prism !== 'undefined' && Prism.plugins && Prism.plugins.autoloader) {
-            // 配置自动加载器路径
-            Prism.plugins.autoloader.languages_path = 'https://cdn.jsdelivr.net/npm/prismjs@1.29.0/components/';
+    checkPrismAvailability() {
+        if (!this.prism) {
+            console.warn('Prism.js 未加载，代码高亮功能将不可用');
+            return false;
         }
+        return true;
     }
 
     /**
@@ -57,7 +113,7 @@ export class CodeHighlighter {
             'php', 'ruby', 'go', 'rust', 'swift', 'kotlin', 'scala',
             'html', 'css', 'scss', 'sass', 'less',
             'json', 'xml', 'yaml', 'toml', 'ini',
-            'sql', 'mongodb', 'redis',
+            'sql', 'mongodb',
             'bash', 'powershell', 'batch', 'shell',
             'markdown', 'latex', 'dockerfile', 'nginx',
             'git', 'diff', 'log'
@@ -68,12 +124,30 @@ export class CodeHighlighter {
         });
     }
 
+    /**
+     * 高亮代码字符串，解析 Markdown 时调用
+     * @param {string} code 代码
+     * @param {string} language 语言
+     * @returns {string|null} 高亮后的 HTML，不支持的语言返回 null
+     */
+    highlight(code, language) {
+        return this.prismHighlighter.highlight(code, language);
+    }
+
+    /**
+     * 获取导出文档中高亮代码的样式
+     * @returns {string} CSS 样式
+     */
+    getStyles() {
+        return this.prismHighlighter.getStyles();
+    }
+
     /**
      * 高亮代码块
      * @param {Element} container 包含代码块的容器
      */
     highlightCodeBlocks(container) {
-        if (!this.isInitialized || typeof Prism === 'undefined') {
+        if (!this.isInitialized || !this.prism) {
             return;
         }
 
@@ -89,7 +163,7 @@ export class CodeHighlighter {
      * @param {Element} codeBlock 代码块元素
      */
     highlightCodeBlock(codeBlock) {
-        if (!codeBlock || typeof Prism === 'undefined') {
+        if (!codeBlock || !this.prism) {
             return;
         }
 
@@ -97,12 +171,17 @@ export class CodeHighlighter {
         const language = this.detectLanguage(codeBlock);
         
         if (language) {
-            // 添加语言类名
+            // 添加语言类名，高亮主题的代码块背景作用于带语言类名的 pre
             codeBlock.className = `language-${language}`;
+            if (codeBlock.parentElement) {
+                codeBlock.parentElement.classList.add(`language-${language}`);
+            }
             
-            // 应用高亮
+            // 应用高亮（Worker 中已经高亮过的代码块只需添加标签和按钮）
             try {
-                Prism.highlightElement(codeBlock);
+                if (!codeBlock.querySelector('.token')) {
+                    this.prism.highlightElement(codeBlock);
+                }
                 
                 // 添加语言标签
                 this.addLanguageLabel(codeBlock, language);
@@ -332,8 +411,8 @@ export class CodeHighlighter {
         pre.classList.add('line-numbers');
         
         // 如果 Prism 的行号插件可用，使用它
-        if (typeof Prism !== 'undefined' && Prism.plugins && Prism.plugins.lineNumbers) {
-            Prism.plugins.lineNumbers.resize(pre);
+        if (this.prism && this.prism.plugins.lineNumbers) {
+            this.prism.plugins.lineNumbers.resize(pre);
         }
     }
 
@@ -388,13 +467,29 @@ export class CodeHighlighter {
     }
 
     /**
-     * 切换主题
+     * 切换主题，主题样式在第一次使用时加载
      * @param {string} theme 主题名称
+     * @returns {Promise<boolean>} 是否已应用
      */
-    switchTheme(theme) {
+    async switchTheme(theme) {
         if (!this.themes[theme]) {
             console.warn(`不支持的代码高亮主题: ${theme}`);
-            return;
+            return false;
+        }
+
+        this.currentTheme = theme;
+
+        let href;
+        try {
+            ({ default: href } = await this.themes[theme].load());
+        } catch (error) {
+            console.warn(`代码高亮主题加载失败 (${theme}):`, error);
+            return false;
+        }
+
+        // 加载期间又切换了主题时只应用最后一次
+        if (this.currentTheme !== theme) {
+            return false;
         }
 
         // 移除旧的主题样式
@@ -406,25 +501,73 @@ export class CodeHighlighter {
         // 添加新的主题样式
         const link = document.createElement('link');
         link.rel = 'stylesheet';
-        link.href = this.themes[theme];
+        link.href = href;
         link.setAttribute('data-prism-theme', theme);
         document.head.appendChild(link);
 
-        this.currentTheme = theme;
+        return true;
+    }
+
+    /**
+     * 获取高亮主题的样式文本，用于嵌入导出的文件
+     * @param {string} theme 主题名称
+     * @returns {Promise<string>} CSS 样式，主题不存在或加载失败时为空字符串
+     */
+    async getThemeStyles(theme) {
+        if (!this.themes[theme]) {
+            console.warn(`不支持的代码高亮主题: ${theme}`);
+            return '';
+        }
+
+        try {
+            const { default: css } = await this.themes[theme].loadStyles();
+            return css;
+        } catch (error) {
+            console.warn(`代码高亮主题加载失败 (${theme}):`, error);
+            return '';
+        }
     }
 
     /**
      * 根据应用主题自动切换代码高亮主题
      * @param {string} appTheme 应用主题 ('light' 或 'dark')
+     * @returns {Promise<boolean>} 是否已应用
      */
     syncWithAppTheme(appTheme) {
         const themeMapping = {
             'light': 'default',
-            'dark': 'dark'
+            'dark': 'tomorrow'
         };
 
         const codeTheme = themeMapping[appTheme] || 'default';
-        this.switchTheme(codeTheme);
+        return this.switchTheme(codeTheme);
+    }
+
+    /**
+     * 跟随主题管理器中的高亮主题设置，应用主题或高亮主题设置变化时自动切换
+     * @param {ThemeManager} themeManager 主题管理器
+     * @returns {Function} 停止跟随的函数
+     */
+    bindThemeManager(themeManager) {
+        this.switchTheme(themeManager.getCodeTheme());
+
+        return themeManager.addListener((event) => {
+            if (['theme-change', 'system-theme-change', 'code-theme-change', 'theme-reset'].includes(event)) {
+                this.switchTheme(themeManager.getCodeTheme());
+            }
+        });
+    }
+
+    /**
+     * 获取可选的高亮主题
+     * @returns {Array<Object>} [{ id, name, appearance }]
+     */
+    getThemes() {
+        return Object.entries(this.themes).map(([id, theme]) => ({
+            id,
+            name: theme.name,
+            appearance: theme.appearance
+        }));
     }
 
     /**
@@ -440,8 +583,8 @@ export class CodeHighlighter {
      * @param {Element} container 容器元素
      */
     rehighlightAll(container = document) {
-        if (typeof Prism !== 'undefined') {
-            Prism.highlightAllUnder(container);
+        if (this.prism) {
+            this.prism.highlightAllUnder(container);
         }
     }
 
@@ -0,0 +1,361 @@
+/**
+ * 导出设置组件
+ * 下载 HTML 前选择导出选项，选择保存在本地存储中，下次下载时沿用
+ */
+
+const STORAGE_KEY = 'md2page-export-settings';
+
+// 可选的正文字体，value 为空时使用导出文件的默认字体
+const FONT_STACKS = {
+    'system': { name: '系统默认', value: '' },
+    'sans': { name: '无衬线（黑体）', value: "'Helvetica Neue', Arial, 'PingFang SC', 'Microsoft YaHei', sans-serif" },
+    'serif': { name: '衬线（宋体）', value: "Georgia, 'Noto Serif SC', 'Songti SC', SimSun, serif" },
+    'mono': { name: '等宽', value: "'SFMono-Regular', Menlo, Consolas, 'Liberation Mono', monospace" }
+};
+
+// 可选的正文最大宽度
+const CONTENT_WIDTHS = {
+    '680px': '窄（680px）',
+    '800px': '标准（800px）',
+    '960px': '宽（960px）',
+    '1200px': '较宽（1200px）',
+    'none': '不限制'
+};
+
+const DEFAULT_SETTINGS = {
+    themeMode: 'auto',
+    toc: true,
+    tocDepth: 6,
+    codeTheme: 'builtin',
+    maxWidth: '800px',
+    fontFamily: 'system',
+    embedImages: true,
+    minify: false,
+    includeSource: false
+};
+
+export class ExportSettings {
+    /**
+     * @param {Object} options 选项
+     * @param {Array<Object>} options.codeThemes 可选的高亮主题 [{ id, name, appearance }]（CodeHighlighter.getThemes()）
+     */
+    constructor(options = {}) {
+        this.codeThemes = options.codeThemes || [];
+        this.modal = null;
+        this.settings = this.loadSettings();
+
+        this.onApply = null;
+    }
+
+    /**
+     * 创建设置模态框
+     */
+    createModal() {
+        if (this.modal) return;
+
+        const modalHTML = `
+            <div id="export-settings-modal" class="modal export-settings-modal" style="display: none;">
+                <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="export-settings-title">
+                    <div class="modal-header">
+                        <h3 id="export-settings-title">导出设置</h3>
+                        <button class="modal-close" id="export-settings-close" aria-label="关闭">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="settings-grid">
+                            <div class="setting-group">
+                                <label for="export-theme-mode">主题</label>
+                                <select id="export-theme-mode">
+                                    <option value="auto">跟随读者系统（可切换）</option>
+                                    <option value="light">固定亮色</option>
+                                    <option value="dark">固定暗色</option>
+                                </select>
+                            </div>
+
+                            <div class="setting-group">
+                                <label for="export-code-theme">代码高亮</label>
+                                <select id="export-code-theme">
+                                    <option value="builtin">内置配色（跟随页面主题）</option>
+                                </select>
+                            </div>
+
+                            <div class="setting-group">
+                                <label for="export-max-width">正文宽度</label>
+                                <select id="export-max-width"></select>
+                            </div>
+
+                            <div class="setting-group">
+                                <label for="export-font-family">字体</label>
+                                <select id="export-font-family"></select>
+                            </div>
+
+                            <div class="setting-group">
+                                <label>
+                                    <input type="checkbox" id="export-toc">
+                                    加入目录
+                                </label>
+                                <select id="export-toc-depth" aria-label="目录深度">
+                                    <option value="2">到二级标题</option>
+                                    <option value="3">到三级标题</option>
+                                    <option value="4">到四级标题</option>
+                                    <option value="6">全部标题</option>
+                                </select>
+                            </div>
+
+                            <div class="setting-group checkbox-group">
+                                <label>
+                                    <input type="checkbox" id="export-embed-images">
+                                    嵌入图片
+                                </label>
+                            </div>
+
+                            <div class="setting-group checkbox-group">
+                                <label>
+                                    <input type="checkbox" id="export-include-source">
+                                    保存原始 Markdown
+                                </label>
+                            </div>
+
+                            <div class="setting-group checkbox-group">
+                                <label>
+                                    <input type="checkbox" id="export-minify">
+                                    压缩输出
+                                </label>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" id="export-settings-reset">恢复默认</button>
+                        <button class="btn btn-secondary" id="export-settings-cancel">取消</button>
+                        <button class="btn btn-primary" id="export-settings-apply">下载</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modal = document.getElementById('export-settings-modal');
+
+        this.populateOptions();
+        this.setupEventListeners();
+    }
+
+    /**
+     * 填充高亮主题、宽度和字体选项
+     */
+    populateOptions() {
+        const codeThemeSelect = this.modal.querySelector('#export-code-theme');
+        const groups = { light: '亮色', dark: '暗色' };
+        Object.entries(groups).forEach(([appearance, label]) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            this.codeThemes.filter(theme => theme.appearance === appearance).forEach(theme => {
+                optgroup.appendChild(new Option(theme.name, theme.id));
+            });
+            if (optgroup.children.length > 0) {
+                codeThemeSelect.appendChild(optgroup);
+            }
+        });
+
+        const widthSelect = this.modal.querySelector('#export-max-width');
+        Object.entries(CONTENT_WIDTHS).forEach(([value, label]) => {
+            widthSelect.appendChild(new Option(label, value));
+        });
+
+        const fontSelect = this.modal.querySelector('#export-font-family');
+        Object.entries(FONT_STACKS).forEach(([id, font]) => {
+            fontSelect.appendChild(new Option(font.name, id));
+        });
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    setupEventListeners() {
+        this.modal.querySelector('#export-settings-close').addEventListener('click', () => this.hide());
+        this.modal.querySelector('#export-settings-cancel').addEventListener('click', () => this.hide());
+        this.modal.querySelector('#export-settings-apply').addEventListener('click', () => this.apply());
+        this.modal.querySelector('#export-settings-reset').addEventListener('click', () => {
+            this.fillForm(DEFAULT_SETTINGS);
+        });
+
+        // 点击遮罩或按 Esc 关闭
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.hide();
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hide();
+        });
+
+        // 不加入目录时目录深度不可选
+        this.modal.querySelector('#export-toc').addEventListener('change', (e) => {
+            this.modal.querySelector('#export-toc-depth').disabled = !e.target.checked;
+        });
+    }
+
+    /**
+     * 显示导出设置
+     */
+    show() {
+        this.createModal();
+        this.fillForm(this.settings);
+        this.modal.style.display = 'flex';
+        this.modal.querySelector('#export-settings-apply').focus();
+    }
+
+    /**
+     * 隐藏导出设置
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * 把设置填入表单
+     * @param {Object} settings 设置
+     */
+    fillForm(settings) {
+        const field = id => this.modal.querySelector(`#${id}`);
+
+        field('export-theme-mode').value = settings.themeMode;
+        field('export-code-theme').value = settings.codeTheme;
+        field('export-max-width').value = settings.maxWidth;
+        field('export-font-family').value = settings.fontFamily;
+        field('export-toc').checked = settings.toc;
+        field('export-toc-depth').value = String(settings.tocDepth);
+        field('export-toc-depth').disabled = !settings.toc;
+        field('export-embed-images').checked = settings.embedImages;
+        field('export-include-source').checked = settings.includeSource;
+        field('export-minify').checked = settings.minify;
+    }
+
+    /**
+     * 从表单读取设置
+     * @returns {Object} 设置
+     */
+    readForm() {
+        const field = id => this.modal.querySelector(`#${id}`);
+
+        return this.normalizeSettings({
+            themeMode: field('export-theme-mode').value,
+            codeTheme: field('export-code-theme').value,
+            maxWidth: field('export-max-width').value,
+            fontFamily: field('export-font-family').value,
+            toc: field('export-toc').checked,
+            tocDepth: Number(field('export-toc-depth').value),
+            embedImages: field('export-embed-images').checked,
+            includeSource: field('export-include-source').checked,
+            minify: field('export-minify').checked
+        });
+    }
+
+    /**
+     * 保存表单中的设置并开始导出
+     */
+    apply() {
+        this.settings = this.readForm();
+        this.saveSettings();
+        this.hide();
+        if (this.onApply) {
+            this.onApply(this.getSettings());
+        }
+    }
+
+    /**
+     * 检查设置，无效或缺失的项使用默认值
+     * @param {Object} settings 设置
+     * @returns {Object} 完整的设置
+     */
+    normalizeSettings(settings) {
+        const valid = {
+            themeMode: value => ['auto', 'light', 'dark'].includes(value),
+            codeTheme: value => value === 'builtin' || this.codeThemes.some(theme => theme.id === value),
+            maxWidth: value => Object.hasOwn(CONTENT_WIDTHS, value),
+            fontFamily: value => Object.hasOwn(FONT_STACKS, value),
+            tocDepth: value => Number.isInteger(value) && value >= 1 && value <= 6
+        };
+
+        return Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([name, defaultValue]) => {
+            const value = settings[name];
+            const isValid = valid[name] ? valid[name](value) : typeof value === typeof defaultValue;
+            return [name, isValid ? value : defaultValue];
+        }));
+    }
+
+    /**
+     * 从本地存储加载设置
+     * @returns {Object} 设置
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                return this.normalizeSettings(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('无法加载导出设置:', error);
+        }
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    /**
+     * 保存设置到本地存储
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('无法保存导出设置:', error);
+        }
+    }
+
+    /**
+     * 获取当前设置
+     * @returns {Object} 当前设置
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 把设置转换为 DocumentExporter.createDocument 的选项
+     * 图片来源和高亮主题样式需要由调用方提供：embedImages 为 true 时传入 images，
+     * codeTheme 不是 'builtin' 时传入对应主题的 codeThemeStyles
+     * @param {Object} settings 设置，缺省时使用当前设置
+     * @returns {Object} 导出选项
+     */
+    getExportOptions(settings = this.settings) {
+        const fixedTheme = settings.themeMode !== 'auto';
+
+        return {
+            // 固定主题时覆盖 front matter 中的主题，也不再加入切换按钮
+            ...(fixedTheme ? { theme: settings.themeMode } : {}),
+            themeToggle: !fixedTheme,
+            toc: settings.toc,
+            tocDepth: settings.tocDepth,
+            maxWidth: settings.maxWidth === '800px' ? '' : settings.maxWidth,
+            fontFamily: FONT_STACKS[settings.fontFamily].value,
+            includeSource: settings.includeSource,
+            minify: settings.minify
+        };
+    }
+
+    /**
+     * 设置导出回调
+     * @param {Function} callback 回调函数，参数为设置
+     */
+    setOnApply(callback) {
+        this.onApply = callback;
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        if (this.modal && this.modal.parentNode) {
+            this.modal.parentNode.removeChild(this.modal);
+        }
+        this.modal = null;
+    }
+}
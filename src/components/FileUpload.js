@@ -1,14 +1,31 @@
 /**
  * 文件上传组件
- * 处理 .md 文件的上传和验证
+ * 处理 .md 文件的上传和验证，也可以上传整个文件夹生成多页面站点，
+ * 和 Markdown 一起上传的图片交给图片存储，导出时嵌入。
+ * 导出时保存了原始 Markdown 的 .html 文件可以重新载入继续编辑，
+ * 其他 .html 文件、Word 文档（.docx）和 Jupyter 笔记本（.ipynb）转换为 Markdown
  */
 
+import { ImageStore } from '../core/ImageStore.js';
+import { FileHandler } from '../core/FileHandler.js';
+import { HTMLToMarkdown } from '../core/HTMLToMarkdown.js';
+import { DocxConverter } from '../core/DocxConverter.js';
+import { NotebookConverter } from '../core/NotebookConverter.js';
+
+// 读取文件夹时跳过的目录
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
 export class FileUpload {
     constructor() {
         this.onFileLoad = null;
+        this.onFolderLoad = null;
+        this.onImagesLoad = null;
         this.onError = null;
         this.maxFileSize = 10 * 1024 * 1024; // 10MB
-        this.allowedExtensions = ['.md', '.markdown', '.txt'];
+        this.allowedExtensions = ['.md', '.markdown', '.txt', '.html', '.htm', '.docx', '.ipynb'];
+        this.htmlConverter = new HTMLToMarkdown();
+        this.docxConverter = new DocxConverter({ htmlConverter: this.htmlConverter });
+        this.notebookConverter = new NotebookConverter({ htmlConverter: this.htmlConverter });
     }
 
     /**
@@ -20,10 +37,12 @@ export class FileUpload {
         const uploadContainer = document.createElement('div');
         uploadContainer.className = 'file-upload-container';
         uploadContainer.innerHTML = `
-            <input type="file" id="file-input" accept=".md,.markdown,.txt" style="display: none;">
+            <input type="file" id="file-input" accept=".md,.markdown,.txt,.html,.htm,.docx,.ipynb,image/*" multiple style="display: none;">
+            <input type="file" id="folder-input" webkitdirectory multiple style="display: none;">
             <button id="upload-btn" class="upload-btn">上传 .md 文件</button>
+            <button id="folder-btn" class="upload-btn" title="把文件夹中的 Markdown 文件生成为多页面站点">文件夹生成站点</button>
             <div class="drag-drop-area" id="drag-drop-area">
-                <p>拖拽 .md 文件到此处</p>
+                <p>拖拽 .md、.html、.docx、.ipynb 文件、图片或文件夹到此处</p>
             </div>
         `;
 
@@ -38,6 +57,8 @@ export class FileUpload {
     setupEventListeners(container) {
         const fileInput = container.querySelector('#file-input');
         const uploadBtn = container.querySelector('#upload-btn');
+        const folderInput = container.querySelector('#folder-input');
+        const folderBtn = container.querySelector('#folder-btn');
         const dragDropArea = container.querySelector('#drag-drop-area');
 
         // 文件选择按钮
@@ -47,12 +68,30 @@ export class FileUpload {
 
         // 文件选择事件
         fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.handleFile(file);
+            if (e.target.files.length > 0) {
+                this.handleFiles(e.target.files);
             }
+            e.target.value = '';
         });
 
+        // 文件夹选择，webkitRelativePath 以所选文件夹的名称开头
+        if (folderBtn && folderInput) {
+            folderBtn.addEventListener('click', () => {
+                folderInput.click();
+            });
+
+            folderInput.addEventListener('change', (e) => {
+                const files = Array.from(e.target.files || []).map(file => ({
+                    file,
+                    path: file.webkitRelativePath || file.name
+                }));
+                if (files.length > 0) {
+                    this.handleFolder(files);
+                }
+                e.target.value = '';
+            });
+        }
+
         // 拖拽事件
         this.setupDragAndDrop(dragDropArea);
     }
@@ -83,9 +122,20 @@ export class FileUpload {
 
         // 处理文件拖放
         dragArea.addEventListener('drop', (e) => {
+            // 拖入文件夹时生成站点，条目需要在事件处理中同步获取
+            const directory = Array.from(e.dataTransfer.items || [])
+                .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+                .find(entry => entry && entry.isDirectory);
+            if (directory) {
+                this.readDirectoryEntry(directory, `${directory.name}/`)
+                    .then(files => this.handleFolder(files))
+                    .catch(error => this.handleError(`文件夹读取失败: ${error.message}`));
+                return;
+            }
+
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFile(files[0]);
+                this.handleFiles(files);
             }
         }, false);
     }
@@ -99,6 +149,69 @@ export class FileUpload {
         e.stopPropagation();
     }
 
+    /**
+     * 处理选择或拖入的多个文件：图片交给图片存储，第一个其他文件作为 Markdown 载入
+     * @param {FileList|Array<File>} files 文件列表
+     */
+    handleFiles(files) {
+        const images = [];
+        let markdownFile = null;
+
+        Array.from(files).forEach(file => {
+            if (this.isImageFile(file)) {
+                images.push(file);
+            } else if (!markdownFile) {
+                markdownFile = file;
+            }
+        });
+
+        if (images.length > 0) {
+            // 只有图片时由输入面板在光标处插入引用
+            this.handleImages(images, !markdownFile);
+        }
+        if (markdownFile) {
+            this.handleFile(markdownFile);
+        }
+    }
+
+    /**
+     * 判断是否为支持的图片文件
+     * @param {File} file 文件对象
+     * @returns {boolean} 是否为图片
+     */
+    isImageFile(file) {
+        return ImageStore.isImageName(file.name) || ImageStore.isImageType(file.type);
+    }
+
+    /**
+     * 读取图片
+     * @param {Array<File>} files 图片文件
+     * @param {boolean} standalone 是否单独上传（没有同时上传 Markdown 文件）
+     * @returns {Promise<void>}
+     */
+    async handleImages(files, standalone = false) {
+        const oversized = files.filter(file => file.size > this.maxFileSize);
+        if (oversized.length > 0) {
+            this.handleError(`图片大小超过限制 (${this.formatFileSize(this.maxFileSize)}): ${oversized.map(file => file.name).join(', ')}`);
+        }
+
+        try {
+            const images = await Promise.all(files
+                .filter(file => file.size <= this.maxFileSize)
+                .map(async file => ({
+                    name: file.name,
+                    data: await this.readFileAsArrayBuffer(file),
+                    mimeType: ImageStore.getMimeType(file.name) || file.type
+                })));
+
+            if (images.length > 0 && this.onImagesLoad) {
+                this.onImagesLoad({ images, standalone });
+            }
+        } catch (error) {
+            this.handleError(`图片读取失败: ${error.message}`);
+        }
+    }
+
     /**
      * 处理文件
      * @param {File} file 文件对象
@@ -111,7 +224,11 @@ export class FileUpload {
             return;
         }
 
-        // 读取文件内容
+        // 读取文件内容，Word 文档按二进制读取后转换
+        if (this.isDocxFile(file)) {
+            this.readDocx(file);
+            return;
+        }
         this.readFile(file);
     }
 
@@ -149,8 +266,8 @@ export class FileUpload {
             result.errors.push(`不支持的文件格式，请选择 ${this.allowedExtensions.join(', ')} 文件`);
         }
 
-        // 检查文件类型
-        if (file.type && !file.type.startsWith('text/')) {
+        // 检查文件类型，Word 文档是二进制文件，笔记本的类型为 application/x-ipynb+json 等
+        if (file.type && !file.type.startsWith('text/') && !this.isDocxFile(file) && !this.isNotebookFile(file)) {
             result.isValid = false;
             result.errors.push('文件必须是文本格式');
         }
@@ -166,7 +283,7 @@ export class FileUpload {
         const reader = new FileReader();
 
         reader.onload = (e) => {
-            const content = e.target.result;
+            let content = e.target.result;
             
             // 验证内容
             if (typeof content !== 'string') {
@@ -174,13 +291,28 @@ export class FileUpload {
                 return;
             }
 
+            // 导出的 HTML 文件还原为其中保存的原始 Markdown，其他 HTML 文件转换为 Markdown
+            if (this.isHTMLFile(file)) {
+                content = this.extractMarkdown(content);
+                if (content === null) return;
+            }
+
+            // 笔记本转换为 Markdown，输出中的图片随文件数据一起传给回调
+            let imported = {};
+            if (this.isNotebookFile(file)) {
+                imported = this.convertNotebook(content);
+                if (imported === null) return;
+                content = imported.markdown;
+            }
+
             // 触发文件加载回调
             if (this.onFileLoad) {
                 this.onFileLoad({
                     content: content,
                     fileName: file.name,
                     fileSize: file.size,
-                    lastModified: new Date(file.lastModified)
+                    lastModified: new Date(file.lastModified),
+                    ...(imported.images ? { images: imported.images, warnings: imported.warnings } : {})
                 });
             }
         };
@@ -193,6 +325,198 @@ export class FileUpload {
         reader.readAsText(file, 'UTF-8');
     }
 
+    /**
+     * 判断是否为 HTML 文件
+     * @param {File} file 文件对象
+     * @returns {boolean} 是否为 HTML 文件
+     */
+    isHTMLFile(file) {
+        return /\.html?$/i.test(file.name);
+    }
+
+    /**
+     * 判断是否为 Word 文档
+     * @param {File} file 文件对象
+     * @returns {boolean} 是否为 .docx 文件
+     */
+    isDocxFile(file) {
+        return /\.docx$/i.test(file.name);
+    }
+
+    /**
+     * 判断是否为 Jupyter 笔记本
+     * @param {File} file 文件对象
+     * @returns {boolean} 是否为 .ipynb 文件
+     */
+    isNotebookFile(file) {
+        return /\.ipynb$/i.test(file.name);
+    }
+
+    /**
+     * 转换 Jupyter 笔记本
+     * @param {string} json 笔记本文件内容
+     * @returns {Object|null} { markdown, images, warnings }，无法转换时报告错误并返回 null
+     */
+    convertNotebook(json) {
+        try {
+            return this.notebookConverter.convert(json);
+        } catch (error) {
+            this.handleError(`笔记本读取失败: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 读取 Word 文档并转换为 Markdown
+     * 文档中的图片和无法转换的格式说明随文件数据一起传给文件加载回调
+     * @param {File} file 文件对象
+     * @returns {Promise<void>}
+     */
+    async readDocx(file) {
+        try {
+            const data = await this.readFileAsArrayBuffer(file);
+            const { markdown, images, warnings } = await this.docxConverter.convert(data);
+            if (!markdown && images.length === 0) {
+                this.handleError('Word 文档中没有可以转换的内容');
+                return;
+            }
+
+            if (this.onFileLoad) {
+                this.onFileLoad({
+                    content: markdown,
+                    fileName: file.name,
+                    fileSize: file.size,
+                    lastModified: new Date(file.lastModified),
+                    images,
+                    warnings
+                });
+            }
+        } catch (error) {
+            this.handleError(`Word 文档读取失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 取出 HTML 文件中的 Markdown
+     * 本工具导出的文件使用其中保存的原始 Markdown，其他 HTML 文件转换为 Markdown
+     * @param {string} html HTML 内容
+     * @returns {string|null} Markdown，无法还原时报告错误并返回 null
+     */
+    extractMarkdown(html) {
+        const source = FileHandler.extractMarkdownSource(html);
+        if (source !== null) {
+            return source;
+        }
+
+        if (FileHandler.isExportedHTML(html)) {
+            this.handleError('这个 HTML 文件导出时没有保存原始 Markdown，请在导出设置中勾选"保存原始 Markdown"后重新导出');
+            return null;
+        }
+
+        const markdown = this.htmlConverter.convert(html);
+        if (!markdown) {
+            this.handleError('HTML 文件中没有可以转换的内容');
+            return null;
+        }
+        return markdown;
+    }
+
+    /**
+     * 读取拖入的文件夹中的全部文件
+     * @param {FileSystemDirectoryEntry} directory 文件夹条目
+     * @param {string} prefix 文件路径前缀
+     * @returns {Promise<Array<Object>>} 文件 [{ file, path }]
+     */
+    async readDirectoryEntry(directory, prefix = '') {
+        const reader = directory.createReader();
+        const entries = [];
+
+        // readEntries 每次只返回一部分条目，直到返回空数组
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            entries.push(...batch);
+        } while (batch.length > 0);
+
+        const files = [];
+        for (const entry of entries) {
+            const entryPath = `${prefix}${entry.name}`;
+            if (entry.isDirectory) {
+                if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+                    files.push(...await this.readDirectoryEntry(entry, `${entryPath}/`));
+                }
+            } else if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, path: entryPath });
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * 处理上传的文件夹，读取其中的 Markdown 文件
+     * @param {Array<Object>} files 文件 [{ file, path }]，path 以文件夹名称开头
+     * @returns {Promise<void>}
+     */
+    async handleFolder(files) {
+        const name = files[0].path.split('/')[0] || 'site';
+        const markdownFiles = files.filter(({ file, path }) => /\.(md|markdown)$/i.test(path)
+            && !path.split('/').some(segment => IGNORED_DIRECTORIES.includes(segment))
+            && file.size <= this.maxFileSize);
+
+        if (markdownFiles.length === 0) {
+            this.handleError('文件夹中没有 Markdown 文件');
+            return;
+        }
+
+        try {
+            const pages = await Promise.all(markdownFiles.map(async ({ file, path }) => ({
+                // 去掉文件夹名称，使用相对站点根目录的路径
+                path: path.split('/').slice(1).join('/') || file.name,
+                content: await this.readFileAsText(file)
+            })));
+
+            if (this.onFolderLoad) {
+                this.onFolderLoad({
+                    name,
+                    files: pages,
+                    skipped: files.length - markdownFiles.length
+                });
+            }
+        } catch (error) {
+            this.handleError(`文件夹读取失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 以文本格式读取文件
+     * @param {File} file 文件对象
+     * @returns {Promise<string>} 文件内容
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(`${file.name} 读取失败`));
+            reader.readAsText(file, 'UTF-8');
+        });
+    }
+
+    /**
+     * 以二进制格式读取文件
+     * @param {File} file 文件对象
+     * @returns {Promise<ArrayBuffer>} 文件内容
+     */
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(`${file.name} 读取失败`));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
     /**
      * 处理错误
      * @param {string} message 错误消息
@@ -228,6 +552,22 @@ export class FileUpload {
         this.onFileLoad = callback;
     }
 
+    /**
+     * 设置文件夹加载回调
+     * @param {Function} callback 回调函数，参数为 { name, files: [{ path, content }], skipped }
+     */
+    setOnFolderLoad(callback) {
+        this.onFolderLoad = callback;
+    }
+
+    /**
+     * 设置图片加载回调
+     * @param {Function} callback 回调函数，参数为 { images: [{ name, data, mimeType }], standalone }
+     */
+    setOnImagesLoad(callback) {
+        this.onImagesLoad = callback;
+    }
+
     /**
      * 设置错误回调
      * @param {Function} callback 回调函数
@@ -0,0 +1,290 @@
+/**
+ * 导入设置组件
+ * 选择粘贴富文本和载入 HTML、Word 文件、Jupyter 笔记本时的转换方式，选择保存在本地存储中，下次打开页面时沿用
+ */
+
+const STORAGE_KEY = 'md2page-import-settings';
+
+// 链接格式，与 HTMLToMarkdown 的 linkStyle 选项对应
+const LINK_STYLES = {
+    'inline': '行内链接 [文字](地址)',
+    'referenced': '引用链接 [文字][1]，地址列在文末'
+};
+
+// 无法用 Markdown 表示的表格，与 HTMLToMarkdown 的 tableFallback 选项对应
+const TABLE_FALLBACKS = {
+    'html': '保留为 HTML 表格',
+    'flatten': '展开为 Markdown 表格'
+};
+
+const DEFAULT_SETTINGS = {
+    linkStyle: 'inline',
+    tableFallback: 'html',
+    hideCode: false,
+    hideOutputs: false
+};
+
+export class ImportSettings {
+    constructor() {
+        this.modal = null;
+        this.settings = this.loadSettings();
+
+        this.onApply = null;
+    }
+
+    /**
+     * 创建设置模态框
+     */
+    createModal() {
+        if (this.modal) return;
+
+        const modalHTML = `
+            <div id="import-settings-modal" class="modal import-settings-modal" style="display: none;">
+                <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="import-settings-title">
+                    <div class="modal-header">
+                        <h3 id="import-settings-title">导入设置</h3>
+                        <button class="modal-close" id="import-settings-close" aria-label="关闭">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="settings-hint">链接格式和复杂表格用于粘贴网页、Word 中的带格式内容和载入 .html、.docx 文件，以及笔记本中的 HTML 输出</p>
+                        <div class="settings-grid">
+                            <div class="setting-group">
+                                <label for="import-link-style">链接格式</label>
+                                <select id="import-link-style"></select>
+                            </div>
+
+                            <div class="setting-group">
+                                <label for="import-table-fallback">复杂表格</label>
+                                <select id="import-table-fallback"></select>
+                            </div>
+
+                            <div class="setting-group checkbox-group">
+                                <label>
+                                    <input type="checkbox" id="import-hide-code">
+                                    载入笔记本时隐藏代码，只保留输出
+                                </label>
+                            </div>
+
+                            <div class="setting-group checkbox-group">
+                                <label>
+                                    <input type="checkbox" id="import-hide-outputs">
+                                    载入笔记本时隐藏输出，只保留代码
+                                </label>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" id="import-settings-reset">恢复默认</button>
+                        <button class="btn btn-secondary" id="import-settings-cancel">取消</button>
+                        <button class="btn btn-primary" id="import-settings-apply">保存</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.modal = document.getElementById('import-settings-modal');
+
+        this.populateOptions();
+        this.setupEventListeners();
+    }
+
+    /**
+     * 填充链接格式和表格选项
+     */
+    populateOptions() {
+        const linkStyleSelect = this.modal.querySelector('#import-link-style');
+        Object.entries(LINK_STYLES).forEach(([value, label]) => {
+            linkStyleSelect.appendChild(new Option(label, value));
+        });
+
+        const tableSelect = this.modal.querySelector('#import-table-fallback');
+        Object.entries(TABLE_FALLBACKS).forEach(([value, label]) => {
+            tableSelect.appendChild(new Option(label, value));
+        });
+    }
+
+    /**
+     * 设置事件监听器
+     */
+    setupEventListeners() {
+        this.modal.querySelector('#import-settings-close').addEventListener('click', () => this.hide());
+        this.modal.querySelector('#import-settings-cancel').addEventListener('click', () => this.hide());
+        this.modal.querySelector('#import-settings-apply').addEventListener('click', () => this.apply());
+        this.modal.querySelector('#import-settings-reset').addEventListener('click', () => {
+            this.fillForm(DEFAULT_SETTINGS);
+        });
+
+        // 点击遮罩或按 Esc 关闭
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.hide();
+        });
+        this.modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hide();
+        });
+
+        // 同时隐藏代码和输出时笔记本只剩 Markdown 单元格，两者只能选择一个
+        const hideCode = this.modal.querySelector('#import-hide-code');
+        const hideOutputs = this.modal.querySelector('#import-hide-outputs');
+        hideCode.addEventListener('change', () => {
+            if (hideCode.checked) hideOutputs.checked = false;
+        });
+        hideOutputs.addEventListener('change', () => {
+            if (hideOutputs.checked) hideCode.checked = false;
+        });
+    }
+
+    /**
+     * 显示导入设置
+     */
+    show() {
+        this.createModal();
+        this.fillForm(this.settings);
+        this.modal.style.display = 'flex';
+        this.modal.querySelector('#import-settings-apply').focus();
+    }
+
+    /**
+     * 隐藏导入设置
+     */
+    hide() {
+        if (this.modal) {
+            this.modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * 把设置填入表单
+     * @param {Object} settings 设置
+     */
+    fillForm(settings) {
+        const field = id => this.modal.querySelector(`#${id}`);
+
+        field('import-link-style').value = settings.linkStyle;
+        field('import-table-fallback').value = settings.tableFallback;
+        field('import-hide-code').checked = settings.hideCode;
+        field('import-hide-outputs').checked = settings.hideOutputs;
+    }
+
+    /**
+     * 从表单读取设置
+     * @returns {Object} 设置
+     */
+    readForm() {
+        const field = id => this.modal.querySelector(`#${id}`);
+
+        return this.normalizeSettings({
+            linkStyle: field('import-link-style').value,
+            tableFallback: field('import-table-fallback').value,
+            hideCode: field('import-hide-code').checked,
+            hideOutputs: field('import-hide-outputs').checked
+        });
+    }
+
+    /**
+     * 保存表单中的设置
+     */
+    apply() {
+        this.settings = this.readForm();
+        this.saveSettings();
+        this.hide();
+        if (this.onApply) {
+            this.onApply(this.getSettings());
+        }
+    }
+
+    /**
+     * 检查设置，无效或缺失的项使用默认值
+     * @param {Object} settings 设置
+     * @returns {Object} 完整的设置
+     */
+    normalizeSettings(settings) {
+        const valid = {
+            linkStyle: value => Object.hasOwn(LINK_STYLES, value),
+            tableFallback: value => Object.hasOwn(TABLE_FALLBACKS, value)
+        };
+
+        return Object.fromEntries(Object.entries(DEFAULT_SETTINGS).map(([name, defaultValue]) => {
+            const value = settings[name];
+            const isValid = valid[name] ? valid[name](value) : typeof value === typeof defaultValue;
+            return [name, isValid ? value : defaultValue];
+        }));
+    }
+
+    /**
+     * 从本地存储加载设置
+     * @returns {Object} 设置
+     */
+    loadSettings() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                return this.normalizeSettings(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('无法加载导入设置:', error);
+        }
+        return { ...DEFAULT_SETTINGS };
+    }
+
+    /**
+     * 保存设置到本地存储
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('无法保存导入设置:', error);
+        }
+    }
+
+    /**
+     * 获取当前设置
+     * @returns {Object} 当前设置
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 把设置转换为 HTMLToMarkdown 的选项
+     * @param {Object} settings 设置，缺省时使用当前设置
+     * @returns {Object} 选项 { linkStyle, tableFallback }
+     */
+    getHTMLOptions(settings = this.settings) {
+        return {
+            linkStyle: settings.linkStyle,
+            tableFallback: settings.tableFallback
+        };
+    }
+
+    /**
+     * 把设置转换为 NotebookConverter 的选项
+     * @param {Object} settings 设置，缺省时使用当前设置
+     * @returns {Object} 选项 { hideCode, hideOutputs }
+     */
+    getNotebookOptions(settings = this.settings) {
+        return {
+            hideCode: settings.hideCode,
+            hideOutputs: settings.hideOutputs
+        };
+    }
+
+    /**
+     * 设置保存回调
+     * @param {Function} callback 回调函数，参数为设置
+     */
+    setOnApply(callback) {
+        this.onApply = callback;
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        if (this.modal && this.modal.parentNode) {
+            this.modal.parentNode.removeChild(this.modal);
+        }
+        this.modal = null;
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import { FileUpload } from './FileUpload.js';
+import { ImportSettings } from './ImportSettings.js';
 
 export class InputPanel {
     constructor(container) {
@@ -11,7 +12,12 @@ export class InputPanel {
         this.textarea = null;
         this.onContentChange = null;
         this.fileUpload = new FileUpload();
+        this.importSettings = new ImportSettings();
         this.onError = null;
+        this.onFolderLoad = null;
+        this.onImagesLoad = null;
+        this.onManageAssets = null;
+        this.onWarning = null;
     }
 
     /**
@@ -21,6 +27,10 @@ export class InputPanel {
         this.container.innerHTML = `
             <div class="panel-header">
                 <h2>Markdown 输入</h2>
+                <div class="panel-actions">
+                    <button id="import-settings-btn" class="upload-btn" title="粘贴和载入文件时的转换方式">导入设置</button>
+                    <button id="assets-btn" class="upload-btn" title="管理粘贴或拖入的图片">图片资源</button>
+                </div>
             </div>
             <div class="panel-content">
                 <div class="upload-section" id="upload-section">
@@ -29,7 +39,7 @@ export class InputPanel {
                 <textarea 
                     id="markdown-input" 
                     class="markdown-textarea"
-                    placeholder="在此输入 Markdown 内容，或上传 .md 文件..."
+                    placeholder="在此输入 Markdown 内容，或上传 .md、.html、.docx、.ipynb 文件..."
                     spellcheck="false"
                 ></textarea>
             </div>
@@ -58,6 +68,31 @@ export class InputPanel {
         this.fileUpload.setOnError((error) => {
             this.handleError(error);
         });
+
+        // 文件夹不载入编辑器，交给应用生成站点
+        this.fileUpload.setOnFolderLoad((folder) => {
+            if (this.onFolderLoad) {
+                this.onFolderLoad(folder);
+            }
+        });
+
+        this.fileUpload.setOnImagesLoad(({ images, standalone }) => {
+            this.handleImagesLoad(images, standalone);
+        });
+
+        // 使用保存的导入设置，修改后对之后的粘贴和载入生效
+        this.applyImportSettings();
+        this.importSettings.setOnApply(() => {
+            this.applyImportSettings();
+        });
+    }
+
+    /**
+     * 把导入设置应用到文件上传使用的转换器
+     */
+    applyImportSettings() {
+        this.setHTMLImportOptions(this.importSettings.getHTMLOptions());
+        this.setNotebookImportOptions(this.importSettings.getNotebookOptions());
     }
 
     /**
@@ -66,6 +101,22 @@ export class InputPanel {
     setupEventListeners() {
         this.textarea = this.container.querySelector('#markdown-input');
 
+        const importSettingsBtn = this.container.querySelector('#import-settings-btn');
+        if (importSettingsBtn) {
+            importSettingsBtn.addEventListener('click', () => {
+                this.importSettings.show();
+            });
+        }
+
+        const assetsBtn = this.container.querySelector('#assets-btn');
+        if (assetsBtn) {
+            assetsBtn.addEventListener('click', () => {
+                if (this.onManageAssets) {
+                    this.onManageAssets();
+                }
+            });
+        }
+
         // 监听文本输入
         if (this.textarea) {
             this.textarea.addEventListener('input', (e) => {
@@ -73,6 +124,96 @@ export class InputPanel {
                     this.onContentChange(e.target.value);
                 }
             });
+
+            // 粘贴网页、Word 中的富文本时转换为 Markdown，粘贴截图等图片时保存图片并插入引用
+            this.textarea.addEventListener('paste', (e) => {
+                this.handlePaste(e);
+            });
+        }
+    }
+
+    /**
+     * 处理粘贴
+     * 剪贴板中有带格式的 HTML 时转换为 Markdown 插入，有图片时保存图片并在光标处插入引用，
+     * 其他情况使用浏览器默认的纯文本粘贴
+     * @param {ClipboardEvent} e 粘贴事件
+     * @returns {Promise<void>}
+     */
+    async handlePaste(e) {
+        const html = e.clipboardData ? e.clipboardData.getData('text/html') : '';
+        const converter = this.fileUpload.htmlConverter;
+        if (html && converter.hasRichContent(html)) {
+            const markdown = converter.convert(html);
+            if (markdown) {
+                e.preventDefault();
+                this.insertText(markdown);
+                return;
+            }
+        }
+
+        const files = Array.from((e.clipboardData && e.clipboardData.files) || [])
+            .filter(file => this.fileUpload.isImageFile(file));
+        if (files.length === 0) return;
+
+        e.preventDefault();
+        try {
+            const images = await Promise.all(files.map(async file => ({
+                // 剪贴板中的图片通常都叫 image.png，由图片存储生成不重复的名称
+                name: null,
+                data: await this.fileUpload.readFileAsArrayBuffer(file),
+                mimeType: file.type
+            })));
+            this.handleImagesLoad(images, true);
+        } catch (error) {
+            this.handleError(`图片读取失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 处理加载的图片
+     * @param {Array<Object>} images 图片 [{ name, data, mimeType }]，name 为空时自动生成
+     * @param {boolean} insert 是否在光标处插入图片引用（粘贴或单独拖入图片时）
+     * @returns {Promise<void>}
+     */
+    async handleImagesLoad(images, insert) {
+        if (!this.onImagesLoad) return;
+
+        try {
+            const references = (await this.onImagesLoad(images, { insert }) || []).filter(Boolean);
+            if (insert && references.length > 0) {
+                this.insertImageReferences(references);
+            }
+        } catch (error) {
+            this.handleError(`图片保存失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 在光标处插入图片引用
+     * @param {Array<string>} names 图片名称或 asset://id 引用
+     */
+    insertImageReferences(names) {
+        if (!this.textarea) return;
+
+        // 名称含空格等字符时用尖括号包裹
+        this.insertText(names
+            .map(name => /[\s()<>]/.test(name) ? `![](<${name}>)` : `![](${name})`)
+            .join('\n'));
+    }
+
+    /**
+     * 在光标处插入文本，替换选中的内容
+     * @param {string} text 文本
+     */
+    insertText(text) {
+        if (!this.textarea) return;
+
+        const { selectionStart, selectionEnd, value } = this.textarea;
+        this.textarea.value = value.slice(0, selectionStart) + text + value.slice(selectionEnd);
+        this.textarea.selectionStart = this.textarea.selectionEnd = selectionStart + text.length;
+
+        if (this.onContentChange) {
+            this.onContentChange(this.textarea.value);
         }
     }
 
@@ -80,8 +221,14 @@ export class InputPanel {
      * 处理文件加载
      * @param {Object} fileData 文件数据
      */
-    handleFileLoad(fileData) {
-        const { content, fileName } = fileData;
+    async handleFileLoad(fileData) {
+        const { fileName, images = [], warnings = [] } = fileData;
+        let { content } = fileData;
+
+        // 导入的 Word 文档、笔记本中的图片保存到资源库
+        if (images.length > 0) {
+            content = await this.storeImportedImages(content, images);
+        }
         
         // 设置内容到文本区域
         this.setContent(content);
@@ -93,6 +240,37 @@ export class InputPanel {
 
         // 显示成功消息
         console.log(`文件 "${fileName}" 加载成功`);
+
+        // 导入时无法转换的格式
+        if (warnings.length > 0 && this.onWarning) {
+            this.onWarning(warnings.join('\n'));
+        }
+    }
+
+    /**
+     * 把导入的文档中的图片保存到资源库，内容中按名称的引用替换为资源库中的引用
+     * @param {string} content Markdown 内容
+     * @param {Array<Object>} images 图片 [{ name, data, mimeType }]
+     * @returns {Promise<string>} 替换引用后的内容
+     */
+    async storeImportedImages(content, images) {
+        if (!this.onImagesLoad) return content;
+
+        let result = content;
+        try {
+            const references = await this.onImagesLoad(images, { insert: false, asset: true }) || [];
+            images.forEach(({ name }, index) => {
+                const reference = references[index];
+                if (!reference) return;
+                // 图片可能在 Markdown 中，也可能在保留为 HTML 的表格中
+                result = result
+                    .split(`](${name})`).join(`](${reference})`)
+                    .split(`src="${name}"`).join(`src="${reference}"`);
+            });
+        } catch (error) {
+            this.handleError(`图片保存失败: ${error.message}`);
+        }
+        return result;
     }
 
     /**
@@ -143,4 +321,53 @@ export class InputPanel {
     setOnError(callback) {
         this.onError = callback;
     }
+
+    /**
+     * 设置文件夹加载回调
+     * @param {Function} callback 回调函数，参数为 { name, files: [{ path, content }], skipped }
+     */
+    setOnFolderLoad(callback) {
+        this.onFolderLoad = callback;
+    }
+
+    /**
+     * 设置图片加载回调
+     * @param {Function} callback 回调函数，参数为 ([{ name, data, mimeType }], { insert, asset })，
+     *   返回（或以 Promise 返回）与图片一一对应的引用，保存失败的图片为 null
+     */
+    setOnImagesLoad(callback) {
+        this.onImagesLoad = callback;
+    }
+
+    /**
+     * 设置打开图片资源管理的回调
+     * @param {Function} callback 回调函数
+     */
+    setOnManageAssets(callback) {
+        this.onManageAssets = callback;
+    }
+
+    /**
+     * 设置警告回调，导入的文档中有无法转换的格式或输出时调用
+     * @param {Function} callback 回调函数，参数为警告消息
+     */
+    setOnWarning(callback) {
+        this.onWarning = callback;
+    }
+
+    /**
+     * 设置粘贴富文本和载入 HTML、Word 文件时的转换选项
+     * @param {Object} options 选项 { linkStyle: 'inline' | 'referenced', tableFallback: 'html' | 'flatten' }
+     */
+    setHTMLImportOptions(options) {
+        this.fileUpload.htmlConverter.setOptions(options);
+    }
+
+    /**
+     * 设置载入 Jupyter 笔记本时的选项
+     * @param {Object} options 选项 { hideCode, hideOutputs }
+     */
+    setNotebookImportOptions(options) {
+        this.fileUpload.notebookConverter.setOptions(options);
+    }
 }
\ No newline at end of file
@@ -89,6 +89,8 @@ export class LoadingIndicator {
      * 显示内联加载
      * @param {HTMLElement} target 目标元素
      * @param {Object} options 加载选项
+     * @param {boolean} options.showProgress 是否显示进度条
+     * @param {number} options.delay 延迟显示的时间（毫秒），在此之前结束的任务不会闪现加载状态
      * @returns {number} 加载器ID
      */
     showInline(target, options = {}) {
@@ -101,6 +103,9 @@ export class LoadingIndicator {
             text: '加载中...',
             size: 'medium',
             overlay: true,
+            showProgress: false,
+            progress: 0,
+            delay: 0,
             ...options
         };
 
@@ -115,15 +120,26 @@ export class LoadingIndicator {
         }
         
         target.appendChild(loader);
+
+        let delayTimer = null;
+        if (config.delay > 0) {
+            loader.classList.add('hidden');
+            delayTimer = setTimeout(() => loader.classList.remove('hidden'), config.delay);
+        }
         
         const id = ++this.loaderId;
         this.activeLoaders.set(id, {
             type: 'inline',
             element: loader,
             target: target,
-            config: config
+            config: config,
+            delayTimer: delayTimer
         });
 
+        if (config.showProgress) {
+            this.updateProgress(config.progress, id);
+        }
+
         return id;
     }
 
@@ -142,6 +158,13 @@ export class LoadingIndicator {
             <div class="inline-loader-content ${sizeClass}">
                 <div class="inline-spinner"></div>
                 ${config.text ? `<div class="inline-text">${config.text}</div>` : ''}
+                ${config.showProgress ? `
+                <div class="inline-progress">
+                    <div class="progress-bar">
+                        <div class="progress-fill"></div>
+                    </div>
+                    <div class="progress-text">0%</div>
+                </div>` : ''}
             </div>
         `;
         
@@ -213,6 +236,8 @@ export class LoadingIndicator {
             const loader = this.activeLoaders.get(loaderId);
             if (loader && loader.type === 'fullscreen') {
                 this.updateFullscreenProgress(progress);
+            } else if (loader && loader.type === 'inline') {
+                this.updateInlineProgress(loader, progress);
             }
         } else {
             // 更新当前全屏加载的进度
@@ -238,6 +263,24 @@ export class LoadingIndicator {
         }
     }
 
+    /**
+     * 更新内联进度
+     * @param {Object} loader 加载器对象
+     * @param {number} progress 进度值
+     */
+    updateInlineProgress(loader, progress) {
+        const progressFill = loader.element.querySelector('.progress-fill');
+        const progressText = loader.element.querySelector('.progress-text');
+
+        if (progressFill) {
+            progressFill.style.width = `${progress}%`;
+        }
+
+        if (progressText) {
+            progressText.textContent = `${Math.round(progress)}%`;
+        }
+    }
+
     /**
      * 隐藏加载器
      * @param {number} id 加载器ID
@@ -275,6 +318,10 @@ export class LoadingIndicator {
      * @param {Object} loader 加载器对象
      */
     hideInline(loader) {
+        if (loader.delayTimer) {
+            clearTimeout(loader.delayTimer);
+        }
+
         const element = loader.element;
         if (element && element.parentNode) {
             element.parentNode.removeChild(element);
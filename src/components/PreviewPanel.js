@@ -4,6 +4,7 @@
  */
 
 import { TableOfContents } from './TableOfContents.js';
+import { TOCGenerator } from '../core/TOCGenerator.js';
 
 export class PreviewPanel {
     constructor(container) {
@@ -11,6 +12,8 @@ export class PreviewPanel {
         this.previewContent = null;
         this.tocContainer = null;
         this.tableOfContents = null;
+        this.renderedBlocks = null;   // 当前预览中的块 [{ key, line, nodes, element }]
+        this.headingSignature = null; // 包含标题的块，变化时才重新生成目录
     }
 
     /**
@@ -64,8 +67,8 @@ export class PreviewPanel {
     initTableOfContents() {
         const tocElement = this.container.querySelector('#table-of-contents');
         if (tocElement) {
+            // 目录组件在构造时创建自身结构
             this.tableOfContents = new TableOfContents(tocElement);
-            this.tableOfContents.render();
         }
     }
 
@@ -76,6 +79,10 @@ export class PreviewPanel {
     updateContent(htmlContent) {
         if (!this.previewContent) return;
 
+        // 整体替换后按块更新需要重新开始
+        this.renderedBlocks = null;
+        this.headingSignature = null;
+
         if (!htmlContent || htmlContent.trim() === '') {
             this.previewContent.innerHTML = `
                 <div class="preview-placeholder">
@@ -101,6 +108,128 @@ export class PreviewPanel {
         }
     }
 
+    /**
+     * 按块更新预览内容，与上一次的块比较后只替换变化的部分
+     * 未变化的块保留原有 DOM（包括已完成的代码高亮），只更新行号
+     * @param {Array<Object>} blocks MarkdownConverter.parseBlocks() 返回的块 [{ key, html, line }]
+     * @param {Array<Object>|null} headings 已提取的标题（如 Worker 中提取的），缺省时从块中提取
+     * @returns {Array<Element>} 新插入的元素，需要重新执行代码高亮等处理
+     */
+    updateBlocks(blocks, headings = null) {
+        if (!this.previewContent) return [];
+
+        if (!blocks || blocks.length === 0) {
+            this.updateContent('');
+            return [];
+        }
+
+        const previous = this.renderedBlocks;
+        if (!previous) {
+            this.renderedBlocks = blocks.map(block => this.createBlock(block));
+            this.previewContent.innerHTML = '';
+            this.previewContent.appendChild(this.joinBlocks(this.renderedBlocks));
+            this.updateBlockTOC(blocks, headings);
+            return [this.previewContent];
+        }
+
+        // 前后相同的块直接复用
+        const maxCommon = Math.min(previous.length, blocks.length);
+        let prefix = 0;
+        while (prefix < maxCommon && previous[prefix].key === blocks[prefix].key) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < maxCommon - prefix
+            && previous[previous.length - 1 - suffix].key === blocks[blocks.length - 1 - suffix].key) {
+            suffix++;
+        }
+
+        const removed = previous.slice(prefix, previous.length - suffix);
+        const inserted = blocks.slice(prefix, blocks.length - suffix).map(block => this.createBlock(block));
+        const reference = suffix > 0 ? previous[previous.length - suffix].nodes[0] : null;
+
+        removed.forEach(block => block.nodes.forEach(node => node.remove()));
+        this.previewContent.insertBefore(this.joinBlocks(inserted), reference);
+
+        this.renderedBlocks = [
+            ...previous.slice(0, prefix),
+            ...inserted,
+            ...previous.slice(previous.length - suffix)
+        ];
+
+        // 插入或删除行后，复用的块行号可能变化
+        this.renderedBlocks.forEach((block, index) => {
+            const line = blocks[index].line;
+            if (block.line !== line && block.element && line !== null) {
+                block.element.setAttribute('data-source-line', line);
+            }
+            block.line = line;
+        });
+
+        if (removed.length > 0 || inserted.length > 0) {
+            this.updateBlockTOC(blocks, headings);
+        }
+
+        return inserted.flatMap(block => block.nodes.filter(node => node.nodeType === Node.ELEMENT_NODE));
+    }
+
+    /**
+     * 创建块的 DOM 节点
+     * @param {Object} block 块 { key, html, line }
+     * @returns {Object} 已渲染的块 { key, line, nodes, element }
+     */
+    createBlock(block) {
+        const template = document.createElement('template');
+        template.innerHTML = block.html;
+
+        const nodes = Array.from(template.content.childNodes);
+        // 保证每个块至少有一个节点，便于作为插入位置
+        if (nodes.length === 0) {
+            nodes.push(document.createTextNode(''));
+        }
+
+        return {
+            key: block.key,
+            line: block.line,
+            nodes,
+            element: nodes.find(node => node.nodeType === Node.ELEMENT_NODE) || null
+        };
+    }
+
+    /**
+     * 将块的节点合并到一个文档片段中
+     * @param {Array<Object>} blocks 已渲染的块
+     * @returns {DocumentFragment} 文档片段
+     */
+    joinBlocks(blocks) {
+        const fragment = document.createDocumentFragment();
+        blocks.forEach(block => block.nodes.forEach(node => fragment.appendChild(node)));
+        return fragment;
+    }
+
+    /**
+     * 包含标题的块变化时重新生成目录，否则只刷新标题位置
+     * @param {Array<Object>} blocks 块列表
+     * @param {Array<Object>|null} headings 已提取的标题
+     */
+    updateBlockTOC(blocks, headings = null) {
+        if (!this.tableOfContents) return;
+
+        const headingBlocks = blocks.filter(block => TOCGenerator.isHeadingBlock(block));
+        const signature = headingBlocks.map(block => block.key).join('\n');
+
+        if (signature === this.headingSignature) {
+            this.tableOfContents.cacheHeadingOffsets();
+            return;
+        }
+
+        this.headingSignature = signature;
+        this.tableOfContents.updateTOCFromHeadings(
+            headings || this.tableOfContents.tocGenerator.parseBlockHeadings(headingBlocks)
+        );
+        this.updateTOCButton();
+    }
+
     /**
      * 切换目录显示
      */
@@ -110,6 +239,16 @@ export class PreviewPanel {
         }
     }
 
+    /**
+     * 设置目录显示状态
+     * @param {boolean} visible 是否显示
+     */
+    setTOCVisible(visible) {
+        if (this.tocContainer) {
+            this.tocContainer.classList.toggle('visible', visible);
+        }
+    }
+
     /**
      * 更新目录按钮状态
      */
@@ -0,0 +1,87 @@
+/**
+ * HTML 清理策略选择组件
+ * 在页面头部选择预览和导出时对 Markdown 中的 HTML 使用的清理策略
+ */
+
+// 各策略在下拉框中的说明
+const POLICY_LABELS = {
+    strict: '严格：只保留 Markdown 结构',
+    safe: '安全：保留常用 HTML',
+    trusted: '信任：不清理（仅用于可信内容）'
+};
+
+export class SanitizePolicySelect {
+    /**
+     * @param {Object} options 选项
+     * @param {Array<string>} options.policies 可选的策略（HTMLSanitizer.getAvailablePolicies()）
+     * @param {string} options.policy 当前策略
+     */
+    constructor(options = {}) {
+        this.policies = options.policies || Object.keys(POLICY_LABELS);
+        this.policy = options.policy || 'safe';
+        this.select = null;
+
+        this.onChange = null;
+    }
+
+    /**
+     * 创建策略下拉框
+     * @param {HTMLElement} container 容器元素
+     * @returns {HTMLSelectElement} 下拉框
+     */
+    createSelect(container) {
+        const select = document.createElement('select');
+        select.id = 'sanitize-policy-select';
+        select.className = 'code-theme-select';
+        select.title = 'HTML 清理策略';
+        select.setAttribute('aria-label', 'HTML 清理策略');
+
+        this.policies.forEach(policy => {
+            select.appendChild(new Option(POLICY_LABELS[policy] || policy, policy));
+        });
+        select.value = this.policy;
+
+        select.addEventListener('change', () => {
+            this.policy = select.value;
+            if (this.onChange) {
+                this.onChange(this.policy);
+            }
+        });
+
+        this.select = select;
+        if (container) {
+            container.appendChild(select);
+        }
+
+        return select;
+    }
+
+    /**
+     * 更新显示的策略
+     * @param {string} policy 策略名称
+     */
+    setPolicy(policy) {
+        this.policy = policy;
+        if (this.select) {
+            this.select.value = policy;
+        }
+    }
+
+    /**
+     * 设置策略变化回调
+     * @param {Function} callback 回调函数，参数为策略名称
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        if (this.select && this.select.parentNode) {
+            this.select.parentNode.removeChild(this.select);
+        }
+        this.select = null;
+    }
+}
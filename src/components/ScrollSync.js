@@ -0,0 +1,319 @@
+/**
+ * 滚动同步组件
+ * 根据预览中块元素的 data-source-line 属性，在编辑器和预览之间双向同步滚动位置，
+ * 点击预览中的块时把编辑器光标移动到对应的源码行
+ */
+export class ScrollSync {
+    /**
+     * @param {HTMLTextAreaElement} editor 编辑器文本框
+     * @param {Element} preview 预览滚动容器
+     */
+    constructor(editor, preview) {
+        this.editor = editor;
+        this.preview = preview;
+        this.enabled = true;
+        this.lineTops = null;      // 编辑器中每一行顶部的位置（考虑自动换行）
+        this.blocks = null;        // 预览中带行号的块 [{ line, top }]
+        this.activeSide = null;    // 正在由用户滚动的一侧，另一侧的滚动事件会被忽略
+        this.releaseTimer = null;
+        this.frame = null;
+
+        this.handleEditorScroll = () => this.scheduleSync('editor');
+        this.handlePreviewScroll = () => this.scheduleSync('preview');
+        this.handlePreviewClick = this.handlePreviewClick.bind(this);
+        this.handleEditorInput = () => { this.lineTops = null; };
+        this.handleResize = () => this.invalidate();
+
+        this.init();
+    }
+
+    /**
+     * 初始化事件监听
+     */
+    init() {
+        this.editor.addEventListener('scroll', this.handleEditorScroll);
+        this.editor.addEventListener('input', this.handleEditorInput);
+        this.preview.addEventListener('scroll', this.handlePreviewScroll);
+        this.preview.addEventListener('click', this.handlePreviewClick);
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    /**
+     * 启用或禁用滚动同步
+     * @param {boolean} enabled 是否启用
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * 内容或布局变化后清除缓存的位置信息
+     */
+    invalidate() {
+        this.lineTops = null;
+        this.blocks = null;
+    }
+
+    /**
+     * 在下一帧同步另一侧的滚动位置
+     * @param {string} side 触发滚动的一侧 ('editor', 'preview')
+     */
+    scheduleSync(side) {
+        if (!this.enabled || (this.activeSide && this.activeSide !== side)) {
+            return;
+        }
+
+        this.activeSide = side;
+        clearTimeout(this.releaseTimer);
+        this.releaseTimer = setTimeout(() => {
+            this.activeSide = null;
+        }, 100);
+
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            if (side === 'editor') {
+                this.syncPreviewToEditor();
+            } else {
+                this.syncEditorToPreview();
+            }
+        });
+    }
+
+    /**
+     * 按编辑器的滚动位置滚动预览
+     */
+    syncPreviewToEditor() {
+        // 滚动到底部时预览也滚动到底部
+        if (ScrollSync.isAtBottom(this.editor)) {
+            this.preview.scrollTop = this.preview.scrollHeight;
+            return;
+        }
+
+        const line = this.getLineAtOffset(this.editor.scrollTop);
+        const top = ScrollSync.interpolate(
+            this.getBlocks().map(block => ({ from: block.line, to: block.top })),
+            line
+        );
+
+        if (top !== null) {
+            this.preview.scrollTop = top;
+        }
+    }
+
+    /**
+     * 按预览的滚动位置滚动编辑器
+     */
+    syncEditorToPreview() {
+        if (ScrollSync.isAtBottom(this.preview)) {
+            this.editor.scrollTop = this.editor.scrollHeight;
+            return;
+        }
+
+        const line = ScrollSync.interpolate(
+            this.getBlocks().map(block => ({ from: block.top, to: block.line })),
+            this.preview.scrollTop
+        );
+
+        if (line !== null) {
+            this.editor.scrollTop = this.getLineOffset(line);
+        }
+    }
+
+    /**
+     * 处理预览点击，将光标移动到对应的源码行
+     * @param {MouseEvent} event 点击事件
+     */
+    handlePreviewClick(event) {
+        if (!this.enabled) return;
+
+        // 选择文本时不移动光标
+        const selection = window.getSelection ? window.getSelection() : null;
+        if (selection && selection.toString()) return;
+
+        const block = event.target.closest ? event.target.closest('[data-source-line]') : null;
+        if (!block || !this.preview.contains(block)) return;
+
+        const line = parseInt(block.dataset.sourceLine, 10);
+        const blockTop = block.getBoundingClientRect().top - this.preview.getBoundingClientRect().top;
+        this.moveCaretToLine(line, blockTop);
+    }
+
+    /**
+     * 将编辑器光标移动到指定行的行首
+     * @param {number} line 行号（从 1 开始）
+     * @param {number} viewportOffset 该行在编辑器可视区域中的目标位置
+     */
+    moveCaretToLine(line, viewportOffset = 0) {
+        const position = ScrollSync.getLineStartIndex(this.editor.value, line);
+
+        this.activeSide = 'preview';
+        this.editor.focus({ preventScroll: true });
+        this.editor.setSelectionRange(position, position);
+        this.editor.scrollTop = Math.max(0, this.getLineOffset(line) - viewportOffset);
+
+        clearTimeout(this.releaseTimer);
+        this.releaseTimer = setTimeout(() => {
+            this.activeSide = null;
+        }, 100);
+    }
+
+    /**
+     * 获取预览中带行号的块及其位置
+     * @returns {Array<Object>} 按行号排序的块 [{ line, top }]
+     */
+    getBlocks() {
+        if (!this.blocks) {
+            const containerTop = this.preview.getBoundingClientRect().top - this.preview.scrollTop;
+            this.blocks = Array.from(this.preview.querySelectorAll('[data-source-line]'))
+                .map(element => ({
+                    line: parseInt(element.dataset.sourceLine, 10),
+                    top: element.getBoundingClientRect().top - containerTop
+                }))
+                .filter(block => !isNaN(block.line))
+                .sort((a, b) => a.line - b.line);
+        }
+        return this.blocks;
+    }
+
+    /**
+     * 获取编辑器滚动位置对应的源码行（可以是小数）
+     * @param {number} offset 滚动位置
+     * @returns {number} 行号（从 1 开始）
+     */
+    getLineAtOffset(offset) {
+        const tops = this.getLineTops();
+        return ScrollSync.interpolate(tops.map((top, index) => ({ from: top, to: index + 1 })), offset) || 1;
+    }
+
+    /**
+     * 获取源码行在编辑器中的滚动位置
+     * @param {number} line 行号（从 1 开始，可以是小数）
+     * @returns {number} 滚动位置
+     */
+    getLineOffset(line) {
+        const tops = this.getLineTops();
+        return ScrollSync.interpolate(tops.map((top, index) => ({ from: index + 1, to: top })), line) || 0;
+    }
+
+    /**
+     * 测量编辑器中每一行的顶部位置
+     * 使用与文本框样式相同的隐藏元素计算自动换行后的位置
+     * @returns {Array<number>} 每行顶部位置
+     */
+    getLineTops() {
+        if (this.lineTops) {
+            return this.lineTops;
+        }
+
+        const style = window.getComputedStyle(this.editor);
+        const mirror = document.createElement('div');
+        const paddingLeft = parseFloat(style.paddingLeft) || 0;
+        const paddingRight = parseFloat(style.paddingRight) || 0;
+        const paddingTop = parseFloat(style.paddingTop) || 0;
+
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            visibility: 'hidden',
+            left: '-9999px',
+            top: '0',
+            width: `${Math.max(0, this.editor.clientWidth - paddingLeft - paddingRight)}px`,
+            fontFamily: style.fontFamily,
+            fontSize: style.fontSize,
+            fontWeight: style.fontWeight,
+            lineHeight: style.lineHeight,
+            letterSpacing: style.letterSpacing,
+            tabSize: style.tabSize,
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            wordBreak: style.wordBreak
+        });
+
+        const fragment = document.createDocumentFragment();
+        this.editor.value.split('\n').forEach(text => {
+            const line = document.createElement('div');
+            // 空行也需要占据一行的高度
+            line.textContent = text || '\u200b';
+            fragment.appendChild(line);
+        });
+        mirror.appendChild(fragment);
+        document.body.appendChild(mirror);
+
+        this.lineTops = Array.from(mirror.children).map(line => line.offsetTop + paddingTop);
+        mirror.remove();
+
+        return this.lineTops;
+    }
+
+    /**
+     * 在有序的对应点之间线性插值
+     * @param {Array<Object>} points 按 from 升序排列的对应点 [{ from, to }]
+     * @param {number} value 输入值
+     * @returns {number|null} 插值结果，没有对应点时返回 null
+     */
+    static interpolate(points, value) {
+        if (points.length === 0) return null;
+        if (value <= points[0].from) return points[0].to;
+
+        // 二分查找最后一个 from <= value 的点
+        let low = 0;
+        let high = points.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (points[mid].from <= value) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const current = points[low];
+        const next = points[low + 1];
+        if (!next || next.from === current.from) {
+            return current.to;
+        }
+
+        const ratio = (value - current.from) / (next.from - current.from);
+        return current.to + (next.to - current.to) * ratio;
+    }
+
+    /**
+     * 判断元素是否已滚动到底部
+     * @param {Element} element 滚动元素
+     * @returns {boolean} 是否在底部
+     */
+    static isAtBottom(element) {
+        return element.scrollTop > 0 && element.scrollTop + element.clientHeight >= element.scrollHeight - 1;
+    }
+
+    /**
+     * 获取指定行行首在文本中的位置
+     * @param {string} text 文本
+     * @param {number} line 行号（从 1 开始）
+     * @returns {number} 字符位置
+     */
+    static getLineStartIndex(text, line) {
+        let index = 0;
+        for (let current = 1; current < line; current++) {
+            const next = text.indexOf('\n', index);
+            if (next === -1) return text.length;
+            index = next + 1;
+        }
+        return index;
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        this.editor.removeEventListener('scroll', this.handleEditorScroll);
+        this.editor.removeEventListener('input', this.handleEditorInput);
+        this.preview.removeEventListener('scroll', this.handlePreviewScroll);
+        this.preview.removeEventListener('click', this.handlePreviewClick);
+        window.removeEventListener('resize', this.handleResize);
+        clearTimeout(this.releaseTimer);
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+        }
+    }
+}
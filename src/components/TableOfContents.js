@@ -118,31 +118,50 @@ export class TableOfContents {
 
         try {
             // 生成目录
-            const tocData = this.tocGenerator.generateTOC(htmlContent, options);
-            
-            if (tocData.count === 0) {
-                this.showEmptyState();
-                return;
-            }
+            this.renderTOCData(this.tocGenerator.generateTOC(htmlContent, options));
+        } catch (error) {
+            console.error('更新目录失败:', error);
+            this.showErrorState();
+        }
+    }
 
-            // 更新目录内容
-            this.tocContent.innerHTML = tocData.html;
-            
-            // 更新统计信息
-            this.updateStats(tocData);
-            
-            // 缓存标题位置
-            this.cacheHeadingOffsets();
-            
-            // 显示目录
-            this.show();
-            
+    /**
+     * 根据已提取的标题更新目录，不需要解析 HTML
+     * @param {Array<Object>} headings 标题数组 [{ level, text, id }]
+     * @param {Object} options 目录选项
+     */
+    updateTOCFromHeadings(headings, options = {}) {
+        try {
+            this.renderTOCData(this.tocGenerator.generateTOCFromHeadings(headings || [], options));
         } catch (error) {
             console.error('更新目录失败:', error);
             this.showErrorState();
         }
     }
 
+    /**
+     * 显示目录数据
+     * @param {Object} tocData TOCGenerator 生成的目录数据
+     */
+    renderTOCData(tocData) {
+        if (tocData.count === 0) {
+            this.showEmptyState();
+            return;
+        }
+
+        // 更新目录内容
+        this.tocContent.innerHTML = tocData.html;
+        
+        // 更新统计信息
+        this.updateStats(tocData);
+        
+        // 缓存标题位置
+        this.cacheHeadingOffsets();
+        
+        // 显示目录
+        this.show();
+    }
+
     /**
      * 显示空状态
      */
@@ -313,7 +332,8 @@ export class TableOfContents {
         if (!targetId) return;
 
         const previewContent = document.querySelector('.preview-content');
-        const targetElement = previewContent?.querySelector(`#${targetId}`);
+        // 锚点可能以数字或连字符开头（如 1-简介、-1），不能直接作为 # 选择器
+        const targetElement = previewContent?.querySelector(`[id="${targetId.replace(/["\\]/g, '\\$&')}"]`);
         
         if (targetElement) {
             // 平滑滚动到目标位置
@@ -374,6 +394,22 @@ export class TableOfContents {
         }
     }
 
+    /**
+     * 获取当前目录中的条目数量
+     * @returns {number} 条目数量
+     */
+    getItemCount() {
+        return this.tocContent ? this.tocContent.querySelectorAll('.toc-link').length : 0;
+    }
+
+    /**
+     * 当前是否有目录内容
+     * @returns {boolean} 是否有目录
+     */
+    hasTOC() {
+        return this.getItemCount() > 0;
+    }
+
     /**
      * 获取目录数据
      * @returns {Object} 目录相关数据
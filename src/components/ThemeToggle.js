@@ -1,6 +1,6 @@
 /**
  * 主题切换组件
- * 提供主题切换按钮和界面
+ * 提供主题切换按钮，以及选择当前界面主题下代码高亮主题的下拉框
  */
 
 export class ThemeToggle {
@@ -8,6 +8,8 @@ export class ThemeToggle {
         this.themeManager = themeManager;
         this.button = null;
         this.removeListener = null;
+        this.codeThemeSelect = null;
+        this.removeCodeThemeListener = null;
     }
 
     /**
@@ -77,4 +79,62 @@ export class ThemeToggle {
         // 更新 aria-label
         this.button.setAttribute('aria-label', `切换主题 (当前: ${themeInfo.name})`);
     }
-}
\ No newline at end of file
+
+    /**
+     * 创建代码高亮主题下拉框，选择的主题保存为当前界面主题（亮色或暗色）的设置
+     * @param {HTMLElement} container 容器元素
+     * @param {Array<Object>} themes 可选的高亮主题 [{ id, name, appearance }]
+     * @returns {HTMLSelectElement} 下拉框
+     */
+    createCodeThemeSelect(container, themes) {
+        const select = document.createElement('select');
+        select.id = 'code-theme-select';
+        select.className = 'code-theme-select';
+
+        const groups = { light: '亮色', dark: '暗色' };
+        Object.entries(groups).forEach(([appearance, label]) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            themes.filter(theme => theme.appearance === appearance).forEach(theme => {
+                optgroup.appendChild(new Option(theme.name, theme.id));
+            });
+            if (optgroup.children.length > 0) {
+                select.appendChild(optgroup);
+            }
+        });
+
+        this.codeThemeSelect = select;
+        this.updateCodeThemeSelect();
+
+        select.addEventListener('change', () => {
+            this.themeManager.setCodeTheme(select.value);
+        });
+
+        // 界面主题变化时显示对应的高亮主题
+        this.removeCodeThemeListener = this.themeManager.addListener((event) => {
+            if (['theme-change', 'system-theme-change', 'code-theme-change', 'theme-reset'].includes(event)) {
+                this.updateCodeThemeSelect();
+            }
+        });
+
+        if (container) {
+            container.appendChild(select);
+        }
+
+        return select;
+    }
+
+    /**
+     * 更新代码高亮主题下拉框
+     */
+    updateCodeThemeSelect() {
+        if (!this.codeThemeSelect) return;
+
+        const effectiveTheme = this.themeManager.getEffectiveTheme();
+        const themeName = effectiveTheme === 'dark' ? '暗色' : '亮色';
+
+        this.codeThemeSelect.value = this.themeManager.getCodeTheme();
+        this.codeThemeSelect.title = `${themeName}界面使用的代码高亮主题`;
+        this.codeThemeSelect.setAttribute('aria-label', `代码高亮主题 (${themeName}界面)`);
+    }
+}
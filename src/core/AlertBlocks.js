@@ -0,0 +1,264 @@
+/**
+ * 提示块
+ * 将 GitHub 风格的 > [!NOTE] 引用块和 ::: warning 容器渲染为带图标的提示框
+ */
+
+import { findBlockStart } from './BlockStart.js';
+
+// 提示块类型：标题与图标路径（24x24 线条图标）
+const ALERT_TYPES = {
+    note: {
+        title: '备注',
+        icon: 'M12 2a10 10 0 1 0 0 20a10 10 0 1 0 0-20zM12 16v-4M12 8h.01'
+    },
+    tip: {
+        title: '提示',
+        icon: 'M9 18h6M10 22h4M12 2a7 7 0 0 0-4 12.7V17h8v-2.3A7 7 0 0 0 12 2z'
+    },
+    important: {
+        title: '重要',
+        icon: 'M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2zM12 7v4M12 14h.01'
+    },
+    warning: {
+        title: '警告',
+        icon: 'M10.3 3.9L1.8 18a2 2 0 0 0 1.7 3h17a2 2 0 0 0 1.7-3L13.7 3.9a2 2 0 0 0-3.4 0zM12 9v4M12 17h.01'
+    },
+    caution: {
+        title: '注意',
+        icon: 'M7.9 2h8.2L22 7.9v8.2L16.1 22H7.9L2 16.1V7.9zM12 8v4M12 16h.01'
+    }
+};
+
+// ::: 容器中常用的别名
+const ALERT_ALIASES = {
+    info: 'note',
+    hint: 'tip',
+    success: 'tip',
+    attention: 'warning',
+    danger: 'caution',
+    error: 'caution'
+};
+
+// 亮色与暗色主题下的提示块颜色
+const ALERT_COLORS = {
+    light: { note: '#0969da', tip: '#1a7f37', important: '#8250df', warning: '#9a6700', caution: '#d1242f' },
+    dark: { note: '#4493f8', tip: '#3fb950', important: '#ab7df8', warning: '#d29922', caution: '#f85149' }
+};
+
+export class AlertBlocks {
+    constructor() {
+        this.used = false;
+    }
+
+    /**
+     * 重置单次解析的状态
+     */
+    reset() {
+        this.used = false;
+    }
+
+    /**
+     * 解析提示块类型
+     * @param {string} name 类型名称
+     * @returns {string|null} 标准类型，无法识别时返回 null
+     */
+    resolveType(name) {
+        const type = String(name || '').toLowerCase();
+        if (ALERT_TYPES[type]) return type;
+        return ALERT_ALIASES[type] || null;
+    }
+
+    /**
+     * 获取 marked 扩展
+     * @returns {Array<Object>} marked 扩展
+     */
+    getExtensions() {
+        const alerts = this;
+
+        return [
+            {
+                name: 'alert',
+                level: 'block',
+                start: (src) => findBlockStart(src, /^ {0,3}> ?\[![a-zA-Z]+\]/m),
+                tokenizer(src) {
+                    const match = /^ {0,3}> ?\[!([a-zA-Z]+)\][ \t]*([^\n]*)(?:\n|$)/.exec(src);
+                    if (!match) return;
+
+                    const type = alerts.resolveType(match[1]);
+                    if (!type || match[1].toLowerCase() !== type) return;
+
+                    // 收集后续以 > 开头的行
+                    const lines = src.slice(match[0].length).split('\n');
+                    const body = [];
+                    let raw = match[0];
+                    for (let i = 0; i < lines.length; i++) {
+                        if (!/^ {0,3}>/.test(lines[i])) break;
+                        body.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                        raw += lines[i] + (i < lines.length - 1 ? '\n' : '');
+                    }
+
+                    return {
+                        type: 'alert',
+                        raw,
+                        alertType: type,
+                        title: match[2].trim(),
+                        tokens: this.lexer.blockTokens(body.join('\n'), [])
+                    };
+                },
+                renderer(token) {
+                    return alerts.renderAlert(token.alertType, token.title, this.parser.parse(token.tokens));
+                }
+            },
+            {
+                name: 'container',
+                level: 'block',
+                start: (src) => findBlockStart(src, /^ {0,3}:{3,}[ \t]*[a-zA-Z]/m),
+                tokenizer(src) {
+                    const open = /^ {0,3}(:{3,})[ \t]*([a-zA-Z][\w-]*)[ \t]*([^\n]*)(?:\n|$)/.exec(src);
+                    if (!open) return;
+
+                    const type = alerts.resolveType(open[2]);
+                    if (!type) return;
+
+                    const { body, raw } = alerts.readContainer(src, open[0].length, open[1].length);
+                    return {
+                        type: 'container',
+                        raw: open[0] + raw,
+                        alertType: type,
+                        title: open[3].trim(),
+                        tokens: this.lexer.blockTokens(body, [])
+                    };
+                },
+                renderer(token) {
+                    return alerts.renderAlert(token.alertType, token.title, this.parser.parse(token.tokens));
+                }
+            }
+        ];
+    }
+
+    /**
+     * 读取 ::: 容器内容，支持同级容器嵌套
+     * @param {string} src 源文本
+     * @param {number} offset 内容起始位置
+     * @param {number} fenceLength 冒号数量
+     * @returns {Object} { body, raw }
+     */
+    readContainer(src, offset, fenceLength) {
+        const lines = src.slice(offset).split('\n');
+        const body = [];
+        let depth = 1;
+        let index = 0;
+
+        for (; index < lines.length; index++) {
+            const line = lines[index];
+            const fence = /^ {0,3}(:{3,})[ \t]*(\S*)/.exec(line);
+
+            if (fence && fence[1].length === fenceLength) {
+                if (fence[2]) {
+                    depth++;
+                } else if (--depth === 0) {
+                    break;
+                }
+            }
+            body.push(line);
+        }
+
+        // 未闭合的容器延续到文档末尾
+        const consumed = index < lines.length ? index + 1 : lines.length;
+        const raw = lines.slice(0, consumed).join('\n') + (consumed < lines.length ? '\n' : '');
+
+        return { body: body.join('\n'), raw };
+    }
+
+    /**
+     * 渲染提示块
+     * @param {string} type 提示块类型
+     * @param {string} title 自定义标题
+     * @param {string} content 已渲染的内容
+     * @returns {string} 提示块 HTML
+     */
+    renderAlert(type, title, content) {
+        const config = ALERT_TYPES[type];
+        this.used = true;
+
+        return `<div class="alert alert-${type}" role="note">\n`
+            + `<p class="alert-title">${this.renderIcon(config.icon)}${this.escape(title || config.title)}</p>\n`
+            + `${content}</div>\n`;
+    }
+
+    /**
+     * 渲染图标
+     * @param {string} path SVG 路径
+     * @returns {string} SVG 图标
+     */
+    renderIcon(path) {
+        return `<svg class="alert-icon" viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">`
+            + `<path d="${path}" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></path></svg>`;
+    }
+
+    /**
+     * 转义 HTML 字符
+     * @param {string} text 文本
+     * @returns {string} 转义后的文本
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 获取导出文档中提示块的样式
+     * @returns {string} CSS 样式
+     */
+    getStyles() {
+        const colorRules = (theme, selector = '') => Object.entries(ALERT_COLORS[theme])
+            .map(([type, color]) => `${selector}.alert-${type} { border-left-color: ${color}; }\n${selector}.alert-${type} .alert-title { color: ${color}; }`)
+            .join('\n');
+
+        return `
+.alert {
+    margin: 1rem 0;
+    padding: 0.5rem 1rem;
+    border-left: 4px solid;
+    border-radius: 0 6px 6px 0;
+    background-color: rgba(127, 127, 127, 0.06);
+}
+
+.alert > :last-child {
+    margin-bottom: 0.5rem;
+}
+
+.alert-title {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    margin: 0.5rem 0;
+    font-weight: 600;
+}
+
+.alert-icon {
+    flex-shrink: 0;
+}
+
+${colorRules('light')}
+${colorRules('dark', '.theme-dark ')}`;
+    }
+
+    /**
+     * 获取提示块在清理器中需要允许的标签和属性
+     * strict 策略默认不包含 div，需要显式允许
+     * @returns {Object} 允许列表
+     */
+    getSanitizerAllowList() {
+        return {
+            tags: ['div', 'svg', 'path'],
+            attributes: {
+                svg: ['viewBox', 'width', 'height'],
+                path: ['d', 'fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin']
+            }
+        };
+    }
+}
@@ -0,0 +1,331 @@
+/**
+ * 图片资源库
+ * 粘贴或拖入编辑器的图片保存在 IndexedDB 中，Markdown 中以 asset://id 引用，
+ * 刷新页面后仍然可用。IndexedDB 不可用时只保存在本次会话中
+ */
+
+import { ImageStore } from './ImageStore.js';
+
+const DATABASE_NAME = 'md2page-assets';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'assets';
+
+const REFERENCE_PATTERN = /^asset:\/\/([a-z0-9-]+)/i;
+
+export class AssetStore {
+    /**
+     * @param {Object} options 选项
+     * @param {IDBFactory|null} options.indexedDB IndexedDB 工厂，默认使用全局的 indexedDB，为 null 时不持久保存
+     * @param {string} options.databaseName 数据库名称
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB !== undefined
+            ? options.indexedDB
+            : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.databaseName = options.databaseName || DATABASE_NAME;
+        this.database = null;
+        this.ready = null;
+        this.assets = new Map();
+        this.dataURIs = new Map();
+        this.objectURLs = new Map();
+    }
+
+    /**
+     * 打开数据库并载入已保存的资源，多次调用时返回同一个 Promise
+     * @returns {Promise<AssetStore>} 资源库本身
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = this.openDatabase();
+        }
+        return this.ready;
+    }
+
+    /**
+     * 打开数据库并载入已保存的资源，由 open() 调用
+     * @returns {Promise<AssetStore>} 资源库本身
+     */
+    async openDatabase() {
+        if (!this.indexedDB) return this;
+
+        try {
+            this.database = await new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.databaseName, DATABASE_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            const records = await this.request('readonly', store => store.getAll());
+            records.forEach(record => this.assets.set(record.id, record));
+        } catch (error) {
+            console.warn('无法打开图片资源库，资源只保存在本次会话中:', error);
+            this.database = null;
+        }
+
+        return this;
+    }
+
+    /**
+     * 在事务中执行数据库操作
+     * @param {string} mode 事务模式 'readonly' 或 'readwrite'
+     * @param {Function} operation 操作，参数为对象仓库，返回 IDBRequest
+     * @returns {Promise<*>} 请求结果，没有数据库时为 null
+     */
+    request(mode, operation) {
+        if (!this.database) return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.database.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * 保存修改，失败时资源仍保留在内存中
+     * 数据库正在打开时先等待打开完成，避免修改在打开前丢失
+     * @param {Function} operation 操作，参数为对象仓库
+     * @returns {Promise<void>}
+     */
+    async persist(operation) {
+        try {
+            await this.ready;
+            await this.request('readwrite', operation);
+        } catch (error) {
+            console.warn('无法保存图片资源:', error);
+        }
+    }
+
+    /**
+     * 添加图片
+     * @param {Uint8Array|ArrayBuffer} data 图片数据
+     * @param {Object} options 选项
+     * @param {string} options.name 显示名称，缺省时自动生成
+     * @param {string} options.mimeType MIME 类型，缺省时根据名称的扩展名判断
+     * @returns {Promise<Object>} 资源信息 { id, name, mimeType, size, createdAt, reference }
+     */
+    async add(data, options = {}) {
+        const mimeType = options.mimeType || ImageStore.getMimeType(options.name || '');
+        if (!ImageStore.isImageType(mimeType)) {
+            throw new Error(`不支持的图片格式: ${options.name || mimeType}`);
+        }
+
+        const asset = {
+            id: this.createId(),
+            name: options.name || this.createName(mimeType),
+            mimeType,
+            data: data instanceof Uint8Array ? data : new Uint8Array(data),
+            createdAt: Date.now()
+        };
+
+        this.assets.set(asset.id, asset);
+        await this.persist(store => store.put(asset));
+        return AssetStore.describe(asset);
+    }
+
+    /**
+     * 生成资源 ID
+     * @returns {string} 不与已有资源重复的 ID
+     */
+    createId() {
+        let id;
+        do {
+            id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        } while (this.assets.has(id));
+        return id;
+    }
+
+    /**
+     * 为没有名称的图片（如粘贴的截图）生成显示名称
+     * @param {string} mimeType MIME 类型
+     * @returns {string} 名称
+     */
+    createName(mimeType) {
+        const extension = mimeType.split('/')[1].replace('jpeg', 'jpg').replace('svg+xml', 'svg');
+        const names = new Set([...this.assets.values()].map(asset => asset.name));
+        let index = this.assets.size + 1;
+        while (names.has(`image-${index}.${extension}`)) {
+            index++;
+        }
+        return `image-${index}.${extension}`;
+    }
+
+    /**
+     * 按 asset://id 引用查找资源
+     * @param {string} src 图片地址
+     * @returns {Object|null} 资源 { id, name, mimeType, data, createdAt }
+     */
+    get(src) {
+        const id = AssetStore.parseReference(src);
+        return id ? this.assets.get(id) || null : null;
+    }
+
+    /**
+     * 判断是否有对应的资源
+     * @param {string} src 图片地址
+     * @returns {boolean} 是否存在
+     */
+    has(src) {
+        return this.get(src) !== null;
+    }
+
+    /**
+     * 获取资源的 data URI，导出时嵌入使用
+     * @param {string} src 图片地址
+     * @returns {string|null} data URI，不是资源引用时返回 null
+     * @throws {Error} 引用的资源已被删除
+     */
+    resolve(src) {
+        const id = AssetStore.parseReference(src);
+        if (!id) return null;
+
+        const asset = this.assets.get(id);
+        if (!asset) {
+            throw new Error('图片资源不存在');
+        }
+
+        if (!this.dataURIs.has(id)) {
+            this.dataURIs.set(id, `data:${asset.mimeType};base64,${ImageStore.toBase64(asset.data)}`);
+        }
+        return this.dataURIs.get(id);
+    }
+
+    /**
+     * 获取资源的对象 URL，预览时使用
+     * @param {string} src 图片地址
+     * @returns {string|null} 对象 URL，找不到资源时返回 null
+     */
+    getObjectURL(src) {
+        const asset = this.get(src);
+        if (!asset) return null;
+
+        if (!this.objectURLs.has(asset.id)) {
+            const blob = new Blob([asset.data], { type: asset.mimeType });
+            this.objectURLs.set(asset.id, URL.createObjectURL(blob));
+        }
+        return this.objectURLs.get(asset.id);
+    }
+
+    /**
+     * 重命名资源，引用使用 ID，不受名称影响
+     * @param {string} id 资源 ID
+     * @param {string} name 新名称
+     * @returns {Promise<Object>} 资源信息
+     */
+    async rename(id, name) {
+        const asset = this.assets.get(id);
+        if (!asset) {
+            throw new Error('图片资源不存在');
+        }
+
+        const value = String(name || '').trim();
+        if (!value) {
+            throw new Error('资源名称不能为空');
+        }
+
+        asset.name = value;
+        await this.persist(store => store.put(asset));
+        return AssetStore.describe(asset);
+    }
+
+    /**
+     * 删除资源
+     * @param {string} id 资源 ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        if (this.objectURLs.has(id)) {
+            URL.revokeObjectURL(this.objectURLs.get(id));
+            this.objectURLs.delete(id);
+        }
+        this.dataURIs.delete(id);
+        this.assets.delete(id);
+        await this.persist(store => store.delete(id));
+    }
+
+    /**
+     * 列出全部资源，按添加时间排序
+     * @returns {Array<Object>} [{ id, name, mimeType, size, createdAt, reference }]
+     */
+    list() {
+        return [...this.assets.values()]
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(asset => AssetStore.describe(asset));
+    }
+
+    /**
+     * 查找 Markdown 中没有引用的资源
+     * @param {string} markdown Markdown 内容
+     * @returns {Array<Object>} 资源信息列表
+     */
+    findUnused(markdown) {
+        const references = AssetStore.findReferences(markdown);
+        return this.list().filter(asset => !references.has(asset.id));
+    }
+
+    /**
+     * 删除 Markdown 中没有引用的资源
+     * @param {string} markdown Markdown 内容
+     * @returns {Promise<number>} 删除的数量
+     */
+    async removeUnused(markdown) {
+        const unused = this.findUnused(markdown);
+        for (const asset of unused) {
+            await this.remove(asset.id);
+        }
+        return unused.length;
+    }
+
+    /**
+     * 生成资源的摘要信息，不包含图片数据
+     * @param {Object} asset 资源
+     * @returns {Object} { id, name, mimeType, size, createdAt, reference }
+     */
+    static describe(asset) {
+        return {
+            id: asset.id,
+            name: asset.name,
+            mimeType: asset.mimeType,
+            size: asset.data.length,
+            createdAt: asset.createdAt,
+            reference: AssetStore.createReference(asset.id)
+        };
+    }
+
+    /**
+     * 生成资源引用地址
+     * @param {string} id 资源 ID
+     * @returns {string} asset://id
+     */
+    static createReference(id) {
+        return `asset://${id}`;
+    }
+
+    /**
+     * 解析资源引用地址
+     * @param {string} src 图片地址
+     * @returns {string|null} 资源 ID，不是资源引用时返回 null
+     */
+    static parseReference(src) {
+        const match = REFERENCE_PATTERN.exec(String(src || ''));
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    /**
+     * 找出 Markdown 中引用的全部资源
+     * @param {string} markdown Markdown 内容
+     * @returns {Set<string>} 资源 ID
+     */
+    static findReferences(markdown) {
+        const references = new Set();
+        for (const match of String(markdown || '').matchAll(/asset:\/\/([a-z0-9-]+)/gi)) {
+            references.add(match[1].toLowerCase());
+        }
+        return references;
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * 块级扩展起始位置查找
+ * marked 在解析每个段落前都会调用块级扩展的 start 判断段落是否被打断，
+ * 只需要在当前段落（第一个空行之前）内查找，避免大文档中每个段落都扫描剩余的全文
+ */
+
+/**
+ * 在当前段落内查找匹配行的起始位置
+ * @param {string} src 源文本
+ * @param {RegExp} pattern 带 m 标志的行首模式
+ * @returns {number|undefined} 位置
+ */
+export function findBlockStart(src, pattern) {
+    const end = src.search(/\n[ \t]*\n/);
+    const match = pattern.exec(end >= 0 ? src.slice(0, end) : src);
+    return match ? match.index : undefined;
+}
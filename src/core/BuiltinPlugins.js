@@ -0,0 +1,341 @@
+/**
+ * 内置插件
+ * 目录、代码高亮、本地图片、数学公式、图表、提示块和扩展语法都通过 MarkdownConverter.use() 注册，
+ * 与第三方插件使用相同的钩子
+ */
+
+import { findBlockStart } from './BlockStart.js';
+import { Slugger } from './Slugger.js';
+
+// 标题 HTML 中可能出现的字符实体
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * 获取标题渲染后的纯文本，与浏览器中的 textContent 一致：
+ * 去掉行内 HTML 标签和图片（GitHub 生成锚点时不包含图片的替代文字），解码字符实体
+ * @param {string} html 标题内容的 HTML
+ * @returns {string} 纯文本
+ */
+function headingText(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+        });
+}
+
+/**
+ * 目录插件：为标题生成锚点 ID，并记录标题列表
+ * 锚点与 GitHub 一致，由标题渲染后的纯文本生成（不含行内 HTML 标签和图片的替代文字），重复的标题依次追加 -1、-2
+ * @param {MarkdownConverter} converter 转换器
+ * @returns {Object} 插件
+ */
+export function createTOCPlugin(converter) {
+    const slugger = new Slugger();
+    const plugin = {
+        name: 'toc',
+        headings: [],
+        reset() {
+            plugin.headings = [];
+            slugger.reset();
+        },
+        renderer: {
+            heading(text, level, raw) {
+                const id = slugger.slug(headingText(text));
+                plugin.headings.push({ level, text: raw, id });
+                return `<h${level} id="${id}">${text}</h${level}>`;
+            }
+        }
+    };
+
+    return plugin;
+}
+
+/**
+ * 源码行号插件：为顶层块元素添加 data-source-line，用于编辑器与预览的滚动同步
+ * 解析前在每个顶层 token 前插入行号标记，解析后把标记转换为紧随其后的元素的属性
+ * @param {boolean} enabled 是否默认启用
+ * @returns {Object} 插件
+ */
+export function createSourceLinePlugin(enabled = false) {
+    return {
+        name: 'source-line',
+        enabled,
+        processTokens(tokens, context) {
+            // 与 marked 分词前的处理保持一致，便于在源码中定位 token
+            const source = context.markdown
+                .replace(/\r\n|\r/g, '\n')
+                .replace(/^( *)(\t+)/gm, (_, leading, tabs) => leading + '    '.repeat(tabs.length));
+            const countLines = (text) => (text.match(/\n/g) || []).length;
+            const annotated = [];
+            let line = context.lineOffset + 1;
+            let offset = 0;
+
+            tokens.forEach(token => {
+                // 链接定义等不生成 token 的内容会被跳过，需要按位置补上行数
+                const index = source.indexOf(token.raw, offset);
+                if (index >= 0) {
+                    line += countLines(source.slice(offset, index));
+                    offset = index + token.raw.length;
+                }
+
+                if (token.type !== 'space') {
+                    annotated.push({ type: 'html', block: true, raw: '', pre: false, text: `<!--source-line:${line}-->` });
+                }
+                annotated.push(token);
+                line += countLines(token.raw);
+            });
+
+            // 链接引用定义保存在列表对象上
+            annotated.links = tokens.links;
+            return annotated;
+        },
+        postprocess(html) {
+            // 没有生成元素的 token（如脚注定义）只移除标记
+            return html
+                .replace(/<!--source-line:(\d+)-->\s*<([a-zA-Z][\w-]*)/g, '<$2 data-source-line="$1"')
+                .replace(/<!--source-line:\d+-->/g, '');
+        }
+    };
+}
+
+/**
+ * 代码高亮插件
+ * 高亮器提供 highlight(code, language) 时在生成 HTML 时直接高亮（不依赖 DOM，可以在 Worker 中运行），
+ * 高亮结果和高亮器 getStyles() 提供的配色一起进入导出文档；
+ * 提供 highlightCodeBlocks(container) 时在预览渲染完成后处理 DOM，缺省时使用全局 Prism
+ * @param {Object|null} highlighter 高亮器
+ * @returns {Object} 插件
+ */
+export function createHighlightPlugin(highlighter = null) {
+    const plugin = {
+        name: 'highlight',
+        afterRender(container) {
+            if (highlighter && highlighter.highlightCodeBlocks) {
+                highlighter.highlightCodeBlocks(container);
+            } else if (!highlighter && typeof Prism !== 'undefined') {
+                Prism.highlightAllUnder(container);
+            }
+        }
+    };
+
+    if (highlighter && typeof highlighter.highlight === 'function') {
+        plugin.renderer = {
+            code(code, infostring) {
+                const language = (infostring || '').match(/^\S*/)[0];
+                const html = highlighter.highlight(code.replace(/\n$/, ''), language);
+                if (html === null) {
+                    return false;
+                }
+                // pre 上同样带有语言类名，Prism 主题的代码块背景等样式写在 pre[class*="language-"] 上
+                const className = `language-${escapeAttribute(language)}`;
+                return `<pre class="${className}"><code class="${className}">${html}\n</code></pre>\n`;
+            }
+        };
+        plugin.postprocess = (html, context) => {
+            if (html.includes('<span class="token ')) {
+                context.usedFeatures.add('highlight');
+            }
+            return html;
+        };
+        if (typeof highlighter.getStyles === 'function') {
+            plugin.styles = (context) => context.usedFeatures.has('highlight') ? highlighter.getStyles() : '';
+        }
+        // strict 策略默认不允许 span
+        plugin.sanitize = { tags: ['span'] };
+    }
+
+    return plugin;
+}
+
+/**
+ * 本地图片插件
+ * 预览中用对象 URL 显示本地图片，原地址保存在 data-src 中，图片更新后可以再次处理
+ * @param {Object} store 图片来源，提供 getObjectURL(src)，如 ImageStore 或 ImageStore.combine() 的结果
+ * @returns {Object} 插件
+ */
+export function createImagePlugin(store) {
+    return {
+        name: 'images',
+        afterRender(container) {
+            container.querySelectorAll('img').forEach(image => {
+                const src = image.getAttribute('data-src') || image.getAttribute('src');
+                const url = store.getObjectURL(src);
+                if (url) {
+                    image.setAttribute('data-src', src);
+                    image.setAttribute('src', url);
+                }
+            });
+        }
+    };
+}
+
+/**
+ * 数学公式插件
+ * 在 marked 解析之前识别 $...$ 和 $$...$$，避免公式中的 _ 和 * 被当作强调语法
+ * @param {MarkdownConverter} converter 转换器
+ * @returns {Object} 插件
+ */
+export function createMathPlugin(converter) {
+    const renderer = converter.mathRenderer;
+    const renderMath = (token) => {
+        converter.usedFeatures.add('math');
+        return renderer.render(token.text, { displayMode: token.displayMode })
+            + (token.type === 'mathBlock' ? '\n' : '');
+    };
+
+    return {
+        name: 'math',
+        extensions: [
+            {
+                name: 'mathBlock',
+                level: 'block',
+                start: (src) => findBlockStart(src, /^ {0,3}\$\$/m),
+                tokenizer(src) {
+                    // 公式中不能有空行（TeX 中空行表示分段），也避免未闭合的 $$ 吞掉后面的段落
+                    const match = /^ {0,3}\$\$((?:(?!\n[ \t]*\n)[\s\S])+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+                    if (match) {
+                        return { type: 'mathBlock', raw: match[0], text: match[1].trim(), displayMode: true };
+                    }
+                },
+                renderer: renderMath
+            },
+            {
+                name: 'mathInline',
+                level: 'inline',
+                start: (src) => {
+                    const index = src.indexOf('$');
+                    return index >= 0 ? index : undefined;
+                },
+                tokenizer(src) {
+                    // 行内的 $$...$$ 按块级公式显示
+                    const display = /^\$\$((?:\\.|[^\\$])+?)\$\$/.exec(src);
+                    if (display) {
+                        return { type: 'mathInline', raw: display[0], text: display[1].trim(), displayMode: true };
+                    }
+
+                    // $ 后不能紧跟空白，结束的 $ 前不能是空白且后面不能是数字（避免误识别金额）
+                    const inline = /^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+                    if (inline) {
+                        return { type: 'mathInline', raw: inline[0], text: inline[1], displayMode: false };
+                    }
+                },
+                renderer: renderMath
+            }
+        ],
+        styles: (context) => context.usedFeatures.has('math') ? renderer.getStyles() : '',
+        sanitize: renderer.getSanitizerAllowList()
+    };
+}
+
+/**
+ * 图表插件：mermaid、flowchart、sequence 代码块渲染为 SVG 图表，其余交给默认渲染器
+ * @param {MarkdownConverter} converter 转换器
+ * @returns {Object} 插件
+ */
+export function createDiagramPlugin(converter) {
+    const renderer = converter.diagramRenderer;
+
+    return {
+        name: 'diagram',
+        renderer: {
+            code(code, infostring) {
+                const language = (infostring || '').match(/^\S*/)[0];
+                if (!renderer.isDiagramLanguage(language)) {
+                    return false;
+                }
+                converter.usedFeatures.add('diagram');
+                return renderer.render(code, language) + '\n';
+            }
+        },
+        styles: (context) => context.usedFeatures.has('diagram') ? renderer.getStyles() : '',
+        sanitize: renderer.getSanitizerAllowList()
+    };
+}
+
+/**
+ * 提示块插件
+ * @param {MarkdownConverter} converter 转换器
+ * @returns {Object} 插件
+ */
+export function createAlertPlugin(converter) {
+    const alerts = converter.alertBlocks;
+
+    return {
+        name: 'alert',
+        reset: () => alerts.reset(),
+        extensions: alerts.getExtensions(),
+        postprocess(html, context) {
+            if (alerts.used) {
+                context.usedFeatures.add('alert');
+            }
+            return html;
+        },
+        styles: (context) => context.usedFeatures.has('alert') ? alerts.getStyles() : '',
+        sanitize: alerts.getSanitizerAllowList()
+    };
+}
+
+/**
+ * 扩展语法插件：脚注、定义列表、缩写、上下标和高亮
+ * @param {MarkdownConverter} converter 转换器
+ * @returns {Object} 插件
+ */
+export function createExtendedSyntaxPlugin(converter) {
+    const syntax = converter.extendedSyntax;
+
+    return {
+        name: 'extended-syntax',
+        reset: () => syntax.reset(),
+        extensions: syntax.getExtensions(),
+        processTokens(tokens) {
+            syntax.collectFootnoteDefinitions(tokens);
+        },
+        // 脚注列表和缩写需要在整篇文档解析完成后处理
+        postprocess(html, context) {
+            const result = syntax.postprocess(html);
+            if (syntax.used) {
+                context.usedFeatures.add('extended-syntax');
+            }
+            return result;
+        },
+        styles: (context) => context.usedFeatures.has('extended-syntax') ? syntax.getStyles() : '',
+        sanitize: syntax.getSanitizerAllowList()
+    };
+}
+
+/**
+ * 创建全部内置插件，注册顺序即扩展的匹配顺序和后处理顺序
+ * @param {MarkdownConverter} converter 转换器
+ * @param {Object} options 转换器选项
+ * @returns {Array<Object>} 插件列表
+ */
+export function createBuiltinPlugins(converter, options = {}) {
+    return [
+        // 行号标记需要在其他插件追加内容（如脚注列表）之前转换
+        createSourceLinePlugin(Boolean(options.sourceLines)),
+        createTOCPlugin(converter),
+        createHighlightPlugin(options.highlighter || null),
+        createMathPlugin(converter),
+        createDiagramPlugin(converter),
+        createAlertPlugin(converter),
+        createExtendedSyntaxPlugin(converter)
+    ];
+}
+
+/**
+ * 转义属性值
+ * @param {string} value 属性值
+ * @returns {string} 转义后的值
+ */
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,1127 @@
+/**
+ * 图表渲染器
+ * 将 mermaid、flowchart、sequence 代码块渲染为内联 SVG，不依赖外部脚本
+ *
+ * 支持的语法：
+ * - mermaid: graph / flowchart 流程图和 sequenceDiagram 时序图
+ * - flowchart: flowchart.js 语法 (st=>start: 开始 / st->op->e)
+ * - sequence: js-sequence-diagrams 语法 (A->B: 消息)
+ */
+
+// 支持的代码块语言
+const DIAGRAM_LANGUAGES = ['mermaid', 'flowchart', 'sequence'];
+
+// 字体与排版参数
+const FONT_SIZE = 14;
+const LINE_HEIGHT = 18;
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', 'PingFang SC', 'Microsoft YaHei', sans-serif";
+
+// 流程图布局参数
+const NODE_PADDING_X = 16;
+const NODE_PADDING_Y = 10;
+const NODE_GAP = 40;
+const RANK_GAP = 56;
+const DIAGRAM_MARGIN = 16;
+
+// 时序图布局参数
+const ACTOR_HEIGHT = 36;
+const ACTOR_MIN_WIDTH = 80;
+const ACTOR_GAP = 40;
+const MESSAGE_GAP = 40;
+
+// mermaid 节点形状定界符，按匹配优先级排列
+const MERMAID_SHAPES = [
+    { open: '(((', close: ')))', shape: 'circle' },
+    { open: '((', close: '))', shape: 'circle' },
+    { open: '([', close: '])', shape: 'stadium' },
+    { open: '[[', close: ']]', shape: 'subroutine' },
+    { open: '[(', close: ')]', shape: 'round' },
+    { open: '[/', close: '/]', shape: 'parallelogram' },
+    { open: '[\\', close: '\\]', shape: 'parallelogram' },
+    { open: '[/', close: '\\]', shape: 'parallelogram' },
+    { open: '{{', close: '}}', shape: 'hexagon' },
+    { open: '{', close: '}', shape: 'diamond' },
+    { open: '(', close: ')', shape: 'round' },
+    { open: '[', close: ']', shape: 'rect' },
+    { open: '>', close: ']', shape: 'rect' }
+];
+
+// flowchart.js 节点类型对应的形状
+const FLOWCHART_JS_SHAPES = {
+    start: 'stadium',
+    end: 'stadium',
+    operation: 'rect',
+    subroutine: 'subroutine',
+    condition: 'diamond',
+    inputoutput: 'parallelogram',
+    parallel: 'rect'
+};
+
+// mermaid 时序图中不影响消息布局的语句
+const SEQUENCE_IGNORED = /^(autonumber|activate|deactivate|create|destroy|box|links?|properties|details)\b/i;
+
+// 时序图分组块
+const SEQUENCE_FRAMES = /^(loop|alt|opt|par|critical|break|rect)\b\s*(.*)$/i;
+
+/**
+ * 图表解析错误
+ */
+export class DiagramParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiagramParseError';
+    }
+}
+
+export class DiagramRenderer {
+    /**
+     * 判断代码块语言是否为图表
+     * @param {string} language 代码块语言
+     * @returns {boolean} 是否为图表
+     */
+    isDiagramLanguage(language) {
+        return DIAGRAM_LANGUAGES.includes(String(language || '').toLowerCase());
+    }
+
+    /**
+     * 渲染图表
+     * @param {string} source 图表源码
+     * @param {string} language 代码块语言
+     * @returns {string} 包含 SVG 的 HTML
+     */
+    render(source, language) {
+        try {
+            const diagram = this.parse(source, language);
+            const svg = diagram.type === 'sequence'
+                ? this.renderSequence(diagram, source)
+                : this.renderFlowchart(diagram, source);
+            return `<div class="diagram diagram-${diagram.type}">${svg}</div>`;
+        } catch (error) {
+            if (!(error instanceof DiagramParseError)) {
+                console.warn('图表渲染失败:', error);
+            }
+            const message = error instanceof DiagramParseError ? error.message : '未知错误';
+            return `<div class="diagram diagram-error"><p class="diagram-error-message">图表渲染失败: ${this.escape(message)}</p>`
+                + `<pre><code>${this.escape(source)}</code></pre></div>`;
+        }
+    }
+
+    /**
+     * 解析图表源码
+     * @param {string} source 图表源码
+     * @param {string} language 代码块语言
+     * @returns {Object} 图表模型 { type: 'flowchart' | 'sequence', ... }
+     */
+    parse(source, language) {
+        const lang = String(language || '').toLowerCase();
+        const lines = String(source || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('%%'));
+
+        if (lines.length === 0) {
+            throw new DiagramParseError('图表内容为空');
+        }
+
+        if (lang === 'sequence') {
+            return this.parseSequence(lines, 'js-sequence');
+        }
+
+        if (lang === 'flowchart' && !/^(graph|flowchart)\b/i.test(lines[0])) {
+            return this.parseFlowchartJS(lines);
+        }
+
+        if (/^sequenceDiagram\b/.test(lines[0])) {
+            return this.parseSequence(lines.slice(1), 'mermaid');
+        }
+
+        const header = /^(graph|flowchart)(?:\s+(TB|TD|BT|LR|RL))?\s*;?$/i.exec(lines[0]);
+        if (!header) {
+            throw new DiagramParseError(`不支持的图表类型: ${lines[0].split(/\s+/)[0]}`);
+        }
+
+        return this.parseMermaidFlowchart(lines.slice(1), (header[2] || 'TB').toUpperCase());
+    }
+
+    /**
+     * 创建空的流程图模型
+     * @param {string} direction 方向
+     * @returns {Object} 流程图模型
+     */
+    createGraph(direction) {
+        return {
+            type: 'flowchart',
+            direction: direction === 'TD' ? 'TB' : direction,
+            nodes: new Map(),
+            edges: []
+        };
+    }
+
+    /**
+     * 添加或更新节点
+     * @param {Object} graph 流程图模型
+     * @param {string} id 节点 ID
+     * @param {string|null} label 节点文本
+     * @param {string|null} shape 节点形状
+     */
+    addNode(graph, id, label = null, shape = null) {
+        const node = graph.nodes.get(id) || { id, label: id, shape: 'rect' };
+        if (label !== null) node.label = label;
+        if (shape !== null) node.shape = shape;
+        graph.nodes.set(id, node);
+    }
+
+    /**
+     * 解析 mermaid 流程图
+     * @param {Array<string>} lines 源码行（不含头部）
+     * @param {string} direction 方向
+     * @returns {Object} 流程图模型
+     */
+    parseMermaidFlowchart(lines, direction) {
+        const graph = this.createGraph(direction);
+
+        lines
+            .flatMap(line => line.split(';'))
+            .map(statement => statement.trim())
+            .filter(Boolean)
+            .forEach(statement => {
+                // 样式、交互和子图分组不影响布局
+                if (/^(classDef|class|style|linkStyle|click|subgraph|end|direction)\b/.test(statement)) {
+                    return;
+                }
+                this.parseMermaidStatement(graph, statement);
+            });
+
+        if (graph.nodes.size === 0) {
+            throw new DiagramParseError('流程图中没有节点');
+        }
+
+        return graph;
+    }
+
+    /**
+     * 解析一条 mermaid 流程图语句，例如 A[开始] -->|是| B{判断} --> C
+     * @param {Object} graph 流程图模型
+     * @param {string} statement 语句
+     */
+    parseMermaidStatement(graph, statement) {
+        let rest = statement;
+        let previous = null;
+
+        while (rest) {
+            const group = [];
+            do {
+                rest = rest.replace(/^\s*&?\s*/, '');
+                const node = this.readMermaidNode(rest);
+                if (!node) {
+                    throw new DiagramParseError(`无法解析的语句: ${statement}`);
+                }
+                this.addNode(graph, node.id, node.label, node.shape);
+                group.push(node.id);
+                rest = node.rest;
+            } while (/^\s*&/.test(rest));
+
+            if (previous) {
+                previous.from.forEach(from => group.forEach(to => {
+                    graph.edges.push({ from, to, ...previous.link });
+                }));
+            }
+
+            if (!rest.trim()) break;
+
+            const link = this.readMermaidLink(rest);
+            if (!link) {
+                throw new DiagramParseError(`无法解析的连线: ${statement}`);
+            }
+            previous = { from: group, link: link.link };
+            rest = link.rest;
+
+            if (!rest.trim()) {
+                throw new DiagramParseError(`连线缺少目标节点: ${statement}`);
+            }
+        }
+    }
+
+    /**
+     * 读取 mermaid 节点
+     * @param {string} text 剩余文本
+     * @returns {Object|null} { id, label, shape, rest }
+     */
+    readMermaidNode(text) {
+        const idMatch = /^[^\s[\](){}<>|&;"'=.-]+/.exec(text);
+        if (!idMatch) return null;
+
+        const id = idMatch[0];
+        const after = text.slice(id.length);
+
+        for (const { open, close, shape } of MERMAID_SHAPES) {
+            if (!after.startsWith(open)) continue;
+            const end = after.indexOf(close, open.length);
+            if (end === -1) continue;
+
+            return {
+                id,
+                label: this.cleanLabel(after.slice(open.length, end)),
+                shape,
+                rest: after.slice(end + close.length)
+            };
+        }
+
+        return { id, label: null, shape: null, rest: after };
+    }
+
+    /**
+     * 读取 mermaid 连线
+     * @param {string} text 剩余文本
+     * @returns {Object|null} { link: { label, style, arrow }, rest }
+     */
+    readMermaidLink(text) {
+        // 带文字的连线: A -- 文字 --> B
+        const textual = /^\s*(--|==|-\.)\s*([^>|-][^>]*?)\s*(-{2,}>|={2,}>|\.-+>|-{3,}|={3,}|\.-+)\s*/.exec(text);
+        if (textual) {
+            return {
+                link: this.describeLink(textual[3], this.cleanLabel(textual[2])),
+                rest: text.slice(textual[0].length)
+            };
+        }
+
+        const plain = /^\s*<?(-{2,}>|={2,}>|-\.+->|-{3,}|={3,}|-\.+-|~{3,}|--[xo]|==[xo])\s*(?:\|([^|]*)\|)?\s*/.exec(text);
+        if (plain) {
+            return {
+                link: this.describeLink(plain[1], plain[2] ? this.cleanLabel(plain[2]) : ''),
+                rest: text.slice(plain[0].length)
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * 根据连线符号确定连线样式
+     * @param {string} symbol 连线符号
+     * @param {string} label 连线文字
+     * @returns {Object} { label, style, arrow }
+     */
+    describeLink(symbol, label) {
+        let style = 'solid';
+        if (symbol.includes('.')) style = 'dotted';
+        else if (symbol.includes('=')) style = 'thick';
+        else if (symbol.includes('~')) style = 'invisible';
+
+        return { label, style, arrow: /[>xo]$/.test(symbol) };
+    }
+
+    /**
+     * 解析 flowchart.js 语法
+     * @param {Array<string>} lines 源码行
+     * @returns {Object} 流程图模型
+     */
+    parseFlowchartJS(lines) {
+        const graph = this.createGraph('TB');
+
+        lines.forEach(line => {
+            const definition = /^([^=\s]+)\s*=>\s*(\w+)\s*(?:\(.*?\))?\s*(?::\s*(.*))?$/.exec(line);
+            if (definition) {
+                const [, id, type, text = ''] = definition;
+                if (!FLOWCHART_JS_SHAPES[type]) {
+                    throw new DiagramParseError(`不支持的节点类型: ${type}`);
+                }
+                // 去掉 |past 等状态和 :>url 链接
+                const label = text.replace(/\|\w+$/, '').replace(/:>.*$/, '').trim();
+                this.addNode(graph, id, label || id, FLOWCHART_JS_SHAPES[type]);
+                return;
+            }
+
+            if (line.includes('->')) {
+                const steps = line.split('->').map(step => step.trim());
+                for (let i = 0; i < steps.length - 1; i++) {
+                    const from = this.readFlowchartJSStep(steps[i]);
+                    const to = this.readFlowchartJSStep(steps[i + 1]);
+                    [from, to].forEach(step => {
+                        if (!graph.nodes.has(step.id)) {
+                            throw new DiagramParseError(`未定义的节点: ${step.id}`);
+                        }
+                    });
+                    graph.edges.push({ from: from.id, to: to.id, label: from.label, style: 'solid', arrow: true });
+                }
+                return;
+            }
+
+            throw new DiagramParseError(`无法解析的行: ${line}`);
+        });
+
+        if (graph.nodes.size === 0) {
+            throw new DiagramParseError('流程图中没有节点');
+        }
+
+        return graph;
+    }
+
+    /**
+     * 读取 flowchart.js 连线中的一步，例如 cond(yes, right)
+     * @param {string} step 步骤文本
+     * @returns {Object} { id, label }
+     */
+    readFlowchartJSStep(step) {
+        const match = /^([^(\s]+)\s*(?:\(([^)]*)\))?$/.exec(step);
+        if (!match) {
+            throw new DiagramParseError(`无法解析的连线: ${step}`);
+        }
+
+        const options = (match[2] || '').split(',').map(option => option.trim());
+        const label = options.find(option => /^(yes|no|true|false)$/i.test(option)) || '';
+        return { id: match[1], label };
+    }
+
+    /**
+     * 解析时序图
+     * @param {Array<string>} lines 源码行（不含头部）
+     * @param {string} syntax 语法 ('mermaid' 或 'js-sequence')
+     * @returns {Object} 时序图模型
+     */
+    parseSequence(lines, syntax) {
+        const diagram = { type: 'sequence', title: '', participants: [], items: [], frames: [] };
+        const participantIds = new Map();
+        const openFrames = [];
+
+        const participant = (name, label = null) => {
+            const id = name.trim().replace(/^"(.*)"$/, '$1');
+            if (!participantIds.has(id)) {
+                participantIds.set(id, diagram.participants.length);
+                diagram.participants.push({ id, label: id });
+            }
+            const index = participantIds.get(id);
+            if (label !== null) {
+                diagram.participants[index].label = this.cleanLabel(label);
+            }
+            return index;
+        };
+
+        lines.forEach(line => {
+            const title = /^title\s*:?\s*(.+)$/i.exec(line);
+            if (title) {
+                diagram.title = this.cleanLabel(title[1]);
+                return;
+            }
+
+            const declaration = /^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i.exec(line);
+            if (declaration) {
+                participant(declaration[2], declaration[3] || null);
+                return;
+            }
+
+            const note = /^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i.exec(line);
+            if (note) {
+                const targets = note[2].split(',').map(name => participant(name));
+                diagram.items.push({
+                    type: 'note',
+                    placement: note[1].toLowerCase(),
+                    targets,
+                    text: this.cleanLabel(note[3])
+                });
+                return;
+            }
+
+            const frame = SEQUENCE_FRAMES.exec(line);
+            if (frame && syntax === 'mermaid') {
+                const entry = { kind: frame[1].toLowerCase(), label: this.cleanLabel(frame[2]), start: diagram.items.length, sections: [] };
+                openFrames.push(entry);
+                diagram.items.push({ type: 'frame-start', frame: entry });
+                return;
+            }
+
+            if (/^(else|and|option)\b/i.test(line) && syntax === 'mermaid') {
+                const current = openFrames[openFrames.length - 1];
+                if (current) {
+                    const label = this.cleanLabel(line.replace(/^\w+\s*/, ''));
+                    diagram.items.push({ type: 'frame-section', frame: current, label });
+                }
+                return;
+            }
+
+            if (/^end$/i.test(line) && syntax === 'mermaid') {
+                const current = openFrames.pop();
+                if (!current) {
+                    throw new DiagramParseError('多余的 end');
+                }
+                current.end = diagram.items.length;
+                diagram.frames.push(current);
+                diagram.items.push({ type: 'frame-end', frame: current });
+                return;
+            }
+
+            if (SEQUENCE_IGNORED.test(line)) {
+                return;
+            }
+
+            const message = /^(.+?)\s*(-->>|->>|--x|-x|--\)|-\)|-->|->)\s*[+-]?\s*([^:]+?)\s*(?::\s*(.*))?$/.exec(line);
+            if (message) {
+                const [, from, arrow, to, text = ''] = message;
+                diagram.items.push({
+                    type: 'message',
+                    from: participant(from),
+                    to: participant(to),
+                    text: this.cleanLabel(text),
+                    dashed: arrow.startsWith('--'),
+                    head: this.getSequenceArrowHead(arrow, syntax)
+                });
+                return;
+            }
+
+            throw new DiagramParseError(`无法解析的行: ${line}`);
+        });
+
+        if (openFrames.length > 0) {
+            throw new DiagramParseError(`缺少 end: ${openFrames[openFrames.length - 1].kind}`);
+        }
+        if (diagram.participants.length === 0) {
+            throw new DiagramParseError('时序图中没有参与者');
+        }
+
+        return diagram;
+    }
+
+    /**
+     * 获取时序图箭头类型
+     * @param {string} arrow 箭头符号
+     * @param {string} syntax 语法
+     * @returns {string} 箭头类型 ('filled', 'open', 'cross', 'none')
+     */
+    getSequenceArrowHead(arrow, syntax) {
+        if (arrow.endsWith('x')) return 'cross';
+        if (arrow.endsWith(')')) return 'open';
+        if (arrow.endsWith('>>')) return syntax === 'mermaid' ? 'filled' : 'open';
+        return syntax === 'mermaid' ? 'none' : 'filled';
+    }
+
+    /**
+     * 清理标签文本：去掉引号，将 <br> 转换为换行
+     * @param {string} text 原始文本
+     * @returns {string} 标签文本
+     */
+    cleanLabel(text) {
+        return String(text || '')
+            .trim()
+            .replace(/^"([\s\S]*)"$/, '$1')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/\\n/g, '\n')
+            .trim();
+    }
+
+    /**
+     * 估算文本宽度
+     * @param {string} text 文本
+     * @returns {number} 宽度（像素）
+     */
+    measureText(text) {
+        let width = 0;
+        for (const ch of text) {
+            const code = ch.codePointAt(0);
+            if (code >= 0x2e80) width += FONT_SIZE;
+            else if (/[A-Z@#%&MW]/.test(ch)) width += FONT_SIZE * 0.68;
+            else if (/[ilj.,:;'|!]/.test(ch)) width += FONT_SIZE * 0.3;
+            else width += FONT_SIZE * 0.56;
+        }
+        return Math.ceil(width);
+    }
+
+    /**
+     * 估算多行文本的尺寸
+     * @param {string} text 文本
+     * @returns {Object} { width, height, lines }
+     */
+    measureLabel(text) {
+        const lines = String(text || '').split('\n');
+        return {
+            width: Math.max(0, ...lines.map(line => this.measureText(line))),
+            height: lines.length * LINE_HEIGHT,
+            lines
+        };
+    }
+
+    /**
+     * 计算流程图布局
+     * 采用分层布局：去除回边后按最长路径分层，再用重心法减少交叉
+     * @param {Object} graph 流程图模型
+     * @returns {Object} 布局结果 { nodes, width, height }
+     */
+    layoutFlowchart(graph) {
+        const ids = [...graph.nodes.keys()];
+        const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+
+        // 计算节点尺寸
+        const nodes = new Map();
+        ids.forEach(id => {
+            const node = graph.nodes.get(id);
+            const label = this.measureLabel(node.label);
+            let width = Math.max(label.width + NODE_PADDING_X * 2, 60);
+            let height = label.height + NODE_PADDING_Y * 2;
+
+            if (node.shape === 'diamond') {
+                width = Math.max(label.width * 1.5 + NODE_PADDING_X * 2, 80);
+                height = Math.max(label.height * 1.6 + NODE_PADDING_Y * 2, 56);
+            } else if (node.shape === 'circle') {
+                width = height = Math.max(width, height);
+            } else if (node.shape === 'parallelogram' || node.shape === 'hexagon') {
+                width += 20;
+            }
+
+            nodes.set(id, { ...node, label, width, height, x: 0, y: 0 });
+        });
+
+        // 深度优先搜索找出回边，避免环导致无法分层
+        const visibleEdges = graph.edges.filter(edge => edge.from !== edge.to);
+        const backEdges = new Set();
+        const state = new Map();
+        const visit = (id) => {
+            state.set(id, 'visiting');
+            visibleEdges.forEach((edge, index) => {
+                if (edge.from !== id) return;
+                if (state.get(edge.to) === 'visiting') {
+                    backEdges.add(index);
+                } else if (!state.has(edge.to)) {
+                    visit(edge.to);
+                }
+            });
+            state.set(id, 'done');
+        };
+        ids.forEach(id => {
+            if (!state.has(id)) visit(id);
+        });
+
+        // 最长路径分层
+        const forwardEdges = visibleEdges.filter((edge, index) => !backEdges.has(index));
+        const rank = new Map(ids.map(id => [id, 0]));
+        const indegree = new Map(ids.map(id => [id, 0]));
+        forwardEdges.forEach(edge => indegree.set(edge.to, indegree.get(edge.to) + 1));
+        const queue = ids.filter(id => indegree.get(id) === 0);
+        while (queue.length > 0) {
+            const id = queue.shift();
+            forwardEdges.forEach(edge => {
+                if (edge.from !== id) return;
+                rank.set(edge.to, Math.max(rank.get(edge.to), rank.get(id) + 1));
+                indegree.set(edge.to, indegree.get(edge.to) - 1);
+                if (indegree.get(edge.to) === 0) queue.push(edge.to);
+            });
+        }
+
+        const layers = [];
+        ids.forEach(id => {
+            const layer = rank.get(id);
+            (layers[layer] = layers[layer] || []).push(id);
+        });
+
+        // 重心法排序：先自上而下按前驱位置，再自下而上按后继位置
+        const position = new Map();
+        const updatePositions = () => layers.forEach(layer => layer.forEach((id, index) => position.set(id, index)));
+        const barycenter = (id, neighbours) => {
+            const values = neighbours.map(other => position.get(other));
+            return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : position.get(id);
+        };
+        updatePositions();
+        for (let pass = 0; pass < 2; pass++) {
+            for (let i = 1; i < layers.length; i++) {
+                const predecessors = (id) => forwardEdges.filter(edge => edge.to === id && rank.get(edge.from) < i).map(edge => edge.from);
+                layers[i].sort((a, b) => barycenter(a, predecessors(a)) - barycenter(b, predecessors(b)));
+                updatePositions();
+            }
+            for (let i = layers.length - 2; i >= 0; i--) {
+                const successors = (id) => forwardEdges.filter(edge => edge.from === id && rank.get(edge.to) > i).map(edge => edge.to);
+                layers[i].sort((a, b) => barycenter(a, successors(a)) - barycenter(b, successors(b)));
+                updatePositions();
+            }
+        }
+
+        // 计算坐标：主轴为分层方向，交叉轴为层内顺序
+        const main = (node) => horizontal ? node.width : node.height;
+        const cross = (node) => horizontal ? node.height : node.width;
+        const layerSizes = layers.map(layer => layer.reduce((size, id) => size + cross(nodes.get(id)), 0) + NODE_GAP * (layer.length - 1));
+        const maxCross = Math.max(...layerSizes);
+        let mainOffset = DIAGRAM_MARGIN;
+
+        layers.forEach((layer, index) => {
+            const depth = Math.max(...layer.map(id => main(nodes.get(id))));
+            let crossOffset = DIAGRAM_MARGIN + (maxCross - layerSizes[index]) / 2;
+
+            layer.forEach(id => {
+                const node = nodes.get(id);
+                const mainCenter = mainOffset + depth / 2;
+                const crossCenter = crossOffset + cross(node) / 2;
+                node.x = horizontal ? mainCenter : crossCenter;
+                node.y = horizontal ? crossCenter : mainCenter;
+                crossOffset += cross(node) + NODE_GAP;
+            });
+
+            mainOffset += depth + RANK_GAP;
+        });
+
+        const totalMain = mainOffset - RANK_GAP + DIAGRAM_MARGIN;
+        const totalCross = maxCross + DIAGRAM_MARGIN * 2;
+        const width = horizontal ? totalMain : totalCross;
+        const height = horizontal ? totalCross : totalMain;
+
+        // 反向布局
+        nodes.forEach(node => {
+            if (graph.direction === 'BT') node.y = height - node.y;
+            if (graph.direction === 'RL') node.x = width - node.x;
+        });
+
+        return { nodes, width: Math.ceil(width), height: Math.ceil(height), backEdges, visibleEdges };
+    }
+
+    /**
+     * 渲染流程图
+     * @param {Object} graph 流程图模型
+     * @param {string} source 图表源码（用于生成唯一 ID）
+     * @returns {string} SVG
+     */
+    renderFlowchart(graph, source) {
+        const layout = this.layoutFlowchart(graph);
+        const prefix = this.createIdPrefix(source);
+        const edges = [];
+        const labels = [];
+
+        layout.visibleEdges.forEach((edge, index) => {
+            if (edge.style === 'invisible') return;
+
+            const from = layout.nodes.get(edge.from);
+            const to = layout.nodes.get(edge.to);
+            const start = this.getBoundaryPoint(from, to);
+            const end = this.getBoundaryPoint(to, from);
+            const strokeWidth = edge.style === 'thick' ? 3 : 1.5;
+            const dash = edge.style === 'dotted' ? ' stroke-dasharray="4 4"' : '';
+            const marker = edge.arrow ? ` marker-end="url(#${prefix}-arrow)"` : '';
+
+            let path;
+            let labelPoint;
+            if (layout.backEdges.has(index)) {
+                // 回边画成弧线，避免与正向连线重叠
+                const mx = (start.x + end.x) / 2;
+                const my = (start.y + end.y) / 2;
+                const dx = end.x - start.x;
+                const dy = end.y - start.y;
+                const length = Math.hypot(dx, dy) || 1;
+                const bend = Math.min(80, 30 + length / 4);
+                const cx = mx - (dy / length) * bend;
+                const cy = my + (dx / length) * bend;
+                path = `M${this.round(start.x)},${this.round(start.y)} Q${this.round(cx)},${this.round(cy)} ${this.round(end.x)},${this.round(end.y)}`;
+                labelPoint = { x: (start.x + 2 * cx + end.x) / 4, y: (start.y + 2 * cy + end.y) / 4 };
+            } else {
+                path = `M${this.round(start.x)},${this.round(start.y)} L${this.round(end.x)},${this.round(end.y)}`;
+                labelPoint = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+            }
+
+            edges.push(`<path class="diagram-edge" d="${path}" fill="none" stroke="currentColor" stroke-width="${strokeWidth}"${dash}${marker}></path>`);
+
+            if (edge.label) {
+                const size = this.measureLabel(edge.label);
+                labels.push(`<g class="diagram-edge-label">`
+                    + `<rect class="diagram-label-bg" x="${this.round(labelPoint.x - size.width / 2 - 4)}" y="${this.round(labelPoint.y - size.height / 2 - 2)}" width="${size.width + 8}" height="${size.height + 4}" rx="3" fill="#ffffff"></rect>`
+                    + this.renderText(size.lines, labelPoint.x, labelPoint.y)
+                    + '</g>');
+            }
+        });
+
+        const nodes = [...layout.nodes.values()].map(node => `<g class="diagram-node">${this.renderShape(node)}${this.renderText(node.label.lines, node.x, node.y)}</g>`);
+
+        return this.wrapSVG(layout.width, layout.height, '流程图', [
+            this.renderMarkers(prefix),
+            ...edges,
+            ...nodes,
+            ...labels
+        ]);
+    }
+
+    /**
+     * 计算从节点中心指向另一节点中心的连线与节点边界的交点
+     * @param {Object} node 起始节点
+     * @param {Object} target 目标节点
+     * @returns {Object} { x, y }
+     */
+    getBoundaryPoint(node, target) {
+        const dx = target.x - node.x;
+        const dy = target.y - node.y;
+        if (dx === 0 && dy === 0) {
+            return { x: node.x, y: node.y };
+        }
+
+        const halfWidth = node.width / 2;
+        const halfHeight = node.height / 2;
+        let scale;
+
+        if (node.shape === 'circle') {
+            scale = halfWidth / Math.hypot(dx, dy);
+        } else if (node.shape === 'diamond') {
+            scale = 1 / (Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight);
+        } else {
+            scale = Math.min(
+                dx !== 0 ? halfWidth / Math.abs(dx) : Infinity,
+                dy !== 0 ? halfHeight / Math.abs(dy) : Infinity
+            );
+        }
+
+        return { x: node.x + dx * scale, y: node.y + dy * scale };
+    }
+
+    /**
+     * 渲染节点形状
+     * @param {Object} node 布局后的节点
+     * @returns {string} SVG 元素
+     */
+    renderShape(node) {
+        const { x, y, width, height } = node;
+        const left = this.round(x - width / 2);
+        const top = this.round(y - height / 2);
+        const right = this.round(x + width / 2);
+        const bottom = this.round(y + height / 2);
+        const paint = 'fill="currentColor" fill-opacity="0.06" stroke="currentColor" stroke-width="1.5"';
+        const polygon = (points) => `<polygon class="diagram-shape" points="${points.map(point => point.map(value => this.round(value)).join(',')).join(' ')}" ${paint}></polygon>`;
+
+        switch (node.shape) {
+            case 'circle':
+                return `<circle class="diagram-shape" cx="${this.round(x)}" cy="${this.round(y)}" r="${this.round(width / 2)}" ${paint}></circle>`;
+            case 'diamond':
+                return polygon([[x, top], [right, y], [x, bottom], [left, y]]);
+            case 'parallelogram':
+                return polygon([[left + 10, top], [right, top], [right - 10, bottom], [left, bottom]]);
+            case 'hexagon':
+                return polygon([[left + 10, top], [right - 10, top], [right, y], [right - 10, bottom], [left + 10, bottom], [left, y]]);
+            case 'subroutine':
+                return `<rect class="diagram-shape" x="${left}" y="${top}" width="${this.round(width)}" height="${this.round(height)}" ${paint}></rect>`
+                    + `<path d="M${left + 8},${top} V${bottom} M${right - 8},${top} V${bottom}" fill="none" stroke="currentColor" stroke-width="1.5"></path>`;
+            default: {
+                const radius = node.shape === 'stadium' ? height / 2 : node.shape === 'round' ? 8 : 2;
+                return `<rect class="diagram-shape" x="${left}" y="${top}" width="${this.round(width)}" height="${this.round(height)}" rx="${this.round(radius)}" ${paint}></rect>`;
+            }
+        }
+    }
+
+    /**
+     * 渲染时序图
+     * @param {Object} diagram 时序图模型
+     * @param {string} source 图表源码（用于生成唯一 ID）
+     * @returns {string} SVG
+     */
+    renderSequence(diagram, source) {
+        const prefix = this.createIdPrefix(source);
+        const participants = diagram.participants.map(participant => {
+            const label = this.measureLabel(participant.label);
+            return { ...participant, label, width: Math.max(label.width + NODE_PADDING_X * 2, ACTOR_MIN_WIDTH) };
+        });
+        const count = participants.length;
+
+        // 相邻参与者的间距需要容纳其间的消息文字
+        const gaps = participants.slice(1).map((participant, index) =>
+            (participants[index].width + participant.width) / 2 + ACTOR_GAP);
+        const ensureSpan = (from, to, needed) => {
+            const span = gaps.slice(from, to).reduce((sum, gap) => sum + gap, 0);
+            if (span < needed) gaps[to - 1] += needed - span;
+        };
+        diagram.items.forEach(item => {
+            if (item.type === 'message') {
+                const textWidth = this.measureLabel(item.text).width;
+                const low = Math.min(item.from, item.to);
+                const high = Math.max(item.from, item.to);
+                if (low !== high) {
+                    ensureSpan(low, high, textWidth + 24);
+                } else if (low < count - 1) {
+                    ensureSpan(low, low + 1, textWidth + 60);
+                }
+            } else if (item.type === 'note' && item.targets.length === 1) {
+                const index = item.targets[0];
+                const noteWidth = this.measureLabel(item.text).width + 40;
+                if (item.placement === 'right of' && index < count - 1) ensureSpan(index, index + 1, noteWidth);
+                if (item.placement === 'left of' && index > 0) ensureSpan(index - 1, index, noteWidth);
+            }
+        });
+
+        const centers = [DIAGRAM_MARGIN + participants[0].width / 2];
+        gaps.forEach((gap, index) => centers.push(centers[index] + gap));
+
+        // 左侧备注和自身消息可能超出边界，预留空间
+        let leftExtra = 0;
+        let rightExtra = 0;
+        diagram.items.forEach(item => {
+            if (item.type === 'note' && item.targets.length === 1) {
+                const noteWidth = this.measureLabel(item.text).width + 40;
+                if (item.placement === 'left of' && item.targets[0] === 0) leftExtra = Math.max(leftExtra, noteWidth - participants[0].width / 2);
+                if (item.placement === 'right of' && item.targets[0] === count - 1) rightExtra = Math.max(rightExtra, noteWidth - participants[count - 1].width / 2);
+            }
+            if (item.type === 'message' && item.from === item.to && item.from === count - 1) {
+                rightExtra = Math.max(rightExtra, this.measureLabel(item.text).width + 60 - participants[count - 1].width / 2);
+            }
+        });
+        const shift = Math.max(0, leftExtra);
+        const xs = centers.map(center => center + shift);
+
+        const titleHeight = diagram.title ? this.measureLabel(diagram.title).height + 16 : 0;
+        const actorTop = DIAGRAM_MARGIN + titleHeight;
+        let y = actorTop + ACTOR_HEIGHT + 24;
+
+        const body = [];
+        const frameTops = new Map();
+        const frameLayers = [];
+
+        diagram.items.forEach(item => {
+            switch (item.type) {
+                case 'message': {
+                    const text = this.measureLabel(item.text);
+                    const x1 = xs[item.from];
+                    const x2 = xs[item.to];
+                    const dash = item.dashed ? ' stroke-dasharray="5 4"' : '';
+                    const marker = item.head !== 'none' ? ` marker-end="url(#${prefix}-${item.head === 'filled' ? 'arrow' : item.head})"` : '';
+                    y += text.height;
+
+                    if (item.from === item.to) {
+                        body.push(this.renderText(text.lines, x1 + 12, y - text.height / 2 - 4, 'start'));
+                        body.push(`<path class="diagram-message" d="M${this.round(x1)},${this.round(y)} H${this.round(x1 + 36)} V${this.round(y + 24)} H${this.round(x1 + 2)}" fill="none" stroke="currentColor" stroke-width="1.5"${dash}${marker}></path>`);
+                        y += 24 + MESSAGE_GAP / 2;
+                    } else {
+                        body.push(this.renderText(text.lines, (x1 + x2) / 2, y - text.height / 2 - 4));
+                        body.push(`<line class="diagram-message" x1="${this.round(x1)}" y1="${this.round(y)}" x2="${this.round(x2 + (x2 > x1 ? -2 : 2))}" y2="${this.round(y)}" stroke="currentColor" stroke-width="1.5"${dash}${marker}></line>`);
+                        y += MESSAGE_GAP / 2 + 8;
+                    }
+                    break;
+                }
+
+                case 'note': {
+                    const text = this.measureLabel(item.text);
+                    const width = text.width + 20;
+                    const height = text.height + 12;
+                    let left;
+                    let noteWidth = width;
+
+                    if (item.placement === 'over') {
+                        const targetXs = item.targets.map(index => xs[index]);
+                        const minX = Math.min(...targetXs);
+                        const maxX = Math.max(...targetXs);
+                        noteWidth = Math.max(width, maxX - minX + 40);
+                        left = (minX + maxX) / 2 - noteWidth / 2;
+                    } else if (item.placement === 'left of') {
+                        left = xs[item.targets[0]] - 12 - width;
+                    } else {
+                        left = xs[item.targets[0]] + 12;
+                    }
+
+                    body.push(`<rect class="diagram-note" x="${this.round(left)}" y="${this.round(y)}" width="${this.round(noteWidth)}" height="${height}" fill="#fff5ad" fill-opacity="0.9" stroke="#aaaa33" stroke-width="1"></rect>`);
+                    body.push(this.renderText(text.lines, left + noteWidth / 2, y + height / 2, 'middle', '#333333'));
+                    y += height + 16;
+                    break;
+                }
+
+                case 'frame-start':
+                    frameTops.set(item.frame, y);
+                    item.frame.sectionYs = [];
+                    y += LINE_HEIGHT + 12;
+                    break;
+
+                case 'frame-section':
+                    item.frame.sectionYs.push({ y, label: item.label });
+                    y += LINE_HEIGHT + 8;
+                    break;
+
+                case 'frame-end':
+                    frameLayers.push({ frame: item.frame, top: frameTops.get(item.frame), bottom: y });
+                    y += 12;
+                    break;
+            }
+        });
+
+        const actorBottomTop = y + 8;
+        const height = actorBottomTop + ACTOR_HEIGHT + DIAGRAM_MARGIN;
+        const width = xs[count - 1] + participants[count - 1].width / 2 + Math.max(0, rightExtra) + DIAGRAM_MARGIN;
+
+        // 分组框覆盖其中涉及的参与者
+        const frames = frameLayers.map(({ frame, top, bottom }) => {
+            const involved = [];
+            diagram.items.slice(frame.start, frame.end).forEach(item => {
+                if (item.type === 'message') involved.push(item.from, item.to);
+                if (item.type === 'note') involved.push(...item.targets);
+            });
+            const indexes = involved.length > 0 ? involved : [0, count - 1];
+            const left = Math.min(...indexes.map(index => xs[index])) - 60;
+            const right = Math.max(...indexes.map(index => xs[index])) + 60;
+            const heading = `${frame.kind}${frame.label ? ` [${frame.label}]` : ''}`;
+            const sections = frame.sectionYs.map(section =>
+                `<line x1="${this.round(left)}" y1="${this.round(section.y)}" x2="${this.round(right)}" y2="${this.round(section.y)}" stroke="currentColor" stroke-width="1" stroke-dasharray="4 3"></line>`
+                + (section.label ? this.renderText([`[${section.label}]`], (left + right) / 2, section.y + LINE_HEIGHT / 2 + 4) : ''));
+
+            return `<g class="diagram-frame">`
+                + `<rect x="${this.round(left)}" y="${this.round(top)}" width="${this.round(right - left)}" height="${this.round(bottom - top)}" fill="none" stroke="currentColor" stroke-width="1" stroke-opacity="0.6"></rect>`
+                + this.renderText([heading], left + 8, top + LINE_HEIGHT / 2 + 4, 'start')
+                + sections.join('')
+                + '</g>';
+        });
+
+        const actors = participants.map((participant, index) => {
+            const x = xs[index];
+            const box = (top) => `<rect class="diagram-shape" x="${this.round(x - participant.width / 2)}" y="${this.round(top)}" width="${this.round(participant.width)}" height="${ACTOR_HEIGHT}" rx="3" fill="currentColor" fill-opacity="0.06" stroke="currentColor" stroke-width="1.5"></rect>`
+                + this.renderText(participant.label.lines, x, top + ACTOR_HEIGHT / 2);
+            return `<g class="diagram-actor">`
+                + `<line class="diagram-lifeline" x1="${this.round(x)}" y1="${this.round(actorTop + ACTOR_HEIGHT)}" x2="${this.round(x)}" y2="${this.round(actorBottomTop)}" stroke="currentColor" stroke-width="1" stroke-opacity="0.5" stroke-dasharray="3 3"></line>`
+                + box(actorTop)
+                + box(actorBottomTop)
+                + '</g>';
+        });
+
+        const title = diagram.title
+            ? this.renderText(this.measureLabel(diagram.title).lines, width / 2, DIAGRAM_MARGIN + titleHeight / 2 - 4, 'middle', null, 'bold')
+            : '';
+
+        return this.wrapSVG(Math.ceil(width), Math.ceil(height), '时序图', [
+            this.renderMarkers(prefix),
+            title,
+            ...actors,
+            ...frames,
+            ...body
+        ]);
+    }
+
+    /**
+     * 渲染箭头标记定义
+     * @param {string} prefix ID 前缀
+     * @returns {string} SVG defs
+     */
+    renderMarkers(prefix) {
+        const marker = (name, content) => `<marker id="${prefix}-${name}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">${content}</marker>`;
+
+        return '<defs>'
+            + marker('arrow', '<path d="M0,0 L10,5 L0,10 z" fill="currentColor"></path>')
+            + marker('open', '<path d="M0,0 L10,5 L0,10" fill="none" stroke="currentColor" stroke-width="1.5"></path>')
+            + marker('cross', '<path d="M1,1 L9,9 M9,1 L1,9" fill="none" stroke="currentColor" stroke-width="1.5"></path>')
+            + '</defs>';
+    }
+
+    /**
+     * 渲染多行文本
+     * @param {Array<string>} lines 文本行
+     * @param {number} x 锚点 X
+     * @param {number} y 垂直中心 Y
+     * @param {string} anchor 对齐方式
+     * @param {string|null} color 文字颜色（默认跟随文字颜色）
+     * @param {string|null} weight 字重
+     * @returns {string} SVG text 元素
+     */
+    renderText(lines, x, y, anchor = 'middle', color = null, weight = null) {
+        const top = y - ((lines.length - 1) * LINE_HEIGHT) / 2;
+        const fill = color || 'currentColor';
+        const fontWeight = weight ? ` font-weight="${weight}"` : '';
+        const spans = lines.map((line, index) =>
+            `<tspan x="${this.round(x)}" y="${this.round(top + index * LINE_HEIGHT)}">${this.escape(line)}</tspan>`).join('');
+
+        return `<text text-anchor="${anchor}" dominant-baseline="central" fill="${fill}"${fontWeight}>${spans}</text>`;
+    }
+
+    /**
+     * 包装为 SVG 根元素
+     * @param {number} width 宽度
+     * @param {number} height 高度
+     * @param {string} label 无障碍标签
+     * @param {Array<string>} children 子元素
+     * @returns {string} SVG
+     */
+    wrapSVG(width, height, label, children) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="diagram-svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${label}" font-family="${this.escape(FONT_FAMILY)}" font-size="${FONT_SIZE}">`
+            + children.filter(Boolean).join('')
+            + '</svg>';
+    }
+
+    /**
+     * 根据源码生成稳定的 ID 前缀，避免多个图表的箭头定义冲突
+     * @param {string} source 图表源码
+     * @returns {string} ID 前缀
+     */
+    createIdPrefix(source) {
+        let hash = 5381;
+        for (let i = 0; i < source.length; i++) {
+            hash = ((hash << 5) + hash + source.charCodeAt(i)) >>> 0;
+        }
+        return `diagram-${hash.toString(36)}`;
+    }
+
+    /**
+     * 保留一位小数
+     * @param {number} value 数值
+     * @returns {number} 取整后的数值
+     */
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * 转义 HTML 字符
+     * @param {string} text 文本
+     * @returns {string} 转义后的文本
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 获取图表所需的 CSS
+     * @returns {string} CSS 样式
+     */
+    getStyles() {
+        return `
+.diagram {
+    margin: 1rem 0;
+    overflow-x: auto;
+    text-align: center;
+}
+
+.diagram-svg {
+    max-width: 100%;
+    height: auto;
+}
+
+.theme-dark .diagram .diagram-label-bg {
+    fill: #1a1a1a;
+}
+
+.diagram-error-message {
+    color: #dc3545;
+    text-align: left;
+}
+
+.diagram-error pre {
+    text-align: left;
+}`;
+    }
+
+    /**
+     * 获取 SVG 在清理器中需要允许的标签和属性
+     * @returns {Object} 允许列表
+     */
+    getSanitizerAllowList() {
+        const tags = ['svg', 'defs', 'marker', 'g', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path', 'text', 'tspan'];
+        const presentation = [
+            'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+            'stroke-linecap', 'stroke-linejoin', 'marker-start', 'marker-end', 'transform',
+            'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+        ];
+        const geometry = {
+            svg: ['xmlns', 'viewBox', 'width', 'height', 'preserveAspectRatio'],
+            marker: ['viewBox', 'refX', 'refY', 'markerWidth', 'markerHeight', 'markerUnits', 'orient'],
+            rect: ['x', 'y', 'width', 'height', 'rx', 'ry'],
+            circle: ['cx', 'cy', 'r'],
+            ellipse: ['cx', 'cy', 'rx', 'ry'],
+            line: ['x1', 'y1', 'x2', 'y2'],
+            polyline: ['points'],
+            polygon: ['points'],
+            path: ['d'],
+            text: ['x', 'y', 'dx', 'dy'],
+            tspan: ['x', 'y', 'dx', 'dy']
+        };
+
+        const attributes = {};
+        tags.forEach(tag => {
+            attributes[tag] = [...presentation, ...(geometry[tag] || [])];
+        });
+
+        return { tags, attributes };
+    }
+}
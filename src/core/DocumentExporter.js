@@ -0,0 +1,170 @@
+/**
+ * 文档导出器
+ * 把 Markdown 或已解析的 HTML 生成为自包含的 HTML 文档，不依赖 DOM。
+ * 页面中的下载按钮和命令行工具使用同一个导出流程，生成的文件一致
+ */
+
+import { MarkdownConverter } from './MarkdownConverter.js';
+import { FileHandler } from './FileHandler.js';
+import { TOCGenerator } from './TOCGenerator.js';
+import { PrintOptimizer } from './PrintOptimizer.js';
+
+// 可以由选项覆盖 front matter 的文档元信息
+const META_FIELDS = ['lang', 'author', 'date', 'description'];
+
+export class DocumentExporter {
+    /**
+     * @param {Object} options 选项
+     * @param {MarkdownConverter} options.converter 转换器，缺省时创建新的转换器
+     * @param {FileHandler} options.fileHandler 文件处理器，缺省时创建新的处理器
+     */
+    constructor(options = {}) {
+        this.converter = options.converter || new MarkdownConverter();
+        this.fileHandler = options.fileHandler || new FileHandler();
+        this.tocGenerator = new TOCGenerator();
+        this.printOptimizer = new PrintOptimizer();
+    }
+
+    /**
+     * 获取文档信息
+     * 显式传入的选项优先，其次是 front matter 中的设置，缺失时再从正文推断
+     * @param {string} markdownContent Markdown 内容
+     * @param {Object} options 选项
+     * @param {string} options.title 标题
+     * @param {string} options.theme 主题 ('light', 'dark')
+     * @param {string} options.defaultTheme 选项和 front matter 都没有指定主题时使用的主题
+     * @param {string} options.lang 语言，同样可以传入 author、date、description
+     * @returns {Object} 文档信息 { options, title, theme, fileName }
+     */
+    getDocumentInfo(markdownContent, options = {}) {
+        const documentOptions = { ...this.converter.getDocumentOptions(markdownContent || '') };
+        META_FIELDS.filter(name => options[name]).forEach(name => {
+            documentOptions[name] = options[name];
+        });
+        const body = this.converter.frontMatterParser.parse(markdownContent || '').body;
+
+        const title = options.title || documentOptions.title || this.fileHandler.generateFilename(body);
+        const theme = [options.theme, documentOptions.theme, options.defaultTheme]
+            .find(value => value && value !== 'auto') || 'light';
+
+        return {
+            options: documentOptions,
+            title,
+            theme,
+            fileName: this.fileHandler.sanitizeFilename(title)
+        };
+    }
+
+    /**
+     * 将 Markdown 转换为自包含的 HTML 文档
+     * @param {string} markdownContent Markdown 内容
+     * @param {Object} options 选项，与 createDocument 相同
+     * @returns {Object} { html, title, theme, fileName, images }
+     */
+    exportMarkdown(markdownContent, options = {}) {
+        const htmlContent = this.converter.parseMarkdown(markdownContent);
+        return this.createDocument(htmlContent, markdownContent, options);
+    }
+
+    /**
+     * 使用已解析的 HTML 生成自包含的 HTML 文档
+     * 导出样式和脚本取决于最近一次解析启用的插件，htmlContent 应该是 converter 最近一次的解析结果
+     * @param {string} htmlContent 解析后的 HTML
+     * @param {string} markdownContent 原始 Markdown，用于读取 front matter 和推断标题
+     * @param {Object} options 选项
+     * @param {string} options.title 标题
+     * @param {string} options.theme 主题
+     * @param {string} options.defaultTheme 默认主题
+     * @param {boolean} options.toc 是否加入目录，缺省时使用 front matter 中的 toc
+     * @param {boolean} options.defaultToc 选项和 front matter 都没有指定 toc 时是否加入目录
+     * @param {number} options.tocDepth 目录包含的最深标题级别，默认 6
+     * @param {string} options.tocLayout 目录布局：'sidebar'（默认）为带有滚动高亮的侧边栏，'inline' 放在正文前
+     * @param {boolean} options.printCSS 是否加入完整的打印样式
+     * @param {boolean} options.includeStyles 是否嵌入样式，默认 true
+     * @param {string} options.extraStyles 追加在插件样式之后的 CSS
+     * @param {string} options.extraScripts 追加在插件脚本之后的 JavaScript
+     * @param {string} options.sanitizePolicy 导出时的清理策略，默认与转换器相同
+     * @param {string} options.tocHTML 自定义目录 HTML，传入时忽略 toc
+     * @param {string} options.sidebarHTML 侧边导航 HTML
+     * @param {string} options.footerHTML 放在正文后的 HTML
+     * @param {Object} options.images 图片来源（如 ImageStore），传入时把能找到的图片嵌入为 data URI
+     * @param {boolean} options.themeToggle 是否加入亮色/暗色切换按钮，默认 true，加入时页面跟随读者的系统主题
+     * @param {string} options.codeThemeStyles 代码高亮主题的 CSS，传入时代替高亮插件自带的配色
+     * @param {string} options.maxWidth 正文最大宽度
+     * @param {string} options.fontFamily 正文字体
+     * @param {boolean} options.includeSource 是否在文件中保存原始 Markdown
+     * @param {boolean} options.minify 是否压缩输出
+     * @returns {Object} { html, title, theme, fileName, images }，images 为图片嵌入报告 { embedded, failed }
+     */
+    createDocument(htmlContent, markdownContent, options = {}) {
+        const info = this.getDocumentInfo(markdownContent, options);
+
+        // 每次导出时读取插件需要保留的标签和属性，包括创建导出器后才用 converter.use() 注册的插件
+        this.fileHandler.extendSanitizer(this.converter.getSanitizerAllowList());
+
+        const extraStyles = [
+            this.converter.getExportStyles({ exclude: options.codeThemeStyles ? ['highlight'] : [] }),
+            options.printCSS ? this.printOptimizer.generatePrintCSS() : '',
+            options.extraStyles
+        ].filter(Boolean).join('\n');
+
+        const extraScripts = [
+            this.converter.getExportScripts(),
+            options.extraScripts
+        ].filter(Boolean).join('\n');
+
+        const html = this.fileHandler.createSelfContainedHTML(htmlContent, {
+            ...info.options,
+            title: info.title,
+            theme: info.theme,
+            includeStyles: options.includeStyles !== false,
+            extraStyles,
+            extraScripts,
+            sanitizePolicy: options.sanitizePolicy || this.converter.sanitizer.getPolicy(),
+            tocHTML: options.tocHTML || (this.shouldIncludeTOC(info, options) ? this.generateTOC(htmlContent, options.tocDepth) : ''),
+            tocLayout: options.tocLayout || 'sidebar',
+            sidebarHTML: options.sidebarHTML || '',
+            footerHTML: options.footerHTML || '',
+            images: options.images || null,
+            themeToggle: options.themeToggle !== false,
+            codeThemeStyles: options.codeThemeStyles || '',
+            maxWidth: options.maxWidth || '',
+            fontFamily: options.fontFamily || '',
+            markdownSource: options.includeSource ? markdownContent || '' : null,
+            minify: Boolean(options.minify)
+        });
+
+        const imageReport = this.fileHandler.getImageReport();
+        return {
+            html,
+            title: info.title,
+            theme: info.theme,
+            fileName: info.fileName,
+            images: imageReport
+                ? { embedded: imageReport.embedded, failed: imageReport.failed }
+                : { embedded: [], failed: [] }
+        };
+    }
+
+    /**
+     * 判断是否加入目录，显式传入的选项优先，其次是 front matter 中的设置
+     * @param {Object} info getDocumentInfo 返回的文档信息
+     * @param {Object} options 选项 { toc, defaultToc }
+     * @returns {boolean} 是否加入目录
+     */
+    shouldIncludeTOC(info, options) {
+        return [options.toc, info.options.toc, options.defaultToc]
+            .find(value => typeof value === 'boolean') || false;
+    }
+
+    /**
+     * 生成目录 HTML，文档没有标题时返回空字符串
+     * @param {string} htmlContent 解析后的 HTML
+     * @param {number} maxLevel 包含的最深标题级别，默认 6
+     * @returns {string} 目录 HTML
+     */
+    generateTOC(htmlContent, maxLevel = 6) {
+        const toc = this.tocGenerator.generateTOC(htmlContent, { maxLevel });
+        return toc.count > 0 ? toc.html : '';
+    }
+}
@@ -0,0 +1,774 @@
+/**
+ * Word 文档（.docx）转 Markdown
+ * 不依赖 DOM：用 ZipReader 解压，解析 WordprocessingML 生成 HTML，再由 HTMLToMarkdown 转换。
+ * 支持标题、列表、表格（包括合并单元格）、加粗、斜体、删除线、上下标、超链接和嵌入的图片，
+ * 其他无法用 Markdown 表示的格式（下划线、颜色、脚注等）记录下来，转换后汇总为一条警告
+ */
+
+import { ZipReader } from './ZipReader.js';
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+import { HTMLToMarkdown } from './HTMLToMarkdown.js';
+import { ImageStore } from './ImageStore.js';
+
+const DOCUMENT_PATH = 'word/document.xml';
+
+// 等宽字体的文字转换为行内代码
+const MONOSPACE_FONT = /consolas|courier|menlo|monaco|mono/i;
+
+export class DocxConverter {
+    /**
+     * @param {Object} options 选项
+     * @param {HTMLToMarkdown} options.htmlConverter HTML 转换器，用于共享链接格式、表格处理等选项，缺省时新建
+     */
+    constructor(options = {}) {
+        this.tokenizer = new HTMLTokenizer();
+        this.htmlConverter = options.htmlConverter || new HTMLToMarkdown();
+
+        this.relationships = new Map();
+        this.styles = new Map();
+        this.numbering = new Map();
+        this.images = new Map();
+        this.dropped = new Map();
+    }
+
+    /**
+     * 转换 Word 文档
+     * @param {Uint8Array|ArrayBuffer} data .docx 文件内容
+     * @returns {Promise<Object>} { markdown, images: [{ name, data, mimeType }], warnings }，
+     *   Markdown 中用图片名称引用图片，由调用方保存图片后替换为实际的引用
+     */
+    async convert(data) {
+        const zip = new ZipReader(data);
+        if (!zip.has(DOCUMENT_PATH)) {
+            throw new Error('不是有效的 Word 文档（.docx）');
+        }
+
+        this.images = new Map();
+        this.dropped = new Map();
+        this.relationships = this.parseRelationships(await this.readXML(zip, 'word/_rels/document.xml.rels'));
+        this.styles = this.parseStyles(await this.readXML(zip, 'word/styles.xml'));
+        this.numbering = this.parseNumbering(await this.readXML(zip, 'word/numbering.xml'));
+
+        const document = await this.readXML(zip, DOCUMENT_PATH);
+        const body = this.findElement(document, 'w:body');
+        const html = body ? this.renderBlocks(body.children) : '';
+
+        const images = [];
+        const warnings = [];
+        for (const [path, name] of this.images) {
+            if (!zip.has(path)) {
+                warnings.push(`找不到文档中的图片 ${path}`);
+                continue;
+            }
+            images.push({ name, data: await zip.read(path), mimeType: ImageStore.getMimeType(name) });
+        }
+
+        const summary = this.describeDropped();
+        if (summary) {
+            warnings.push(summary);
+        }
+
+        return { markdown: this.htmlConverter.convert(html), images, warnings };
+    }
+
+    /**
+     * 读取并解析 XML 文件
+     * @param {ZipReader} zip 压缩包
+     * @param {string} path 文件路径
+     * @returns {Promise<Object>} 根节点，文件不存在时为空节点
+     */
+    async readXML(zip, path) {
+        return this.parseXML(zip.has(path) ? await zip.readText(path) : '');
+    }
+
+    /**
+     * 将 XML 解析为节点树，元素和属性名称为小写
+     * @param {string} xml XML 内容
+     * @returns {Object} 根节点 { name, attrs, children }，文本节点为 { text }
+     */
+    parseXML(xml) {
+        const root = { name: '#root', attrs: {}, children: [] };
+        const stack = [root];
+
+        this.tokenizer.tokenize(xml).forEach(token => {
+            const current = stack[stack.length - 1];
+            if (token.type === 'text') {
+                current.children.push({ text: this.tokenizer.decodeEntities(token.value) });
+            } else if (token.type === 'startTag') {
+                const node = {
+                    name: token.name,
+                    attrs: Object.fromEntries(token.attrs.map(attr => [attr.name, attr.value])),
+                    children: []
+                };
+                current.children.push(node);
+                if (!token.selfClosing) {
+                    stack.push(node);
+                }
+            } else if (token.type === 'endTag') {
+                const index = stack.map(node => node.name).lastIndexOf(token.name);
+                if (index > 0) {
+                    stack.length = index;
+                }
+            }
+        });
+
+        return root;
+    }
+
+    /**
+     * 解析关系文件，得到图片和超链接的地址
+     * @param {Object} root 关系文件根节点
+     * @returns {Map<string, Object>} 关系 ID 到 { target, external } 的映射，内部文件的 target 为压缩包内的路径
+     */
+    parseRelationships(root) {
+        const relationships = new Map();
+
+        this.findElements(root, 'relationship').forEach(node => {
+            const external = /^external$/i.test(node.attrs.targetmode || '');
+            const target = node.attrs.target || '';
+            relationships.set(node.attrs.id, {
+                target: external ? target : this.resolvePath(target),
+                external
+            });
+        });
+
+        return relationships;
+    }
+
+    /**
+     * 把相对于 word/ 目录的路径转换为压缩包内的路径
+     * @param {string} target 路径
+     * @returns {string} 压缩包内的路径
+     */
+    resolvePath(target) {
+        const parts = target.startsWith('/') ? [] : ['word'];
+        target.split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part && part !== '.') parts.push(part);
+        });
+        return parts.join('/');
+    }
+
+    /**
+     * 解析段落样式，用于识别标题和带编号的样式
+     * @param {Object} root 样式文件根节点
+     * @returns {Map<string, Object>} 样式 ID 到 { name, basedOn, outlineLevel, numPr } 的映射
+     */
+    parseStyles(root) {
+        const styles = new Map();
+
+        this.findElements(root, 'w:style')
+            .filter(node => node.attrs['w:type'] === 'paragraph')
+            .forEach(node => {
+                const pPr = this.getChild(node, 'w:ppr');
+                const outline = pPr ? this.getChild(pPr, 'w:outlinelvl') : null;
+                styles.set(node.attrs['w:styleid'], {
+                    name: this.getValue(node, 'w:name') || '',
+                    basedOn: this.getValue(node, 'w:basedon'),
+                    outlineLevel: outline ? Number(outline.attrs['w:val']) : null,
+                    numPr: pPr ? this.getChild(pPr, 'w:numpr') : null
+                });
+            });
+
+        return styles;
+    }
+
+    /**
+     * 解析编号定义
+     * @param {Object} root 编号文件根节点
+     * @returns {Map<string, Object>} 编号 ID 到各级格式 { [级别]: { ordered, start } } 的映射
+     */
+    parseNumbering(root) {
+        const abstracts = new Map();
+        this.findElements(root, 'w:abstractnum').forEach(node => {
+            const levels = {};
+            node.children.filter(child => child.name === 'w:lvl').forEach(level => {
+                const format = this.getValue(level, 'w:numfmt') || 'bullet';
+                levels[level.attrs['w:ilvl']] = {
+                    ordered: !['bullet', 'none'].includes(format),
+                    start: Number(this.getValue(level, 'w:start')) || 1
+                };
+            });
+            abstracts.set(node.attrs['w:abstractnumid'], levels);
+        });
+
+        const numbering = new Map();
+        this.findElements(root, 'w:num').forEach(node => {
+            numbering.set(node.attrs['w:numid'], abstracts.get(this.getValue(node, 'w:abstractnumid')) || {});
+        });
+        return numbering;
+    }
+
+    /**
+     * 转换块级内容（正文、表格单元格），连续的列表段落合并为列表
+     * @param {Array<Object>} nodes 节点
+     * @param {boolean} inTable 是否在表格单元格中
+     * @returns {string} HTML
+     */
+    renderBlocks(nodes, inTable = false) {
+        const html = [];
+        let listItems = [];
+        const flushList = () => {
+            if (listItems.length > 0) {
+                html.push(this.renderList(listItems));
+                listItems = [];
+            }
+        };
+
+        this.expandContentControls(nodes).forEach(node => {
+            if (node.name === 'w:p') {
+                const paragraph = this.convertParagraph(node, inTable);
+                if (paragraph.list) {
+                    listItems.push(paragraph);
+                } else if (paragraph.html) {
+                    flushList();
+                    html.push(paragraph.html);
+                }
+            } else if (node.name === 'w:tbl') {
+                flushList();
+                html.push(this.convertTable(node));
+            }
+        });
+        flushList();
+
+        return html.join('\n');
+    }
+
+    /**
+     * 展开内容控件（w:sdt）等包装元素
+     * @param {Array<Object>} nodes 节点
+     * @returns {Array<Object>} 展开后的节点
+     */
+    expandContentControls(nodes) {
+        return nodes.flatMap(node => {
+            if (node.name === 'w:sdt') {
+                const content = this.getChild(node, 'w:sdtcontent');
+                return content ? this.expandContentControls(content.children) : [];
+            }
+            if (node.name === 'w:customxml' || node.name === 'w:ins') {
+                return this.expandContentControls(node.children);
+            }
+            return [node];
+        });
+    }
+
+    /**
+     * 转换段落
+     * @param {Object} node w:p 节点
+     * @param {boolean} inTable 是否在表格单元格中，单元格的对齐方式由表格保留
+     * @returns {Object} { html } 或列表项 { list: true, html, level, ordered, start }
+     */
+    convertParagraph(node, inTable = false) {
+        const pPr = this.getChild(node, 'w:ppr');
+        const styleId = pPr ? this.getValue(pPr, 'w:pstyle') : null;
+        const content = this.convertInline(node.children).trim();
+
+        const numPr = (pPr && this.getChild(pPr, 'w:numpr')) || this.getStyleProperty(styleId, 'numPr');
+        const numId = numPr ? this.getValue(numPr, 'w:numid') : null;
+        if (numId && numId !== '0' && content) {
+            const level = Number(this.getValue(numPr, 'w:ilvl')) || 0;
+            const format = (this.numbering.get(numId) || {})[level] || { ordered: false, start: 1 };
+            return { list: true, html: content, level, ...format };
+        }
+
+        if (!content) {
+            return { html: '' };
+        }
+
+        const headingLevel = this.getHeadingLevel(styleId, pPr);
+        if (headingLevel) {
+            return { html: `<h${headingLevel}>${content}</h${headingLevel}>` };
+        }
+
+        if (!inTable && this.getAlignment(pPr)) {
+            this.drop('段落对齐');
+        }
+        return { html: `<p>${content}</p>` };
+    }
+
+    /**
+     * 获取段落的标题级别
+     * 样式名称为 heading 1～6 或 Title 的段落为标题，也可以由大纲级别指定
+     * @param {string|null} styleId 段落样式
+     * @param {Object|null} pPr 段落属性
+     * @returns {number} 标题级别，不是标题时为 0
+     */
+    getHeadingLevel(styleId, pPr) {
+        const outline = pPr ? this.getValue(pPr, 'w:outlinelvl') : null;
+        if (outline !== null && Number(outline) < 6) {
+            return Number(outline) + 1;
+        }
+
+        // 沿 basedOn 查找，最多 10 层，避免循环引用
+        let style = this.styles.get(styleId);
+        for (let depth = 0; style && depth < 10; depth++) {
+            const heading = /^heading\s*([1-6])$/i.exec(style.name);
+            if (heading) return Number(heading[1]);
+            if (/^title$/i.test(style.name)) return 1;
+            if (style.outlineLevel !== null && style.outlineLevel < 6) return style.outlineLevel + 1;
+            style = this.styles.get(style.basedOn);
+        }
+        return 0;
+    }
+
+    /**
+     * 获取样式或其基础样式中的属性
+     * @param {string|null} styleId 样式 ID
+     * @param {string} property 属性名称
+     * @returns {*} 属性值，没有时为 null
+     */
+    getStyleProperty(styleId, property) {
+        let style = this.styles.get(styleId);
+        for (let depth = 0; style && depth < 10; depth++) {
+            if (style[property]) return style[property];
+            style = this.styles.get(style.basedOn);
+        }
+        return null;
+    }
+
+    /**
+     * 获取段落的居中或右对齐方式
+     * @param {Object|null} pPr 段落属性
+     * @returns {string} 'center'、'right'，其他对齐方式为空字符串
+     */
+    getAlignment(pPr) {
+        const jc = pPr ? this.getValue(pPr, 'w:jc') : null;
+        return { center: 'center', right: 'right', end: 'right' }[jc] || '';
+    }
+
+    /**
+     * 把列表项转换为嵌套的 HTML 列表
+     * @param {Array<Object>} items 列表项 { html, level, ordered, start }
+     * @returns {string} HTML
+     */
+    renderList(items) {
+        const stack = [];
+        let html = '';
+
+        items.forEach(item => {
+            const depth = item.level + 1;
+            const tag = item.ordered ? 'ol' : 'ul';
+
+            if (stack.length >= depth) {
+                while (stack.length > depth) {
+                    html += `</li></${stack.pop()}>`;
+                }
+                html += '</li>';
+                // 同一级别换了列表类型时结束原来的列表
+                if (stack[depth - 1] !== tag) {
+                    html += `</${stack.pop()}>`;
+                }
+            }
+            while (stack.length < depth) {
+                const start = item.ordered && item.start !== 1 && stack.length === depth - 1 ? ` start="${item.start}"` : '';
+                html += `<${tag}${start}>`;
+                stack.push(tag);
+            }
+            html += `<li>${item.html}`;
+        });
+
+        while (stack.length > 0) {
+            html += `</li></${stack.pop()}>`;
+        }
+        return html;
+    }
+
+    /**
+     * 转换表格，横向合并（gridSpan）和纵向合并（vMerge）转换为 colspan 和 rowspan
+     * @param {Object} node w:tbl 节点
+     * @returns {string} HTML
+     */
+    convertTable(node) {
+        const rows = [];
+        // 每列正在纵向合并的单元格
+        const merging = [];
+
+        node.children.filter(child => child.name === 'w:tr').forEach(tr => {
+            const trPr = this.getChild(tr, 'w:trpr');
+            const header = Boolean(trPr && this.getChild(trPr, 'w:tblheader'));
+            let column = Number(trPr ? this.getValue(trPr, 'w:gridbefore') : 0) || 0;
+            const cells = [];
+
+            this.expandContentControls(tr.children).filter(child => child.name === 'w:tc').forEach(tc => {
+                const tcPr = this.getChild(tc, 'w:tcpr');
+                const colspan = Number(tcPr ? this.getValue(tcPr, 'w:gridspan') : 1) || 1;
+                const vMerge = tcPr ? this.getChild(tcPr, 'w:vmerge') : null;
+
+                if (vMerge && vMerge.attrs['w:val'] !== 'restart' && merging[column]) {
+                    merging[column].rowspan++;
+                } else {
+                    const firstParagraph = tc.children.find(child => child.name === 'w:p');
+                    const cell = {
+                        html: this.renderBlocks(tc.children, true),
+                        colspan,
+                        rowspan: 1,
+                        header,
+                        align: firstParagraph ? this.getAlignment(this.getChild(firstParagraph, 'w:ppr')) : ''
+                    };
+                    cells.push(cell);
+                    for (let i = 0; i < colspan; i++) {
+                        merging[column + i] = vMerge ? cell : null;
+                    }
+                }
+                column += colspan;
+            });
+
+            rows.push(cells);
+        });
+
+        const body = rows.map(cells => `<tr>${cells.map(cell => {
+            const tag = cell.header ? 'th' : 'td';
+            const attrs = (cell.colspan > 1 ? ` colspan="${cell.colspan}"` : '')
+                + (cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : '')
+                + (cell.align ? ` align="${cell.align}"` : '');
+            return `<${tag}${attrs}>${cell.html}</${tag}>`;
+        }).join('')}</tr>`).join('\n');
+
+        return `<table>\n${body}\n</table>`;
+    }
+
+    /**
+     * 转换段落中的行内内容
+     * 格式相同的相邻文字合并后再加标记，避免 Word 拆分的文字生成 **a****b**
+     * @param {Array<Object>} nodes 节点
+     * @returns {string} HTML
+     */
+    convertInline(nodes) {
+        const parts = [];
+        const push = part => {
+            const last = parts[parts.length - 1];
+            if (last && last.format && part.format && last.format.key === part.format.key) {
+                last.html += part.html;
+            } else {
+                parts.push(part);
+            }
+        };
+        // 复杂域（如 HYPERLINK）：指令和显示的结果分别在不同的 w:r 中
+        let field = null;
+
+        this.expandContentControls(nodes).forEach(node => {
+            switch (node.name) {
+                case 'w:r': {
+                    const fieldChar = this.getChild(node, 'w:fldchar');
+                    const instruction = this.getChild(node, 'w:instrtext');
+                    if (fieldChar) {
+                        const type = fieldChar.attrs['w:fldchartype'];
+                        if (type === 'begin') {
+                            field = { instruction: '', parts: [], separated: false };
+                        } else if (type === 'separate' && field) {
+                            field.separated = true;
+                        } else if (type === 'end' && field) {
+                            push(this.finishField(field));
+                            field = null;
+                        }
+                    } else if (instruction && field) {
+                        field.instruction += this.getText(instruction);
+                    } else if (!field) {
+                        push(this.convertRun(node));
+                    } else if (field.separated) {
+                        field.parts.push(this.convertRun(node));
+                    }
+                    break;
+                }
+                case 'w:hyperlink':
+                    push({ html: this.convertHyperlink(node) });
+                    break;
+                case 'w:fldsimple':
+                    push(this.finishField({
+                        instruction: node.attrs['w:instr'] || '',
+                        parts: [{ html: this.convertInline(node.children) }]
+                    }));
+                    break;
+                case 'w:smarttag':
+                    push({ html: this.convertInline(node.children) });
+                    break;
+                case 'm:omath':
+                case 'm:omathpara':
+                    this.drop('公式');
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        // 跨段落的域（如目录）只保留本段中显示的结果
+        if (field && field.separated) {
+            parts.push(...field.parts);
+        }
+
+        return parts.map(part => part.format ? this.wrapRun(part.html, part.format) : part.html).join('');
+    }
+
+    /**
+     * 结束复杂域，HYPERLINK 域转换为链接，其他域只保留显示的结果
+     * @param {Object} field 域 { instruction, parts }
+     * @returns {Object} 行内内容 { html }
+     */
+    finishField(field) {
+        const html = field.parts.map(part => part.format ? this.wrapRun(part.html, part.format) : part.html).join('');
+        const link = /^\s*HYPERLINK\s+"([^"]+)"/i.exec(field.instruction);
+        if (link && html.trim()) {
+            return { html: `<a href="${this.tokenizer.escapeAttribute(link[1])}">${html}</a>` };
+        }
+        if (/^\s*HYPERLINK\s+\\l/i.test(field.instruction)) {
+            this.drop('文档内链接');
+        }
+        return { html };
+    }
+
+    /**
+     * 转换超链接
+     * @param {Object} node w:hyperlink 节点
+     * @returns {string} HTML
+     */
+    convertHyperlink(node) {
+        const content = this.convertInline(node.children);
+        const relationship = this.relationships.get(node.attrs['r:id']);
+
+        if (relationship && relationship.external) {
+            const anchor = node.attrs['w:anchor'] ? `#${node.attrs['w:anchor']}` : '';
+            return `<a href="${this.tokenizer.escapeAttribute(relationship.target + anchor)}">${content}</a>`;
+        }
+        // 指向书签的文档内链接
+        if (node.attrs['w:anchor']) {
+            this.drop('文档内链接');
+        }
+        return content;
+    }
+
+    /**
+     * 转换文字片段
+     * @param {Object} node w:r 节点
+     * @returns {Object} 行内内容 { html, format }
+     */
+    convertRun(node) {
+        const rPr = this.getChild(node, 'w:rpr');
+        const format = this.getRunFormat(rPr);
+        let html = '';
+
+        node.children.forEach(child => {
+            switch (child.name) {
+                case 'w:t':
+                    html += this.escapeHTML(this.getText(child));
+                    break;
+                case 'w:tab':
+                    html += ' ';
+                    break;
+                case 'w:br':
+                case 'w:cr':
+                    // 分页符和分栏符不保留
+                    if (!['page', 'column'].includes(child.attrs['w:type'])) {
+                        html += '<br>';
+                    }
+                    break;
+                case 'w:nobreakhyphen':
+                    html += '-';
+                    break;
+                case 'w:drawing':
+                case 'w:pict':
+                case 'w:object':
+                    html += this.convertGraphic(child);
+                    break;
+                case 'mc:alternatecontent': {
+                    // 优先使用新格式的内容
+                    const choice = this.getChild(child, 'mc:choice') || this.getChild(child, 'mc:fallback');
+                    (choice ? choice.children : [])
+                        .filter(graphic => ['w:drawing', 'w:pict'].includes(graphic.name))
+                        .forEach(graphic => {
+                            html += this.convertGraphic(graphic);
+                        });
+                    break;
+                }
+                case 'w:footnotereference':
+                case 'w:endnotereference':
+                    this.drop('脚注');
+                    break;
+                case 'w:commentreference':
+                    this.drop('批注');
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return { html, format };
+    }
+
+    /**
+     * 读取文字格式，无法转换的格式记录为丢弃
+     * @param {Object|null} rPr 文字属性
+     * @returns {Object} { bold, italic, strike, code, vertAlign, key }
+     */
+    getRunFormat(rPr) {
+        const isOn = name => {
+            const node = rPr ? this.getChild(rPr, name) : null;
+            return Boolean(node) && !['0', 'false', 'off'].includes(node.attrs['w:val']);
+        };
+
+        const fonts = rPr ? this.getChild(rPr, 'w:rfonts') : null;
+        const format = {
+            bold: isOn('w:b'),
+            italic: isOn('w:i'),
+            strike: isOn('w:strike') || isOn('w:dstrike'),
+            code: Boolean(fonts) && MONOSPACE_FONT.test(fonts.attrs['w:ascii'] || fonts.attrs['w:hansi'] || ''),
+            vertAlign: rPr ? this.getValue(rPr, 'w:vertalign') || '' : ''
+        };
+        format.key = [format.bold, format.italic, format.strike, format.code, format.vertAlign].join();
+
+        if (rPr) {
+            const underline = this.getValue(rPr, 'w:u');
+            // 超链接样式自带的下划线和颜色不算丢弃
+            const hyperlinkStyle = /hyperlink/i.test(this.getValue(rPr, 'w:rstyle') || '');
+            if (underline && underline !== 'none' && !hyperlinkStyle) this.drop('下划线');
+
+            const color = this.getValue(rPr, 'w:color');
+            if (color && !/^(auto|000000)$/i.test(color) && !hyperlinkStyle) this.drop('文字颜色');
+
+            const highlight = this.getValue(rPr, 'w:highlight');
+            const shading = this.getChild(rPr, 'w:shd');
+            if ((highlight && highlight !== 'none') || (shading && !/^(auto|ffffff)?$/i.test(shading.attrs['w:fill'] || ''))) {
+                this.drop('文字底色');
+            }
+        }
+
+        return format;
+    }
+
+    /**
+     * 给文字加上格式
+     * @param {string} html 文字
+     * @param {Object} format 格式
+     * @returns {string} HTML
+     */
+    wrapRun(html, format) {
+        if (!html.trim()) return html;
+
+        let result = html;
+        if (format.code) result = `<code>${result}</code>`;
+        if (format.vertAlign === 'superscript') result = `<sup>${result}</sup>`;
+        if (format.vertAlign === 'subscript') result = `<sub>${result}</sub>`;
+        if (format.strike) result = `<del>${result}</del>`;
+        if (format.italic) result = `<em>${result}</em>`;
+        if (format.bold) result = `<strong>${result}</strong>`;
+        return result;
+    }
+
+    /**
+     * 转换图片，图片文件记录下来，转换结束后统一读取
+     * @param {Object} node w:drawing、w:pict 或 w:object 节点
+     * @returns {string} HTML
+     */
+    convertGraphic(node) {
+        const blip = this.findElement(node, 'a:blip');
+        const imageData = this.findElement(node, 'v:imagedata');
+        const id = blip ? blip.attrs['r:embed'] : imageData ? imageData.attrs['r:id'] : null;
+        const relationship = id ? this.relationships.get(id) : null;
+
+        if (!relationship || relationship.external) {
+            this.drop('图形或文本框');
+            return '';
+        }
+
+        const name = relationship.target.split('/').pop();
+        if (!ImageStore.isImageName(name)) {
+            // EMF、WMF 等浏览器无法显示的格式
+            this.drop('无法显示的图片');
+            return '';
+        }
+        this.images.set(relationship.target, name);
+
+        const properties = this.findElement(node, 'wp:docpr');
+        const alt = properties ? properties.attrs.descr || properties.attrs.title || '' : '';
+        return `<img src="${this.tokenizer.escapeAttribute(name)}" alt="${this.tokenizer.escapeAttribute(alt)}">`;
+    }
+
+    /**
+     * 记录无法转换的格式
+     * @param {string} label 格式名称
+     */
+    drop(label) {
+        this.dropped.set(label, (this.dropped.get(label) || 0) + 1);
+    }
+
+    /**
+     * 汇总无法转换的格式
+     * @returns {string} 说明，没有丢弃任何格式时为空字符串
+     */
+    describeDropped() {
+        if (this.dropped.size === 0) {
+            return '';
+        }
+
+        const parts = Array.from(this.dropped.entries()).map(([label, count]) => `${count} 处${label}`);
+        return `以下格式无法转换为 Markdown，已忽略：${parts.join('、')}`;
+    }
+
+    /**
+     * 获取第一个指定名称的子元素
+     * @param {Object} node 节点
+     * @param {string} name 元素名称
+     * @returns {Object|null} 子元素
+     */
+    getChild(node, name) {
+        return node.children.find(child => child.name === name) || null;
+    }
+
+    /**
+     * 获取子元素的 w:val 属性，如 <w:pStyle w:val="Heading1"/>
+     * @param {Object} node 节点
+     * @param {string} name 子元素名称
+     * @returns {string|null} 属性值，子元素不存在时为 null；子元素没有 w:val 时为空字符串
+     */
+    getValue(node, name) {
+        const child = this.getChild(node, name);
+        return child ? child.attrs['w:val'] || '' : null;
+    }
+
+    /**
+     * 查找第一个指定名称的后代元素
+     * @param {Object} node 节点
+     * @param {string} name 元素名称
+     * @returns {Object|null} 元素
+     */
+    findElement(node, name) {
+        for (const child of node.children || []) {
+            if (child.name === name) return child;
+            const found = this.findElement(child, name);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * 查找全部指定名称的后代元素
+     * @param {Object} node 节点
+     * @param {string} name 元素名称
+     * @returns {Array<Object>} 元素
+     */
+    findElements(node, name) {
+        const result = [];
+        (node.children || []).forEach(child => {
+            if (child.name === name) result.push(child);
+            result.push(...this.findElements(child, name));
+        });
+        return result;
+    }
+
+    /**
+     * 获取节点的文本
+     * @param {Object} node 节点
+     * @returns {string} 文本
+     */
+    getText(node) {
+        return node.children.map(child => child.text !== undefined ? child.text : this.getText(child)).join('');
+    }
+
+    /**
+     * 转义 HTML 文本
+     * @param {string} text 文本
+     * @returns {string} 转义后的文本
+     */
+    escapeHTML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
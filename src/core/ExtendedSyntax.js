@@ -0,0 +1,507 @@
+/**
+ * 扩展语法
+ * 为 marked 提供脚注、定义列表、缩写、上下标和高亮标记语法
+ *
+ * - 脚注: 正文中的 [^1] 与 [^1]: 脚注内容，渲染为文末带返回链接的编号列表
+ * - 定义列表: 术语行后接 ": 定义"
+ * - 缩写: *[HTML]: Hyper Text Markup Language
+ * - 下标 H~2~O、上标 x^2^、高亮 ==文本==
+ */
+
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+import { findBlockStart } from './BlockStart.js';
+
+// 不进行缩写替换的元素
+const ABBR_SKIP_TAGS = new Set(['code', 'pre', 'abbr', 'script', 'style', 'svg', 'math']);
+
+export class ExtendedSyntax {
+    constructor() {
+        this.tokenizer = new HTMLTokenizer();
+        this.reset();
+    }
+
+    /**
+     * 重置单次解析的状态，每次解析前调用
+     */
+    reset() {
+        this.footnotes = new Map();      // id -> 渲染后的脚注内容
+        this.footnoteOrder = [];         // 按首次引用排序的脚注 id
+        this.footnoteRefs = new Map();   // id -> 引用次数
+        this.abbreviations = new Map();  // 缩写 -> 全称
+        this.used = false;
+    }
+
+    /**
+     * 获取 marked 扩展
+     * @returns {Array<Object>} marked 扩展
+     */
+    getExtensions() {
+        const syntax = this;
+
+        return [
+            {
+                name: 'footnoteDefinition',
+                level: 'block',
+                start: (src) => findBlockStart(src, /^\[\^[^\]\s]+\]:/m),
+                tokenizer(src) {
+                    const match = /^\[\^([^\]\s]+)\]:[ \t]*/.exec(src);
+                    if (!match) return;
+
+                    const { raw, text } = syntax.readIndentedBlock(src, match[0].length);
+                    return { type: 'footnoteDefinition', raw, id: match[1], tokens: this.lexer.blockTokens(text, []) };
+                },
+                renderer(token) {
+                    // 脚注内容在文末统一输出
+                    syntax.used = true;
+                    syntax.footnotes.set(token.id, this.parser.parse(token.tokens));
+                    return '';
+                }
+            },
+            {
+                name: 'abbreviationDefinition',
+                level: 'block',
+                start: (src) => findBlockStart(src, /^\*\[[^\]]+\]:/m),
+                tokenizer(src) {
+                    const match = /^\*\[([^\]]+)\]:[ \t]*([^\n]*)(?:\n+|$)/.exec(src);
+                    if (!match) return;
+
+                    return { type: 'abbreviationDefinition', raw: match[0], abbr: match[1].trim(), title: match[2].trim() };
+                },
+                renderer(token) {
+                    syntax.abbreviations.set(token.abbr, token.title);
+                    return '';
+                }
+            },
+            {
+                name: 'definitionList',
+                level: 'block',
+                tokenizer(src) {
+                    const list = syntax.readDefinitionList(src);
+                    if (!list) return;
+
+                    // 行内内容排队到块级分词结束后处理，这样才能引用文档后面定义的链接
+                    return {
+                        type: 'definitionList',
+                        raw: list.raw,
+                        items: list.items.map(item => ({
+                            terms: item.terms.map(term => this.lexer.inline(term)),
+                            definitions: item.definitions.map(definition => /\n\s*\n/.test(definition)
+                                ? { block: true, tokens: this.lexer.blockTokens(definition, []) }
+                                : { block: false, tokens: this.lexer.inline(definition) })
+                        }))
+                    };
+                },
+                renderer(token) {
+                    syntax.used = true;
+                    const items = token.items.map(item => {
+                        const terms = item.terms.map(tokens => `<dt>${this.parser.parseInline(tokens)}</dt>\n`).join('');
+                        const definitions = item.definitions.map(definition => definition.block
+                            ? `<dd>${this.parser.parse(definition.tokens)}</dd>\n`
+                            : `<dd>${this.parser.parseInline(definition.tokens)}</dd>\n`).join('');
+                        return terms + definitions;
+                    }).join('');
+                    return `<dl>\n${items}</dl>\n`;
+                }
+            },
+            {
+                name: 'footnoteReference',
+                level: 'inline',
+                start: (src) => this.indexOf(src, '[^'),
+                tokenizer(src) {
+                    // 后面紧跟 ( 或 [ 时交给链接语法处理
+                    const match = /^\[\^([^\]\s]+)\](?![([])/.exec(src);
+                    if (match) {
+                        return { type: 'footnoteReference', raw: match[0], id: match[1] };
+                    }
+                },
+                renderer(token) {
+                    // 是否已定义在渲染时判断，分词结果不依赖文档中其他位置的定义
+                    if (!syntax.footnotes.has(token.id)) {
+                        return syntax.escape(token.raw);
+                    }
+                    return syntax.renderFootnoteReference(token.id);
+                }
+            },
+            {
+                name: 'mark',
+                level: 'inline',
+                start: (src) => this.indexOf(src, '=='),
+                tokenizer(src) {
+                    const match = /^==(?=[^\s=])([\s\S]*?[^\s=])==(?!=)/.exec(src);
+                    if (match) {
+                        return { type: 'mark', raw: match[0], tokens: this.lexer.inlineTokens(match[1]) };
+                    }
+                },
+                renderer(token) {
+                    syntax.used = true;
+                    return `<mark>${this.parser.parseInline(token.tokens)}</mark>`;
+                }
+            },
+            {
+                name: 'subscript',
+                level: 'inline',
+                start: (src) => this.indexOf(src, '~'),
+                tokenizer(src) {
+                    // 单个 ~ 包围且不含空白，~~ 仍为删除线
+                    const match = /^~(?!~)((?:\\.|[^\s~\\])+)~(?!~)/.exec(src);
+                    if (match) {
+                        return { type: 'subscript', raw: match[0], text: syntax.unescape(match[1]) };
+                    }
+                },
+                renderer(token) {
+                    syntax.used = true;
+                    return `<sub>${syntax.escape(token.text)}</sub>`;
+                }
+            },
+            {
+                name: 'superscript',
+                level: 'inline',
+                start: (src) => this.indexOf(src, '^'),
+                tokenizer(src) {
+                    const match = /^\^((?:\\.|[^\s^\\])+)\^/.exec(src);
+                    if (match) {
+                        return { type: 'superscript', raw: match[0], text: syntax.unescape(match[1]) };
+                    }
+                },
+                renderer(token) {
+                    syntax.used = true;
+                    return `<sup>${syntax.escape(token.text)}</sup>`;
+                }
+            }
+        ];
+    }
+
+    /**
+     * 解析结束后的处理：输出脚注列表并替换缩写
+     * @param {string} html 解析后的 HTML
+     * @returns {string} 处理后的 HTML
+     */
+    postprocess(html) {
+        let result = html;
+
+        if (this.footnoteOrder.length > 0) {
+            result += this.renderFootnotes();
+        }
+
+        // 脚注内容中的缩写同样需要替换
+        if (this.abbreviations.size > 0) {
+            result = this.applyAbbreviations(result);
+        }
+
+        return result;
+    }
+
+    /**
+     * 登记 token 树中的脚注定义，需要在渲染前调用
+     * @param {Array<Object>} tokens marked token 列表
+     */
+    collectFootnoteDefinitions(tokens) {
+        (tokens || []).forEach(token => {
+            if (token.type === 'footnoteDefinition' && !this.footnotes.has(token.id)) {
+                this.footnotes.set(token.id, null);
+            }
+            if (token.tokens) {
+                this.collectFootnoteDefinitions(token.tokens);
+            }
+            if (token.type === 'list') {
+                this.collectFootnoteDefinitions(token.items);
+            }
+        });
+    }
+
+    /**
+     * 渲染脚注引用
+     * @param {string} id 脚注 id
+     * @returns {string} 引用 HTML
+     */
+    renderFootnoteReference(id) {
+        if (!this.footnoteRefs.has(id)) {
+            this.footnoteOrder.push(id);
+            this.footnoteRefs.set(id, 0);
+        }
+
+        const count = this.footnoteRefs.get(id) + 1;
+        this.footnoteRefs.set(id, count);
+        this.used = true;
+
+        const number = this.footnoteOrder.indexOf(id) + 1;
+        const slug = this.getFootnoteSlug(id);
+        const refId = count === 1 ? `fnref-${slug}` : `fnref-${slug}-${count}`;
+
+        return `<sup class="footnote-ref"><a href="#fn-${slug}" id="${refId}">${number}</a></sup>`;
+    }
+
+    /**
+     * 渲染文末脚注列表
+     * @returns {string} 脚注 HTML
+     */
+    renderFootnotes() {
+        const items = this.footnoteOrder.map(id => {
+            const slug = this.getFootnoteSlug(id);
+            const count = this.footnoteRefs.get(id);
+            const backLinks = Array.from({ length: count }, (_, index) => {
+                const refId = index === 0 ? `fnref-${slug}` : `fnref-${slug}-${index + 1}`;
+                const suffix = index === 0 ? '' : `<sup>${index + 1}</sup>`;
+                return `<a href="#${refId}" class="footnote-backref" aria-label="返回正文">↩${suffix}</a>`;
+            }).join(' ');
+
+            const content = (this.footnotes.get(id) || '').trim();
+            const body = /<\/p>$/.test(content)
+                ? content.replace(/<\/p>$/, ` ${backLinks}</p>`)
+                : `${content} ${backLinks}`;
+
+            return `<li id="fn-${slug}">${body}</li>`;
+        });
+
+        return `<section class="footnotes">\n<hr>\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n`;
+    }
+
+    /**
+     * 将脚注 id 转换为可用于锚点的形式
+     * @param {string} id 脚注 id
+     * @returns {string} 锚点片段
+     */
+    getFootnoteSlug(id) {
+        return String(id).replace(/[^\w\u4e00-\u9fa5-]/g, '-');
+    }
+
+    /**
+     * 在文本节点中为已定义的缩写添加 <abbr> 标签
+     * @param {string} html HTML 内容
+     * @returns {string} 处理后的 HTML
+     */
+    applyAbbreviations(html) {
+        const entries = [...this.abbreviations.entries()]
+            .filter(([abbr]) => abbr)
+            .sort((a, b) => b[0].length - a[0].length);
+        if (entries.length === 0) return html;
+
+        const titles = new Map(entries.map(([abbr, title]) => [this.escape(abbr), title]));
+        const pattern = new RegExp(
+            `(^|[^\\w])(${[...titles.keys()].map(abbr => abbr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![\\w])`,
+            'g'
+        );
+
+        const skipStack = [];
+        let changed = false;
+        const output = this.tokenizer.tokenize(html).map(token => {
+            if (token.type === 'startTag' && ABBR_SKIP_TAGS.has(token.name) && !token.selfClosing) {
+                skipStack.push(token.name);
+            } else if (token.type === 'endTag' && skipStack[skipStack.length - 1] === token.name) {
+                skipStack.pop();
+            } else if (token.type === 'text' && !token.raw && skipStack.length === 0) {
+                const replaced = token.value.replace(pattern, (match, before, abbr) =>
+                    `${before}<abbr title="${this.escape(titles.get(abbr))}">${abbr}</abbr>`);
+                if (replaced !== token.value) {
+                    changed = true;
+                    this.used = true;
+                    return replaced;
+                }
+                return token.value;
+            }
+
+            return token.type === 'text' ? token.value : token.raw;
+        });
+
+        return changed ? output.join('') : html;
+    }
+
+    /**
+     * 读取首行及其后缩进的续行（脚注内容可以包含多个段落）
+     * @param {string} src 源文本
+     * @param {number} offset 首行内容的起始位置
+     * @returns {Object} { raw, text }
+     */
+    readIndentedBlock(src, offset) {
+        const lines = src.slice(offset).split('\n');
+        const collected = [lines[0]];
+        let index = 1;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            if (/^( {2,}|\t)\S/.test(line)) {
+                collected.push(line.replace(/^( {1,4}|\t)/, ''));
+                index++;
+                continue;
+            }
+
+            // 空行之后仍有缩进内容时属于同一脚注
+            if (line.trim() === '') {
+                let next = index;
+                while (next < lines.length && lines[next].trim() === '') next++;
+                if (next < lines.length && /^( {2,}|\t)\S/.test(lines[next])) {
+                    for (; index < next; index++) collected.push('');
+                    continue;
+                }
+            }
+            break;
+        }
+
+        // 吃掉结尾的空行
+        let end = index;
+        while (end < lines.length && lines[end].trim() === '' && end < lines.length - 1) end++;
+
+        const raw = src.slice(0, offset) + lines.slice(0, end).join('\n') + (end < lines.length ? '\n' : '');
+        return { raw, text: collected.join('\n') };
+    }
+
+    /**
+     * 读取定义列表
+     * @param {string} src 源文本
+     * @returns {Object|null} { raw, items: [{ terms, definitions }] }
+     */
+    readDefinitionList(src) {
+        // 第一个空行之前必须出现定义行，避免每个块都拆分剩余的全文
+        const paragraphEnd = src.search(/\n[ \t]*\n/);
+        if (!/\n:[ \t]/.test(paragraphEnd >= 0 ? src.slice(0, paragraphEnd) : src)) {
+            return null;
+        }
+
+        const lines = src.split('\n');
+        const items = [];
+        let index = 0;
+        let consumed = 0;
+
+        while (index < lines.length) {
+            const terms = [];
+            let cursor = index;
+            while (cursor < lines.length && lines[cursor].trim() !== '' && !/^:[ \t]/.test(lines[cursor])) {
+                terms.push(lines[cursor].trim());
+                cursor++;
+            }
+
+            if (terms.length === 0 || cursor >= lines.length || !/^:[ \t]/.test(lines[cursor])) {
+                break;
+            }
+
+            const definitions = [];
+            while (cursor < lines.length && /^:[ \t]/.test(lines[cursor])) {
+                const definition = [lines[cursor].replace(/^:[ \t]+/, '')];
+                cursor++;
+                while (cursor < lines.length) {
+                    if (/^( {2,}|\t)\S/.test(lines[cursor])) {
+                        definition.push(lines[cursor].replace(/^( {1,4}|\t)/, ''));
+                        cursor++;
+                    } else if (lines[cursor].trim() === '' && cursor + 1 < lines.length && /^( {2,}|\t)\S/.test(lines[cursor + 1])) {
+                        definition.push('');
+                        cursor++;
+                    } else {
+                        break;
+                    }
+                }
+                definitions.push(definition.join('\n'));
+            }
+
+            items.push({ terms, definitions });
+            consumed = cursor;
+
+            // 空行之后若仍是 "术语 + 定义"，属于同一个列表
+            while (cursor < lines.length && lines[cursor].trim() === '') cursor++;
+            index = cursor;
+        }
+
+        if (items.length === 0) {
+            return null;
+        }
+
+        // 包含列表后紧跟的空行
+        let end = consumed;
+        while (end < lines.length - 1 && lines[end].trim() === '') end++;
+        const raw = lines.slice(0, end).join('\n') + (end < lines.length ? '\n' : '');
+
+        return { raw, items };
+    }
+
+    /**
+     * 查找子串位置
+     * @param {string} src 源文本
+     * @param {string} search 子串
+     * @returns {number|undefined} 位置
+     */
+    indexOf(src, search) {
+        const index = src.indexOf(search);
+        return index >= 0 ? index : undefined;
+    }
+
+    /**
+     * 去除反斜杠转义
+     * @param {string} text 文本
+     * @returns {string} 处理后的文本
+     */
+    unescape(text) {
+        return text.replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * 转义 HTML 字符
+     * @param {string} text 文本
+     * @returns {string} 转义后的文本
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 获取扩展语法所需的 CSS
+     * @returns {string} CSS 样式
+     */
+    getStyles() {
+        return `
+dl {
+    margin: 1rem 0;
+}
+
+dt {
+    font-weight: 600;
+    margin-top: 0.5rem;
+}
+
+dd {
+    margin: 0.25rem 0 0.5rem 2rem;
+}
+
+mark {
+    background-color: #fff3a3;
+    color: inherit;
+    padding: 0 0.15em;
+}
+
+.theme-dark mark {
+    background-color: #5c4d00;
+}
+
+abbr[title] {
+    cursor: help;
+    text-decoration: underline dotted;
+}
+
+.footnote-ref a {
+    text-decoration: none;
+}
+
+.footnotes {
+    font-size: 0.9em;
+    margin-top: 2rem;
+}
+
+.footnote-backref {
+    text-decoration: none;
+}`;
+    }
+
+    /**
+     * 获取扩展语法在清理器中需要允许的标签
+     * strict 策略默认不包含这些元素
+     * @returns {Object} 允许列表
+     */
+    getSanitizerAllowList() {
+        return {
+            tags: ['sup', 'sub', 'mark', 'abbr', 'dl', 'dt', 'dd', 'section'],
+            attributes: {}
+        };
+    }
+}
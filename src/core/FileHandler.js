@@ -3,9 +3,47 @@
  * 负责文件的下载和生成
  */
 
+import { HTMLSanitizer } from './HTMLSanitizer.js';
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+
+// 导出文档的亮色和暗色配色，以 CSS 变量提供，body.theme-dark 中使用暗色
+const PALETTES = {
+    light: {
+        'text-color': '#333',
+        'background-color': '#fff',
+        'muted-color': '#666',
+        'border-color': '#ddd',
+        'surface-color': '#fafafa',
+        'quote-background': '#f8f9fa',
+        'code-background': '#f1f3f4',
+        'pre-background': '#f8f9fa',
+        'table-header-background': '#f9f9f9',
+        'link-color': '#007acc'
+    },
+    dark: {
+        'text-color': '#e1e1e1',
+        'background-color': '#1a1a1a',
+        'muted-color': '#aaa',
+        'border-color': '#444',
+        'surface-color': '#222',
+        'quote-background': '#2a2a2a',
+        'code-background': '#2d2d2d',
+        'pre-background': '#2d2d2d',
+        'table-header-background': '#333',
+        'link-color': '#4ea8de'
+    }
+};
+
+// 读者选择的主题保存在本地存储中的键
+const EXPORT_THEME_STORAGE_KEY = 'md2page-export-theme';
+
 export class FileHandler {
     constructor() {
         this.defaultFileName = 'markdown-document';
+        this.sanitizer = new HTMLSanitizer();
+        this.tokenizer = new HTMLTokenizer();
+        this.lastSanitizeReport = null;
+        this.lastImageReport = null;
     }
 
     /**
@@ -14,26 +52,35 @@ export class FileHandler {
      * @param {string} fileName 文件名（可选）
      */
     downloadHTML(htmlContent, fileName = null) {
-        try {
-            // 生成文件名
-            const finalFileName = fileName || this.generateFilename(htmlContent);
-            
-            // 确保文件名以 .html 结尾
-            const fullFileName = finalFileName.endsWith('.html') 
-                ? finalFileName 
-                : `${finalFileName}.html`;
+        // 生成文件名
+        const finalFileName = fileName || this.generateFilename(htmlContent);
+
+        // 确保文件名以 .html 结尾
+        const fullFileName = finalFileName.endsWith('.html')
+            ? finalFileName
+            : `${finalFileName}.html`;
+
+        return this.downloadFile(htmlContent, fullFileName, 'text/html;charset=utf-8');
+    }
 
+    /**
+     * 下载文件
+     * @param {string|Uint8Array} content 文件内容
+     * @param {string} fileName 文件名
+     * @param {string} mimeType MIME 类型
+     * @returns {Object} 下载结果 { success, fileName, size } 或 { success, error }
+     */
+    downloadFile(content, fileName, mimeType) {
+        try {
             // 创建 Blob 对象
-            const blob = new Blob([htmlContent], { 
-                type: 'text/html;charset=utf-8' 
-            });
+            const blob = new Blob([content], { type: mimeType });
 
             // 创建下载链接
             const url = URL.createObjectURL(blob);
             const link = document.createElement('a');
             
             link.href = url;
-            link.download = fullFileName;
+            link.download = fileName;
             link.style.display = 'none';
 
             // 触发下载
@@ -48,7 +95,7 @@ export class FileHandler {
 
             return {
                 success: true,
-                fileName: fullFileName,
+                fileName,
                 size: blob.size
             };
 
@@ -180,7 +227,7 @@ export class FileHandler {
             result.warnings.push('缺少 HEAD 部分');
         }
 
-        if (!htmlContent.includes('<body>') || !htmlContent.includes('</body>')) {
+        if (!/<body[\s>]/.test(htmlContent) || !htmlContent.includes('</body>')) {
             result.isValid = false;
             result.errors.push('缺少 BODY 部分');
         }
@@ -197,13 +244,45 @@ export class FileHandler {
      * 创建自包含的 HTML 文件
      * @param {string} htmlContent HTML 内容
      * @param {Object} options 选项
+     * @param {string} options.tocHTML 目录 HTML（由 TOCGenerator 生成）
+     * @param {string} options.tocLayout 目录布局：'sidebar'（默认）为可收起的侧边栏，带有滚动高亮，窄屏上为抽屉；
+     *   'inline' 放在正文前。不嵌入样式时总是放在正文前
+     * @param {string} options.sidebarHTML 多页面站点的侧边导航 HTML（由 SiteGenerator 生成）
+     * @param {string} options.footerHTML 放在正文后的 HTML，如上一页、下一页链接
+     * @param {Object} options.images 图片来源，提供 resolve(src) 返回 data URI（如 ImageStore），传入时把图片嵌入文件
+     * @param {string} options.theme 主题，加入主题切换时只在浏览器不支持脚本或无法检测系统主题时使用
+     * @param {boolean} options.themeToggle 是否加入亮色/暗色切换按钮，默认 true。
+     *   加入时页面默认跟随读者系统的 prefers-color-scheme，读者的选择保存在本地存储中
+     * @param {string} options.maxWidth 正文最大宽度，如 '960px'，'none' 为不限制，缺省为 800px
+     * @param {string} options.fontFamily 正文字体（CSS font-family），缺省为系统无衬线字体
+     * @param {string} options.codeThemeStyles 代码高亮主题的 CSS，放在其他样式之后
+     * @param {string} options.markdownSource 原始 Markdown，传入时保存在 <script type="text/markdown"> 中
+     * @param {boolean} options.minify 是否压缩输出，去掉缩进和样式中的注释、多余空白，不改变正文和脚本
      * @returns {string} 自包含的 HTML
      */
     createSelfContainedHTML(htmlContent, options = {}) {
         const {
             title = 'Markdown Document',
             theme = 'light',
-            includeStyles = true
+            lang = 'zh-CN',
+            author = '',
+            date = '',
+            description = '',
+            includeStyles = true,
+            extraStyles = '',
+            extraScripts = '',
+            sanitizePolicy = 'safe',
+            tocHTML = '',
+            sidebarHTML = '',
+            footerHTML = '',
+            images = null,
+            themeToggle = true,
+            tocLayout = 'sidebar',
+            maxWidth = '',
+            fontFamily = '',
+            codeThemeStyles = '',
+            markdownSource = null,
+            minify = false
         } = options;
 
         // 如果已经是完整的 HTML 文档，直接返回
@@ -211,38 +290,271 @@ export class FileHandler {
             return htmlContent;
         }
 
+        // 导出前再次清理，确保下载的文件中不含可执行内容
+        const report = this.sanitizer.sanitize(htmlContent, sanitizePolicy);
+        this.lastSanitizeReport = report;
+
+        // 嵌入图片，导出的文件不再引用外部资源
+        this.lastImageReport = images ? this.embedImages(report.html, images) : null;
+        const bodyHTML = this.lastImageReport ? this.lastImageReport.html : report.html;
+
+        // 没有样式时切换主题和侧边目录都不起作用
+        const includeThemeToggle = includeStyles && themeToggle;
+        const tocSidebar = Boolean(tocHTML) && includeStyles && tocLayout === 'sidebar';
+        const bodyClasses = [
+            `theme-${theme}`,
+            sidebarHTML ? 'has-sidebar' : '',
+            tocSidebar ? 'toc-sidebar' : ''
+        ].filter(Boolean).join(' ');
+
         // 构建完整的 HTML 文档
-        return `<!DOCTYPE html>
-<html lang="zh-CN">
+        const html = `<!DOCTYPE html>
+<html lang="${this.escapeAttribute(lang)}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="generator" content="md2page">
     <title>${this.escapeHtml(title)}</title>
-    ${includeStyles ? this.getEmbeddedStyles(theme) : ''}
+    ${this.generateMetaTags({ author, date, description })}
+    ${includeStyles ? this.getEmbeddedStyles() : ''}
+    ${includeStyles && tocHTML ? this.getTOCStyles() : ''}
+    ${tocSidebar ? this.getTOCSidebarStyles() : ''}
+    ${includeStyles && (sidebarHTML || footerHTML) ? this.getSiteStyles() : ''}
+    ${includeThemeToggle ? this.getThemeToggleStyles() : ''}
+    ${includeStyles && extraStyles ? `<style>${extraStyles}\n</style>` : ''}
+    ${includeStyles && codeThemeStyles ? `<style>${codeThemeStyles}\n</style>` : ''}
+    ${includeStyles ? this.getLayoutStyles({ maxWidth, fontFamily }) : ''}
 </head>
-<body class="theme-${theme}">
+<body class="${bodyClasses}">
+    ${includeThemeToggle ? this.getThemeToggle() : ''}
+    ${sidebarHTML ? `<nav class="site-sidebar" aria-label="站点导航">
+        ${sidebarHTML}
+    </nav>` : ''}
+    ${tocSidebar ? `<button type="button" class="toc-toggle" aria-expanded="true" aria-label="隐藏目录">☰</button>
+    <div class="toc-overlay" hidden></div>` : ''}
+    ${tocHTML ? `<nav class="table-of-contents">
+        <h2 class="toc-title">目录</h2>
+        ${tocHTML}
+    </nav>` : ''}
     <div class="content">
-        ${htmlContent}
+        ${bodyHTML}
     </div>
+    ${footerHTML}
+    ${tocSidebar ? this.getTOCSidebarScript() : ''}
+    ${extraScripts ? `<script>${extraScripts.replace(/<\/script/gi, '<\\/script')}\n</script>` : ''}
+    ${typeof markdownSource === 'string' ? `<script type="text/markdown" id="md2page-source">${this.encodeMarkdownSource(markdownSource)}</script>` : ''}
 </body>
 </html>`;
+
+        return minify ? this.minifyHTML(html) : html;
+    }
+
+    /**
+     * 获取覆盖正文宽度和字体的样式，无法安全放入样式表的值会被忽略
+     * @param {Object} layout 布局 { maxWidth, fontFamily }
+     * @returns {string} CSS 样式，没有需要覆盖的设置时为空字符串
+     */
+    getLayoutStyles(layout) {
+        const variables = { 'content-width': layout.maxWidth, 'font-family': layout.fontFamily };
+        const declarations = Object.entries(variables)
+            .filter(([name, value]) => {
+                if (!value) return false;
+                if (/[;{}<>\\]/.test(value)) {
+                    console.warn(`忽略无效的样式设置 ${name}: ${value}`);
+                    return false;
+                }
+                return true;
+            })
+            .map(([name, value]) => `    --md-${name}: ${value};`);
+
+        return declarations.length > 0 ? `<style>
+body {
+${declarations.join('\n')}
+}
+</style>` : '';
+    }
+
+    /**
+     * 判断是否为本工具导出的 HTML 文件
+     * @param {string} html HTML 内容
+     * @returns {boolean} 是否为导出的文件
+     */
+    static isExportedHTML(html) {
+        return /<meta name="generator" content="md2page">/.test(html);
+    }
+
+    /**
+     * 取出导出文件中保存的原始 Markdown（包括 front matter）
+     * @param {string} html HTML 内容
+     * @returns {string|null} 原始 Markdown，文件中没有保存时返回 null
+     */
+    static extractMarkdownSource(html) {
+        const match = /<script type="text\/markdown" id="md2page-source">([\s\S]*?)<\/script>/.exec(html);
+        if (!match) {
+            return null;
+        }
+        return match[1].replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+    }
+
+    /**
+     * 编码嵌入文档的 Markdown 源码
+     * 只转义 & 和 <，保证内容不会提前结束 script 元素，可以由 FileHandler.extractMarkdownSource 原样还原
+     * @param {string} markdown Markdown 源码
+     * @returns {string} 编码后的文本
+     */
+    encodeMarkdownSource(markdown) {
+        return markdown.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    }
+
+    /**
+     * 压缩导出的 HTML
+     * pre、textarea 和 script 的内容保持不变；样式去掉注释和多余空白；其余部分只去掉换行后的缩进，
+     * 不删除标签之间的空白，行内元素之间的空格不受影响
+     * @param {string} html HTML
+     * @returns {string} 压缩后的 HTML
+     */
+    minifyHTML(html) {
+        const collapse = text => text.replace(/\s*\n\s*/g, '\n');
+        let result = '';
+        let lastIndex = 0;
+
+        for (const match of html.matchAll(/<(pre|textarea|script|style)\b[\s\S]*?<\/\1>/gi)) {
+            result += collapse(html.slice(lastIndex, match.index));
+            result += match[1].toLowerCase() === 'style' ? this.minifyCSS(match[0]) : match[0];
+            lastIndex = match.index + match[0].length;
+        }
+
+        return (result + collapse(html.slice(lastIndex))).trim();
+    }
+
+    /**
+     * 压缩样式，去掉注释和多余空白
+     * @param {string} css CSS（可以包含 style 标签）
+     * @returns {string} 压缩后的 CSS
+     */
+    minifyCSS(css) {
+        return css
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/\s*([{};,>])\s*/g, '$1')
+            .replace(/;}/g, '}');
+    }
+
+    /**
+     * 生成文档元信息标签
+     * @param {Object} meta 元信息 { author, date, description }
+     * @returns {string} meta 标签 HTML
+     */
+    generateMetaTags(meta) {
+        return ['author', 'date', 'description']
+            .filter(name => meta[name])
+            .map(name => `<meta name="${name}" content="${this.escapeAttribute(meta[name])}">`)
+            .join('\n    ');
+    }
+
+    /**
+     * 扩展导出时 HTML 清理的允许列表
+     * @param {Object} allowList 允许列表 { tags, attributes, protocols }
+     */
+    extendSanitizer(allowList) {
+        this.sanitizer.extend(allowList);
+    }
+
+    /**
+     * 把图片地址替换为 data URI
+     * @param {string} htmlContent HTML 内容
+     * @param {Object} images 图片来源，提供 resolve(src) 返回 data URI 或 null
+     * @returns {Object} { html, embedded: [src], failed: [{ src, reason }] }
+     */
+    embedImages(htmlContent, images) {
+        const result = { html: '', embedded: [], failed: [] };
+
+        result.html = this.tokenizer.tokenize(htmlContent).map(token => {
+            if (token.type !== 'startTag') {
+                return token.type === 'text' ? token.value : token.raw;
+            }
+
+            const src = token.name === 'img' && token.attrs.find(attr => attr.name === 'src');
+            if (!src || !src.value || /^data:/i.test(src.value)) {
+                return token.raw;
+            }
+
+            let dataURI = null;
+            try {
+                dataURI = images.resolve(src.value);
+            } catch (error) {
+                result.failed.push({ src: src.value, reason: error.message });
+                return token.raw;
+            }
+
+            if (!dataURI) {
+                const external = /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src.value);
+                result.failed.push({ src: src.value, reason: external ? '外部图片' : '找不到图片文件' });
+                return token.raw;
+            }
+
+            result.embedded.push(src.value);
+            src.value = dataURI;
+            return this.tokenizer.stringifyStartTag(token);
+        }).join('');
+
+        return result;
+    }
+
+    /**
+     * 获取最近一次导出的图片嵌入报告
+     * @returns {Object|null} 图片报告 { html, embedded, failed }，导出时没有传入图片来源时为 null
+     */
+    getImageReport() {
+        return this.lastImageReport;
+    }
+
+    /**
+     * 获取最近一次导出的清理报告
+     * @returns {Object|null} 清理报告 { html, removed, policy }
+     */
+    getSanitizeReport() {
+        return this.lastSanitizeReport;
+    }
+
+    /**
+     * 生成配色的 CSS 变量声明
+     * @param {string} theme 主题 'light' 或 'dark'
+     * @returns {string} CSS 声明
+     */
+    getPaletteVariables(theme) {
+        return Object.entries(PALETTES[theme])
+            .map(([name, value]) => `    --md-${name}: ${value};`)
+            .join('\n');
     }
 
     /**
      * 获取嵌入式样式
-     * @param {string} theme 主题
+     * 同时包含亮色和暗色配色，由 body 上的 theme-light 或 theme-dark 类决定使用哪一套
      * @returns {string} CSS 样式
      */
-    getEmbeddedStyles(theme) {
+    getEmbeddedStyles() {
         return `<style>
 body {
-    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+${this.getPaletteVariables('light')}
+    --md-content-width: 800px;
+    --md-font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+    color-scheme: light;
+}
+
+body.theme-dark {
+${this.getPaletteVariables('dark')}
+    color-scheme: dark;
+}
+
+body {
+    font-family: var(--md-font-family);
     line-height: 1.6;
-    max-width: 800px;
+    max-width: var(--md-content-width);
     margin: 0 auto;
     padding: 2rem;
-    color: ${theme === 'dark' ? '#e1e1e1' : '#333'};
-    background-color: ${theme === 'dark' ? '#1a1a1a' : '#fff'};
+    color: var(--md-text-color);
+    background-color: var(--md-background-color);
 }
 
 .content {
@@ -279,13 +591,13 @@ blockquote {
     margin: 1rem 0;
     padding: 1rem;
     border-left: 4px solid #007acc;
-    background-color: ${theme === 'dark' ? '#2a2a2a' : '#f8f9fa'};
+    background-color: var(--md-quote-background);
     border-radius: 0 4px 4px 0;
 }
 
 code {
-    background-color: ${theme === 'dark' ? '#2d2d2d' : '#f1f3f4'};
-    color: ${theme === 'dark' ? '#e1e1e1' : '#333'};
+    background-color: var(--md-code-background);
+    color: var(--md-text-color);
     padding: 0.2rem 0.4rem;
     border-radius: 3px;
     font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
@@ -293,8 +605,8 @@ code {
 }
 
 pre {
-    background-color: ${theme === 'dark' ? '#2d2d2d' : '#f8f9fa'};
-    color: ${theme === 'dark' ? '#e1e1e1' : '#333'};
+    background-color: var(--md-pre-background);
+    color: var(--md-text-color);
     padding: 1rem;
     border-radius: 6px;
     overflow-x: auto;
@@ -314,13 +626,13 @@ table {
 }
 
 th, td {
-    border: 1px solid ${theme === 'dark' ? '#444' : '#ddd'};
+    border: 1px solid var(--md-border-color);
     padding: 0.5rem;
     text-align: left;
 }
 
 th {
-    background-color: ${theme === 'dark' ? '#333' : '#f9f9f9'};
+    background-color: var(--md-table-header-background);
     font-weight: 600;
 }
 
@@ -332,7 +644,7 @@ img {
 }
 
 a {
-    color: #007acc;
+    color: var(--md-link-color);
     text-decoration: none;
 }
 
@@ -346,6 +658,12 @@ a:hover {
         size: A4;
     }
     
+    body,
+    body.theme-dark {
+${this.getPaletteVariables('light').replace(/^/gm, '    ')}
+        color-scheme: light;
+    }
+
     body {
         color: #000 !important;
         background-color: #fff !important;
@@ -408,15 +726,562 @@ a:hover {
 </style>`;
     }
 
+    /**
+     * 获取导出目录的样式
+     * @returns {string} CSS 样式
+     */
+    getTOCStyles() {
+        return `<style>
+.table-of-contents {
+    margin: 0 0 2rem;
+    padding: 1rem 1.5rem;
+    border: 1px solid var(--md-border-color);
+    border-radius: 6px;
+    background-color: var(--md-surface-color);
+}
+
+.table-of-contents .toc-title {
+    margin: 0 0 0.5rem;
+    font-size: 1.1rem;
+}
+
+.table-of-contents ul {
+    list-style: none;
+    margin: 0;
+    padding-left: 1rem;
+}
+
+.table-of-contents .toc-list {
+    padding-left: 0;
+}
+
+.table-of-contents li {
+    margin: 0.25rem 0;
+}
+</style>`;
+    }
+
+    /**
+     * 获取侧边目录的样式，宽屏时固定在左侧并可以收起，窄屏时为抽屉
+     * @returns {string} CSS 样式
+     */
+    getTOCSidebarStyles() {
+        return `<style>
+body.toc-sidebar {
+    max-width: calc(var(--md-content-width) + 300px);
+    padding-left: calc(300px + 2rem);
+}
+
+body.toc-sidebar.toc-collapsed {
+    max-width: var(--md-content-width);
+    padding-left: 2rem;
+}
+
+body.toc-sidebar .table-of-contents {
+    position: fixed;
+    top: 0;
+    bottom: 0;
+    left: 0;
+    z-index: 20;
+    width: 280px;
+    margin: 0;
+    padding: 4rem 1rem 1.5rem;
+    overflow-y: auto;
+    box-sizing: border-box;
+    border: none;
+    border-right: 1px solid var(--md-border-color);
+    border-radius: 0;
+    font-size: 0.9rem;
+    transition: transform 0.2s ease, visibility 0.2s;
+}
+
+body.toc-collapsed .table-of-contents {
+    transform: translateX(-100%);
+    visibility: hidden;
+}
+
+body.toc-sidebar .toc-link {
+    display: block;
+    padding: 0.15rem 0.5rem;
+    border-left: 2px solid transparent;
+    color: var(--md-text-color);
+}
+
+body.toc-sidebar .toc-link.active {
+    border-left-color: var(--md-link-color);
+    color: var(--md-link-color);
+    font-weight: 600;
+}
+
+.toc-toggle {
+    position: fixed;
+    top: 1rem;
+    left: 1rem;
+    z-index: 30;
+    width: 2.5rem;
+    height: 2.5rem;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 0;
+    border: 1px solid var(--md-border-color);
+    border-radius: 6px;
+    background-color: var(--md-surface-color);
+    color: var(--md-text-color);
+    font-size: 1.1rem;
+    cursor: pointer;
+}
+
+.toc-toggle:focus-visible,
+body.toc-sidebar .toc-link:focus-visible {
+    outline: 2px solid var(--md-link-color);
+    outline-offset: 2px;
+}
+
+.toc-overlay {
+    position: fixed;
+    top: 0;
+    right: 0;
+    bottom: 0;
+    left: 0;
+    z-index: 15;
+    background-color: rgba(0, 0, 0, 0.4);
+}
+
+@media (max-width: 900px) {
+    body.toc-sidebar,
+    body.toc-sidebar.toc-collapsed {
+        max-width: var(--md-content-width);
+        padding-top: 4rem;
+        padding-left: 2rem;
+    }
+
+    body.toc-sidebar .table-of-contents {
+        transform: translateX(-100%);
+        visibility: hidden;
+        box-shadow: 2px 0 12px rgba(0, 0, 0, 0.2);
+    }
+
+    body.toc-sidebar.toc-open .table-of-contents {
+        transform: none;
+        visibility: visible;
+    }
+}
+
+@media print {
+    .toc-toggle,
+    .toc-overlay {
+        display: none !important;
+    }
+
+    body.toc-sidebar,
+    body.toc-sidebar.toc-collapsed {
+        max-width: none;
+        padding: 0;
+    }
+
+    body.toc-sidebar .table-of-contents {
+        position: static;
+        width: auto;
+        padding: 0;
+        border: none;
+        transform: none;
+        visibility: visible;
+        box-shadow: none;
+    }
+}
+</style>`;
+    }
+
+    /**
+     * 获取侧边目录的脚本
+     * 切换按钮在宽屏时收起或展开侧边栏，窄屏时打开或关闭抽屉；滚动时高亮当前阅读的标题，
+     * 目录中可以用方向键、Home、End 移动焦点，Esc 关闭抽屉
+     * @returns {string} HTML
+     */
+    getTOCSidebarScript() {
+        return `<script>
+(function () {
+    var body = document.body;
+    var sidebar = body.querySelector('.table-of-contents');
+    var toggle = body.querySelector('.toc-toggle');
+    var overlay = body.querySelector('.toc-overlay');
+    var links = Array.prototype.slice.call(sidebar.querySelectorAll('.toc-link'));
+    var headings = links.map(function (link) {
+        return document.getElementById(link.getAttribute('data-id'));
+    });
+    var narrow = window.matchMedia ? window.matchMedia('(max-width: 900px)') : null;
+    var schedule = window.requestAnimationFrame || function (callback) {
+        return setTimeout(callback, 16);
+    };
+    var active = null;
+    var pending = false;
+
+    sidebar.id = 'toc-sidebar';
+    sidebar.setAttribute('aria-label', '目录');
+    toggle.setAttribute('aria-controls', sidebar.id);
+
+    function isNarrow() {
+        return narrow ? narrow.matches : window.innerWidth <= 900;
+    }
+
+    function isOpen() {
+        return isNarrow() ? body.classList.contains('toc-open') : !body.classList.contains('toc-collapsed');
+    }
+
+    function update() {
+        var open = isOpen();
+        toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+        toggle.setAttribute('aria-label', open ? '隐藏目录' : '显示目录');
+        toggle.title = open ? '隐藏目录' : '显示目录';
+        overlay.hidden = !(open && isNarrow());
+    }
+
+    function setOpen(open, moveFocus) {
+        if (isNarrow()) {
+            body.classList.toggle('toc-open', open);
+        } else {
+            body.classList.toggle('toc-collapsed', !open);
+        }
+        update();
+
+        if (moveFocus) {
+            (open ? active || links[0] || toggle : toggle).focus();
+        }
+    }
+
+    function spy() {
+        var current = null;
+        pending = false;
+
+        for (var i = 0; i < headings.length; i++) {
+            if (headings[i] && headings[i].getBoundingClientRect().top <= 80) {
+                current = links[i];
+            }
+        }
+        // 滚动到底部时最后几个标题可能到不了顶部
+        if (links.length && window.innerHeight + window.pageYOffset >= document.documentElement.scrollHeight - 2
+            && document.documentElement.scrollHeight > window.innerHeight) {
+            current = links[links.length - 1];
+        }
+        if (current === active) return;
+
+        if (active) {
+            active.classList.remove('active');
+            active.removeAttribute('aria-current');
+        }
+        active = current;
+        if (active) {
+            active.classList.add('active');
+            active.setAttribute('aria-current', 'location');
+            // 保持当前标题在目录中可见
+            if (active.offsetTop < sidebar.scrollTop
+                || active.offsetTop + active.offsetHeight > sidebar.scrollTop + sidebar.clientHeight) {
+                sidebar.scrollTop = active.offsetTop - sidebar.clientHeight / 2;
+            }
+        }
+    }
+
+    function requestSpy() {
+        if (!pending) {
+            pending = true;
+            schedule(spy);
+        }
+    }
+
+    toggle.addEventListener('click', function () {
+        setOpen(!isOpen(), isNarrow());
+    });
+
+    overlay.addEventListener('click', function () {
+        setOpen(false, true);
+    });
+
+    sidebar.addEventListener('click', function (e) {
+        if (e.target.closest && e.target.closest('.toc-link') && isNarrow()) {
+            setOpen(false, false);
+        }
+    });
+
+    sidebar.addEventListener('keydown', function (e) {
+        var index = links.indexOf(document.activeElement);
+        var target = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: links.length - 1 }[e.key];
+        if (index === -1 || target === undefined) return;
+
+        e.preventDefault();
+        links[Math.max(0, Math.min(links.length - 1, target))].focus();
+    });
+
+    document.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape' && isNarrow() && isOpen()) {
+            setOpen(false, true);
+        }
+    });
+
+    window.addEventListener('scroll', requestSpy, { passive: true });
+    window.addEventListener('resize', function () {
+        update();
+        requestSpy();
+    });
+
+    update();
+    spy();
+})();
+</script>`;
+    }
+
+    /**
+     * 获取多页面站点侧边导航和翻页链接的样式
+     * @returns {string} CSS 样式
+     */
+    getSiteStyles() {
+        return `<style>
+body.has-sidebar {
+    max-width: calc(var(--md-content-width) + 280px);
+    padding-left: calc(280px + 2rem);
+}
+
+.site-sidebar {
+    position: fixed;
+    top: 0;
+    bottom: 0;
+    left: 0;
+    width: 260px;
+    padding: 1.5rem 1rem;
+    overflow-y: auto;
+    box-sizing: border-box;
+    border-right: 1px solid var(--md-border-color);
+    background-color: var(--md-surface-color);
+    font-size: 0.9rem;
+}
+
+.site-sidebar .site-title {
+    display: block;
+    margin-bottom: 1rem;
+    font-size: 1.1rem;
+    font-weight: 600;
+    text-decoration: none;
+}
+
+.site-sidebar ul {
+    list-style: none;
+    margin: 0;
+    padding-left: 1rem;
+}
+
+.site-sidebar > ul {
+    padding-left: 0;
+}
+
+.site-sidebar li {
+    margin: 0.25rem 0;
+}
+
+.site-sidebar .site-section-title {
+    display: block;
+    margin-top: 0.75rem;
+    color: var(--md-muted-color);
+    font-weight: 600;
+}
+
+.site-sidebar .current > a {
+    font-weight: 600;
+}
+
+.site-sidebar .toc-list {
+    margin: 0.25rem 0;
+    padding-left: 0.75rem;
+    border-left: 2px solid var(--md-border-color);
+}
+
+.page-nav {
+    display: flex;
+    justify-content: space-between;
+    gap: 1rem;
+    margin-top: 3rem;
+    padding-top: 1rem;
+    border-top: 1px solid var(--md-border-color);
+}
+
+.page-nav a {
+    display: flex;
+    flex-direction: column;
+    text-decoration: none;
+}
+
+.page-nav .page-next {
+    margin-left: auto;
+    text-align: right;
+}
+
+.page-nav .page-nav-label {
+    color: var(--md-muted-color);
+    font-size: 0.85rem;
+}
+
+@media (max-width: 900px) {
+    body.has-sidebar {
+        padding-left: 2rem;
+    }
+
+    .site-sidebar {
+        position: static;
+        width: auto;
+        margin: -2rem -2rem 2rem;
+        border-right: none;
+        border-bottom: 1px solid var(--md-border-color);
+    }
+}
+
+@media print {
+    .site-sidebar,
+    .page-nav {
+        display: none;
+    }
+
+    body.has-sidebar {
+        padding-left: 0;
+    }
+}
+</style>`;
+    }
+
+    /**
+     * 获取亮色/暗色切换按钮的样式
+     * @returns {string} CSS 样式
+     */
+    getThemeToggleStyles() {
+        return `<style>
+.theme-switch {
+    position: fixed;
+    top: 1rem;
+    right: 1rem;
+    z-index: 10;
+    width: 2.5rem;
+    height: 2.5rem;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 0;
+    border: 1px solid var(--md-border-color);
+    border-radius: 50%;
+    background-color: var(--md-surface-color);
+    color: var(--md-text-color);
+    font-size: 1.1rem;
+    cursor: pointer;
+}
+
+.theme-switch:focus-visible {
+    outline: 2px solid var(--md-link-color);
+    outline-offset: 2px;
+}
+
+@media print {
+    .theme-switch {
+        display: none;
+    }
+}
+</style>`;
+    }
+
+    /**
+     * 获取亮色/暗色切换按钮和脚本
+     * 脚本紧跟在 body 开头执行，在正文显示前确定主题：读者选择过的主题优先，
+     * 否则跟随 prefers-color-scheme；打印时临时切换为亮色
+     * @returns {string} HTML
+     */
+    getThemeToggle() {
+        return `<button type="button" class="theme-switch" aria-label="切换亮色/暗色主题"></button>
+    <script>
+(function () {
+    var storageKey = '${EXPORT_THEME_STORAGE_KEY}';
+    var body = document.body;
+    var button = body.querySelector('.theme-switch');
+    var fallback = body.classList.contains('theme-dark') ? 'dark' : 'light';
+    var media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    var current = fallback;
+    var beforePrint = null;
+    var saved = null;
+
+    try {
+        saved = localStorage.getItem(storageKey);
+    } catch (e) {}
+    if (saved !== 'light' && saved !== 'dark') {
+        saved = null;
+    }
+
+    function preferred() {
+        if (saved) return saved;
+        if (media && media.media !== 'not all') return media.matches ? 'dark' : 'light';
+        return fallback;
+    }
+
+    function apply(theme) {
+        var next = theme === 'dark' ? '亮色' : '暗色';
+        current = theme;
+        body.classList.remove('theme-light', 'theme-dark');
+        body.classList.add('theme-' + theme);
+        button.textContent = theme === 'dark' ? '🌙' : '☀️';
+        button.title = '切换到' + next + '主题';
+        button.setAttribute('aria-label', '切换到' + next + '主题');
+    }
+
+    button.addEventListener('click', function () {
+        saved = current === 'dark' ? 'light' : 'dark';
+        try {
+            localStorage.setItem(storageKey, saved);
+        } catch (e) {}
+        apply(saved);
+    });
+
+    if (media) {
+        var onChange = function () {
+            if (!saved && !beforePrint) apply(preferred());
+        };
+        if (media.addEventListener) {
+            media.addEventListener('change', onChange);
+        } else if (media.addListener) {
+            media.addListener(onChange);
+        }
+    }
+
+    window.addEventListener('beforeprint', function () {
+        beforePrint = current;
+        apply('light');
+    });
+    window.addEventListener('afterprint', function () {
+        if (beforePrint) apply(beforePrint);
+        beforePrint = null;
+    });
+
+    apply(preferred());
+})();
+    </script>`;
+    }
+
     /**
      * 转义 HTML 字符
      * @param {string} text 文本
      * @returns {string} 转义后的文本
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * 转义 HTML 属性值
+     * @param {string} value 属性值
+     * @returns {string} 转义后的值
+     */
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
     }
 
     /**
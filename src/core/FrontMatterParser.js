@@ -0,0 +1,366 @@
+/**
+ * Front Matter 解析器
+ * 负责解析文档开头的 YAML front matter 块，并将其转换为文档选项
+ */
+
+// 支持的文档主题
+const DOCUMENT_THEMES = ['light', 'dark', 'auto'];
+
+export class FrontMatterParser {
+    /**
+     * 解析 front matter
+     * @param {string} content Markdown 内容
+     * @returns {Object} 解析结果 { data, body, raw, lineCount, hasFrontMatter }
+     */
+    parse(content) {
+        const result = {
+            data: {},
+            body: content || '',
+            raw: '',
+            lineCount: 0,
+            hasFrontMatter: false
+        };
+
+        if (!content || typeof content !== 'string') {
+            return result;
+        }
+
+        // 允许开头有 BOM
+        const source = content.replace(/^﻿/, '');
+        const match = /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(source);
+        if (!match) {
+            // 空的 front matter 块
+            const emptyMatch = /^---[ \t]*\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(source);
+            if (!emptyMatch) {
+                return result;
+            }
+            return {
+                data: {},
+                body: source.slice(emptyMatch[0].length),
+                raw: '',
+                lineCount: emptyMatch[0].split('\n').length - (emptyMatch[0].endsWith('\n') ? 1 : 0),
+                hasFrontMatter: true
+            };
+        }
+
+        try {
+            result.data = this.parseYAML(match[1]);
+        } catch (error) {
+            // 不是 YAML（如以分隔线开头、后面是普通文本的文档），作为没有 front matter 处理
+            return result;
+        }
+
+        result.raw = match[1];
+        result.body = source.slice(match[0].length);
+        result.lineCount = match[0].split('\n').length - (match[0].endsWith('\n') ? 1 : 0);
+        result.hasFrontMatter = true;
+
+        return result;
+    }
+
+    /**
+     * 解析 YAML 子集
+     * 支持键值对、嵌套映射、列表、行内数组/对象和多行文本块
+     * @param {string} yaml YAML 文本
+     * @returns {Object} 解析后的数据
+     */
+    parseYAML(yaml) {
+        const lines = yaml
+            .split(/\r?\n/)
+            .map(line => ({ indent: line.search(/\S|$/), text: line }));
+
+        const [value] = this.parseBlock(lines, 0, 0);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    }
+
+    /**
+     * 解析一个缩进块
+     * @param {Array} lines 行数组
+     * @param {number} start 起始行
+     * @param {number} indent 块缩进
+     * @returns {Array} [值, 下一行索引]
+     */
+    parseBlock(lines, start, indent) {
+        let index = this.skipBlank(lines, start);
+        if (index >= lines.length) {
+            return [null, index];
+        }
+
+        const isList = /^-(\s|$)/.test(lines[index].text.trim());
+        const container = isList ? [] : {};
+
+        while (index < lines.length) {
+            index = this.skipBlank(lines, index);
+            if (index >= lines.length) break;
+
+            const line = lines[index];
+            if (line.indent < indent) break;
+
+            const text = this.stripComment(line.text).trim();
+
+            if (isList) {
+                if (!/^-(\s|$)/.test(text)) break;
+
+                const itemText = text.slice(1).trim();
+                if (!itemText) {
+                    const [child, next] = this.parseBlock(lines, index + 1, line.indent + 1);
+                    container.push(child);
+                    index = next;
+                } else if (/^[^\s"'[{][^:]*:(\s|$)/.test(itemText)) {
+                    // 列表项中的映射
+                    const itemIndent = line.indent + text.indexOf(itemText);
+                    const itemLines = [{ indent: itemIndent, text: ' '.repeat(itemIndent) + itemText }];
+                    let next = index + 1;
+                    while (next < lines.length && (lines[next].text.trim() === '' || lines[next].indent >= itemIndent)) {
+                        itemLines.push(lines[next]);
+                        next++;
+                    }
+                    container.push(this.parseBlock(itemLines, 0, itemIndent)[0]);
+                    index = next;
+                } else {
+                    container.push(this.parseScalar(itemText));
+                    index++;
+                }
+                continue;
+            }
+
+            const pairMatch = /^([^:]+?)\s*:(?:\s+(.*))?$/.exec(text);
+            if (!pairMatch) {
+                throw new Error(`无法解析的行: ${line.text.trim()}`);
+            }
+
+            const key = this.parseScalar(pairMatch[1]);
+            const rawValue = (pairMatch[2] || '').trim();
+
+            if (rawValue === '|' || rawValue === '>' || /^[|>][+-]?$/.test(rawValue)) {
+                const [blockText, next] = this.readBlockScalar(lines, index + 1, line.indent, rawValue[0] === '>');
+                container[key] = blockText;
+                index = next;
+            } else if (rawValue === '') {
+                const nextIndex = this.skipBlank(lines, index + 1);
+                const nextLine = lines[nextIndex];
+                const nested = nextLine && (nextLine.indent > line.indent
+                    || (nextLine.indent === line.indent && /^-(\s|$)/.test(nextLine.text.trim())));
+                if (nested) {
+                    const [child, next] = this.parseBlock(lines, nextIndex, nextLine.indent);
+                    container[key] = child;
+                    index = next;
+                } else {
+                    container[key] = null;
+                    index++;
+                }
+            } else {
+                container[key] = this.parseScalar(rawValue);
+                index++;
+            }
+        }
+
+        return [container, index];
+    }
+
+    /**
+     * 读取多行文本块
+     * @param {Array} lines 行数组
+     * @param {number} start 起始行
+     * @param {number} parentIndent 父级缩进
+     * @param {boolean} folded 是否折叠换行
+     * @returns {Array} [文本, 下一行索引]
+     */
+    readBlockScalar(lines, start, parentIndent, folded) {
+        const collected = [];
+        let index = start;
+        let blockIndent = null;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            if (line.text.trim() === '') {
+                collected.push('');
+                index++;
+                continue;
+            }
+            if (line.indent <= parentIndent) break;
+            if (blockIndent === null) blockIndent = line.indent;
+            collected.push(line.text.slice(blockIndent));
+            index++;
+        }
+
+        while (collected.length > 0 && collected[collected.length - 1] === '') {
+            collected.pop();
+        }
+
+        const text = folded
+            ? collected.join('\n').replace(/([^\n])\n(?!\n)/g, '$1 ')
+            : collected.join('\n');
+
+        return [text, index];
+    }
+
+    /**
+     * 解析标量值
+     * @param {string} value 原始值
+     * @returns {*} 解析后的值
+     */
+    parseScalar(value) {
+        const text = this.stripComment(String(value)).trim();
+
+        if (text === '') return '';
+
+        if ((text.startsWith('"') && text.endsWith('"')) && text.length >= 2) {
+            return text.slice(1, -1)
+                .replace(/\\n/g, '\n')
+                .replace(/\\t/g, '\t')
+                .replace(/\\"/g, '"')
+                .replace(/\\\\/g, '\\');
+        }
+
+        if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+
+        if (text.startsWith('[') && text.endsWith(']')) {
+            return this.splitInline(text.slice(1, -1)).map(item => this.parseScalar(item));
+        }
+
+        if (text.startsWith('{') && text.endsWith('}')) {
+            const object = {};
+            this.splitInline(text.slice(1, -1)).forEach(pair => {
+                const separator = pair.indexOf(':');
+                if (separator > 0) {
+                    object[this.parseScalar(pair.slice(0, separator))] = this.parseScalar(pair.slice(separator + 1));
+                }
+            });
+            return object;
+        }
+
+        if (/^(true|yes|on)$/i.test(text)) return true;
+        if (/^(false|no|off)$/i.test(text)) return false;
+        if (/^(null|~)$/i.test(text)) return null;
+        if (/^[-+]?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+        return text;
+    }
+
+    /**
+     * 拆分行内数组或对象的元素
+     * @param {string} text 去掉括号后的文本
+     * @returns {Array<string>} 元素数组
+     */
+    splitInline(text) {
+        const items = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+
+        for (const ch of text) {
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '[' || ch === '{') {
+                depth++;
+            } else if (ch === ']' || ch === '}') {
+                depth--;
+            } else if (ch === ',' && depth === 0) {
+                items.push(current);
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+
+        if (current.trim() !== '') {
+            items.push(current);
+        }
+
+        return items.map(item => item.trim());
+    }
+
+    /**
+     * 移除行尾注释（引号内的 # 保留）
+     * @param {string} text 文本
+     * @returns {string} 处理后的文本
+     */
+    stripComment(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i);
+            }
+        }
+        return text;
+    }
+
+    /**
+     * 跳过空行和注释行
+     * @param {Array} lines 行数组
+     * @param {number} index 起始行
+     * @returns {number} 下一个非空行索引
+     */
+    skipBlank(lines, index) {
+        while (index < lines.length && this.stripComment(lines[index].text).trim() === '') {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * 将 front matter 数据转换为文档选项
+     * @param {Object} data front matter 数据
+     * @returns {Object} 文档选项 { title, author, date, lang, theme, toc, description, plugins }
+     */
+    getDocumentOptions(data = {}) {
+        const options = {};
+        // 只接受标量，映射和列表等无法作为文本的值忽略
+        const text = (value) => (value === null || value === undefined || value === '' || typeof value === 'object')
+            ? undefined
+            : String(value).trim();
+        // 作者可以写成 { name, email } 映射
+        const person = (value) => (value && typeof value === 'object' && !Array.isArray(value))
+            ? text(value.name)
+            : text(value);
+
+        options.title = text(data.title);
+        options.author = Array.isArray(data.author)
+            ? data.author.map(person).filter(Boolean).join(', ') || undefined
+            : person(data.author);
+        options.date = text(data.date);
+        options.description = text(data.description);
+
+        const lang = text(data.lang || data.language);
+        if (lang && /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(lang)) {
+            options.lang = lang;
+        }
+
+        const theme = text(data.theme);
+        if (theme && DOCUMENT_THEMES.includes(theme.toLowerCase())) {
+            options.theme = theme.toLowerCase();
+        }
+
+        if (typeof data.toc === 'boolean') {
+            options.toc = data.toc;
+        }
+
+        // plugins 可以是列表或逗号分隔的字符串，如 [my-plugin, -math]
+        const plugins = Array.isArray(data.plugins)
+            ? data.plugins
+            : (typeof data.plugins === 'string' ? data.plugins.split(',') : []);
+        const pluginNames = plugins.map(text).filter(Boolean);
+        if (pluginNames.length > 0) {
+            options.plugins = pluginNames;
+        }
+
+        // 移除未设置的值，便于与默认选项合并
+        Object.keys(options).forEach(key => {
+            if (options[key] === undefined) {
+                delete options[key];
+            }
+        });
+
+        return options;
+    }
+}
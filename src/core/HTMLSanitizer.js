@@ -0,0 +1,359 @@
+/**
+ * HTML 清理器
+ * 按策略过滤 Markdown 解析结果中的危险标签、事件属性和链接协议
+ */
+
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+
+// Markdown 自身会生成的元素
+const MARKDOWN_TAGS = [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'blockquote', 'pre', 'code', 'em', 'strong', 'del', 's',
+    'a', 'img', 'ul', 'ol', 'li', 'input',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+];
+
+// 常见且无害的 HTML 元素
+const SAFE_HTML_TAGS = [
+    'div', 'span', 'section', 'article', 'aside', 'header', 'footer', 'nav', 'main',
+    'figure', 'figcaption', 'details', 'summary', 'kbd', 'samp', 'var',
+    'sub', 'sup', 'mark', 'abbr', 'dfn', 'dl', 'dt', 'dd', 'small', 'big',
+    'ins', 'u', 'b', 'i', 'q', 'cite', 'caption', 'colgroup', 'col',
+    'ruby', 'rt', 'rp', 'wbr', 'time', 'picture', 'source', 'video', 'audio', 'track',
+    'center', 'address', 'bdi', 'bdo'
+];
+
+// 无论何种策略（trusted 除外）都连同内容一起移除的元素
+const DROP_WITH_CONTENT = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'template', 'base', 'link', 'meta', 'title', 'head', 'form', 'textarea',
+    'select', 'button', 'svg', 'math'
+]);
+
+// 需要检查协议的 URL 属性
+const URL_ATTRIBUTES = new Set([
+    'href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href', 'srcset'
+]);
+
+/**
+ * 清理策略
+ * strict: 只保留 Markdown 能够生成的结构
+ * safe: 额外允许常见的排版类 HTML 与受限的内联样式
+ * trusted: 不做任何处理，仅用于可信内容
+ */
+const POLICIES = {
+    strict: {
+        tags: MARKDOWN_TAGS,
+        globalAttributes: ['id', 'class', 'title', 'lang', 'dir'],
+        attributes: {
+            a: ['href'],
+            img: ['src', 'alt', 'width', 'height'],
+            input: ['type', 'checked', 'disabled'],
+            th: ['align', 'colspan', 'rowspan'],
+            td: ['align', 'colspan', 'rowspan'],
+            ol: ['start']
+        },
+        allowStyle: false
+    },
+    safe: {
+        tags: [...MARKDOWN_TAGS, ...SAFE_HTML_TAGS],
+        globalAttributes: ['id', 'class', 'title', 'lang', 'dir', 'style', 'align', 'role'],
+        attributes: {
+            a: ['href', 'name', 'target', 'rel'],
+            img: ['src', 'alt', 'width', 'height', 'loading'],
+            input: ['type', 'checked', 'disabled'],
+            th: ['colspan', 'rowspan', 'scope', 'width'],
+            td: ['colspan', 'rowspan', 'width'],
+            ol: ['start', 'type', 'reversed'],
+            ul: ['type'],
+            li: ['value'],
+            col: ['span', 'width'],
+            colgroup: ['span'],
+            details: ['open'],
+            time: ['datetime'],
+            q: ['cite'],
+            blockquote: ['cite'],
+            del: ['cite', 'datetime'],
+            ins: ['cite', 'datetime'],
+            source: ['src', 'srcset', 'type', 'media'],
+            track: ['src', 'kind', 'srclang', 'label'],
+            video: ['src', 'poster', 'controls', 'loop', 'muted', 'width', 'height'],
+            audio: ['src', 'controls', 'loop', 'muted']
+        },
+        allowStyle: true
+    },
+    trusted: null
+};
+
+// 始终允许的属性模式
+const ATTRIBUTE_PATTERNS = [/^data-[\w-]+$/, /^aria-[\w-]+$/];
+
+export class HTMLSanitizer {
+    constructor(policy = 'safe') {
+        this.tokenizer = new HTMLTokenizer();
+        this.policy = 'safe';
+        this.allowedProtocols = ['http:', 'https:', 'mailto:', 'tel:'];
+        this.extraTags = new Set();
+        this.extraAttributes = {};
+
+        this.setPolicy(policy);
+    }
+
+    /**
+     * 设置清理策略
+     * @param {string} policy 策略名称 ('strict', 'safe', 'trusted')
+     */
+    setPolicy(policy) {
+        if (!Object.prototype.hasOwnProperty.call(POLICIES, policy)) {
+            console.warn(`不支持的清理策略: ${policy}`);
+            return;
+        }
+        this.policy = policy;
+    }
+
+    /**
+     * 获取当前策略
+     * @returns {string} 策略名称
+     */
+    getPolicy() {
+        return this.policy;
+    }
+
+    /**
+     * 获取可用策略列表
+     * @returns {Array<string>} 策略名称数组
+     */
+    getAvailablePolicies() {
+        return Object.keys(POLICIES);
+    }
+
+    /**
+     * 扩展允许的标签、属性和协议
+     * 用于转换器自身生成的结构（如公式、图表）在非 trusted 策略下保留
+     * @param {Object} allowList 允许列表
+     */
+    extend(allowList = {}) {
+        const { tags = [], attributes = {}, protocols = [] } = allowList;
+
+        tags.forEach(tag => this.extraTags.add(tag.toLowerCase()));
+
+        Object.entries(attributes).forEach(([tag, names]) => {
+            const key = tag.toLowerCase();
+            // 同一个允许列表可能多次扩展（如每次导出时），去掉重复的属性
+            this.extraAttributes[key] = [...new Set([...(this.extraAttributes[key] || []), ...names.map(n => n.toLowerCase())])];
+        });
+
+        protocols.forEach(protocol => {
+            if (!this.allowedProtocols.includes(protocol)) {
+                this.allowedProtocols.push(protocol);
+            }
+        });
+    }
+
+    /**
+     * 清理 HTML
+     * @param {string} html HTML 内容
+     * @param {string} policy 策略名称（可选，默认使用当前策略）
+     * @returns {Object} 清理结果 { html, removed, policy }
+     */
+    sanitize(html, policy = this.policy) {
+        const result = {
+            html: '',
+            removed: [],
+            policy
+        };
+
+        if (!html || typeof html !== 'string') {
+            return result;
+        }
+
+        const rules = POLICIES[policy];
+        if (!rules) {
+            result.html = html;
+            return result;
+        }
+
+        const tokens = this.tokenizer.tokenize(html);
+        const output = [];
+        let dropDepth = 0;
+        let dropTag = null;
+
+        tokens.forEach(token => {
+            // 正在跳过被移除元素的内容
+            if (dropTag) {
+                if (token.type === 'startTag' && token.name === dropTag && !token.selfClosing) {
+                    dropDepth++;
+                } else if (token.type === 'endTag' && token.name === dropTag) {
+                    dropDepth--;
+                    if (dropDepth === 0) dropTag = null;
+                }
+                return;
+            }
+
+            switch (token.type) {
+                case 'text':
+                    // 无法识别为完整标签的 "<" 一律转义，防止浏览器补全出新标签
+                    output.push(token.raw
+                        ? this.escapeText(token.value)
+                        : token.value.replace(/<(?=[a-zA-Z\/!?])/g, '&lt;'));
+                    break;
+
+                case 'comment':
+                case 'declaration':
+                    break;
+
+                case 'startTag': {
+                    if (!this.isTagAllowed(token.name, rules)) {
+                        result.removed.push({ type: 'element', name: token.name });
+                        if (DROP_WITH_CONTENT.has(token.name) && !token.selfClosing) {
+                            dropTag = token.name;
+                            dropDepth = 1;
+                        }
+                        return;
+                    }
+
+                    const attrs = this.filterAttributes(token, rules, result.removed);
+                    output.push(this.tokenizer.stringifyStartTag({ ...token, attrs }));
+                    break;
+                }
+
+                case 'endTag':
+                    if (this.isTagAllowed(token.name, rules)) {
+                        output.push(`</${token.name}>`);
+                    }
+                    break;
+            }
+        });
+
+        result.html = output.join('');
+        return result;
+    }
+
+    /**
+     * 判断标签是否允许
+     * @param {string} name 标签名
+     * @param {Object} rules 策略规则
+     * @returns {boolean} 是否允许
+     */
+    isTagAllowed(name, rules) {
+        return rules.tags.includes(name) || this.extraTags.has(name);
+    }
+
+    /**
+     * 过滤标签属性
+     * @param {Object} token 开始标签词法单元
+     * @param {Object} rules 策略规则
+     * @param {Array} removed 移除记录
+     * @returns {Array} 保留的属性
+     */
+    filterAttributes(token, rules, removed) {
+        const tagAttributes = [
+            ...rules.globalAttributes,
+            ...(rules.attributes[token.name] || []),
+            ...(this.extraAttributes['*'] || []),
+            ...(this.extraAttributes[token.name] || [])
+        ];
+
+        return token.attrs.filter(attr => {
+            const name = attr.name;
+
+            // 事件处理属性一律移除
+            if (name.startsWith('on')) {
+                removed.push({ type: 'attribute', name, tag: token.name });
+                return false;
+            }
+
+            const allowed = tagAttributes.includes(name) || ATTRIBUTE_PATTERNS.some(pattern => pattern.test(name));
+            if (!allowed) {
+                removed.push({ type: 'attribute', name, tag: token.name });
+                return false;
+            }
+
+            if (name === 'style' && (!rules.allowStyle || !this.isSafeStyle(attr.value))) {
+                removed.push({ type: 'attribute', name, tag: token.name });
+                return false;
+            }
+
+            if (URL_ATTRIBUTES.has(name) && !this.isSafeUrl(attr.value, token.name)) {
+                removed.push({ type: 'url', name, tag: token.name, value: attr.value });
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * 检查 URL 是否安全
+     * @param {string} url URL
+     * @param {string} tagName 所在标签
+     * @returns {boolean} 是否安全
+     */
+    isSafeUrl(url, tagName) {
+        // 去掉控制字符和空白，避免 "java\nscript:" 之类的绕过
+        const normalized = String(url).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+
+        const protocolMatch = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+        if (!protocolMatch) {
+            return true; // 相对路径或锚点
+        }
+
+        const protocol = `${protocolMatch[1]}:`;
+        if (protocol === 'data:') {
+            return (tagName === 'img' || tagName === 'source')
+                && /^data:image\/(png|gif|jpe?g|webp|avif|bmp|svg\+xml)[;,]/.test(normalized);
+        }
+        // asset:// 指向本地图片资源库，预览和导出时替换为实际地址
+        if (protocol === 'asset:') {
+            return tagName === 'img' || tagName === 'source';
+        }
+
+        return this.allowedProtocols.includes(protocol);
+    }
+
+    /**
+     * 检查内联样式是否安全
+     * @param {string} style 样式文本
+     * @returns {boolean} 是否安全
+     */
+    isSafeStyle(style) {
+        const normalized = String(style).replace(/\\|\/\*[\s\S]*?\*\//g, '').toLowerCase();
+        return !/(url\s*\(|expression\s*\(|javascript:|@import|behavior\s*:|-moz-binding)/.test(normalized);
+    }
+
+    /**
+     * 转义文本
+     * @param {string} text 文本
+     * @returns {string} 转义后的文本
+     */
+    escapeText(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * 生成移除内容的摘要
+     * @param {Array} removed 移除记录
+     * @returns {string} 摘要文本
+     */
+    describeRemoved(removed) {
+        if (!removed || removed.length === 0) {
+            return '';
+        }
+
+        const counts = new Map();
+        removed.forEach(item => {
+            const label = item.type === 'element'
+                ? `<${item.name}> 元素`
+                : item.type === 'url'
+                    ? `不安全的 ${item.name} 链接`
+                    : `${item.name} 属性`;
+            counts.set(label, (counts.get(label) || 0) + 1);
+        });
+
+        const parts = Array.from(counts.entries()).map(([label, count]) => `${count} 个${label}`);
+        return `已移除 ${parts.join('、')}`;
+    }
+}
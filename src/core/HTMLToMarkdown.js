@@ -0,0 +1,776 @@
+/**
+ * HTML 转 Markdown
+ * 不依赖 DOM，用于粘贴网页、Word 中的富文本和载入其他工具生成的 HTML 文件。
+ * 支持标题、段落、列表（包括 Word 的列表段落）、表格、链接、图片、代码和引用，
+ * 无法用 Markdown 表示的表格按 tableFallback 选项保留为 HTML 或展开为普通表格
+ */
+
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+
+// 不输出内容的元素
+const SKIPPED_ELEMENTS = new Set([
+    'head', 'title', 'script', 'style', 'noscript', 'template', 'meta', 'link', 'xml',
+    'nav', 'button', 'select', 'textarea', 'iframe', 'object', 'embed', 'svg', 'canvas', 'audio', 'video'
+]);
+
+// 前后需要空行的块级元素
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'figure', 'figcaption',
+    'address', 'center', 'details', 'summary', 'dl', 'dt', 'dd', 'form', 'fieldset', 'caption'
+]);
+
+// 开始这些元素时自动结束未闭合的 p
+const CLOSES_PARAGRAPH = new Set([
+    ...BLOCK_ELEMENTS, 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'pre', 'blockquote', 'table', 'hr'
+]);
+
+// 开始元素时自动结束的同级元素（HTML 允许省略这些结束标签）
+const IMPLIED_END = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    tr: ['tr', 'td', 'th'],
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    thead: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+    tbody: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+    tfoot: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'],
+    option: ['option']
+};
+
+// 原样保留的行内 HTML 元素，Markdown 没有对应的语法
+const INLINE_HTML_ELEMENTS = new Set(['kbd', 'sub', 'sup', 'mark']);
+
+// 表格保留为 HTML 时允许的元素和属性
+const TABLE_HTML_ATTRIBUTES = {
+    table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+    th: ['colspan', 'rowspan', 'align'],
+    td: ['colspan', 'rowspan', 'align'],
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    strong: [], b: [], em: [], i: [], code: [], del: [], s: [], sub: [], sup: [], kbd: [], br: [],
+    p: [], ul: [], ol: [], li: [], pre: []
+};
+
+const PLACEHOLDER = '\u0000';
+
+const DEFAULT_OPTIONS = {
+    linkStyle: 'inline',
+    tableFallback: 'html'
+};
+
+export class HTMLToMarkdown {
+    /**
+     * @param {Object} options 选项
+     * @param {string} options.linkStyle 链接格式：'inline'（默认）为 [文字](地址)，'referenced' 为 [文字][1]，地址列在文末
+     * @param {string} options.tableFallback 有合并单元格或单元格中有列表、多个段落等无法用 Markdown 表格表示时的处理方式：
+     *   'html'（默认）保留为 HTML 表格，'flatten' 仍然生成 Markdown 表格，合并的单元格拆开，块级内容用 <br> 连接
+     */
+    constructor(options = {}) {
+        this.tokenizer = new HTMLTokenizer();
+        this.options = { ...DEFAULT_OPTIONS };
+        this.setOptions(options);
+
+        this.references = [];
+        this.codeBlocks = [];
+    }
+
+    /**
+     * 修改选项，不支持的值会被忽略
+     * @param {Object} options 选项 { linkStyle, tableFallback }
+     */
+    setOptions(options = {}) {
+        if (['inline', 'referenced'].includes(options.linkStyle)) {
+            this.options.linkStyle = options.linkStyle;
+        }
+        if (['html', 'flatten'].includes(options.tableFallback)) {
+            this.options.tableFallback = options.tableFallback;
+        }
+    }
+
+    /**
+     * 获取当前选项
+     * @returns {Object} 选项 { linkStyle, tableFallback }
+     */
+    getOptions() {
+        return { ...this.options };
+    }
+
+    /**
+     * 将 HTML 转换为 Markdown
+     * @param {string} html HTML 内容，可以是完整的文档或片段
+     * @returns {string} Markdown
+     */
+    convert(html) {
+        this.references = [];
+        this.codeBlocks = [];
+
+        const root = this.parse(html || '');
+        let markdown = this.renderChildren(root, {});
+
+        if (this.references.length > 0) {
+            markdown += '\n\n' + this.references
+                .map((reference, index) => `[${index + 1}]: ${this.formatURL(reference.href)}${this.formatTitle(reference.title)}`)
+                .join('\n');
+        }
+
+        markdown = markdown
+            .replace(/^[ \t]+$/gm, '')
+            .replace(/[ \t]+$/gm, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        // 代码块最后放回，其中的空行和缩进保持不变；列表和引用中的代码块每行加上相同的前缀
+        return markdown.replace(new RegExp(`^(.*?)${PLACEHOLDER}(\\d+)${PLACEHOLDER}$`, 'gm'), (match, prefix, index) => {
+            return this.codeBlocks[index]
+                .split('\n')
+                .map(line => line ? prefix + line : prefix.trimEnd())
+                .join('\n');
+        });
+    }
+
+    /**
+     * 判断 HTML 中是否有值得转换的格式
+     * 只有带样式的 span、div（如从代码编辑器复制的内容）时返回 false，这时应该使用纯文本
+     * @param {string} html HTML 内容
+     * @returns {boolean} 是否包含标题、列表、表格、链接、强调等格式
+     */
+    hasRichContent(html) {
+        return this.tokenizer.tokenize(html || '').some(token => token.type === 'startTag'
+            && /^(h[1-6]|p|ul|ol|table|blockquote|pre|a|strong|b|em|i|code|hr)$/.test(token.name)
+            && !(token.name === 'b' && this.isNormalWeight(token.attrs)));
+    }
+
+    /**
+     * 将 HTML 解析为简单的节点树
+     * @param {string} html HTML 内容
+     * @returns {Object} 根节点 { type: 'element', name, attrs, children }
+     */
+    parse(html) {
+        const root = { type: 'element', name: '#root', attrs: {}, children: [] };
+        const stack = [root];
+
+        this.tokenizer.tokenize(html).forEach(token => {
+            if (token.type === 'text') {
+                stack[stack.length - 1].children.push({
+                    type: 'text',
+                    value: token.raw ? token.value : this.tokenizer.decodeEntities(token.value)
+                });
+            } else if (token.type === 'startTag') {
+                this.closeImpliedElements(stack, token.name);
+                const node = {
+                    type: 'element',
+                    name: token.name,
+                    attrs: Object.fromEntries(token.attrs.map(attr => [attr.name, attr.value])),
+                    children: []
+                };
+                stack[stack.length - 1].children.push(node);
+                if (!token.selfClosing) {
+                    stack.push(node);
+                }
+            } else if (token.type === 'endTag') {
+                const index = stack.map(node => node.name).lastIndexOf(token.name);
+                if (index > 0) {
+                    stack.length = index;
+                }
+            }
+        });
+
+        return root;
+    }
+
+    /**
+     * 结束省略了结束标签的元素
+     * @param {Array<Object>} stack 打开的元素
+     * @param {string} name 新开始的元素名称
+     */
+    closeImpliedElements(stack, name) {
+        const closes = IMPLIED_END[name] || [];
+        while (stack.length > 1) {
+            const current = stack[stack.length - 1].name;
+            if (closes.includes(current) || (current === 'p' && CLOSES_PARAGRAPH.has(name))) {
+                stack.pop();
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * 转换子节点
+     * 连续的 Word 列表段落合并为一个列表
+     * @param {Object} node 节点
+     * @param {Object} context 上下文 { pre, table, heading }
+     * @returns {string} Markdown
+     */
+    renderChildren(node, context) {
+        let output = '';
+        const children = node.children;
+
+        for (let i = 0; i < children.length; i++) {
+            let piece;
+            if (this.isWordListParagraph(children[i])) {
+                const paragraphs = [];
+                // 列表段落之间可能有空白文本
+                while (i < children.length && (this.isWordListParagraph(children[i])
+                    || (children[i].type === 'text' && !children[i].value.trim() && this.isWordListParagraph(children[i + 1])))) {
+                    if (children[i].type === 'element') {
+                        paragraphs.push(children[i]);
+                    }
+                    i++;
+                }
+                i--;
+                piece = this.renderWordList(paragraphs, context);
+            } else {
+                piece = this.renderNode(children[i], context);
+            }
+
+            // 去掉块级内容前后多余的空格
+            if (/\n$/.test(output)) {
+                piece = piece.replace(/^[ \t]+/, '');
+            }
+            if (/^\n/.test(piece)) {
+                output = output.replace(/[ \t]+$/, '');
+            }
+            output += piece;
+        }
+
+        return output;
+    }
+
+    /**
+     * 转换单个节点
+     * @param {Object} node 节点
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderNode(node, context) {
+        if (node.type === 'text') {
+            if (context.pre) {
+                return node.value;
+            }
+            return this.escapeText(node.value.replace(/\s+/g, ' '), context);
+        }
+
+        const { name } = node;
+        if (SKIPPED_ELEMENTS.has(name) || this.isWordListMarker(node)) {
+            return '';
+        }
+
+        if (/^h[1-6]$/.test(name)) {
+            const content = this.renderInline(node, { ...context, heading: true });
+            return content ? `\n\n${'#'.repeat(Number(name[1]))} ${content}\n\n` : '';
+        }
+
+        switch (name) {
+            case 'br':
+                if (context.table) return '<br>';
+                return context.heading ? ' ' : '\\\n';
+            case 'hr':
+                return '\n\n---\n\n';
+            case 'ul':
+            case 'ol':
+                return this.renderList(node, context);
+            case 'blockquote':
+                return this.renderBlockquote(node, context);
+            case 'pre':
+                return this.renderCodeBlock(node, context);
+            case 'table':
+                return this.renderTable(node, context);
+            case 'a':
+                return this.renderLink(node, context);
+            case 'img':
+                return this.renderImage(node);
+            case 'code':
+            case 'tt':
+            case 'samp':
+                return this.renderInlineCode(this.getTextContent(node).replace(/\s+/g, ' '));
+            case 'input':
+                // 任务列表的复选框
+                return node.attrs.type === 'checkbox' ? `[${'checked' in node.attrs ? 'x' : ' '}] ` : '';
+            case 'dt':
+                return `\n\n${this.wrapInline(this.renderChildren(node, context), '**')}\n\n`;
+            default:
+                break;
+        }
+
+        if (INLINE_HTML_ELEMENTS.has(name)) {
+            return `<${name}>${this.renderChildren(node, context)}</${name}>`;
+        }
+
+        if (BLOCK_ELEMENTS.has(name)) {
+            const content = context.table
+                ? this.renderChildren(node, context).trim()
+                : this.renderChildren(node, context).replace(/^\s+|\s+$/g, '');
+            return content ? `\n\n${content}\n\n` : '';
+        }
+
+        return this.renderFormatting(node, context);
+    }
+
+    /**
+     * 转换加粗、斜体、删除线，包括只用样式表示的格式（如 Google 文档的 span）
+     * @param {Object} node 节点
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderFormatting(node, context) {
+        const style = (node.attrs.style || '').toLowerCase();
+        const { name } = node;
+
+        const bold = (['strong', 'b'].includes(name) && !this.isNormalWeight(Object.entries(node.attrs).map(([n, value]) => ({ name: n, value }))))
+            || /font-weight\s*:\s*(bold|[6-9]00)/.test(style);
+        const italic = ['em', 'i', 'cite', 'var'].includes(name) || /font-style\s*:\s*italic/.test(style);
+        const strike = ['del', 's', 'strike'].includes(name) || /text-decoration[^;]*line-through/.test(style);
+
+        let content = this.renderChildren(node, context);
+        if (strike) content = this.wrapInline(content, '~~');
+        if (italic) content = this.wrapInline(content, '*');
+        if (bold) content = this.wrapInline(content, '**');
+        return content;
+    }
+
+    /**
+     * 判断 b 标签是否用样式取消了加粗（Google 文档用它包裹复制的全部内容）
+     * @param {Array<Object>} attrs 属性 [{ name, value }]
+     * @returns {boolean} 是否为普通粗细
+     */
+    isNormalWeight(attrs) {
+        const style = attrs.find(attr => attr.name === 'style');
+        return Boolean(style) && /font-weight\s*:\s*(normal|[1-4]00)/i.test(style.value);
+    }
+
+    /**
+     * 用标记包裹行内内容，标记放在首尾空白之内
+     * @param {string} content 内容
+     * @param {string} marker 标记，如 '**'
+     * @returns {string} Markdown
+     */
+    wrapInline(content, marker) {
+        const [, leading, text, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+        return text ? `${leading}${marker}${text}${marker}${trailing}` : content;
+    }
+
+    /**
+     * 转换只能包含行内内容的元素（如标题），换行替换为空格
+     * @param {Object} node 节点
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderInline(node, context) {
+        return this.renderChildren(node, context).replace(/\s*\n\s*/g, ' ').trim();
+    }
+
+    /**
+     * 转换列表
+     * @param {Object} node ul 或 ol 节点
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderList(node, context) {
+        const ordered = node.name === 'ol';
+        const start = parseInt(node.attrs.start, 10);
+        let number = Number.isFinite(start) ? start : 1;
+        const items = [];
+        let lastMarker = '-';
+
+        node.children.forEach(child => {
+            if (child.type !== 'element') return;
+
+            if (child.name === 'li') {
+                lastMarker = ordered ? `${number++}.` : '-';
+                items.push(this.renderListItem(child, lastMarker, context));
+            } else if ((child.name === 'ul' || child.name === 'ol') && items.length > 0) {
+                // 不规范的嵌套：子列表直接放在列表中，归入上一项
+                const indent = ' '.repeat(lastMarker.length + 1);
+                items[items.length - 1] += '\n' + indent + this.renderList(child, context).trim().replace(/\n/g, `\n${indent}`);
+            }
+        });
+
+        if (context.table) {
+            return items.join('\n');
+        }
+        return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+    }
+
+    /**
+     * 转换列表项，后续行按标记宽度缩进
+     * @param {Object} node li 节点
+     * @param {string} marker 列表标记，如 '-'、'1.'
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderListItem(node, marker, context) {
+        const content = this.renderChildren(node, context)
+            .replace(/^\s+|\s+$/g, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .replace(/^\[([ x])\]\s+/, '[$1] ')
+            // 文字和子列表之间不空行，保持紧凑列表
+            .replace(/\n\n(?=[ ]*(?:[-*+]|\d+[.)]) )/g, '\n');
+        const indent = ' '.repeat(marker.length + 1);
+
+        return `${marker} ${content.replace(/\n/g, `\n${indent}`)}`;
+    }
+
+    /**
+     * 判断是否为 Word 的列表段落（Word 用带 mso-list 样式的段落表示列表）
+     * @param {Object} node 节点
+     * @returns {boolean} 是否为列表段落
+     */
+    isWordListParagraph(node) {
+        return Boolean(node) && node.type === 'element' && node.name === 'p'
+            && /mso-list\s*:\s*l\d/i.test(node.attrs.style || '');
+    }
+
+    /**
+     * 判断是否为 Word 列表段落中的项目符号或编号
+     * @param {Object} node 节点
+     * @returns {boolean} 是否为项目符号
+     */
+    isWordListMarker(node) {
+        return /mso-list\s*:\s*ignore/i.test(node.attrs.style || '');
+    }
+
+    /**
+     * 把连续的 Word 列表段落转换为列表，层级来自样式中的 level
+     * @param {Array<Object>} paragraphs 列表段落
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderWordList(paragraphs, context) {
+        const markers = [];
+
+        const lines = paragraphs.map(paragraph => {
+            const level = Number((/level(\d+)/i.exec(paragraph.attrs.style) || [])[1]) || 1;
+            const markerNode = this.findElement(paragraph, node => this.isWordListMarker(node));
+            const bullet = markerNode ? this.getTextContent(markerNode).trim() : '';
+            const marker = /^[0-9a-z]{1,4}[.)]$/i.test(bullet) ? '1.' : '-';
+
+            markers.length = level - 1;
+            const indent = Array.from(markers, parent => ' '.repeat((parent || '-').length + 1)).join('');
+            markers.push(marker);
+
+            return `${indent}${marker} ${this.renderInline(paragraph, context)}`;
+        });
+
+        return `\n\n${lines.join('\n')}\n\n`;
+    }
+
+    /**
+     * 转换引用
+     * @param {Object} node blockquote 节点
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderBlockquote(node, context) {
+        const content = this.renderChildren(node, context).replace(/^\s+|\s+$/g, '').replace(/\n{3,}/g, '\n\n');
+        if (!content) return '';
+        if (context.table) return content;
+
+        return `\n\n${content.split('\n').map(line => line ? `> ${line}` : '>').join('\n')}\n\n`;
+    }
+
+    /**
+     * 转换代码块，语言来自 pre 或 code 的 language-* / lang-* 类名
+     * @param {Object} node pre 节点
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderCodeBlock(node, context) {
+        const code = this.getTextContent(node).replace(/\n$/, '');
+        if (context.table) {
+            return this.renderInlineCode(code.replace(/\s+/g, ' '));
+        }
+
+        const codeElement = node.children.find(child => child.type === 'element' && child.name === 'code');
+        const className = `${node.attrs.class || ''} ${codeElement ? codeElement.attrs.class || '' : ''}`;
+        const language = (/(?:^|\s)(?:language|lang)-([\w+#.-]+)/.exec(className) || [])[1] || '';
+
+        const longestFence = Math.max(0, ...(code.match(/`{3,}/g) || []).map(fence => fence.length));
+        const fence = '`'.repeat(Math.max(3, longestFence + 1));
+
+        this.codeBlocks.push(`${fence}${language}\n${code}\n${fence}`);
+        return `\n\n${PLACEHOLDER}${this.codeBlocks.length - 1}${PLACEHOLDER}\n\n`;
+    }
+
+    /**
+     * 生成行内代码，内容中有反引号时使用更长的反引号
+     * @param {string} code 代码
+     * @returns {string} Markdown
+     */
+    renderInlineCode(code) {
+        if (!code) return '';
+
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const padding = /^`|`$/.test(code) ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+    }
+
+    /**
+     * 转换链接
+     * @param {Object} node a 节点
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderLink(node, context) {
+        const content = this.renderInline(node, context);
+        const href = (node.attrs.href || '').trim();
+        if (!href || /^\s*(javascript|vbscript|data):/i.test(href)) {
+            return content;
+        }
+        if (!content) {
+            return '';
+        }
+
+        // 文字就是地址时使用自动链接
+        if (content === this.escapeText(href, context) && /^(https?:|mailto:)/i.test(href)) {
+            return `<${href}>`;
+        }
+
+        const title = node.attrs.title || '';
+        if (this.options.linkStyle === 'referenced') {
+            let index = this.references.findIndex(reference => reference.href === href && reference.title === title);
+            if (index === -1) {
+                this.references.push({ href, title });
+                index = this.references.length - 1;
+            }
+            return `[${content}][${index + 1}]`;
+        }
+
+        return `[${content}](${this.formatURL(href)}${this.formatTitle(title)})`;
+    }
+
+    /**
+     * 转换图片
+     * @param {Object} node img 节点
+     * @returns {string} Markdown
+     */
+    renderImage(node) {
+        const src = (node.attrs.src || '').trim();
+        if (!src) return '';
+
+        const alt = (node.attrs.alt || '').replace(/\s+/g, ' ').replace(/[[\]\\]/g, '\\$&');
+        return `![${alt}](${this.formatURL(src)}${this.formatTitle(node.attrs.title || '')})`;
+    }
+
+    /**
+     * 格式化链接地址，含空格或括号时用尖括号包裹
+     * @param {string} url 地址
+     * @returns {string} 链接地址
+     */
+    formatURL(url) {
+        return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+    }
+
+    /**
+     * 格式化链接标题
+     * @param {string} title 标题
+     * @returns {string} 带前导空格的标题，没有标题时为空字符串
+     */
+    formatTitle(title) {
+        return title ? ` "${title.replace(/\s+/g, ' ').replace(/["\\]/g, '\\$&')}"` : '';
+    }
+
+    /**
+     * 转换表格
+     * 能用 Markdown 表示时生成 Markdown 表格，第一行作为表头；否则按 tableFallback 处理
+     * @param {Object} node table 节点
+     * @param {Object} context 上下文
+     * @returns {string} Markdown
+     */
+    renderTable(node, context) {
+        const rows = this.collectRows(node);
+        if (rows.length === 0) return '';
+        if (context.table) {
+            return rows.map(row => row.map(cell => this.renderInline(cell, context)).join(' ')).join('<br>');
+        }
+
+        const cellContext = { ...context, table: true };
+        const cells = rows.map(row => row.map(cell => ({
+            node: cell,
+            content: this.renderChildren(cell, cellContext).trim(),
+            colspan: Math.max(1, parseInt(cell.attrs.colspan, 10) || 1),
+            rowspan: Math.max(1, parseInt(cell.attrs.rowspan, 10) || 1)
+        })));
+
+        const representable = cells.every(row => row.every(cell => cell.colspan === 1 && cell.rowspan === 1
+            && !cell.content.includes('\n')
+            && !this.findElement(cell.node, child => child.name === 'table')));
+
+        if (!representable && this.options.tableFallback === 'html') {
+            return `\n\n${this.serializeTable(node)}\n\n`;
+        }
+
+        const grid = this.layoutCells(cells);
+        const columnCount = Math.max(...grid.map(row => row.length));
+        const formatRow = row => `| ${Array.from({ length: columnCount }, (_, index) => row[index] || '').join(' | ')} |`;
+        const alignments = Array.from({ length: columnCount }, (_, index) => {
+            const cell = cells[0][index];
+            return this.formatAlignment(cell ? cell.node : null);
+        });
+
+        const caption = node.children.find(child => child.type === 'element' && child.name === 'caption');
+        const captionText = caption ? this.renderInline(caption, context) : '';
+
+        return `\n\n${captionText ? `${captionText}\n\n` : ''}${[
+            formatRow(grid[0]),
+            `| ${alignments.join(' | ')} |`,
+            ...grid.slice(1).map(formatRow)
+        ].join('\n')}\n\n`;
+    }
+
+    /**
+     * 按表格顺序收集行中的单元格
+     * @param {Object} table table 节点
+     * @returns {Array<Array<Object>>} 每行的单元格节点
+     */
+    collectRows(table) {
+        const rows = [];
+        const visit = node => {
+            node.children.forEach(child => {
+                if (child.type !== 'element') return;
+                if (child.name === 'tr') {
+                    const cells = child.children.filter(cell => cell.type === 'element' && (cell.name === 'td' || cell.name === 'th'));
+                    if (cells.length > 0) rows.push(cells);
+                } else if (['thead', 'tbody', 'tfoot'].includes(child.name)) {
+                    visit(child);
+                }
+            });
+        };
+        visit(table);
+        return rows;
+    }
+
+    /**
+     * 把单元格排列到网格中，合并的单元格拆开，内容放在左上角，其余位置为空
+     * 块级内容的换行替换为 <br>，竖线转义
+     * @param {Array<Array<Object>>} rows 每行的单元格 { content, colspan, rowspan }
+     * @returns {Array<Array<string>>} 网格
+     */
+    layoutCells(rows) {
+        const grid = rows.map(() => []);
+
+        rows.forEach((row, rowIndex) => {
+            let column = 0;
+            row.forEach(cell => {
+                while (grid[rowIndex][column] !== undefined) column++;
+                const content = cell.content.replace(/\s*\n+\s*/g, '<br>');
+                for (let r = 0; r < cell.rowspan && rowIndex + r < grid.length; r++) {
+                    for (let c = 0; c < cell.colspan; c++) {
+                        grid[rowIndex + r][column + c] = r === 0 && c === 0 ? content : '';
+                    }
+                }
+                column += cell.colspan;
+            });
+        });
+
+        return grid.map(row => Array.from(row, cell => cell || ''));
+    }
+
+    /**
+     * 获取表格列的对齐方式
+     * @param {Object|null} cell 第一行的单元格
+     * @returns {string} 分隔行中的一格，如 ':---:'
+     */
+    formatAlignment(cell) {
+        const align = cell
+            ? (cell.attrs.align || (/text-align\s*:\s*(left|center|right)/i.exec(cell.attrs.style || '') || [])[1] || '').toLowerCase()
+            : '';
+        return { left: ':---', center: ':---:', right: '---:' }[align] || '---';
+    }
+
+    /**
+     * 把表格序列化为精简的 HTML，只保留表格结构和常见的行内格式
+     * 输出中没有空行，整个表格是一个 HTML 块
+     * @param {Object} node 节点
+     * @returns {string} HTML
+     */
+    serializeTable(node) {
+        if (node.type === 'text') {
+            return node.value.replace(/\s+/g, ' ').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+        if (SKIPPED_ELEMENTS.has(node.name)) {
+            return '';
+        }
+        if (node.name === 'pre') {
+            const code = this.getTextContent(node).replace(/\n$/, '')
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                .replace(/\n/g, '&#10;');
+            return `<pre><code>${code}</code></pre>`;
+        }
+
+        // 表格结构元素之间的空白不输出
+        const structural = ['table', 'thead', 'tbody', 'tfoot', 'tr'].includes(node.name);
+        const content = node.children
+            .filter(child => !(structural && child.type === 'text' && !child.value.trim()))
+            .map(child => this.serializeTable(child))
+            .join('');
+        const allowed = TABLE_HTML_ATTRIBUTES[node.name];
+        if (!allowed) {
+            return content;
+        }
+
+        const attrs = allowed
+            .filter(name => node.attrs[name] && !(name === 'href' && /^\s*(javascript|vbscript|data):/i.test(node.attrs[name])))
+            .map(name => ` ${name}="${this.tokenizer.escapeAttribute(node.attrs[name])}"`)
+            .join('');
+
+        if (this.tokenizer.isVoidElement(node.name)) {
+            return `<${node.name}${attrs}>`;
+        }
+        // 每行单独一行，便于阅读
+        const newline = ['table', 'thead', 'tbody', 'tfoot', 'tr', 'caption'].includes(node.name) ? '\n' : '';
+        return `<${node.name}${attrs}>${newline}${content.trim()}${newline}</${node.name}>${node.name === 'table' ? '' : newline}`;
+    }
+
+    /**
+     * 获取节点的纯文本，br 转换为换行
+     * @param {Object} node 节点
+     * @returns {string} 文本
+     */
+    getTextContent(node) {
+        if (node.type === 'text') return node.value;
+        if (node.name === 'br') return '\n';
+        if (SKIPPED_ELEMENTS.has(node.name)) return '';
+        return node.children.map(child => this.getTextContent(child)).join('');
+    }
+
+    /**
+     * 查找第一个满足条件的后代元素
+     * @param {Object} node 节点
+     * @param {Function} predicate 条件
+     * @returns {Object|null} 元素
+     */
+    findElement(node, predicate) {
+        for (const child of node.children || []) {
+            if (child.type !== 'element') continue;
+            if (predicate(child)) return child;
+            const found = this.findElement(child, predicate);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * 转义文本中会被当作 Markdown 语法的字符
+     * @param {string} text 文本
+     * @param {Object} context 上下文，表格中同时转义竖线
+     * @returns {string} 转义后的文本
+     */
+    escapeText(text, context = {}) {
+        let escaped = text
+            .replace(/[\\`*[\]~]/g, '\\$&')
+            // 单词中间的下划线不会被当作强调
+            .replace(/_/g, (match, offset, source) => /\w/.test(source[offset - 1] || '') && /\w/.test(source[offset + 1] || '') ? '_' : '\\_')
+            .replace(/<(?=[a-zA-Z/!?])/g, '\\<')
+            // 出现在行首时会被当作标题、引用、列表的字符
+            .replace(/^(\s*)([-+#>=])(?=\s|$)/, '$1\\$2')
+            .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2');
+
+        if (context.table) {
+            escaped = escaped.replace(/\|/g, '\\|');
+        }
+        return escaped;
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * HTML 词法分析器
+ * 不依赖 DOM，将 HTML 字符串切分为标签、文本和注释，供清理和转换流程使用
+ */
+
+// 内容按纯文本处理的元素
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp']);
+
+// 自闭合（空）元素
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// 常用命名实体
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    colon: ':', tab: '\t', newline: '\n'
+};
+
+export class HTMLTokenizer {
+    /**
+     * 将 HTML 切分为词法单元
+     * @param {string} html HTML 内容
+     * @returns {Array<Object>} 词法单元数组
+     */
+    tokenize(html) {
+        const tokens = [];
+        if (!html || typeof html !== 'string') {
+            return tokens;
+        }
+
+        let pos = 0;
+        let textStart = 0;
+        const length = html.length;
+
+        const flushText = (end) => {
+            if (end > textStart) {
+                tokens.push({ type: 'text', value: html.slice(textStart, end) });
+            }
+        };
+
+        while (pos < length) {
+            const lt = html.indexOf('<', pos);
+            if (lt === -1) break;
+
+            const next = html.charAt(lt + 1);
+
+            // 注释
+            if (html.startsWith('<!--', lt)) {
+                flushText(lt);
+                const end = html.indexOf('-->', lt + 4);
+                const stop = end === -1 ? length : end + 3;
+                tokens.push({ type: 'comment', value: html.slice(lt + 4, end === -1 ? length : end), raw: html.slice(lt, stop) });
+                pos = textStart = stop;
+                continue;
+            }
+
+            // DOCTYPE、CDATA 和处理指令
+            if (next === '!' || next === '?') {
+                flushText(lt);
+                const end = html.indexOf('>', lt + 2);
+                const stop = end === -1 ? length : end + 1;
+                tokens.push({ type: 'declaration', raw: html.slice(lt, stop) });
+                pos = textStart = stop;
+                continue;
+            }
+
+            // 结束标签
+            if (next === '/') {
+                const match = /^<\/([a-zA-Z][\w:-]*)\s*>/.exec(html.slice(lt, lt + 256));
+                if (match) {
+                    flushText(lt);
+                    tokens.push({ type: 'endTag', name: match[1].toLowerCase(), raw: match[0] });
+                    pos = textStart = lt + match[0].length;
+                } else {
+                    pos = lt + 1;
+                }
+                continue;
+            }
+
+            // 开始标签
+            if (/[a-zA-Z]/.test(next)) {
+                const tag = this.readStartTag(html, lt);
+                if (!tag) {
+                    pos = lt + 1;
+                    continue;
+                }
+
+                flushText(lt);
+                tokens.push(tag.token);
+                pos = textStart = tag.end;
+
+                // 原始文本元素的内容直到对应结束标签为止
+                if (RAW_TEXT_ELEMENTS.has(tag.token.name) && !tag.token.selfClosing) {
+                    const closePattern = new RegExp(`</${tag.token.name}\\s*>`, 'i');
+                    const rest = html.slice(pos);
+                    const closeMatch = closePattern.exec(rest);
+                    const contentEnd = closeMatch ? pos + closeMatch.index : length;
+
+                    if (contentEnd > pos) {
+                        tokens.push({ type: 'text', value: html.slice(pos, contentEnd), raw: true });
+                    }
+
+                    if (closeMatch) {
+                        tokens.push({ type: 'endTag', name: tag.token.name, raw: closeMatch[0] });
+                        pos = textStart = contentEnd + closeMatch[0].length;
+                    } else {
+                        pos = textStart = length;
+                    }
+                }
+                continue;
+            }
+
+            pos = lt + 1;
+        }
+
+        flushText(length);
+        return tokens;
+    }
+
+    /**
+     * 读取开始标签
+     * @param {string} html HTML 内容
+     * @param {number} start '<' 所在位置
+     * @returns {Object|null} 标签词法单元和结束位置
+     */
+    readStartTag(html, start) {
+        const nameMatch = /^<([a-zA-Z][\w:-]*)/.exec(html.slice(start, start + 128));
+        if (!nameMatch) return null;
+
+        const name = nameMatch[1].toLowerCase();
+        const attrs = [];
+        const length = html.length;
+        let pos = start + nameMatch[0].length;
+        let selfClosing = false;
+
+        while (pos < length) {
+            // 跳过空白
+            while (pos < length && /\s/.test(html[pos])) pos++;
+
+            const ch = html[pos];
+            if (ch === '>') {
+                pos++;
+                return {
+                    token: { type: 'startTag', name, attrs, selfClosing: selfClosing || VOID_ELEMENTS.has(name), raw: html.slice(start, pos) },
+                    end: pos
+                };
+            }
+
+            if (ch === '/') {
+                selfClosing = html[pos + 1] === '>';
+                pos++;
+                continue;
+            }
+
+            // 属性名
+            const attrMatch = /^[^\s"'>\/=]+/.exec(html.slice(pos, pos + 256));
+            if (!attrMatch) {
+                pos++;
+                continue;
+            }
+
+            const attrName = attrMatch[0].toLowerCase();
+            pos += attrMatch[0].length;
+            while (pos < length && /\s/.test(html[pos])) pos++;
+
+            let value = '';
+            if (html[pos] === '=') {
+                pos++;
+                while (pos < length && /\s/.test(html[pos])) pos++;
+
+                const quote = html[pos];
+                if (quote === '"' || quote === "'") {
+                    const close = html.indexOf(quote, pos + 1);
+                    const stop = close === -1 ? length : close;
+                    value = html.slice(pos + 1, stop);
+                    pos = stop + 1;
+                } else {
+                    const unquoted = /^[^\s>]*/.exec(html.slice(pos))[0];
+                    value = unquoted;
+                    pos += unquoted.length;
+                }
+            }
+
+            attrs.push({ name: attrName, value: this.decodeEntities(value) });
+        }
+
+        return null;
+    }
+
+    /**
+     * 解码 HTML 实体
+     * @param {string} text 文本
+     * @returns {string} 解码后的文本
+     */
+    decodeEntities(text) {
+        if (!text || text.indexOf('&') === -1) {
+            return text;
+        }
+
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1] === 'x' || entity[1] === 'X'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return Number.isFinite(code) && code > 0 && code <= 0x10ffff
+                    ? String.fromCodePoint(code)
+                    : '';
+            }
+            const named = NAMED_ENTITIES[entity.toLowerCase()];
+            return named !== undefined ? named : match;
+        });
+    }
+
+    /**
+     * 转义属性值
+     * @param {string} value 属性值
+     * @returns {string} 转义后的值
+     */
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * 将开始标签词法单元序列化为 HTML
+     * @param {Object} token 开始标签词法单元
+     * @returns {string} 标签 HTML
+     */
+    stringifyStartTag(token) {
+        const attrs = token.attrs
+            .map(attr => attr.value === '' && !/^(alt|value|title|src|href)$/.test(attr.name)
+                ? ` ${attr.name}`
+                : ` ${attr.name}="${this.escapeAttribute(attr.value)}"`)
+            .join('');
+        return `<${token.name}${attrs}${token.selfClosing && !VOID_ELEMENTS.has(token.name) ? ' /' : ''}>`;
+    }
+
+    /**
+     * 判断是否为空元素
+     * @param {string} name 标签名
+     * @returns {boolean} 是否为空元素
+     */
+    isVoidElement(name) {
+        return VOID_ELEMENTS.has(name);
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * 图片存储
+ * 保存用户拖入或粘贴的图片，按 Markdown 中引用的路径查找，
+ * 预览时显示本地图片，导出时嵌入为 data URI。不依赖 DOM
+ */
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml'
+};
+
+export class ImageStore {
+    constructor() {
+        this.images = new Map();
+        this.dataURIs = new Map();
+        this.objectURLs = new Map();
+    }
+
+    /**
+     * 添加图片，同名图片会被替换
+     * @param {string} name 图片路径或文件名
+     * @param {Uint8Array|ArrayBuffer} data 图片数据
+     * @param {string} mimeType MIME 类型，缺省时根据扩展名判断
+     * @returns {string} 保存的名称，Markdown 中可以用它引用图片
+     */
+    add(name, data, mimeType = null) {
+        const key = ImageStore.normalizePath(name);
+        const type = mimeType || ImageStore.getMimeType(key);
+
+        if (!key) {
+            throw new Error('图片名称不能为空');
+        }
+        if (!ImageStore.isImageType(type)) {
+            throw new Error(`不支持的图片格式: ${name}`);
+        }
+
+        this.remove(key);
+        this.images.set(key, {
+            name: key,
+            mimeType: type,
+            data: data instanceof Uint8Array ? data : new Uint8Array(data)
+        });
+        return key;
+    }
+
+    /**
+     * 生成不与已有图片重名的名称，用于粘贴的图片
+     * @param {string} prefix 名称前缀
+     * @param {string} mimeType MIME 类型
+     * @returns {string} 图片名称
+     */
+    createName(prefix, mimeType) {
+        const extension = Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === mimeType) || 'png';
+        let index = this.images.size + 1;
+        while (this.images.has(`${prefix}-${index}.${extension}`)) {
+            index++;
+        }
+        return `${prefix}-${index}.${extension}`;
+    }
+
+    /**
+     * 按 Markdown 中的地址查找图片
+     * 先按完整路径匹配，找不到时按文件名匹配（图片和 Markdown 的目录结构可能不同）
+     * @param {string} src 图片地址
+     * @returns {Object|null} 图片 { name, mimeType, data }
+     */
+    get(src) {
+        if (!src || /^[a-z][a-z0-9+.-]*:/i.test(src) || src.startsWith('//')) {
+            return null;
+        }
+
+        const key = ImageStore.normalizePath(src);
+        if (this.images.has(key)) {
+            return this.images.get(key);
+        }
+
+        const fileName = key.split('/').pop();
+        const matches = [...this.images.values()].filter(image => image.name.split('/').pop() === fileName);
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * 判断是否有对应的图片
+     * @param {string} src 图片地址
+     * @returns {boolean} 是否存在
+     */
+    has(src) {
+        return this.get(src) !== null;
+    }
+
+    /**
+     * 获取图片的 data URI，导出时嵌入使用
+     * @param {string} src 图片地址
+     * @returns {string|null} data URI，找不到图片时返回 null
+     */
+    resolve(src) {
+        const image = this.get(src);
+        if (!image) return null;
+
+        if (!this.dataURIs.has(image.name)) {
+            this.dataURIs.set(image.name, `data:${image.mimeType};base64,${ImageStore.toBase64(image.data)}`);
+        }
+        return this.dataURIs.get(image.name);
+    }
+
+    /**
+     * 获取图片的对象 URL，预览时使用
+     * @param {string} src 图片地址
+     * @returns {string|null} 对象 URL，找不到图片时返回 null
+     */
+    getObjectURL(src) {
+        const image = this.get(src);
+        if (!image) return null;
+
+        if (!this.objectURLs.has(image.name)) {
+            const blob = new Blob([image.data], { type: image.mimeType });
+            this.objectURLs.set(image.name, URL.createObjectURL(blob));
+        }
+        return this.objectURLs.get(image.name);
+    }
+
+    /**
+     * 删除图片
+     * @param {string} name 图片名称
+     */
+    remove(name) {
+        const key = ImageStore.normalizePath(name);
+        if (this.objectURLs.has(key)) {
+            URL.revokeObjectURL(this.objectURLs.get(key));
+            this.objectURLs.delete(key);
+        }
+        this.dataURIs.delete(key);
+        this.images.delete(key);
+    }
+
+    /**
+     * 清空全部图片
+     */
+    clear() {
+        [...this.images.keys()].forEach(name => this.remove(name));
+    }
+
+    /**
+     * 列出全部图片
+     * @returns {Array<Object>} [{ name, mimeType, size }]
+     */
+    list() {
+        return [...this.images.values()].map(({ name, mimeType, data }) => ({ name, mimeType, size: data.length }));
+    }
+
+    /**
+     * 组合多个图片来源，依次查找，使用第一个找到的结果
+     * @param {...Object} sources 图片来源，提供 resolve(src) 和 getObjectURL(src)
+     * @returns {Object} 组合后的图片来源 { resolve(src), getObjectURL(src) }
+     */
+    static combine(...sources) {
+        const find = (method, src) => {
+            for (const source of sources) {
+                const value = source[method](src);
+                if (value) return value;
+            }
+            return null;
+        };
+
+        return {
+            resolve: src => find('resolve', src),
+            getObjectURL: src => find('getObjectURL', src)
+        };
+    }
+
+    /**
+     * 统一图片路径：去掉查询参数和锚点，解码，去掉开头的 ./ 和 /
+     * @param {string} value 路径
+     * @returns {string} 规范化的路径
+     */
+    static normalizePath(value) {
+        let path = String(value || '').split(/[?#]/)[0].replace(/\\/g, '/');
+        try {
+            path = decodeURI(path);
+        } catch (error) {
+            // 保留无法解码的路径
+        }
+        return path.replace(/^(\.\/|\/)+/, '');
+    }
+
+    /**
+     * 根据扩展名判断图片的 MIME 类型
+     * @param {string} name 文件名
+     * @returns {string|null} MIME 类型，不是图片时返回 null
+     */
+    static getMimeType(name) {
+        const match = /\.([a-z0-9]+)$/i.exec(String(name));
+        return match ? MIME_TYPES[match[1].toLowerCase()] || null : null;
+    }
+
+    /**
+     * 判断文件名是否为支持的图片
+     * @param {string} name 文件名
+     * @returns {boolean} 是否为图片
+     */
+    static isImageName(name) {
+        return ImageStore.getMimeType(name) !== null;
+    }
+
+    /**
+     * 判断 MIME 类型是否为支持的图片
+     * @param {string} mimeType MIME 类型
+     * @returns {boolean} 是否为图片
+     */
+    static isImageType(mimeType) {
+        return Object.values(MIME_TYPES).includes(mimeType);
+    }
+
+    /**
+     * Base64 编码
+     * @param {Uint8Array} bytes 数据
+     * @returns {string} Base64 字符串
+     */
+    static toBase64(bytes) {
+        let binary = '';
+        // 分段转换，避免参数过多导致调用栈溢出
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+}
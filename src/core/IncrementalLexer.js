@@ -0,0 +1,191 @@
+/**
+ * 增量分词器
+ * 缓存上一次的顶层 token，文档变化时只重新分词变化位置附近的块，其余块直接复用。
+ * 重新分词的范围前后各多包含一个未变化的块作为校验，校验块的分词结果与之前不同时
+ * （如新增未闭合的代码块吞掉了后面的内容）退回到整篇分词
+ */
+
+// 可能是链接引用定义的内容（也可能位于列表项或引用块中），定义变化会影响其他块中链接的解析
+const LINK_DEFINITION_PATTERN = /\[(?!\^)[^\]\n]+\]:/;
+
+export class IncrementalLexer {
+    constructor() {
+        this.previous = null;
+        this.lastStats = null;
+    }
+
+    /**
+     * 清除缓存
+     */
+    reset() {
+        this.previous = null;
+    }
+
+    /**
+     * 分词
+     * @param {Marked} marked marked 实例
+     * @param {string} markdown Markdown 正文
+     * @returns {Array<Object>} 顶层 token 列表
+     */
+    lex(marked, markdown) {
+        const source = IncrementalLexer.normalize(markdown);
+        const previous = this.previous;
+
+        let tokens = null;
+        if (previous && previous.marked === marked) {
+            tokens = this.lexChanged(marked, previous, source);
+        }
+
+        if (!tokens) {
+            tokens = marked.lexer(source);
+            this.lastStats = { incremental: false, reused: 0, lexed: tokens.length };
+        }
+
+        this.previous = {
+            marked,
+            source,
+            tokens,
+            spans: IncrementalLexer.getSpans(tokens, source)
+        };
+
+        // 返回副本，调用方（如插件的 processTokens）修改列表不会影响缓存
+        const result = tokens.slice();
+        result.links = tokens.links;
+        return result;
+    }
+
+    /**
+     * 只重新分词变化的部分
+     * @param {Marked} marked marked 实例
+     * @param {Object} previous 上一次的分词结果
+     * @param {string} source 新的正文
+     * @returns {Array<Object>|null} token 列表，无法增量分词时返回 null
+     */
+    lexChanged(marked, previous, source) {
+        const { source: oldSource, tokens: oldTokens, spans } = previous;
+        if (oldSource === source) {
+            this.lastStats = { incremental: true, reused: oldTokens.length, lexed: 0 };
+            return oldTokens;
+        }
+        if (oldTokens.length === 0 || spans === null) {
+            return null;
+        }
+
+        // 变化范围：共同前缀之后、共同后缀之前
+        const maxCommon = Math.min(oldSource.length, source.length);
+        let prefix = 0;
+        while (prefix < maxCommon && oldSource.charCodeAt(prefix) === source.charCodeAt(prefix)) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < maxCommon - prefix
+            && oldSource.charCodeAt(oldSource.length - 1 - suffix) === source.charCodeAt(source.length - 1 - suffix)) {
+            suffix++;
+        }
+        const changeEnd = oldSource.length - suffix;
+
+        // 第一个触及变化的块及其前一个非空行块（校验块）
+        let first = spans.findIndex(span => span.end >= prefix);
+        if (first === -1) first = spans.length - 1;
+        let start = Math.max(0, first - 1);
+        while (start > 0 && oldTokens[start].type === 'space') {
+            start--;
+        }
+
+        // 最后一个触及变化的块及其后一个非空行块（校验块）
+        // 列表等块可以跨越空行延续，只校验空行会漏掉新内容与后面的块合并的情况
+        let last = first;
+        while (last < spans.length - 1 && spans[last + 1].start <= changeEnd) {
+            last++;
+        }
+        let end = Math.min(spans.length - 1, last + 1);
+        while (end < spans.length - 1 && oldTokens[end].type === 'space') {
+            end++;
+        }
+
+        const delta = source.length - oldSource.length;
+        const windowStart = spans[start].start;
+        const oldWindowEnd = end === spans.length - 1 ? oldSource.length : spans[end].end;
+        const windowEnd = oldWindowEnd + delta;
+        if (windowEnd < windowStart) {
+            return null;
+        }
+
+        // 范围内的链接引用定义变化时，其他块中的链接也需要重新解析
+        const text = source.slice(windowStart, windowEnd);
+        const oldText = oldSource.slice(windowStart, oldWindowEnd);
+        if (LINK_DEFINITION_PATTERN.test(text) || LINK_DEFINITION_PATTERN.test(oldText)) {
+            const links = (value) => JSON.stringify(IncrementalLexer.lexBlocks(marked, value).tokens.links);
+            if (links(text) !== links(oldText)) {
+                return null;
+            }
+        }
+
+        const lexer = new marked.Lexer(marked.defaults);
+        Object.assign(lexer.tokens.links, oldTokens.links);
+        const lexed = lexer.lex(text);
+
+        // 校验块必须与之前完全一致，否则说明变化影响到了范围之外
+        const same = (a, b) => a && b && a.type === b.type && a.raw === b.raw;
+        if (start < first && !same(lexed[0], oldTokens[start])) {
+            return null;
+        }
+        if (end > last && !same(lexed[lexed.length - 1], oldTokens[end])) {
+            return null;
+        }
+
+        const tokens = [...oldTokens.slice(0, start), ...lexed, ...oldTokens.slice(end + 1)];
+        tokens.links = oldTokens.links;
+
+        this.lastStats = {
+            incremental: true,
+            reused: oldTokens.length - (end - start + 1),
+            lexed: lexed.length
+        };
+        return tokens;
+    }
+
+    /**
+     * 只做块级分词，用于收集链接引用定义
+     * @param {Marked} marked marked 实例
+     * @param {string} text 文本
+     * @returns {Lexer} 分词器
+     */
+    static lexBlocks(marked, text) {
+        const lexer = new marked.Lexer(marked.defaults);
+        lexer.blockTokens(text, lexer.tokens);
+        return lexer;
+    }
+
+    /**
+     * 计算每个顶层 token 在正文中的位置
+     * 链接引用定义不会生成 token，因此按顺序查找而不是直接累加长度
+     * @param {Array<Object>} tokens 顶层 token 列表
+     * @param {string} source 正文
+     * @returns {Array<Object>|null} 位置列表 [{ start, end }]，无法定位时返回 null
+     */
+    static getSpans(tokens, source) {
+        const spans = [];
+        let offset = 0;
+
+        for (const token of tokens) {
+            const index = source.indexOf(token.raw, offset);
+            if (index === -1) return null;
+            spans.push({ start: index, end: index + token.raw.length });
+            offset = index + token.raw.length;
+        }
+
+        return spans;
+    }
+
+    /**
+     * 与 marked 分词前的处理保持一致：统一换行符并展开行首制表符
+     * @param {string} markdown Markdown 文本
+     * @returns {string} 处理后的文本
+     */
+    static normalize(markdown) {
+        return markdown
+            .replace(/\r\n|\r/g, '\n')
+            .replace(/^( *)(\t+)/gm, (_, leading, tabs) => leading + '    '.repeat(tabs.length));
+    }
+}
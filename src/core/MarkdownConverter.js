@@ -3,35 +3,206 @@
  * 负责将 Markdown 内容转换为 HTML
  */
 
-import { marked } from 'marked';
+import { Marked } from 'marked';
+import { HTMLSanitizer } from './HTMLSanitizer.js';
+import { FrontMatterParser } from './FrontMatterParser.js';
+import { MathRenderer } from './MathRenderer.js';
+import { DiagramRenderer } from './DiagramRenderer.js';
+import { ExtendedSyntax } from './ExtendedSyntax.js';
+import { AlertBlocks } from './AlertBlocks.js';
+import { createBuiltinPlugins } from './BuiltinPlugins.js';
+import { IncrementalLexer } from './IncrementalLexer.js';
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+import { Slugger } from './Slugger.js';
+
+// 增量解析时顶层块之间的分隔标记
+const BLOCK_MARKER = '<!--md2page-block-->';
+
+// 分步解析时，分词和生成 HTML 完成时的进度，其余为逐块清理
+const RENDER_PROGRESS = 0.4;
+
+// 分步解析时每次产出进度之间清理的块数
+const BLOCKS_PER_STEP = 100;
 
 export class MarkdownConverter {
-    constructor() {
-        this.setupMarked();
+    /**
+     * @param {Object} options 转换器选项
+     * @param {string} options.sanitizePolicy HTML 清理策略 ('strict', 'safe', 'trusted')
+     * @param {boolean} options.sourceLines 是否为顶层块元素添加 data-source-line 源码行号
+     * @param {Object} options.highlighter 代码高亮器，提供 highlight(code, language) 时在解析阶段生成高亮 HTML
+     */
+    constructor(options = {}) {
+        this.sanitizer = new HTMLSanitizer(options.sanitizePolicy || 'safe');
+        this.frontMatterParser = new FrontMatterParser();
+        this.lastSanitizeReport = null;
+        this.lastFrontMatter = null;
+        this.mathRenderer = new MathRenderer();
+        this.diagramRenderer = new DiagramRenderer();
+        this.extendedSyntax = new ExtendedSyntax();
+        this.alertBlocks = new AlertBlocks();
+        this.usedFeatures = new Set();
+        this.plugins = new Map();
+        this.markedCache = new Map();
+        this.activePlugins = [];
+        this.lastContext = null;
+        this.incrementalLexer = new IncrementalLexer();
+        this.htmlTokenizer = new HTMLTokenizer();
+        this.blockCache = new Map();
+        createBuiltinPlugins(this, options).forEach(plugin => this.use(plugin));
+    }
+
+    /**
+     * 注册插件
+     * 插件是一个带有 name 的对象，可以提供以下钩子（均为可选）：
+     * - preprocess(markdown, context): 在 marked 解析前处理正文，返回新的 Markdown
+     * - extensions / renderer: marked 的分词器扩展和渲染器覆盖
+     * - processTokens(tokens, context): 处理顶层 token 列表，可以返回新的列表
+     * - postprocess(html, context): 在清理前处理解析结果，返回新的 HTML
+     * - styles / scripts: 字符串或 (context) => 字符串，加入导出文档
+     * - sanitize: 插件生成的 HTML 需要在清理器中允许的 { tags, attributes, protocols }
+     * - reset(context): 每次解析前重置插件状态
+     * - afterRender(container, context): 预览内容插入页面后处理 DOM
+     * enabled 为 false 的插件默认不启用，需要在 front matter 的 plugins 中显式开启。
+     * 同名插件会替换已注册的插件
+     * @param {Object} plugin 插件
+     * @returns {MarkdownConverter} 转换器本身，便于链式调用
+     */
+    use(plugin) {
+        if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name.trim()) {
+            throw new Error('插件必须是带有 name 的对象');
+        }
+
+        ['preprocess', 'processTokens', 'postprocess', 'reset', 'afterRender'].forEach(hook => {
+            if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+                throw new Error(`插件 ${plugin.name} 的 ${hook} 必须是函数`);
+            }
+        });
+
+        // 重新注册的插件需要放到最后，保持注册顺序即执行顺序
+        this.plugins.delete(plugin.name);
+        this.plugins.set(plugin.name, plugin);
+        this.markedCache.clear();
+        this.blockCache.clear();
+
+        if (plugin.sanitize) {
+            this.sanitizer.extend(plugin.sanitize);
+        }
+
+        return this;
+    }
+
+    /**
+     * 获取已注册的插件
+     * @param {string} name 插件名称
+     * @returns {Object|null} 插件
+     */
+    getPlugin(name) {
+        return this.plugins.get(name) || null;
     }
 
     /**
-     * 配置 marked 解析器
+     * 获取已注册的插件名称
+     * @returns {Array<string>} 插件名称列表
      */
-    setupMarked() {
+    getPluginNames() {
+        return [...this.plugins.keys()];
+    }
+
+    /**
+     * 根据 front matter 中的 plugins 选择启用的插件
+     * 名称前加 - 或 ! 表示禁用该插件
+     * @param {Array<string>} selection 插件选择，如 ['my-plugin', '-math']
+     * @returns {Array<Object>} 按注册顺序排列的启用插件
+     */
+    resolvePlugins(selection = []) {
+        const enabled = new Set(
+            [...this.plugins.values()].filter(plugin => plugin.enabled !== false).map(plugin => plugin.name)
+        );
+
+        selection.forEach(entry => {
+            const match = /^([-!]?)\s*(.+)$/.exec(String(entry).trim());
+            if (!match) return;
+
+            const name = match[2];
+            if (!this.plugins.has(name)) {
+                console.warn('未知的插件:', name);
+                return;
+            }
+
+            if (match[1]) {
+                enabled.delete(name);
+            } else {
+                enabled.add(name);
+            }
+        });
+
+        return [...this.plugins.values()].filter(plugin => enabled.has(plugin.name));
+    }
+
+    /**
+     * 获取注册了指定插件的 marked 实例
+     * 每种插件组合只创建一次，插件变化时清空缓存
+     * @param {Array<Object>} plugins 启用的插件
+     * @returns {Marked} marked 实例
+     */
+    getMarked(plugins) {
+        const key = plugins.map(plugin => plugin.name).join('\n');
+        if (!this.markedCache.has(key)) {
+            this.markedCache.set(key, this.createMarked(plugins));
+        }
+        return this.markedCache.get(key);
+    }
+
+    /**
+     * 创建 marked 解析器
+     * @param {Array<Object>} plugins 启用的插件
+     * @returns {Marked} marked 实例
+     */
+    createMarked(plugins) {
+        // 每个转换器使用独立的 marked 实例，避免扩展重复注册到全局
+        const marked = new Marked();
+
         // 配置 marked 选项
         marked.setOptions({
             breaks: true,        // 支持换行符转换
             gfm: true,          // 启用 GitHub Flavored Markdown
-            headerIds: true,    // 为标题生成 ID
+            headerIds: false,   // 标题 ID 由目录插件生成
             mangle: false       // 不混淆邮箱地址
         });
 
-        // 自定义渲染器
-        const renderer = new marked.Renderer();
-        
-        // 为标题添加锚点 ID
-        renderer.heading = (text, level) => {
-            const id = this.generateHeadingId(text);
-            return `<h${level} id="${id}">${text}</h${level}>`;
-        };
+        // 同名渲染器方法后注册的优先，返回 false 时交给前一个
+        plugins.forEach(plugin => {
+            if (plugin.renderer) {
+                marked.use({ renderer: plugin.renderer });
+            }
+        });
+
+        // marked 会优先尝试后添加的分词器，倒序添加使先注册的扩展先匹配
+        const extensions = plugins.flatMap(plugin => plugin.extensions || []);
+        if (extensions.length > 0) {
+            marked.use({ extensions: extensions.reverse() });
+        }
 
-        marked.use({ renderer });
+        return marked;
+    }
+
+    /**
+     * 创建单次解析的插件上下文
+     * @param {Object} frontMatter front matter 解析结果
+     * @param {Array<Object>} plugins 启用的插件
+     * @returns {Object} 上下文 { converter, frontMatter, lineOffset, markdown, plugins, usedFeatures }
+     */
+    createPluginContext(frontMatter, plugins) {
+        return {
+            converter: this,
+            frontMatter: frontMatter.data,
+            // 正文之前 front matter 占用的行数，用于换算源码行号
+            lineOffset: frontMatter.lineCount || 0,
+            // 经过预处理、交给 marked 分词的正文
+            markdown: frontMatter.body || '',
+            plugins: plugins.map(plugin => plugin.name),
+            usedFeatures: this.usedFeatures
+        };
     }
 
     /**
@@ -45,13 +216,374 @@ export class MarkdownConverter {
         }
 
         try {
-            return marked.parse(content);
+            const { html } = this.renderDocument(content);
+
+            // 清理解析结果，移除脚本、事件属性和危险链接
+            const report = this.sanitizer.sanitize(html);
+            this.lastSanitizeReport = report;
+            return report.html;
         } catch (error) {
             console.error('Markdown 解析错误:', error);
             return `<p class="error">Markdown 解析失败: ${error.message}</p>`;
         }
     }
 
+    /**
+     * 按顶层块解析 Markdown 内容，用于预览的增量更新
+     * 只有内容变化的块会重新分词和清理，未变化的块复用上一次的结果
+     * @param {string} content Markdown 内容
+     * @returns {Object} { html, blocks: [{ key, html, line }] }，key 是不含行号的块内容，用于比较块是否变化
+     */
+    parseBlocks(content) {
+        const steps = this.parseBlockSteps(content);
+        let step = steps.next();
+        while (!step.done) {
+            step = steps.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * 分段执行的 parseBlocks，每段之间让出线程，可以取消
+     * 在 Worker 中运行时可以及时处理新的任务，在主线程运行时不会长时间阻塞输入
+     * @param {string} content Markdown 内容
+     * @param {Object} options 选项
+     * @param {Function} options.onProgress 进度回调，参数为 0-1 之间的进度
+     * @param {AbortSignal} options.signal 取消信号
+     * @param {number} options.sliceTime 每段最长执行时间（毫秒）
+     * @returns {Promise<Object|null>} 与 parseBlocks 相同的结果，被取消时为 null
+     */
+    async parseBlocksAsync(content, options = {}) {
+        const { onProgress = null, signal = null, sliceTime = 30 } = options;
+        const steps = this.parseBlockSteps(content);
+        let sliceStart = Date.now();
+
+        for (;;) {
+            const step = steps.next();
+            if (step.done) {
+                return step.value;
+            }
+            if (onProgress) {
+                onProgress(step.value);
+            }
+
+            if (Date.now() - sliceStart >= sliceTime) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                sliceStart = Date.now();
+            }
+            if (signal && signal.aborted) {
+                steps.return();
+                return null;
+            }
+        }
+    }
+
+    /**
+     * parseBlocks 的分步实现，每完成一部分产出当前进度
+     * @param {string} content Markdown 内容
+     * @yields {number} 0-1 之间的进度
+     * @returns {Object} { html, blocks }
+     */
+    *parseBlockSteps(content) {
+        if (!content || typeof content !== 'string') {
+            return { html: '', blocks: [] };
+        }
+
+        try {
+            const { html, splittable } = this.renderDocument(content, { splitBlocks: true });
+            yield RENDER_PROGRESS;
+
+            const chunks = (splittable ? html.split(BLOCK_MARKER) : [html.split(BLOCK_MARKER).join('')])
+                .filter(chunk => chunk.trim() !== '');
+            const policy = this.sanitizer.getPolicy();
+            const cache = new Map();
+            const removed = [];
+            const blocks = [];
+
+            for (let index = 0; index < chunks.length; index++) {
+                const chunk = chunks[index];
+
+                // 行号不参与比较，插入或删除行时后面的块仍然可以复用
+                const lineMatch = /^(\s*<[a-zA-Z][\w-]*) data-source-line="(\d+)"/.exec(chunk);
+                const key = lineMatch ? lineMatch[1] + chunk.slice(lineMatch[0].length) : chunk;
+                const cacheKey = `${policy}\n${key}`;
+
+                const report = cache.get(cacheKey) || this.blockCache.get(cacheKey) || this.sanitizer.sanitize(key);
+                cache.set(cacheKey, report);
+                removed.push(...report.removed);
+
+                const line = lineMatch ? parseInt(lineMatch[2], 10) : null;
+                const blockHtml = line === null
+                    ? report.html
+                    : report.html.replace(/^(\s*<[a-zA-Z][\w-]*)/, `$1 data-source-line="${line}"`);
+
+                // 清理结果受策略和允许列表影响，使用清理后的内容作为块的标识
+                blocks.push({ key: report.html, html: blockHtml, line });
+
+                if ((index + 1) % BLOCKS_PER_STEP === 0) {
+                    yield RENDER_PROGRESS + (1 - RENDER_PROGRESS) * (index + 1) / chunks.length;
+                }
+            }
+
+            this.blockCache = cache;
+            const result = blocks.map(block => block.html).join('');
+            this.lastSanitizeReport = { html: result, removed, policy };
+            return { html: result, blocks };
+        } catch (error) {
+            console.error('Markdown 解析错误:', error);
+            const html = `<p class="error">Markdown 解析失败: ${error.message}</p>`;
+            return { html, blocks: [{ key: html, html, line: null }] };
+        }
+    }
+
+    /**
+     * 获取最近一次解析的状态，用于把 Worker 中的解析结果同步到主线程的转换器
+     * @returns {Object} 可以通过 postMessage 传递的状态
+     */
+    getRenderState() {
+        return {
+            frontMatter: this.lastFrontMatter,
+            sanitizeReport: this.lastSanitizeReport,
+            usedFeatures: Array.from(this.usedFeatures)
+        };
+    }
+
+    /**
+     * 恢复其他转换器（如 Worker 中）的解析状态
+     * 之后 getDocumentOptions、getSanitizeReport、getExportStyles 和 afterRender 与在本地解析一致
+     * @param {Object} state getRenderState() 返回的状态
+     */
+    applyRenderState(state) {
+        this.lastFrontMatter = state.frontMatter;
+        this.lastSanitizeReport = state.sanitizeReport;
+        this.usedFeatures.clear();
+        state.usedFeatures.forEach(feature => this.usedFeatures.add(feature));
+        // 按 front matter 重新选择插件，只在本地注册的插件（如预览中的本地图片）也保持启用
+        const { plugins: selection = [] } = state.frontMatter
+            ? this.frontMatterParser.getDocumentOptions(state.frontMatter.data)
+            : {};
+        this.activePlugins = this.resolvePlugins(selection);
+        this.lastContext = state.frontMatter
+            ? this.createPluginContext(state.frontMatter, this.activePlugins)
+            : null;
+    }
+
+    /**
+     * 运行插件和 marked，生成未清理的 HTML
+     * @param {string} content Markdown 内容
+     * @param {Object} options 选项
+     * @param {boolean} options.splitBlocks 是否在顶层块之间插入分隔标记
+     * @returns {Object} { html, splittable }，splittable 表示各块可以分别清理和更新
+     */
+    renderDocument(content, options = {}) {
+        // 提取 front matter，正文部分交给 marked 解析
+        const frontMatter = this.frontMatterParser.parse(content);
+        this.lastFrontMatter = frontMatter;
+        this.usedFeatures.clear();
+
+        // front matter 中的 plugins 可以开启或禁用插件
+        const { plugins: selection = [] } = this.frontMatterParser.getDocumentOptions(frontMatter.data);
+        const plugins = this.resolvePlugins(selection);
+        const context = this.createPluginContext(frontMatter, plugins);
+        this.activePlugins = plugins;
+        this.lastContext = context;
+
+        plugins.forEach(plugin => plugin.reset && plugin.reset(context));
+
+        const markdown = plugins.reduce(
+            (text, plugin) => plugin.preprocess ? plugin.preprocess(text, context) : text,
+            frontMatter.body
+        );
+        const marked = this.getMarked(plugins);
+        context.markdown = markdown;
+
+        // 未变化的顶层块直接复用上一次的分词结果
+        const lexed = this.incrementalLexer.lex(marked, markdown);
+        let tokens = plugins.reduce(
+            (list, plugin) => plugin.processTokens ? (plugin.processTokens(list, context) || list) : list,
+            lexed
+        );
+
+        // 原始 HTML 块的标签不成对时（如 <details> 跨越多个块），只能整体清理和更新
+        const splittable = lexed.every(token => token.type !== 'html' || this.isBalancedHTML(token.text));
+        if (options.splitBlocks) {
+            tokens = this.insertBlockMarkers(tokens, new Set(lexed));
+        }
+
+        const html = plugins.reduce(
+            (result, plugin) => plugin.postprocess ? plugin.postprocess(result, context) : result,
+            marked.parser(tokens)
+        );
+
+        return { html, splittable };
+    }
+
+    /**
+     * 在每个顶层块之前和文档末尾插入分隔标记
+     * 插件在某个块之前插入的 token 与该块属于同一个块
+     * @param {Array<Object>} tokens 经过插件处理的 token 列表
+     * @param {Set<Object>} originals 分词得到的原始 token
+     * @returns {Array<Object>} 插入标记后的 token 列表
+     */
+    insertBlockMarkers(tokens, originals) {
+        const marker = () => ({ type: 'html', block: true, raw: '', pre: false, text: BLOCK_MARKER });
+        const result = [];
+        let pending = [];
+
+        tokens.forEach(token => {
+            if (!originals.has(token)) {
+                pending.push(token);
+                return;
+            }
+            if (token.type !== 'space') {
+                result.push(marker());
+            }
+            result.push(...pending, token);
+            pending = [];
+        });
+
+        result.push(...pending, marker());
+        result.links = tokens.links;
+        return result;
+    }
+
+    /**
+     * 判断 HTML 片段中的标签是否成对
+     * @param {string} html HTML 片段
+     * @returns {boolean} 是否成对
+     */
+    isBalancedHTML(html) {
+        let depth = 0;
+
+        for (const token of this.htmlTokenizer.tokenize(html)) {
+            if (token.type === 'startTag' && !token.selfClosing && !this.htmlTokenizer.isVoidElement(token.name)) {
+                depth++;
+            } else if (token.type === 'endTag' && --depth < 0) {
+                return false;
+            }
+        }
+
+        return depth === 0;
+    }
+
+    /**
+     * 设置 HTML 清理策略
+     * @param {string} policy 策略名称 ('strict', 'safe', 'trusted')
+     */
+    setSanitizePolicy(policy) {
+        this.sanitizer.setPolicy(policy);
+    }
+
+    /**
+     * 获取最近一次解析的清理报告
+     * @returns {Object|null} 清理报告 { html, removed, policy }
+     */
+    getSanitizeReport() {
+        return this.lastSanitizeReport;
+    }
+
+    /**
+     * 获取最近一次解析的 front matter
+     * @returns {Object|null} front matter 解析结果 { data, body, raw, lineCount, hasFrontMatter }
+     */
+    getFrontMatter() {
+        return this.lastFrontMatter;
+    }
+
+    /**
+     * 获取扩展语法生成的 HTML 所需的清理允许列表
+     * 导出时的二次清理也需要使用同样的允许列表
+     * @returns {Object} 允许列表 { tags, attributes }
+     */
+    getSanitizerAllowList() {
+        const allowList = { tags: [], attributes: {}, protocols: [] };
+
+        this.plugins.forEach(plugin => {
+            const { tags = [], attributes = {}, protocols = [] } = plugin.sanitize || {};
+            allowList.tags.push(...tags);
+            allowList.protocols.push(...protocols);
+            Object.entries(attributes).forEach(([tag, names]) => {
+                allowList.attributes[tag] = [...(allowList.attributes[tag] || []), ...names];
+            });
+        });
+
+        return allowList;
+    }
+
+    /**
+     * 获取导出文档所需的额外样式
+     * 由最近一次解析启用的插件提供，内置插件只包含实际用到的功能（如数学公式）的样式
+     * @param {Object} options 选项
+     * @param {Array<string>} options.exclude 不需要样式的插件名称，如导出时用其他高亮主题代替 'highlight' 的配色
+     * @returns {string} CSS 样式
+     */
+    getExportStyles(options = {}) {
+        return this.collectPluginAssets('styles', options.exclude);
+    }
+
+    /**
+     * 获取导出文档所需的额外脚本
+     * @returns {string} JavaScript 代码
+     */
+    getExportScripts() {
+        return this.collectPluginAssets('scripts');
+    }
+
+    /**
+     * 收集启用插件提供的样式或脚本
+     * @param {string} type 资源类型 ('styles', 'scripts')
+     * @param {Array<string>} exclude 跳过的插件名称
+     * @returns {string} 合并后的内容
+     */
+    collectPluginAssets(type, exclude = []) {
+        const context = this.lastContext || this.createPluginContext({ data: {} }, this.activePlugins);
+
+        return this.activePlugins
+            .filter(plugin => !exclude.includes(plugin.name))
+            .map(plugin => typeof plugin[type] === 'function' ? plugin[type](context) : plugin[type])
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * 预览内容插入页面后调用启用插件的 afterRender 钩子
+     * @param {Element} container 预览容器
+     */
+    afterRender(container) {
+        if (!container) return;
+
+        this.activePlugins.forEach(plugin => {
+            if (!plugin.afterRender) return;
+            try {
+                plugin.afterRender(container, this.lastContext);
+            } catch (error) {
+                console.warn(`插件 ${plugin.name} 处理预览失败:`, error);
+            }
+        });
+    }
+
+    /**
+     * 获取最近一次解析中的标题列表（由目录插件收集）
+     * @returns {Array<Object>} 标题列表 [{ level, text, id }]
+     */
+    getHeadings() {
+        const toc = this.activePlugins.find(plugin => plugin.name === 'toc');
+        return toc ? toc.headings : [];
+    }
+
+    /**
+     * 获取由 front matter 决定的文档选项
+     * @param {string} content Markdown 内容（可选，默认使用最近一次解析的结果）
+     * @returns {Object} 文档选项 { title, author, date, lang, theme, toc, description, plugins }
+     */
+    getDocumentOptions(content = null) {
+        const frontMatter = content !== null
+            ? this.frontMatterParser.parse(content)
+            : this.lastFrontMatter;
+
+        return frontMatter ? this.frontMatterParser.getDocumentOptions(frontMatter.data) : {};
+    }
+
     /**
      * 生成完整的 HTML 文档
      * @param {string} parsedContent 解析后的 HTML 内容
@@ -62,17 +594,24 @@ export class MarkdownConverter {
         const {
             title = 'Markdown Document',
             theme = 'light',
-            includeTableOfContents = false
+            lang = 'zh-CN',
+            author = '',
+            date = '',
+            description = '',
+            includeTableOfContents = false,
+            extraStyles = this.getExportStyles()
         } = options;
 
         return `<!DOCTYPE html>
-<html lang="zh-CN">
+<html lang="${lang}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${title}</title>
+    ${this.generateMetaTags({ author, date, description })}
     <style>
         ${this.getInlineStyles(theme)}
+        ${extraStyles}
     </style>
 </head>
 <body class="theme-${theme}">
@@ -84,6 +623,23 @@ export class MarkdownConverter {
 </html>`;
     }
 
+    /**
+     * 生成文档元信息标签
+     * @param {Object} meta 元信息 { author, date, description }
+     * @returns {string} meta 标签 HTML
+     */
+    generateMetaTags(meta) {
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;');
+
+        return ['author', 'date', 'description']
+            .filter(name => meta[name])
+            .map(name => `<meta name="${name}" content="${escape(meta[name])}">`)
+            .join('\n    ');
+    }
+
     /**
      * 验证 Markdown 内容
      * @param {string} content Markdown 内容
@@ -117,15 +673,13 @@ export class MarkdownConverter {
     }
 
     /**
-     * 为标题生成 ID
-     * @param {string} text 标题文本
+     * 为标题生成 ID，规则与 GitHub 的锚点一致
+     * 不检查重复，解析时重复的标题由目录插件追加 -1、-2
+     * @param {string} text 标题纯文本
      * @returns {string} 生成的 ID
      */
     generateHeadingId(text) {
-        return text
-            .toLowerCase()
-            .replace(/[^\w\u4e00-\u9fa5]+/g, '-')
-            .replace(/^-+|-+$/g, '');
+        return Slugger.slugify(text);
     }
 
     /**
@@ -0,0 +1,19 @@
+/**
+ * Markdown 解析 Worker 入口
+ * 由 MarkdownWorkerClient 创建，解析、代码高亮和目录提取都在这里完成
+ */
+
+// 必须最先导入，在 prismjs 执行前关闭其 Worker 消息处理
+import './PrismWorkerSetup.js';
+import { Prism } from './PrismLanguages.js';
+import { PrismHighlighter } from './PrismHighlighter.js';
+import { MarkdownWorkerHost } from './MarkdownWorkerHost.js';
+
+const host = new MarkdownWorkerHost(
+    (message) => self.postMessage(message),
+    { highlighter: new PrismHighlighter(Prism) }
+);
+
+self.addEventListener('message', (event) => {
+    host.handleMessage(event.data);
+});
@@ -0,0 +1,232 @@
+/**
+ * 主线程端的解析客户端
+ * 把解析任务交给 MarkdownWorker，新任务会取代尚未完成的旧任务。
+ * 不支持 Worker、Worker 加载失败或注册了需要在主线程运行的插件时，改为在主线程分段解析
+ */
+
+import { TOCGenerator } from './TOCGenerator.js';
+import { createBuiltinPlugins } from './BuiltinPlugins.js';
+
+// 会影响解析结果的插件钩子，带有这些钩子的自定义插件无法在 Worker 中运行
+const PARSE_HOOKS = ['preprocess', 'extensions', 'renderer', 'processTokens', 'postprocess', 'reset', 'sanitize'];
+
+export class MarkdownWorkerClient {
+    /**
+     * @param {MarkdownConverter} converter 主线程的转换器，Worker 的解析状态会同步到这里
+     * @param {Object} options 选项
+     * @param {Function} options.createWorker 创建 Worker 的函数，返回 null 表示不可用
+     */
+    constructor(converter, options = {}) {
+        this.converter = converter;
+        this.createWorker = options.createWorker || createMarkdownWorker;
+        this.tocGenerator = new TOCGenerator();
+        this.builtinPlugins = new Set(createBuiltinPlugins(converter).map(plugin => plugin.name));
+        this.worker = null;
+        this.workerFailed = false;
+        this.pending = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * 判断当前能否使用 Worker 解析
+     * Worker 中只有内置插件，主线程注册了会影响解析结果的自定义插件时不能使用
+     * @returns {boolean} 是否可以使用 Worker
+     */
+    canUseWorker() {
+        if (this.workerFailed) return false;
+
+        return [...this.converter.plugins.values()].every(plugin =>
+            this.builtinPlugins.has(plugin.name) || PARSE_HOOKS.every(hook => plugin[hook] === undefined)
+        );
+    }
+
+    /**
+     * 获取 Worker，首次使用时创建
+     * @returns {Worker|null} Worker，不可用时返回 null
+     */
+    getWorker() {
+        if (this.worker || this.workerFailed) {
+            return this.worker;
+        }
+
+        try {
+            this.worker = this.createWorker();
+        } catch (error) {
+            console.warn('无法创建解析 Worker，改为在主线程解析:', error);
+            this.worker = null;
+        }
+
+        if (!this.worker) {
+            this.workerFailed = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+        this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+        return this.worker;
+    }
+
+    /**
+     * 解析 Markdown
+     * @param {string} content Markdown 内容
+     * @param {Object} options 选项
+     * @param {Function} options.onProgress 进度回调，参数为 0-1 之间的进度
+     * @returns {Promise<Object|null>} { html, blocks, headings }，被新任务取代时为 null
+     */
+    parse(content, options = {}) {
+        this.cancel();
+
+        const job = {
+            id: this.nextId++,
+            content,
+            onProgress: options.onProgress || null,
+            controller: new AbortController(),
+            inWorker: false
+        };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        this.pending = job;
+
+        const worker = this.canUseWorker() ? this.getWorker() : null;
+        if (worker) {
+            job.inWorker = true;
+            worker.postMessage({
+                type: 'parse',
+                id: job.id,
+                content,
+                options: { sanitizePolicy: this.converter.sanitizer.getPolicy() }
+            });
+        } else {
+            this.parseOnMainThread(job);
+        }
+
+        return job.promise;
+    }
+
+    /**
+     * 取消尚未完成的任务，其 Promise 以 null 结束
+     */
+    cancel() {
+        const job = this.pending;
+        if (!job) return;
+
+        this.pending = null;
+        job.controller.abort();
+        if (job.inWorker && this.worker) {
+            this.worker.postMessage({ type: 'cancel', id: job.id });
+        }
+        job.resolve(null);
+    }
+
+    /**
+     * 在主线程分段解析
+     * @param {Object} job 任务
+     */
+    async parseOnMainThread(job) {
+        job.inWorker = false;
+
+        try {
+            const result = await this.converter.parseBlocksAsync(job.content, {
+                signal: job.controller.signal,
+                onProgress: job.onProgress
+            });
+            if (result === null || this.pending !== job) {
+                return;
+            }
+
+            this.finish(job, {
+                html: result.html,
+                blocks: result.blocks,
+                headings: this.tocGenerator.parseBlockHeadings(result.blocks)
+            });
+        } catch (error) {
+            if (this.pending === job) {
+                this.pending = null;
+                job.reject(error);
+            }
+        }
+    }
+
+    /**
+     * 处理 Worker 发来的消息
+     * @param {Object} message 消息
+     */
+    handleMessage(message) {
+        const job = this.pending;
+        // 已被取代的任务的消息直接忽略
+        if (!message || !job || message.id !== job.id) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'progress':
+                if (job.onProgress) {
+                    job.onProgress(message.progress);
+                }
+                break;
+            case 'result': {
+                const { html, blocks, headings, state } = message.result;
+                this.converter.applyRenderState(state);
+                this.finish(job, { html, blocks, headings });
+                break;
+            }
+            case 'error':
+                console.warn('Worker 解析失败，改为在主线程解析:', message.message);
+                this.parseOnMainThread(job);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Worker 出错（如脚本加载失败）后不再使用，未完成的任务改为在主线程解析
+     * @param {Event} event 错误事件
+     */
+    handleWorkerError(event) {
+        console.warn('解析 Worker 出错，改为在主线程解析:', event && event.message);
+        this.workerFailed = true;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        if (this.pending && this.pending.inWorker) {
+            this.parseOnMainThread(this.pending);
+        }
+    }
+
+    /**
+     * 完成任务
+     * @param {Object} job 任务
+     * @param {Object} result 解析结果
+     */
+    finish(job, result) {
+        this.pending = null;
+        job.resolve(result);
+    }
+
+    /**
+     * 终止 Worker
+     */
+    destroy() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+/**
+ * 创建解析 Worker
+ * @returns {Worker|null} Worker，环境不支持时返回 null
+ */
+function createMarkdownWorker() {
+    if (typeof Worker === 'undefined') {
+        return null;
+    }
+    return new Worker(new URL('./MarkdownWorker.js', import.meta.url), { type: 'module' });
+}
@@ -0,0 +1,111 @@
+/**
+ * Worker 端的解析服务
+ * 在 Worker 中完成 Markdown 解析、代码高亮和目录提取，新的任务到达时取消尚未完成的旧任务。
+ * 不直接依赖 Worker 全局对象，通过 post 回调发送消息，便于在主线程中测试
+ *
+ * 消息格式：
+ * - 收到 { type: 'parse', id, content, options: { sanitizePolicy } }
+ * - 收到 { type: 'cancel', id }
+ * - 发送 { type: 'progress', id, progress }
+ * - 发送 { type: 'result', id, result: { html, blocks, headings, state } }
+ * - 发送 { type: 'cancelled', id } 或 { type: 'error', id, message }
+ */
+
+import { MarkdownConverter } from './MarkdownConverter.js';
+import { TOCGenerator } from './TOCGenerator.js';
+
+export class MarkdownWorkerHost {
+    /**
+     * @param {Function} post 发送消息的函数
+     * @param {Object} options 选项
+     * @param {Object} options.highlighter 代码高亮器，提供 highlight(code, language)
+     */
+    constructor(post, options = {}) {
+        this.post = post;
+        this.converter = new MarkdownConverter({
+            sourceLines: true,
+            highlighter: options.highlighter || null
+        });
+        this.tocGenerator = new TOCGenerator();
+        this.current = null;
+    }
+
+    /**
+     * 处理收到的消息
+     * @param {Object} message 消息
+     * @returns {Promise<void>} 任务完成（或被取消）时结束
+     */
+    handleMessage(message) {
+        if (!message || typeof message !== 'object') {
+            return Promise.resolve();
+        }
+
+        switch (message.type) {
+            case 'parse':
+                return this.parse(message);
+            case 'cancel':
+                if (this.current && this.current.id === message.id) {
+                    this.current.controller.abort();
+                }
+                return Promise.resolve();
+            default:
+                console.warn('未知的 Worker 消息:', message.type);
+                return Promise.resolve();
+        }
+    }
+
+    /**
+     * 解析任务
+     * @param {Object} message 解析消息
+     */
+    async parse(message) {
+        const { id, content, options = {} } = message;
+
+        // 同一时间只处理最新的任务
+        if (this.current) {
+            this.current.controller.abort();
+        }
+        const controller = new AbortController();
+        const job = { id, controller };
+        this.current = job;
+
+        try {
+            // 先让出一次，连续输入时排队中的新任务可以直接取代这个任务
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (controller.signal.aborted) {
+                this.post({ type: 'cancelled', id });
+                return;
+            }
+
+            if (options.sanitizePolicy && options.sanitizePolicy !== this.converter.sanitizer.getPolicy()) {
+                this.converter.setSanitizePolicy(options.sanitizePolicy);
+            }
+
+            const result = await this.converter.parseBlocksAsync(content, {
+                signal: controller.signal,
+                onProgress: (progress) => this.post({ type: 'progress', id, progress })
+            });
+            if (result === null) {
+                this.post({ type: 'cancelled', id });
+                return;
+            }
+
+            this.post({
+                type: 'result',
+                id,
+                result: {
+                    html: result.html,
+                    blocks: result.blocks,
+                    headings: this.tocGenerator.parseBlockHeadings(result.blocks),
+                    state: this.converter.getRenderState()
+                }
+            });
+        } catch (error) {
+            this.post({ type: 'error', id, message: error.message });
+        } finally {
+            if (this.current === job) {
+                this.current = null;
+            }
+        }
+    }
+}
@@ -0,0 +1,714 @@
+/**
+ * 数学公式渲染器
+ * 将 LaTeX 公式转换为 MathML，无需加载外部脚本或字体，可离线使用
+ */
+
+// 希腊字母
+const GREEK_LETTERS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+    zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+    lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ',
+    rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ',
+    phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+    Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+// 作为标识符显示的符号
+const IDENTIFIER_SYMBOLS = {
+    infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅',
+    hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', wp: '℘',
+    forall: '∀', exists: '∃', nexists: '∄', top: '⊤', bot: '⊥', angle: '∠',
+    triangle: '△', degree: '°', prime: '′', dagger: '†'
+};
+
+// 运算符和关系符号
+const OPERATOR_SYMBOLS = {
+    times: '×', cdot: '⋅', pm: '±', mp: '∓', div: '÷', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', ll: '≪', gg: '≫',
+    approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅', propto: '∝',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+    cup: '∪', cap: '∩', setminus: '∖', oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙',
+    land: '∧', wedge: '∧', lor: '∨', vee: '∨', neg: '¬', lnot: '¬',
+    to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔',
+    Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺',
+    mapsto: '↦', uparrow: '↑', downarrow: '↓', longrightarrow: '⟶', longleftarrow: '⟵',
+    perp: '⊥', parallel: '∥', mid: '∣', nmid: '∤', colon: ':',
+    cdots: '⋯', ldots: '…', dots: '…', vdots: '⋮', ddots: '⋱',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+    lvert: '|', rvert: '|', vert: '|', Vert: '‖', lVert: '‖', rVert: '‖'
+};
+
+// 大型运算符
+const LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+    bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂', bigvee: '⋁', bigwedge: '⋀'
+};
+
+// 函数名
+const FUNCTION_NAMES = [
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+    'sinh', 'cosh', 'tanh', 'coth', 'log', 'ln', 'lg', 'exp', 'det', 'dim',
+    'ker', 'arg', 'deg', 'gcd', 'hom', 'Pr'
+];
+
+// 上下限放在正下方/正上方的函数
+const LIMIT_FUNCTIONS = ['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'argmax', 'argmin'];
+
+// 字体命令
+const FONT_COMMANDS = {
+    mathrm: 'normal', textrm: 'normal', mathbf: 'bold', textbf: 'bold', mathit: 'italic',
+    textit: 'italic', mathbb: 'double-struck', mathcal: 'script', mathscr: 'script',
+    mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace', boldsymbol: 'bold-italic'
+};
+
+// 重音符号
+const ACCENTS = {
+    hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→',
+    tilde: '~', widetilde: '~', dot: '˙', ddot: '¨', check: 'ˇ', breve: '˘', acute: '´', grave: '`'
+};
+
+// 空白命令
+const SPACES = {
+    ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em',
+    '!': '-0.1667em', quad: '1em', qquad: '2em', enspace: '0.5em', thinspace: '0.1667em'
+};
+
+// 矩阵环境的定界符
+const MATRIX_DELIMITERS = {
+    matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], smallmatrix: ['', '']
+};
+
+/**
+ * 公式解析错误
+ */
+export class MathParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MathParseError';
+    }
+}
+
+export class MathRenderer {
+    constructor() {
+        this.tokens = [];
+        this.pos = 0;
+    }
+
+    /**
+     * 渲染公式
+     * @param {string} tex LaTeX 公式
+     * @param {Object} options 选项
+     * @param {boolean} options.displayMode 是否为块级公式
+     * @returns {string} 渲染后的 HTML
+     */
+    render(tex, options = {}) {
+        const { displayMode = false } = options;
+        const source = String(tex || '').trim();
+        const wrapperTag = displayMode ? 'div' : 'span';
+        const className = displayMode ? 'math math-display' : 'math math-inline';
+
+        try {
+            const mathml = this.toMathML(source, displayMode);
+            return `<${wrapperTag} class="${className}">${mathml}</${wrapperTag}>`;
+        } catch (error) {
+            const message = error instanceof MathParseError ? error.message : '公式渲染失败';
+            const delimiter = displayMode ? '$$' : '$';
+            return `<${wrapperTag} class="${className} math-error" title="${this.escape(message)}">${this.escape(delimiter + source + delimiter)}</${wrapperTag}>`;
+        }
+    }
+
+    /**
+     * 将 LaTeX 转换为 MathML
+     * @param {string} tex LaTeX 公式
+     * @param {boolean} displayMode 是否为块级公式
+     * @returns {string} MathML 字符串
+     */
+    toMathML(tex, displayMode = false) {
+        this.tokens = this.tokenize(tex);
+        this.pos = 0;
+        this.displayMode = displayMode;
+
+        const body = this.parseSequence(null);
+        if (this.pos < this.tokens.length) {
+            throw new MathParseError(`多余的 "${this.tokens[this.pos].value}"`);
+        }
+
+        return `<math xmlns="http://www.w3.org/1998/Math/MathML" display="${displayMode ? 'block' : 'inline'}">`
+            + `<semantics><mrow>${body.join('')}</mrow>`
+            + `<annotation encoding="application/x-tex">${this.escape(tex)}</annotation></semantics></math>`;
+    }
+
+    /**
+     * 词法分析
+     * @param {string} tex LaTeX 公式
+     * @returns {Array<Object>} 词法单元
+     */
+    tokenize(tex) {
+        const tokens = [];
+        const push = (token) => {
+            // 记录前面是否有空白，\text{} 中需要保留空格
+            token.spaceBefore = i > 0 && /\s/.test(tex[i - 1]);
+            tokens.push(token);
+        };
+        let i = 0;
+
+        while (i < tex.length) {
+            const ch = tex[i];
+
+            if (ch === '\\') {
+                const word = /^\\([a-zA-Z]+)/.exec(tex.slice(i));
+                if (word) {
+                    push({ type: 'command', value: word[1] });
+                    i += word[0].length;
+                } else if (i + 1 < tex.length) {
+                    const symbol = tex[i + 1];
+                    push(symbol === '\\'
+                        ? { type: 'newline', value: '\\\\' }
+                        : { type: 'command', value: symbol });
+                    i += 2;
+                } else {
+                    throw new MathParseError('公式不能以 "\\" 结尾');
+                }
+                continue;
+            }
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            const numberMatch = /^(?:[0-9]*\.[0-9]+|[0-9]+)/.exec(tex.slice(i));
+            if (numberMatch) {
+                const number = numberMatch[0];
+                push({ type: 'number', value: number });
+                i += number.length;
+                continue;
+            }
+
+            const types = { '{': 'open', '}': 'close', '^': 'sup', '_': 'sub', '&': 'align' };
+            push({ type: types[ch] || 'char', value: ch });
+            i++;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 解析一段连续的公式
+     * @param {string|null} terminator 结束类型 ('close', 'right', 'end' 或 null)
+     * @returns {Array<string>} MathML 片段
+     */
+    parseSequence(terminator) {
+        const nodes = [];
+
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos];
+
+            if (token.type === 'close') {
+                if (terminator === 'close') break;
+                throw new MathParseError('多余的 "}"');
+            }
+            if (token.type === 'command' && (token.value === 'right' || token.value === 'end')) {
+                if (terminator === token.value || (terminator === 'cell' && token.value === 'end')) break;
+                throw new MathParseError(`多余的 "\\${token.value}"`);
+            }
+            if (terminator === 'cell' && (token.type === 'align' || token.type === 'newline')) {
+                break;
+            }
+            if (token.type === 'command' && ['over', 'choose'].includes(token.value)) {
+                // 中缀分式 a \over b
+                this.pos++;
+                const denominator = this.parseSequence(terminator);
+                const numerator = nodes.splice(0, nodes.length);
+                const fraction = `<mfrac${token.value === 'choose' ? ' linethickness="0"' : ''}>${this.row(numerator)}${this.row(denominator)}</mfrac>`;
+                nodes.push(token.value === 'choose' ? `<mrow><mo>(</mo>${fraction}<mo>)</mo></mrow>` : fraction);
+                break;
+            }
+
+            nodes.push(this.parseScripts(this.parseAtom()));
+        }
+
+        return nodes;
+    }
+
+    /**
+     * 解析上下标
+     * @param {Object} base 基础节点 { mathml, limits }
+     * @returns {string} MathML
+     */
+    parseScripts(base) {
+        let sup = null;
+        let sub = null;
+
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos];
+            if (token.type === 'sup' && sup === null) {
+                this.pos++;
+                sup = this.parseArgument();
+            } else if (token.type === 'sub' && sub === null) {
+                this.pos++;
+                sub = this.parseArgument();
+            } else if (token.type === 'char' && token.value === "'" && sup === null) {
+                // 撇号表示导数
+                let primes = '';
+                while (this.pos < this.tokens.length && this.tokens[this.pos].value === "'") {
+                    primes += '′';
+                    this.pos++;
+                }
+                sup = `<mo>${primes}</mo>`;
+            } else {
+                break;
+            }
+        }
+
+        if (sup === null && sub === null) {
+            return base.mathml;
+        }
+
+        const underOver = base.limits && this.displayMode;
+        if (sub !== null && sup !== null) {
+            return underOver
+                ? `<munderover>${base.mathml}${sub}${sup}</munderover>`
+                : `<msubsup>${base.mathml}${sub}${sup}</msubsup>`;
+        }
+        if (sub !== null) {
+            return underOver ? `<munder>${base.mathml}${sub}</munder>` : `<msub>${base.mathml}${sub}</msub>`;
+        }
+        return underOver ? `<mover>${base.mathml}${sup}</mover>` : `<msup>${base.mathml}${sup}</msup>`;
+    }
+
+    /**
+     * 解析命令参数（单个词法单元或花括号分组）
+     * @returns {string} MathML
+     */
+    parseArgument() {
+        const token = this.tokens[this.pos];
+        if (!token) {
+            throw new MathParseError('缺少参数');
+        }
+
+        if (token.type === 'open') {
+            this.pos++;
+            const nodes = this.parseSequence('close');
+            this.expect('close', '缺少 "}"');
+            return this.row(nodes);
+        }
+
+        // 单个数字只取第一位，例如 x^23 等价于 x^{2}3
+        if (token.type === 'number' && token.value.length > 1) {
+            const digit = token.value.charAt(0);
+            this.tokens[this.pos] = { type: 'number', value: token.value.slice(1) };
+            return `<mn>${digit}</mn>`;
+        }
+
+        return this.parseAtom().mathml;
+    }
+
+    /**
+     * 读取花括号中的原始文本
+     * @returns {string} 文本
+     */
+    parseTextArgument() {
+        this.expect('open', '缺少 "{"');
+        let depth = 1;
+        let text = '';
+
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos++];
+            if (token.spaceBefore && text !== '') text += ' ';
+            if (token.type === 'open') depth++;
+            if (token.type === 'close') {
+                depth--;
+                if (depth === 0) return text;
+            }
+            text += token.type === 'command'
+                ? (/^[a-zA-Z]+$/.test(token.value) ? `\\${token.value} ` : token.value)
+                : token.value;
+        }
+
+        throw new MathParseError('缺少 "}"');
+    }
+
+    /**
+     * 解析原子节点
+     * @returns {Object} { mathml, limits }
+     */
+    parseAtom() {
+        const token = this.tokens[this.pos++];
+
+        switch (token.type) {
+            case 'number':
+                return { mathml: `<mn>${token.value}</mn>` };
+
+            case 'open': {
+                const nodes = this.parseSequence('close');
+                this.expect('close', '缺少 "}"');
+                return { mathml: this.row(nodes) };
+            }
+
+            case 'sup':
+            case 'sub':
+                // 没有基础的上下标
+                this.pos--;
+                return { mathml: '<mrow></mrow>' };
+
+            case 'align':
+            case 'newline':
+                return { mathml: '' };
+
+            case 'char':
+                if (/[a-zA-Z]/.test(token.value)) {
+                    return { mathml: `<mi>${token.value}</mi>` };
+                }
+                return { mathml: `<mo>${this.escape(token.value === '*' ? '∗' : token.value === '-' ? '−' : token.value)}</mo>` };
+
+            case 'command':
+                return this.parseCommand(token.value);
+
+            default:
+                throw new MathParseError(`无法识别的内容 "${token.value}"`);
+        }
+    }
+
+    /**
+     * 解析命令
+     * @param {string} name 命令名
+     * @returns {Object} { mathml, limits }
+     */
+    parseCommand(name) {
+        if (GREEK_LETTERS[name]) {
+            const normal = /^[A-Z]/.test(name) ? ' mathvariant="normal"' : '';
+            return { mathml: `<mi${normal}>${GREEK_LETTERS[name]}</mi>` };
+        }
+        if (IDENTIFIER_SYMBOLS[name]) {
+            return { mathml: `<mi mathvariant="normal">${IDENTIFIER_SYMBOLS[name]}</mi>` };
+        }
+        if (OPERATOR_SYMBOLS[name]) {
+            return { mathml: `<mo>${OPERATOR_SYMBOLS[name]}</mo>` };
+        }
+        if (LARGE_OPERATORS[name]) {
+            const isIntegral = /int$/.test(name);
+            return { mathml: `<mo largeop="true"${isIntegral ? '' : ' movablelimits="true"'}>${LARGE_OPERATORS[name]}</mo>`, limits: !isIntegral };
+        }
+        if (FUNCTION_NAMES.includes(name)) {
+            return { mathml: `<mi>${name}</mi><mo>&#x2061;</mo>` };
+        }
+        if (LIMIT_FUNCTIONS.includes(name)) {
+            const label = name.replace(/^lim(inf|sup)$/, 'lim $1');
+            return { mathml: `<mo movablelimits="true">${label}</mo>`, limits: true };
+        }
+        if (SPACES[name]) {
+            return { mathml: `<mspace width="${SPACES[name]}"></mspace>` };
+        }
+        if (FONT_COMMANDS[name]) {
+            const variant = FONT_COMMANDS[name];
+            if (name.startsWith('text')) {
+                return { mathml: `<mtext mathvariant="${variant}">${this.escape(this.parseTextArgument())}</mtext>` };
+            }
+            return { mathml: `<mstyle mathvariant="${variant}">${this.parseArgument()}</mstyle>` };
+        }
+        if (ACCENTS[name]) {
+            const stretchy = /^(wide|over)/.test(name) ? 'true' : 'false';
+            return { mathml: `<mover accent="true">${this.parseArgument()}<mo stretchy="${stretchy}">${ACCENTS[name]}</mo></mover>` };
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+            case 'cfrac':
+                return { mathml: `<mfrac>${this.parseArgument()}${this.parseArgument()}</mfrac>` };
+
+            case 'binom':
+            case 'dbinom':
+            case 'tbinom':
+                return { mathml: `<mrow><mo>(</mo><mfrac linethickness="0">${this.parseArgument()}${this.parseArgument()}</mfrac><mo>)</mo></mrow>` };
+
+            case 'sqrt': {
+                const next = this.tokens[this.pos];
+                if (next && next.type === 'char' && next.value === '[') {
+                    this.pos++;
+                    const index = [];
+                    while (this.pos < this.tokens.length && this.tokens[this.pos].value !== ']') {
+                        index.push(this.parseScripts(this.parseAtom()));
+                    }
+                    this.expectValue(']', '缺少 "]"');
+                    return { mathml: `<mroot>${this.parseArgument()}${this.row(index)}</mroot>` };
+                }
+                return { mathml: `<msqrt>${this.parseArgument()}</msqrt>` };
+            }
+
+            case 'text':
+            case 'mbox':
+            case 'textnormal':
+                return { mathml: `<mtext>${this.escape(this.parseTextArgument())}</mtext>` };
+
+            case 'operatorname':
+                return { mathml: `<mi mathvariant="normal">${this.escape(this.parseTextArgument())}</mi><mo>&#x2061;</mo>` };
+
+            case 'underline':
+                return { mathml: `<munder accentunder="true">${this.parseArgument()}<mo stretchy="true">_</mo></munder>` };
+
+            case 'overset':
+            case 'stackrel': {
+                const over = this.parseArgument();
+                return { mathml: `<mover>${this.parseArgument()}${over}</mover>` };
+            }
+
+            case 'underset': {
+                const under = this.parseArgument();
+                return { mathml: `<munder>${this.parseArgument()}${under}</munder>` };
+            }
+
+            case 'left': {
+                const open = this.parseDelimiter();
+                const body = this.parseSequence('right');
+                this.expectValue('right', '缺少 "\\right"');
+                const close = this.parseDelimiter();
+                return { mathml: `<mrow>${this.fence(open)}${body.join('')}${this.fence(close)}</mrow>` };
+            }
+
+            case 'begin':
+                return { mathml: this.parseEnvironment() };
+
+            case 'color':
+            case 'textcolor': {
+                const color = this.parseTextArgument().trim();
+                const safeColor = /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/.test(color) ? color : 'inherit';
+                const body = name === 'textcolor' ? this.parseArgument() : this.row(this.parseSequence('close'));
+                return { mathml: `<mstyle mathcolor="${safeColor}">${body}</mstyle>` };
+            }
+
+            case 'displaystyle':
+            case 'textstyle':
+            case 'limits':
+            case 'nolimits':
+            case 'big':
+            case 'Big':
+            case 'bigg':
+            case 'Bigg':
+            case 'bigl':
+            case 'bigr':
+            case 'Bigl':
+            case 'Bigr':
+                return { mathml: '' };
+
+            case '{':
+            case '}':
+            case '|':
+            case '%':
+            case '$':
+            case '#':
+            case '&':
+            case '_':
+                return { mathml: name === '|' ? '<mo>‖</mo>' : `<mo>${this.escape(name)}</mo>` };
+
+            default:
+                return { mathml: `<merror><mtext>\\${this.escape(name)}</mtext></merror>` };
+        }
+    }
+
+    /**
+     * 解析 \left / \right 后的定界符
+     * @returns {string} 定界符字符
+     */
+    parseDelimiter() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            throw new MathParseError('缺少定界符');
+        }
+        if (token.type === 'char') {
+            return token.value === '.' ? '' : token.value;
+        }
+        if (token.type === 'command') {
+            if (token.value === '{' || token.value === '}') return token.value;
+            if (token.value === '|') return '‖';
+            if (OPERATOR_SYMBOLS[token.value]) return OPERATOR_SYMBOLS[token.value];
+        }
+        throw new MathParseError('无效的定界符');
+    }
+
+    /**
+     * 解析 \begin{...} 环境
+     * @returns {string} MathML
+     */
+    parseEnvironment() {
+        const name = this.parseTextArgument().trim();
+
+        // array 环境的列格式参数
+        if (name === 'array' && this.tokens[this.pos] && this.tokens[this.pos].type === 'open') {
+            this.parseTextArgument();
+        }
+
+        const rows = [[]];
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos];
+            if (token.type === 'command' && token.value === 'end') break;
+
+            if (token.type === 'align') {
+                this.pos++;
+                rows[rows.length - 1].push([]);
+                continue;
+            }
+            if (token.type === 'newline') {
+                this.pos++;
+                rows.push([]);
+                continue;
+            }
+
+            const row = rows[rows.length - 1];
+            if (row.length === 0) row.push([]);
+            row[row.length - 1].push(...this.parseSequence('cell'));
+        }
+
+        this.expectValue('end', `缺少 "\\end{${name}}"`);
+        const endName = this.parseTextArgument().trim();
+        if (endName !== name) {
+            throw new MathParseError(`环境不匹配: ${name} / ${endName}`);
+        }
+
+        // 去掉末尾的空行
+        while (rows.length > 1 && rows[rows.length - 1].length === 0) {
+            rows.pop();
+        }
+
+        const alignments = {
+            cases: 'left',
+            aligned: 'right left',
+            align: 'right left',
+            'align*': 'right left',
+            gathered: 'center'
+        };
+        const columnAlign = alignments[name] ? ` columnalign="${alignments[name]}"` : '';
+        const table = `<mtable${columnAlign}>${rows.map(row =>
+            `<mtr>${row.map(cell => `<mtd>${this.row(cell)}</mtd>`).join('')}</mtr>`
+        ).join('')}</mtable>`;
+
+        if (name === 'cases') {
+            return `<mrow>${this.fence('{')}${table}</mrow>`;
+        }
+
+        const delimiters = MATRIX_DELIMITERS[name];
+        if (delimiters && (delimiters[0] || delimiters[1])) {
+            return `<mrow>${this.fence(delimiters[0])}${table}${this.fence(delimiters[1])}</mrow>`;
+        }
+
+        return table;
+    }
+
+    /**
+     * 生成可伸缩的定界符
+     * @param {string} delimiter 定界符
+     * @returns {string} MathML
+     */
+    fence(delimiter) {
+        return delimiter ? `<mo fence="true" stretchy="true">${this.escape(delimiter)}</mo>` : '';
+    }
+
+    /**
+     * 将多个节点包装为 mrow
+     * @param {Array<string>} nodes MathML 片段
+     * @returns {string} MathML
+     */
+    row(nodes) {
+        return nodes.length === 1 ? nodes[0] : `<mrow>${nodes.join('')}</mrow>`;
+    }
+
+    /**
+     * 期望下一个词法单元为指定类型
+     * @param {string} type 类型
+     * @param {string} message 错误消息
+     */
+    expect(type, message) {
+        const token = this.tokens[this.pos];
+        if (!token || token.type !== type) {
+            throw new MathParseError(message);
+        }
+        this.pos++;
+    }
+
+    /**
+     * 期望下一个词法单元为指定值
+     * @param {string} value 值
+     * @param {string} message 错误消息
+     */
+    expectValue(value, message) {
+        const token = this.tokens[this.pos];
+        if (!token || token.value !== value) {
+            throw new MathParseError(message);
+        }
+        this.pos++;
+    }
+
+    /**
+     * 转义 HTML 字符
+     * @param {string} text 文本
+     * @returns {string} 转义后的文本
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 获取公式所需的 CSS
+     * @returns {string} CSS 样式
+     */
+    getStyles() {
+        return `
+.math-display {
+    display: block;
+    margin: 1rem 0;
+    overflow-x: auto;
+    overflow-y: hidden;
+    text-align: center;
+}
+
+.math math {
+    font-family: "Cambria Math", "STIX Two Math", "Latin Modern Math", "Noto Sans Math", math, serif;
+}
+
+.math-display math {
+    display: block math;
+    font-size: 1.15em;
+}
+
+.math-error {
+    color: #dc3545;
+    font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    font-size: 0.85em;
+}`;
+    }
+
+    /**
+     * 获取 MathML 在清理器中需要允许的标签和属性
+     * @returns {Object} 允许列表
+     */
+    getSanitizerAllowList() {
+        return {
+            tags: [
+                'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace',
+                'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder',
+                'munderover', 'mtable', 'mtr', 'mtd', 'mstyle', 'merror'
+            ],
+            attributes: {
+                math: ['xmlns', 'display'],
+                annotation: ['encoding'],
+                mi: ['mathvariant'],
+                mo: ['stretchy', 'fence', 'largeop', 'movablelimits'],
+                mtext: ['mathvariant'],
+                mspace: ['width'],
+                mfrac: ['linethickness'],
+                mover: ['accent'],
+                munder: ['accentunder'],
+                mtable: ['columnalign'],
+                mstyle: ['mathvariant', 'mathcolor']
+            }
+        };
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * Jupyter 笔记本（.ipynb）转 Markdown
+ * 不依赖 DOM：Markdown 单元格原样保留，代码单元格转换为带语言的代码块，
+ * 文本输出转换为 text 代码块，HTML 输出（如 DataFrame 表格）由 HTMLToMarkdown 转换，
+ * 图片输出和单元格附件取出为图片，和 Word 文档中的图片一样由调用方保存
+ */
+
+import { HTMLToMarkdown } from './HTMLToMarkdown.js';
+
+// 图片输出的 MIME 类型和保存时的扩展名
+const IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg'
+};
+
+// 终端颜色等控制字符（出现在错误堆栈和部分流输出中）
+const ANSI_ESCAPE = /\u001b\[[0-9;?]*[A-Za-z]/g;
+
+const DEFAULT_OPTIONS = {
+    hideCode: false,
+    hideOutputs: false
+};
+
+export class NotebookConverter {
+    /**
+     * @param {Object} options 选项
+     * @param {boolean} options.hideCode 是否隐藏代码，只保留输出
+     * @param {boolean} options.hideOutputs 是否隐藏输出，只保留代码
+     * @param {HTMLToMarkdown} options.htmlConverter HTML 输出的转换器，缺省时新建
+     */
+    constructor(options = {}) {
+        this.htmlConverter = options.htmlConverter || new HTMLToMarkdown();
+        this.options = { ...DEFAULT_OPTIONS };
+        this.setOptions(options);
+
+        this.images = [];
+        this.skippedOutputs = 0;
+    }
+
+    /**
+     * 修改选项
+     * @param {Object} options 选项 { hideCode, hideOutputs }
+     */
+    setOptions(options = {}) {
+        Object.keys(DEFAULT_OPTIONS).forEach(name => {
+            if (typeof options[name] === 'boolean') {
+                this.options[name] = options[name];
+            }
+        });
+    }
+
+    /**
+     * 获取当前选项
+     * @returns {Object} 选项 { hideCode, hideOutputs }
+     */
+    getOptions() {
+        return { ...this.options };
+    }
+
+    /**
+     * 转换笔记本
+     * 单元格标签 remove-cell、remove-input（或 hide-input）、remove-output（或 hide-output）对单个单元格生效
+     * @param {string} json 笔记本文件内容
+     * @returns {Object} { markdown, images: [{ name, data, mimeType }], warnings }，
+     *   Markdown 中用图片名称引用图片，由调用方保存图片后替换为实际的引用
+     */
+    convert(json) {
+        let notebook;
+        try {
+            notebook = JSON.parse(json);
+        } catch (error) {
+            throw new Error('不是有效的 Jupyter 笔记本（.ipynb）');
+        }
+        if (!notebook || !Array.isArray(notebook.cells)) {
+            throw new Error(notebook && notebook.nbformat < 4
+                ? '只支持 nbformat 4 及以上版本的笔记本'
+                : '不是有效的 Jupyter 笔记本（.ipynb）');
+        }
+
+        this.images = [];
+        this.skippedOutputs = 0;
+
+        const metadata = notebook.metadata || {};
+        const language = this.getLanguage(metadata);
+        const blocks = notebook.cells.map(cell => this.convertCell(cell, language)).filter(Boolean);
+
+        // 笔记本元数据中的标题写入 front matter
+        if (typeof metadata.title === 'string' && metadata.title.trim()) {
+            blocks.unshift(`---\ntitle: ${JSON.stringify(metadata.title.trim())}\n---`);
+        }
+
+        const warnings = [];
+        if (this.skippedOutputs > 0) {
+            warnings.push(`${this.skippedOutputs} 个输出无法显示（如交互控件），已忽略`);
+        }
+
+        return { markdown: blocks.join('\n\n'), images: this.images, warnings };
+    }
+
+    /**
+     * 获取代码单元格的语言
+     * @param {Object} metadata 笔记本元数据
+     * @returns {string} 语言名称，默认为 python
+     */
+    getLanguage(metadata) {
+        const info = metadata.language_info || {};
+        const kernel = metadata.kernelspec || {};
+        return String(info.name || kernel.language || 'python').toLowerCase();
+    }
+
+    /**
+     * 转换单元格
+     * @param {Object} cell 单元格
+     * @param {string} language 代码语言
+     * @returns {string} Markdown，没有内容时为空字符串
+     */
+    convertCell(cell, language) {
+        const tags = (cell.metadata && cell.metadata.tags) || [];
+        if (tags.includes('remove-cell')) {
+            return '';
+        }
+
+        const source = this.joinText(cell.source).replace(/\s+$/, '');
+
+        if (cell.cell_type === 'markdown') {
+            return this.replaceAttachments(source, cell.attachments || {});
+        }
+
+        if (cell.cell_type === 'raw') {
+            // 指定为 Markdown 的原始单元格原样保留，其他格式作为文本
+            const format = (cell.metadata && (cell.metadata.format || cell.metadata.raw_mimetype)) || '';
+            return /markdown/i.test(format) ? source : this.fence(source, 'text');
+        }
+
+        if (cell.cell_type !== 'code') {
+            return '';
+        }
+
+        const blocks = [];
+        const hideInput = this.options.hideCode || tags.includes('remove-input') || tags.includes('hide-input');
+        const hideOutput = this.options.hideOutputs || tags.includes('remove-output') || tags.includes('hide-output');
+
+        if (!hideInput && source) {
+            blocks.push(this.fence(source, language));
+        }
+        if (!hideOutput) {
+            (cell.outputs || []).forEach(output => {
+                const markdown = this.convertOutput(output);
+                if (markdown) blocks.push(markdown);
+            });
+        }
+
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * 转换单元格输出
+     * 富输出按图片、HTML、Markdown、LaTeX、纯文本的顺序选择第一种可用的格式
+     * @param {Object} output 输出
+     * @returns {string} Markdown
+     */
+    convertOutput(output) {
+        if (output.output_type === 'stream') {
+            const text = this.stripControlCharacters(this.joinText(output.text)).replace(/\s+$/, '');
+            return text ? this.fence(text, 'text') : '';
+        }
+
+        if (output.output_type === 'error') {
+            const traceback = (output.traceback || []).join('\n') || `${output.ename}: ${output.evalue}`;
+            return this.fence(this.stripControlCharacters(traceback).replace(/\s+$/, ''), 'text');
+        }
+
+        const data = output.data || {};
+        const imageType = Object.keys(IMAGE_TYPES).find(type => data[type]);
+        if (imageType) {
+            return this.addImage(data[imageType], imageType, this.joinText(data['text/plain'] || ''));
+        }
+        if (data['text/html']) {
+            return this.htmlConverter.convert(this.joinText(data['text/html']));
+        }
+        if (data['text/markdown']) {
+            return this.joinText(data['text/markdown']).trim();
+        }
+        if (data['text/latex']) {
+            return this.joinText(data['text/latex']).trim();
+        }
+        if (data['text/plain']) {
+            return this.fence(this.stripControlCharacters(this.joinText(data['text/plain'])).replace(/\s+$/, ''), 'text');
+        }
+
+        if (Object.keys(data).length > 0) {
+            this.skippedOutputs++;
+        }
+        return '';
+    }
+
+    /**
+     * 取出图片输出
+     * @param {string|Array<string>} content Base64 编码的图片，SVG 为文本
+     * @param {string} mimeType MIME 类型
+     * @param {string} alt 替代文字（输出的纯文本表示，如 <Figure size 640x480>）
+     * @returns {string} 图片的 Markdown
+     */
+    addImage(content, mimeType, alt = '') {
+        const name = this.storeImage(content, mimeType);
+
+        // matplotlib 等输出的纯文本表示没有意义，不作为替代文字
+        const description = /^<.*>$/s.test(alt.trim()) ? '' : alt.trim().replace(/\s+/g, ' ').replace(/[[\]\\]/g, '\\$&');
+        return `![${description}](${name})`;
+    }
+
+    /**
+     * 解码图片并加入图片列表
+     * @param {string|Array<string>} content Base64 编码的图片，SVG 为文本
+     * @param {string} mimeType MIME 类型
+     * @returns {string} 图片名称，如 image-1.png
+     */
+    storeImage(content, mimeType) {
+        const name = `image-${this.images.length + 1}.${IMAGE_TYPES[mimeType]}`;
+        const text = this.joinText(content);
+        const data = mimeType === 'image/svg+xml'
+            ? new TextEncoder().encode(text)
+            : NotebookConverter.fromBase64(text);
+
+        this.images.push({ name, data, mimeType });
+        return name;
+    }
+
+    /**
+     * 把 Markdown 单元格中的附件（attachment:名称）取出为图片
+     * @param {string} source Markdown
+     * @param {Object} attachments 附件 { 名称: { MIME 类型: 内容 } }
+     * @returns {string} 替换引用后的 Markdown
+     */
+    replaceAttachments(source, attachments) {
+        return source.replace(/\(attachment:([^)\s]+)/g, (match, name) => {
+            const attachment = attachments[name] || attachments[decodeURIComponent(name)];
+            const mimeType = attachment ? Object.keys(IMAGE_TYPES).find(type => attachment[type]) : null;
+            return mimeType ? `(${this.storeImage(attachment[mimeType], mimeType)}` : match;
+        });
+    }
+
+    /**
+     * 生成代码块，内容中有反引号围栏时使用更长的围栏
+     * @param {string} code 代码
+     * @param {string} language 语言
+     * @returns {string} Markdown
+     */
+    fence(code, language = '') {
+        const longest = Math.max(0, ...(code.match(/^`{3,}/gm) || []).map(run => run.length));
+        const marker = '`'.repeat(Math.max(3, longest + 1));
+        return `${marker}${language}\n${code}\n${marker}`;
+    }
+
+    /**
+     * 合并多行文本，笔记本中的文本可以是字符串或字符串数组
+     * @param {string|Array<string>} text 文本
+     * @returns {string} 文本
+     */
+    joinText(text) {
+        return Array.isArray(text) ? text.join('') : String(text || '');
+    }
+
+    /**
+     * 去掉终端控制字符
+     * @param {string} text 文本
+     * @returns {string} 文本
+     */
+    stripControlCharacters(text) {
+        return text.replace(ANSI_ESCAPE, '');
+    }
+
+    /**
+     * Base64 解码
+     * @param {string} base64 Base64 字符串，可以包含换行
+     * @returns {Uint8Array} 数据
+     */
+    static fromBase64(base64) {
+        const binary = atob(base64.replace(/\s+/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
@@ -1,10 +1,16 @@
 /**
  * 打印优化器
- * 负责优化 HTML 内容的打印显示
+ * 负责优化 HTML 内容的打印显示；生成打印样式和处理 HTML 不依赖 DOM，可以在 Node 中使用
  */
 
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+
+// 打印时移除的交互元素
+const INTERACTIVE_ELEMENTS = new Set(['button', 'input', 'textarea', 'select', 'script']);
+
 export class PrintOptimizer {
     constructor() {
+        this.tokenizer = new HTMLTokenizer();
         this.printStyles = null;
         this.originalStyles = null;
     }
@@ -158,6 +164,26 @@ export class PrintOptimizer {
         page-break-inside: avoid;
     }
 
+    /* 提示块 */
+    .alert {
+        margin: 1em 0 !important;
+        padding: 0.3em 1em !important;
+        border: 1pt solid #999 !important;
+        border-left: 4pt solid #333 !important;
+        background: none !important;
+        page-break-inside: avoid;
+    }
+
+    .alert-title {
+        color: #000 !important;
+        font-weight: bold !important;
+    }
+
+    .alert-warning,
+    .alert-caution {
+        border-left-style: double !important;
+    }
+
     /* 图片 */
     img {
         max-width: 100% !important;
@@ -228,27 +254,17 @@ export class PrintOptimizer {
      * @returns {string} 处理后的 HTML
      */
     removeInteractiveElements(htmlContent) {
-        // 创建临时 DOM 元素
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = htmlContent;
-
-        // 移除按钮
-        const buttons = tempDiv.querySelectorAll('button');
-        buttons.forEach(button => button.remove());
-
-        // 移除输入框
-        const inputs = tempDiv.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => input.remove());
-
-        // 移除脚本
-        const scripts = tempDiv.querySelectorAll('script');
-        scripts.forEach(script => script.remove());
-
-        // 添加 no-print 类的元素
-        const noPrintElements = tempDiv.querySelectorAll('.no-print');
-        noPrintElements.forEach(element => element.remove());
+        // 移除按钮、输入框、脚本和带 no-print 类的元素
+        return this.rewriteElements(htmlContent, (token) => {
+            if (INTERACTIVE_ELEMENTS.has(token.name)) {
+                return false;
+            }
 
-        return tempDiv.innerHTML;
+            const className = token.attrs.find(attr => attr.name === 'class');
+            if (className && className.value.split(/\s+/).includes('no-print')) {
+                return false;
+            }
+        });
     }
 
     /**
@@ -257,30 +273,26 @@ export class PrintOptimizer {
      * @returns {string} 处理后的 HTML
      */
     handlePageBreaks(htmlContent) {
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = htmlContent;
-
-        // 在 H1 标题前添加分页
-        const h1Elements = tempDiv.querySelectorAll('h1');
-        h1Elements.forEach((h1, index) => {
-            if (index > 0) { // 第一个 H1 不需要分页
-                h1.style.pageBreakBefore = 'always';
+        let h1Count = 0;
+
+        return this.rewriteElements(htmlContent, (token) => {
+            // 在 H1 标题前添加分页，第一个 H1 不需要分页
+            if (token.name === 'h1' && h1Count++ > 0) {
+                this.addStyle(token, { 'page-break-before': 'always' });
             }
-        });
 
-        // 防止标题后立即分页
-        const headings = tempDiv.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        headings.forEach(heading => {
-            heading.style.pageBreakAfter = 'avoid';
-        });
+            // 防止标题后立即分页
+            if (/^h[1-6]$/.test(token.name)) {
+                this.addStyle(token, { 'page-break-after': 'avoid' });
+                return true;
+            }
 
-        // 防止表格和代码块被分页
-        const avoidBreakElements = tempDiv.querySelectorAll('table, pre, blockquote');
-        avoidBreakElements.forEach(element => {
-            element.style.pageBreakInside = 'avoid';
+            // 防止表格和代码块被分页
+            if (['table', 'pre', 'blockquote'].includes(token.name)) {
+                this.addStyle(token, { 'page-break-inside': 'avoid' });
+                return true;
+            }
         });
-
-        return tempDiv.innerHTML;
     }
 
     /**
@@ -289,23 +301,78 @@ export class PrintOptimizer {
      * @returns {string} 处理后的 HTML
      */
     optimizeImages(htmlContent) {
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = htmlContent;
-
-        const images = tempDiv.querySelectorAll('img');
-        images.forEach(img => {
-            // 设置最大宽度
-            img.style.maxWidth = '100%';
-            img.style.height = 'auto';
-            
-            // 防止图片被分页截断
-            img.style.pageBreakInside = 'avoid';
-            
-            // 添加打印友好的边距
-            img.style.margin = '0.5em 0';
+        return this.rewriteElements(htmlContent, (token) => {
+            if (token.name !== 'img') return;
+
+            // 限制宽度、防止图片被分页截断，并添加打印友好的边距
+            this.addStyle(token, {
+                'max-width': '100%',
+                'height': 'auto',
+                'page-break-inside': 'avoid',
+                'margin': '0.5em 0'
+            });
+            return true;
         });
+    }
 
-        return tempDiv.innerHTML;
+    /**
+     * 不依赖 DOM 逐个处理 HTML 中的元素
+     * @param {string} htmlContent HTML 内容
+     * @param {Function} visit 处理开始标签，返回 false 删除元素及其内容，返回 true 表示修改了标签属性
+     * @returns {string} 处理后的 HTML
+     */
+    rewriteElements(htmlContent, visit) {
+        const output = [];
+        let removing = null;
+
+        this.tokenizer.tokenize(htmlContent).forEach(token => {
+            // 跳过被删除元素的内容，同名元素可能嵌套
+            if (removing) {
+                if (token.type === 'startTag' && token.name === removing.name && !token.selfClosing) {
+                    removing.depth++;
+                } else if (token.type === 'endTag' && token.name === removing.name && --removing.depth === 0) {
+                    removing = null;
+                }
+                return;
+            }
+
+            if (token.type !== 'startTag') {
+                output.push(token.type === 'text' ? token.value : token.raw);
+                return;
+            }
+
+            const result = visit(token);
+            if (result === false) {
+                if (!token.selfClosing) {
+                    removing = { name: token.name, depth: 1 };
+                }
+                return;
+            }
+
+            output.push(result === true ? this.tokenizer.stringifyStartTag(token) : token.raw);
+        });
+
+        return output.join('');
+    }
+
+    /**
+     * 在开始标签的 style 属性后追加样式
+     * @param {Object} token 开始标签词法单元
+     * @param {Object} declarations 样式声明，如 { 'page-break-after': 'avoid' }
+     */
+    addStyle(token, declarations) {
+        const value = Object.entries(declarations)
+            .map(([property, propertyValue]) => `${property}: ${propertyValue};`)
+            .join(' ');
+        const style = token.attrs.find(attr => attr.name === 'style');
+
+        if (style && style.value.trim()) {
+            style.value = `${style.value.trim().replace(/;?$/, ';')} ${value}`;
+        } else if (style) {
+            style.value = value;
+        } else {
+            token.attrs.push({ name: 'style', value });
+        }
     }
 
     /**
@@ -0,0 +1,90 @@
+/**
+ * Prism 字符串高亮器
+ * 不依赖 DOM，直接把代码转换为高亮后的 HTML，可以在 Worker 中使用
+ */
+
+// 各类词法单元在亮色和暗色主题下的颜色
+const TOKEN_COLORS = {
+    light: {
+        comment: '#6a737d', punctuation: '#5a6169', keyword: '#d73a49', string: '#22863a', number: '#005cc5',
+        function: '#6f42c1', property: '#005cc5', operator: '#d73a49', variable: '#e36209', tag: '#22863a',
+        inserted: '#22863a', deleted: '#b31d28'
+    },
+    dark: {
+        comment: '#999999', punctuation: '#cccccc', keyword: '#cc99cd', string: '#7ec699', number: '#f08d49',
+        function: '#6196cc', property: '#f8c555', operator: '#67cdcc', variable: '#f08d49', tag: '#e2777a',
+        inserted: '#7ec699', deleted: '#e2777a'
+    }
+};
+
+// 颜色分组包含的 Prism 词法单元类型
+const TOKEN_GROUPS = {
+    comment: ['comment', 'prolog', 'doctype', 'cdata'],
+    punctuation: ['punctuation'],
+    keyword: ['keyword', 'atrule', 'important', 'selector'],
+    string: ['string', 'char', 'attr-value', 'regex'],
+    number: ['number', 'boolean', 'constant', 'symbol'],
+    function: ['function', 'class-name'],
+    property: ['property', 'attr-name', 'builtin'],
+    operator: ['operator', 'entity', 'url'],
+    variable: ['variable'],
+    tag: ['tag', 'namespace'],
+    inserted: ['inserted'],
+    deleted: ['deleted']
+};
+
+export class PrismHighlighter {
+    /**
+     * @param {Object} prism Prism 实例
+     */
+    constructor(prism) {
+        this.prism = prism;
+    }
+
+    /**
+     * 获取语言的语法定义
+     * @param {string} language 语言名称或别名
+     * @returns {Object|null} 语法定义
+     */
+    getGrammar(language) {
+        if (!language || !this.prism) return null;
+
+        const grammar = this.prism.languages[language.toLowerCase()];
+        // Prism.languages 上还有 extend、insertBefore 等方法
+        return grammar && typeof grammar === 'object' ? grammar : null;
+    }
+
+    /**
+     * 高亮代码
+     * @param {string} code 代码
+     * @param {string} language 语言
+     * @returns {string|null} 高亮后的 HTML，不支持的语言返回 null
+     */
+    highlight(code, language) {
+        const grammar = this.getGrammar(language);
+        if (!grammar) return null;
+
+        try {
+            return this.prism.highlight(code, grammar, language.toLowerCase());
+        } catch (error) {
+            console.warn(`代码高亮失败 (${language}):`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 获取导出文档中高亮代码的样式，暗色主题的颜色作用于 .theme-dark 中
+     * @returns {string} CSS 样式
+     */
+    getStyles() {
+        const colorRules = (theme, selector = '') => Object.entries(TOKEN_COLORS[theme])
+            .map(([group, color]) => `${TOKEN_GROUPS[group].map(type => `${selector}.token.${type}`).join(', ')} { color: ${color}; }`)
+            .join('\n');
+
+        return `
+.token.bold, .token.important { font-weight: bold; }
+.token.italic, .token.comment { font-style: italic; }
+${colorRules('light')}
+${colorRules('dark', '.theme-dark ')}`;
+    }
+}
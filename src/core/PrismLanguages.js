@@ -0,0 +1,41 @@
+/**
+ * 本地打包的 Prism 及常用语言语法
+ * 不依赖 CDN，可以在 Worker 中使用；语言之间有依赖关系，导入顺序不能随意调整
+ */
+
+import Prism from 'prismjs';
+import 'prismjs/components/prism-c.js';
+import 'prismjs/components/prism-cpp.js';
+import 'prismjs/components/prism-csharp.js';
+import 'prismjs/components/prism-java.js';
+import 'prismjs/components/prism-kotlin.js';
+import 'prismjs/components/prism-scala.js';
+import 'prismjs/components/prism-go.js';
+import 'prismjs/components/prism-rust.js';
+import 'prismjs/components/prism-swift.js';
+import 'prismjs/components/prism-ruby.js';
+import 'prismjs/components/prism-markup-templating.js';
+import 'prismjs/components/prism-php.js';
+import 'prismjs/components/prism-python.js';
+import 'prismjs/components/prism-typescript.js';
+import 'prismjs/components/prism-json.js';
+import 'prismjs/components/prism-yaml.js';
+import 'prismjs/components/prism-toml.js';
+import 'prismjs/components/prism-ini.js';
+import 'prismjs/components/prism-sql.js';
+import 'prismjs/components/prism-mongodb.js';
+import 'prismjs/components/prism-bash.js';
+import 'prismjs/components/prism-powershell.js';
+import 'prismjs/components/prism-batch.js';
+import 'prismjs/components/prism-markdown.js';
+import 'prismjs/components/prism-latex.js';
+import 'prismjs/components/prism-docker.js';
+import 'prismjs/components/prism-nginx.js';
+import 'prismjs/components/prism-git.js';
+import 'prismjs/components/prism-diff.js';
+import 'prismjs/components/prism-log.js';
+import 'prismjs/components/prism-scss.js';
+import 'prismjs/components/prism-sass.js';
+import 'prismjs/components/prism-less.js';
+
+export { Prism };
@@ -0,0 +1,9 @@
+/**
+ * Worker 中加载 Prism 之前的全局配置
+ * Prism 检测到 Worker 环境时会注册自己的 message 处理器，需要在 prismjs 执行前关闭，
+ * 因此必须在导入 prismjs 之前单独导入本模块
+ */
+self.Prism = {
+    manual: true,
+    disableWorkerMessageHandler: true
+};
@@ -0,0 +1,386 @@
+/**
+ * 多页面站点生成器
+ * 把一组 Markdown 文件转换为互相链接的 HTML 页面：共享的侧边导航、上一页/下一页链接和首页，
+ * 页面中指向 .md 文件的相对链接改写为 .html。不依赖 DOM，页面和命令行共用
+ */
+
+import { DocumentExporter } from './DocumentExporter.js';
+import { TOCGenerator } from './TOCGenerator.js';
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+import { ZipWriter } from './ZipWriter.js';
+
+const MARKDOWN_EXTENSION = /\.(md|markdown)$/i;
+
+// 作为目录首页的文件名，排在同一目录的其他页面之前
+const INDEX_NAMES = ['index', 'readme'];
+
+// 侧边导航中当前页面展开的标题级别
+const SIDEBAR_MAX_LEVEL = 3;
+
+export class SiteGenerator {
+    /**
+     * @param {Object} options 选项
+     * @param {DocumentExporter} options.exporter 文档导出器，缺省时创建新的导出器
+     */
+    constructor(options = {}) {
+        this.exporter = options.exporter || new DocumentExporter();
+        this.converter = this.exporter.converter;
+        this.tocGenerator = new TOCGenerator();
+        this.tokenizer = new HTMLTokenizer();
+    }
+
+    /**
+     * 生成站点
+     * @param {Array<Object>} files Markdown 文件 [{ path, content }]，path 为相对站点根目录的路径，其他文件被忽略
+     * @param {Object} options 选项，除 title 外与 DocumentExporter.createDocument 相同，对所有页面生效
+     * @param {string} options.title 站点标题，缺省时使用首页的标题
+     * @returns {Object} { files: [{ path, content }], pages: [{ path, source, title, headings }], warnings }
+     */
+    generate(files, options = {}) {
+        const { title: siteTitle, ...documentOptions } = options;
+        const warnings = [];
+        const pages = this.collectPages(files);
+
+        if (pages.length === 0) {
+            throw new Error('没有可以生成站点的 Markdown 文件');
+        }
+
+        // 第一遍解析取得所有页面的标题，生成侧边导航需要全部页面的信息
+        pages.forEach(page => {
+            const html = this.converter.parseMarkdown(page.content);
+            const documentOptions = this.converter.getDocumentOptions(page.content);
+            page.headings = this.tocGenerator.generateTOC(html).headings
+                .map(({ level, text, id }) => ({ level, text, id }));
+
+            const heading = page.headings.find(item => item.level === 1);
+            page.title = documentOptions.title || (heading && heading.text) || SiteGenerator.getBaseName(page.source);
+        });
+
+        if (!pages.some(page => page.path === 'index.html')) {
+            pages.unshift(this.createIndexPage(pages, siteTitle));
+        }
+
+        const title = siteTitle || pages[0].title;
+        const sources = new Set(pages.map(page => page.source));
+
+        const output = pages.map((page, index) => {
+            // 样式和脚本取决于最近一次解析启用的插件，所以每个页面在生成前重新解析
+            const html = this.rewriteLinks(this.converter.parseMarkdown(page.content), page, sources, warnings);
+            const result = this.exporter.createDocument(html, page.content, {
+                ...documentOptions,
+                title: page.title === title ? title : `${page.title} - ${title}`,
+                sidebarHTML: this.generateSidebar(pages, page, title),
+                // 侧边栏用于站点导航，页面目录放在正文前
+                tocLayout: 'inline',
+                footerHTML: this.generatePageNav(pages[index - 1], pages[index + 1], page)
+            });
+
+            return { path: page.path, content: result.html };
+        });
+
+        return {
+            files: output,
+            pages: pages.map(({ path, source, title: pageTitle, headings }) => ({ path, source, title: pageTitle, headings })),
+            warnings
+        };
+    }
+
+    /**
+     * 生成站点的 ZIP 压缩包
+     * @param {Array<Object>} files Markdown 文件 [{ path, content }]
+     * @param {Object} options 选项，与 generate 相同
+     * @returns {Object} { data: Uint8Array, pages, warnings }
+     */
+    generateZip(files, options = {}) {
+        const site = this.generate(files, options);
+        const zip = new ZipWriter();
+        site.files.forEach(file => zip.addFile(file.path, file.content));
+
+        return {
+            data: zip.generate(),
+            pages: site.pages,
+            warnings: site.warnings
+        };
+    }
+
+    /**
+     * 筛选 Markdown 文件并按导航顺序排列
+     * 同一目录中首页（index、README）在前，其余按名称排序，子目录排在文件之后
+     * @param {Array<Object>} files 文件 [{ path, content }]
+     * @returns {Array<Object>} 页面 [{ source, path, content }]
+     */
+    collectPages(files) {
+        return files
+            .map(file => ({ ...file, source: SiteGenerator.normalizePath(file.path) }))
+            .filter(file => MARKDOWN_EXTENSION.test(file.source) && typeof file.content === 'string')
+            .sort((a, b) => SiteGenerator.comparePaths(a.source, b.source))
+            .map(file => ({
+                source: file.source,
+                path: SiteGenerator.toHTMLPath(file.source),
+                content: file.content
+            }));
+    }
+
+    /**
+     * 没有 index.md 时生成列出全部页面的首页
+     * @param {Array<Object>} pages 页面
+     * @param {string} siteTitle 站点标题
+     * @returns {Object} 首页
+     */
+    createIndexPage(pages, siteTitle) {
+        const title = siteTitle || '目录';
+        const lines = [`# ${title}`, ''];
+        let section = '';
+
+        pages.forEach(page => {
+            const directory = SiteGenerator.getDirectory(page.source);
+            if (directory !== section) {
+                section = directory;
+                lines.push('', `## ${directory}`, '');
+            }
+            const text = page.title.replace(/[\\[\]]/g, '\\$&');
+            lines.push(`- [${text}](<${page.source}>)`);
+        });
+
+        return {
+            source: 'index.md',
+            path: 'index.html',
+            content: lines.join('\n') + '\n',
+            title,
+            headings: [{ level: 1, text: title, id: '' }]
+        };
+    }
+
+    /**
+     * 把指向站点内 Markdown 文件的相对链接改写为 .html
+     * @param {string} html 页面 HTML
+     * @param {Object} page 当前页面
+     * @param {Set<string>} sources 站点中的 Markdown 文件
+     * @param {Array<string>} warnings 收集链接到不存在页面的警告
+     * @returns {string} 改写后的 HTML
+     */
+    rewriteLinks(html, page, sources, warnings) {
+        return this.tokenizer.tokenize(html).map(token => {
+            if (token.type !== 'startTag') {
+                return token.type === 'text' ? token.value : token.raw;
+            }
+
+            const href = token.name === 'a' && token.attrs.find(attr => attr.name === 'href');
+            const match = href && /^([^?#]*)([?#].*)?$/.exec(href.value);
+            if (!match || !MARKDOWN_EXTENSION.test(match[1]) || !SiteGenerator.isRelativeUrl(match[1])) {
+                return token.raw;
+            }
+
+            const target = SiteGenerator.resolvePath(page.source, SiteGenerator.decodePath(match[1]));
+            if (!sources.has(target)) {
+                warnings.push(`${page.source} 链接的页面不存在: ${match[1]}`);
+            }
+
+            href.value = match[1].replace(MARKDOWN_EXTENSION, '.html') + (match[2] || '');
+            return this.tokenizer.stringifyStartTag(token);
+        }).join('');
+    }
+
+    /**
+     * 生成侧边导航，按目录分组列出全部页面，并展开当前页面的标题
+     * @param {Array<Object>} pages 页面
+     * @param {Object} current 当前页面
+     * @param {string} siteTitle 站点标题
+     * @returns {string} 导航 HTML
+     */
+    generateSidebar(pages, current, siteTitle) {
+        const link = page => SiteGenerator.getRelativeUrl(current.path, page.path);
+        let html = `<a class="site-title" href="${link(pages.find(page => page.path === 'index.html'))}">${this.tocGenerator.escapeHtml(siteTitle)}</a>`;
+        let section = null;
+
+        html += '<ul class="site-pages">';
+        pages.filter(page => page.path !== 'index.html').forEach(page => {
+            const directory = SiteGenerator.getDirectory(page.source);
+            if (directory !== section) {
+                if (section) {
+                    html += '</ul></li>';
+                }
+                if (directory) {
+                    html += `<li class="site-section"><span class="site-section-title">${this.tocGenerator.escapeHtml(directory)}</span><ul>`;
+                }
+                section = directory;
+            }
+
+            const isCurrent = page === current;
+            html += `<li class="site-page${isCurrent ? ' current' : ''}">`;
+            html += `<a href="${link(page)}"${isCurrent ? ' aria-current="page"' : ''}>${this.tocGenerator.escapeHtml(page.title)}</a>`;
+            if (isCurrent) {
+                // 一级标题即页面标题，只展开其下的小节
+                const headings = page.headings.filter(item => item.level > 1 && item.level <= SIDEBAR_MAX_LEVEL);
+                html += this.tocGenerator.renderTOCTree(this.tocGenerator.buildTOCTree(headings));
+            }
+            html += '</li>';
+        });
+        if (section) {
+            html += '</ul></li>';
+        }
+        html += '</ul>';
+
+        return html;
+    }
+
+    /**
+     * 生成上一页、下一页链接
+     * @param {Object|undefined} previous 上一页
+     * @param {Object|undefined} next 下一页
+     * @param {Object} current 当前页面
+     * @returns {string} 翻页导航 HTML
+     */
+    generatePageNav(previous, next, current) {
+        const link = (page, className, rel, label) => `<a class="${className}" href="${SiteGenerator.getRelativeUrl(current.path, page.path)}" rel="${rel}">`
+            + `<span class="page-nav-label">${label}</span>`
+            + `<span class="page-nav-title">${this.tocGenerator.escapeHtml(page.title)}</span></a>`;
+
+        if (!previous && !next) {
+            return '';
+        }
+
+        return `<nav class="page-nav" aria-label="翻页">${previous ? link(previous, 'page-prev', 'prev', '← 上一页') : ''}${next ? link(next, 'page-next', 'next', '下一页 →') : ''}</nav>`;
+    }
+
+    /**
+     * 统一路径格式：使用 /，去掉开头的 ./ 和 /
+     * @param {string} value 路径
+     * @returns {string} 规范化的路径
+     */
+    static normalizePath(value) {
+        return SiteGenerator.resolvePath('', String(value).replace(/\\/g, '/'));
+    }
+
+    /**
+     * 解析相对于页面的路径
+     * @param {string} from 页面路径
+     * @param {string} target 相对路径
+     * @returns {string} 相对站点根目录的路径
+     */
+    static resolvePath(from, target) {
+        const segments = target.startsWith('/') ? [] : from.split('/').slice(0, -1);
+
+        target.split('/').forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
+            }
+        });
+
+        return segments.join('/');
+    }
+
+    /**
+     * 计算从一个页面链接到另一个页面的相对地址
+     * @param {string} from 当前页面路径
+     * @param {string} to 目标页面路径
+     * @returns {string} 编码后的相对地址
+     */
+    static getRelativeUrl(from, to) {
+        const fromDirs = from.split('/').slice(0, -1);
+        const toParts = to.split('/');
+        let common = 0;
+
+        while (common < fromDirs.length && common < toParts.length - 1 && fromDirs[common] === toParts[common]) {
+            common++;
+        }
+
+        const parts = [...fromDirs.slice(common).map(() => '..'), ...toParts.slice(common)];
+        return parts.map(part => part === '..' ? part : encodeURIComponent(part)).join('/');
+    }
+
+    /**
+     * 判断是否为相对地址（不含协议，不以 / 开头）
+     * @param {string} url 地址
+     * @returns {boolean} 是否为相对地址
+     */
+    static isRelativeUrl(url) {
+        return !/^[a-z][a-z0-9+.-]*:/i.test(url) && !url.startsWith('/');
+    }
+
+    /**
+     * 解码链接中的路径，无法解码时保持原样
+     * @param {string} value 路径
+     * @returns {string} 解码后的路径
+     */
+    static decodePath(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * 比较两个路径的导航顺序
+     * @param {string} a 路径
+     * @param {string} b 路径
+     * @returns {number} 比较结果
+     */
+    static comparePaths(a, b) {
+        const partsA = a.split('/');
+        const partsB = b.split('/');
+        const length = Math.min(partsA.length, partsB.length);
+
+        for (let i = 0; i < length; i++) {
+            if (partsA[i] === partsB[i]) continue;
+
+            // 文件排在子目录之前
+            const isFileA = i === partsA.length - 1;
+            const isFileB = i === partsB.length - 1;
+            if (isFileA !== isFileB) {
+                return isFileA ? -1 : 1;
+            }
+
+            if (isFileA) {
+                const indexA = SiteGenerator.isIndexName(partsA[i]);
+                const indexB = SiteGenerator.isIndexName(partsB[i]);
+                if (indexA !== indexB) {
+                    return indexA ? -1 : 1;
+                }
+            }
+
+            return partsA[i].localeCompare(partsB[i], undefined, { numeric: true });
+        }
+
+        return partsA.length - partsB.length;
+    }
+
+    /**
+     * 判断文件名是否为目录首页
+     * @param {string} name 文件名
+     * @returns {boolean} 是否为首页
+     */
+    static isIndexName(name) {
+        return INDEX_NAMES.includes(name.replace(MARKDOWN_EXTENSION, '').toLowerCase());
+    }
+
+    /**
+     * 将 Markdown 文件路径转换为 HTML 文件路径
+     * @param {string} value 路径
+     * @returns {string} .html 路径
+     */
+    static toHTMLPath(value) {
+        return value.replace(MARKDOWN_EXTENSION, '.html');
+    }
+
+    /**
+     * 获取路径所在的目录
+     * @param {string} value 路径
+     * @returns {string} 目录，根目录返回空字符串
+     */
+    static getDirectory(value) {
+        return value.split('/').slice(0, -1).join('/');
+    }
+
+    /**
+     * 获取不含扩展名的文件名
+     * @param {string} value 路径
+     * @returns {string} 文件名
+     */
+    static getBaseName(value) {
+        return value.split('/').pop().replace(MARKDOWN_EXTENSION, '');
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * 标题锚点生成器
+ * 与 GitHub 渲染 README 时的锚点规则一致（github-slugger）：
+ * 转为小写，去掉标点和符号（包括 emoji），保留各种语言的文字、数字、下划线和连字符，
+ * 每个空格转换为一个连字符（不合并、不去除首尾）；同一文档中重复的锚点依次追加 -1、-2
+ */
+
+// 保留字母、组合符号、数字、连接符标点（如 _）、空格和连字符，其余字符删除
+const REMOVE_PATTERN = /[^\p{L}\p{M}\p{N}\p{Pc} -]/gu;
+
+export class Slugger {
+    constructor() {
+        this.occurrences = new Map();
+    }
+
+    /**
+     * 生成文档内唯一的锚点
+     * @param {string} value 标题纯文本
+     * @returns {string} 锚点
+     */
+    slug(value) {
+        const base = Slugger.slugify(value);
+        let result = base;
+
+        while (this.occurrences.has(result)) {
+            const count = this.occurrences.get(base) + 1;
+            this.occurrences.set(base, count);
+            result = `${base}-${count}`;
+        }
+
+        this.occurrences.set(result, 0);
+        return result;
+    }
+
+    /**
+     * 清除已生成的锚点，开始新的文档
+     */
+    reset() {
+        this.occurrences.clear();
+    }
+
+    /**
+     * 生成锚点，不检查重复
+     * @param {string} value 标题纯文本
+     * @returns {string} 锚点
+     */
+    static slugify(value) {
+        if (typeof value !== 'string') return '';
+
+        return value
+            .toLowerCase()
+            .replace(REMOVE_PATTERN, '')
+            .replace(/ /g, '-');
+    }
+}
@@ -2,9 +2,13 @@
  * 目录生成器
  * 负责从 HTML 内容中提取标题并生成层级化的目录结构
  */
+import { HTMLTokenizer } from './HTMLTokenizer.js';
+import { Slugger } from './Slugger.js';
+
 export class TOCGenerator {
     constructor() {
         this.headings = [];
+        this.slugger = new Slugger();
         this.tocHTML = '';
         this.minLevel = 1;
         this.maxLevel = 6;
@@ -46,92 +50,133 @@ export class TOCGenerator {
         };
     }
 
+    /**
+     * 从已提取的标题生成目录，标题可以来自 Worker 中的 parseHeadings
+     * @param {Array<Object>} headings 标题数组 [{ level, text, id }]
+     * @param {Object} options 配置选项 { minLevel, maxLevel }
+     * @returns {Object} 目录数据和 HTML
+     */
+    generateTOCFromHeadings(headings, options = {}) {
+        const { minLevel = 1, maxLevel = 6 } = options;
+
+        this.minLevel = minLevel;
+        this.maxLevel = maxLevel;
+        this.headings = headings.filter(heading => heading.level >= minLevel && heading.level <= maxLevel);
+        this.tocHTML = this.generateTOCHTML(this.headings);
+
+        return {
+            headings: this.headings,
+            html: this.tocHTML,
+            count: this.headings.length,
+            levels: this.getLevelStats()
+        };
+    }
+
+    /**
+     * 提取全部级别的标题，缺少 ID 时生成 ID，可以在 Worker 中运行
+     * @param {string} htmlContent HTML 内容
+     * @returns {Array<Object>} 标题数组 [{ level, text, id, index }]
+     */
+    parseHeadings(htmlContent) {
+        return this.extractHeadings(htmlContent, { minLevel: 1, maxLevel: 6, addIds: true });
+    }
+
+    /**
+     * 从预览块中提取标题，只解析包含标题的块
+     * @param {Array<Object>} blocks MarkdownConverter.parseBlocks() 返回的块
+     * @returns {Array<Object>} 标题数组
+     */
+    parseBlockHeadings(blocks) {
+        return this.parseHeadings(
+            blocks.filter(block => TOCGenerator.isHeadingBlock(block)).map(block => block.html).join('')
+        );
+    }
+
+    /**
+     * 判断块是否包含标题
+     * @param {Object} block 预览块 { key, html }
+     * @returns {boolean} 是否包含标题
+     */
+    static isHeadingBlock(block) {
+        return /<h[1-6][\s>]/i.test(block.key);
+    }
+
     /**
      * 从 HTML 中提取标题
+     * 不依赖 DOM，使用标题的纯文本（合并连续空白）
      * @param {string} htmlContent HTML 内容
      * @param {Object} options 选项
-     * @returns {Array} 标题数组
+     * @param {number} options.minLevel 最小标题级别，默认使用 generateTOC 的设置
+     * @param {number} options.maxLevel 最大标题级别，默认使用 generateTOC 的设置
+     * @param {Array<number>} options.includeLevel 只包含的级别
+     * @param {Array<number>} options.excludeLevel 排除的级别
+     * @param {boolean} options.addIds 是否为没有 ID 的标题生成 ID
+     * @returns {Array} 标题数组 [{ level, text, id, index }]
      */
     extractHeadings(htmlContent, options = {}) {
-        const { includeLevel, excludeLevel, addIds } = options;
+        const {
+            minLevel = this.minLevel,
+            maxLevel = this.maxLevel,
+            includeLevel,
+            excludeLevel,
+            addIds
+        } = options;
+        const tokenizer = new HTMLTokenizer();
         const headings = [];
-        
-        // 创建临时 DOM 来解析 HTML
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = htmlContent;
-
-        // 查找所有标题元素
-        const headingElements = tempDiv.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        
-        headingElements.forEach((element, index) => {
-            const level = parseInt(element.tagName.charAt(1));
-            
-            // 检查级别过滤
-            if (level < this.minLevel || level > this.maxLevel) {
-                return;
-            }
-            
-            if (includeLevel && !includeLevel.includes(level)) {
-                return;
-            }
-            
-            if (excludeLevel && excludeLevel.includes(level)) {
-                return;
-            }
-
-            const text = element.textContent.trim();
-            if (!text) return;
-
-            // 生成或获取 ID
-            let id = element.id;
-            if (!id && addIds) {
-                id = this.generateHeadingId(text, index);
-                element.id = id;
+        let current = null;
+        let index = 0;
+
+        // generateHeadingId 依据 this.headings 保证 ID 唯一
+        this.headings = headings;
+        this.slugger.reset();
+
+        const accept = (level) => level >= minLevel && level <= maxLevel
+            && (!includeLevel || includeLevel.includes(level))
+            && (!excludeLevel || !excludeLevel.includes(level));
+
+        tokenizer.tokenize(htmlContent || '').forEach(token => {
+            if (token.type === 'startTag' && /^h[1-6]$/.test(token.name) && !current) {
+                const id = token.attrs.find(attr => attr.name === 'id');
+                current = { level: parseInt(token.name.charAt(1)), text: '', id: id ? id.value : '', index: index++ };
+            } else if (token.type === 'text' && current) {
+                current.text += token.raw ? token.value : tokenizer.decodeEntities(token.value);
+            } else if (token.type === 'endTag' && current && token.name === `h${current.level}`) {
+                const text = current.text.replace(/\s+/g, ' ').trim();
+                if (text && accept(current.level)) {
+                    headings.push({
+                        level: current.level,
+                        text,
+                        id: current.id || (addIds ? this.generateHeadingId(text, current.index) : ''),
+                        index: current.index
+                    });
+                }
+                current = null;
             }
-
-            headings.push({
-                level,
-                text,
-                id,
-                element,
-                index
-            });
         });
 
         return headings;
     }
 
     /**
-     * 生成标题 ID
+     * 为没有 ID 的标题生成 ID，规则与 MarkdownConverter 和 GitHub 一致
      * @param {string} text 标题文本
      * @param {number} index 索引
      * @returns {string} 生成的 ID
      */
     generateHeadingId(text, index) {
-        // 基础 ID 生成
-        let id = text
-            .toLowerCase()
-            .replace(/[^\w\u4e00-\u9fa5\s-]/g, '') // 保留字母、数字、中文、空格和连字符
-            .replace(/\s+/g, '-') // 空格转连字符
-            .replace(/-+/g, '-') // 多个连字符合并
-            .replace(/^-+|-+$/g, ''); // 移除首尾连字符
-
-        // 如果 ID 为空或太短，使用备用方案
-        if (!id || id.length < 2) {
-            id = `heading-${index + 1}`;
+        // 标题只包含符号（如 emoji）时锚点为空，使用备用方案
+        if (!Slugger.slugify(text)) {
+            return `heading-${index + 1}`;
         }
 
-        // 确保 ID 唯一性
-        const existingIds = this.headings.map(h => h.id).filter(Boolean);
-        let finalId = id;
-        let counter = 1;
-        
-        while (existingIds.includes(finalId)) {
-            finalId = `${id}-${counter}`;
-            counter++;
+        // 跳过文档中已有的 ID，确保唯一性
+        const existingIds = new Set(this.headings.map(h => h.id).filter(Boolean));
+        let id = this.slugger.slug(text);
+        while (existingIds.has(id)) {
+            id = this.slugger.slug(text);
         }
 
-        return finalId;
+        return id;
     }
 
     /**
@@ -186,9 +231,10 @@ export class TOCGenerator {
      * 渲染目录树为 HTML
      * @param {Array} tree 目录树
      * @param {number} depth 当前深度
+     * @param {string} pageUrl 标题所在页面的地址，链接到其他页面中的标题时使用
      * @returns {string} HTML 字符串
      */
-    renderTOCTree(tree, depth = 0) {
+    renderTOCTree(tree, depth = 0, pageUrl = '') {
         if (!tree || tree.length === 0) {
             return '';
         }
@@ -203,13 +249,13 @@ export class TOCGenerator {
             html += `<li class=\"toc-item ${levelClass}\">`;
             
             if (item.id) {
-                html += `<a href=\"#${item.id}\" class=\"toc-link\" data-level=\"${item.level}\" data-id=\"${item.id}\">${this.escapeHtml(item.text)}</a>`;
+                html += `<a href=\"${this.escapeHtml(pageUrl)}#${item.id}\" class=\"toc-link\" data-level=\"${item.level}\" data-id=\"${item.id}\">${this.escapeHtml(item.text)}</a>`;
             } else {
                 html += `<span class=\"toc-text\" data-level=\"${item.level}\">${this.escapeHtml(item.text)}</span>`;
             }
 
             if (hasChildren) {
-                html += this.renderTOCTree(item.children, depth + 1);
+                html += this.renderTOCTree(item.children, depth + 1, pageUrl);
             }
 
             html += '</li>';
@@ -298,9 +344,10 @@ export class TOCGenerator {
      * @returns {string} 转义后的文本
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
     }
 
     /**
@@ -1,13 +1,21 @@
 /**
  * 主题管理器
- * 负责主题切换、系统主题检测和本地存储
+ * 负责主题切换、系统主题检测和本地存储，以及亮色、暗色界面下各自使用的代码高亮主题
  */
 
+// 默认的代码高亮主题
+const DEFAULT_CODE_THEMES = {
+    light: 'default',
+    dark: 'tomorrow'
+};
+
 export class ThemeManager {
     constructor() {
         this.currentTheme = 'auto';
         this.systemTheme = 'light';
         this.storageKey = 'md2page-theme';
+        this.codeThemeStorageKey = 'md2page-code-theme';
+        this.codeThemes = { ...DEFAULT_CODE_THEMES };
         this.listeners = [];
         
         this.init();
@@ -22,6 +30,7 @@ export class ThemeManager {
         
         // 从本地存储加载主题偏好
         this.loadThemeFromStorage();
+        this.loadCodeThemesFromStorage();
         
         // 应用主题
         this.applyTheme();
@@ -88,6 +97,24 @@ export class ThemeManager {
         }
     }
 
+    /**
+     * 从本地存储加载代码高亮主题
+     */
+    loadCodeThemesFromStorage() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.codeThemeStorageKey) || 'null');
+            if (saved && typeof saved === 'object') {
+                ['light', 'dark'].forEach(appTheme => {
+                    if (typeof saved[appTheme] === 'string' && saved[appTheme]) {
+                        this.codeThemes[appTheme] = saved[appTheme];
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('无法从本地存储加载代码高亮主题设置:', error);
+        }
+    }
+
     /**
      * 保存主题到本地存储
      */
@@ -148,6 +175,41 @@ export class ThemeManager {
         });
     }
 
+    /**
+     * 获取代码高亮主题
+     * @param {string} appTheme 应用主题 ('light' 或 'dark')，缺省时使用实际应用的主题
+     * @returns {string} 代码高亮主题名称
+     */
+    getCodeTheme(appTheme = this.getEffectiveTheme()) {
+        return this.codeThemes[appTheme] || DEFAULT_CODE_THEMES.light;
+    }
+
+    /**
+     * 设置代码高亮主题，亮色和暗色界面分别保存
+     * @param {string} codeTheme 代码高亮主题名称
+     * @param {string} appTheme 应用主题 ('light' 或 'dark')，缺省时使用实际应用的主题
+     */
+    setCodeTheme(codeTheme, appTheme = this.getEffectiveTheme()) {
+        if (!['light', 'dark'].includes(appTheme) || !codeTheme) {
+            console.warn(`不支持的代码高亮主题设置: ${appTheme} ${codeTheme}`);
+            return;
+        }
+
+        this.codeThemes[appTheme] = codeTheme;
+
+        try {
+            localStorage.setItem(this.codeThemeStorageKey, JSON.stringify(this.codeThemes));
+        } catch (error) {
+            console.warn('无法保存代码高亮主题设置到本地存储:', error);
+        }
+
+        this.notifyListeners('code-theme-change', {
+            appTheme,
+            codeTheme,
+            effectiveCodeTheme: this.getCodeTheme()
+        });
+    }
+
     /**
      * 切换主题
      */
@@ -299,6 +361,7 @@ export class ThemeManager {
             systemTheme: this.systemTheme,
             supportsSystemTheme: this.supportsSystemTheme(),
             supportsLocalStorage: this.supportsLocalStorage(),
+            codeTheme: this.getCodeTheme(),
             icon: this.getThemeIcon(),
             name: this.getThemeName()
         };
@@ -310,11 +373,13 @@ export class ThemeManager {
     reset() {
         try {
             localStorage.removeItem(this.storageKey);
+            localStorage.removeItem(this.codeThemeStorageKey);
         } catch (error) {
             console.warn('无法清除主题设置:', error);
         }
         
         this.currentTheme = 'auto';
+        this.codeThemes = { ...DEFAULT_CODE_THEMES };
         this.applyTheme();
         
         this.notifyListeners('theme-reset', this.getThemeInfo());
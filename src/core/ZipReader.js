@@ -0,0 +1,165 @@
+/**
+ * ZIP 文件读取器
+ * 不依赖 DOM 和第三方库，支持存储和 deflate 压缩的文件，用于读取 .docx 等基于 ZIP 的文档。
+ * 解压使用浏览器和 Node（18 及以上）内置的 DecompressionStream
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// 通用标志第 11 位：文件名使用 UTF-8 编码
+const UTF8_FLAG = 0x0800;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+export class ZipReader {
+    /**
+     * @param {Uint8Array|ArrayBuffer} data ZIP 文件内容
+     */
+    constructor(data) {
+        this.data = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.data.buffer, this.data.byteOffset, this.data.byteLength);
+        this.entries = this.readEntries();
+    }
+
+    /**
+     * 读取中央目录
+     * @returns {Map<string, Object>} 路径到条目 { name, method, compressedSize, size, offset } 的映射
+     */
+    readEntries() {
+        const end = this.findEndOfCentralDirectory();
+        const count = this.view.getUint16(end + 10, true);
+        let pos = this.view.getUint32(end + 16, true);
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > this.data.length || this.view.getUint32(pos, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('ZIP 文件的目录已损坏');
+            }
+
+            const flags = this.view.getUint16(pos + 8, true);
+            const nameLength = this.view.getUint16(pos + 28, true);
+            const extraLength = this.view.getUint16(pos + 30, true);
+            const commentLength = this.view.getUint16(pos + 32, true);
+            const nameBytes = this.data.subarray(pos + 46, pos + 46 + nameLength);
+            // 没有 UTF-8 标志的旧文件名按 latin1 解码
+            const name = new TextDecoder(flags & UTF8_FLAG ? 'utf-8' : 'latin1').decode(nameBytes);
+
+            entries.set(name, {
+                name,
+                method: this.view.getUint16(pos + 10, true),
+                compressedSize: this.view.getUint32(pos + 20, true),
+                size: this.view.getUint32(pos + 24, true),
+                offset: this.view.getUint32(pos + 42, true)
+            });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * 从文件末尾查找中央目录结束记录（其后可能有最长 65535 字节的注释）
+     * @returns {number} 记录所在位置
+     */
+    findEndOfCentralDirectory() {
+        const min = Math.max(0, this.data.length - 22 - 0xffff);
+        for (let pos = this.data.length - 22; pos >= min; pos--) {
+            if (this.view.getUint32(pos, true) === END_OF_CENTRAL_DIRECTORY) {
+                return pos;
+            }
+        }
+        throw new Error('不是有效的 ZIP 文件');
+    }
+
+    /**
+     * 列出全部文件
+     * @returns {Array<string>} 文件路径
+     */
+    list() {
+        return Array.from(this.entries.keys()).filter(name => !name.endsWith('/'));
+    }
+
+    /**
+     * 判断文件是否存在
+     * @param {string} name 文件路径
+     * @returns {boolean} 是否存在
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * 读取文件
+     * @param {string} name 文件路径
+     * @returns {Promise<Uint8Array>} 文件内容
+     */
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`ZIP 文件中没有 ${name}`);
+        }
+
+        const pos = entry.offset;
+        if (this.view.getUint32(pos, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`ZIP 文件中的 ${name} 已损坏`);
+        }
+        // 本地文件头中的扩展字段长度可能与中央目录不同
+        const start = pos + 30 + this.view.getUint16(pos + 26, true) + this.view.getUint16(pos + 28, true);
+        const compressed = this.data.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) {
+            return compressed.slice();
+        }
+        if (entry.method === METHOD_DEFLATE) {
+            return ZipReader.inflate(compressed);
+        }
+        throw new Error(`不支持的压缩方式: ${entry.method}`);
+    }
+
+    /**
+     * 读取 UTF-8 文本文件
+     * @param {string} name 文件路径
+     * @returns {Promise<string>} 文件内容
+     */
+    async readText(name) {
+        return new TextDecoder('utf-8').decode(await this.read(name));
+    }
+
+    /**
+     * 解压 deflate 数据
+     * @param {Uint8Array} data 压缩的数据
+     * @returns {Promise<Uint8Array>} 解压后的数据
+     */
+    static async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('当前环境不支持解压 ZIP 文件');
+        }
+
+        const stream = new DecompressionStream('deflate-raw');
+        const writer = stream.writable.getWriter();
+        // 不等待写入完成，否则输出未被读取时会阻塞；写入错误会在读取时抛出
+        writer.write(data).catch(() => {});
+        writer.close().catch(() => {});
+
+        const reader = stream.readable.getReader();
+        const chunks = [];
+        let length = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            length += value.length;
+        }
+
+        const result = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * ZIP 文件生成器
+ * 不依赖 DOM 和第三方库，以存储方式（不压缩）写入文件，浏览器和 Node 中都可以使用
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// 通用标志第 11 位：文件名使用 UTF-8 编码
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * 添加文件
+     * @param {string} path 压缩包内的路径，使用 / 分隔
+     * @param {string|Uint8Array} content 文件内容，字符串按 UTF-8 编码
+     * @param {Object} options 选项
+     * @param {Date} options.date 修改时间，默认为当前时间
+     * @returns {ZipWriter} 生成器本身，便于链式调用
+     */
+    addFile(path, content, options = {}) {
+        const name = String(path).replace(/\\/g, '/').replace(/^\/+/, '');
+        if (!name) {
+            throw new Error('ZIP 文件路径不能为空');
+        }
+
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.entries.push({
+            name: this.encoder.encode(name),
+            data,
+            crc: ZipWriter.crc32(data),
+            date: options.date || new Date()
+        });
+        return this;
+    }
+
+    /**
+     * 生成 ZIP 文件
+     * @returns {Uint8Array} ZIP 文件内容
+     */
+    generate() {
+        const localSize = this.entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = this.entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const buffer = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(buffer.buffer);
+        const offsets = [];
+        let pos = 0;
+
+        this.entries.forEach(entry => {
+            offsets.push(pos);
+            const [time, date] = ZipWriter.toDosDateTime(entry.date);
+
+            view.setUint32(pos, LOCAL_FILE_HEADER, true);
+            view.setUint16(pos + 4, 20, true);                  // 解压所需版本
+            view.setUint16(pos + 6, UTF8_FLAG, true);
+            view.setUint16(pos + 8, 0, true);                   // 存储，不压缩
+            view.setUint16(pos + 10, time, true);
+            view.setUint16(pos + 12, date, true);
+            view.setUint32(pos + 14, entry.crc, true);
+            view.setUint32(pos + 18, entry.data.length, true);  // 压缩后大小
+            view.setUint32(pos + 22, entry.data.length, true);  // 原始大小
+            view.setUint16(pos + 26, entry.name.length, true);
+            view.setUint16(pos + 28, 0, true);                  // 扩展字段长度
+            buffer.set(entry.name, pos + 30);
+            buffer.set(entry.data, pos + 30 + entry.name.length);
+            pos += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralStart = pos;
+        this.entries.forEach((entry, index) => {
+            const [time, date] = ZipWriter.toDosDateTime(entry.date);
+
+            view.setUint32(pos, CENTRAL_DIRECTORY_HEADER, true);
+            view.setUint16(pos + 4, 20, true);                  // 创建版本
+            view.setUint16(pos + 6, 20, true);                  // 解压所需版本
+            view.setUint16(pos + 8, UTF8_FLAG, true);
+            view.setUint16(pos + 10, 0, true);
+            view.setUint16(pos + 12, time, true);
+            view.setUint16(pos + 14, date, true);
+            view.setUint32(pos + 16, entry.crc, true);
+            view.setUint32(pos + 20, entry.data.length, true);
+            view.setUint32(pos + 24, entry.data.length, true);
+            view.setUint16(pos + 28, entry.name.length, true);
+            // 扩展字段、注释、磁盘号、内部和外部属性均为 0
+            view.setUint32(pos + 42, offsets[index], true);
+            buffer.set(entry.name, pos + 46);
+            pos += 46 + entry.name.length;
+        });
+
+        view.setUint32(pos, END_OF_CENTRAL_DIRECTORY, true);
+        view.setUint16(pos + 8, this.entries.length, true);
+        view.setUint16(pos + 10, this.entries.length, true);
+        view.setUint32(pos + 12, pos - centralStart, true);
+        view.setUint32(pos + 16, centralStart, true);
+
+        return buffer;
+    }
+
+    /**
+     * 计算 CRC-32 校验值
+     * @param {Uint8Array} data 数据
+     * @returns {number} 校验值
+     */
+    static crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * 将时间转换为 ZIP 使用的 DOS 时间格式
+     * @param {Date} value 时间
+     * @returns {Array<number>} [时间, 日期]
+     */
+    static toDosDateTime(value) {
+        const year = Math.min(Math.max(value.getFullYear(), 1980), 2107);
+        const time = (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2);
+        const date = ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate();
+        return [time, date];
+    }
+}
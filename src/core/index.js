@@ -0,0 +1,73 @@
+/**
+ * md2page 库入口
+ * 在网页应用之外以模块方式使用转换功能：
+ *   import { render } from 'md2page';
+ *   const { html, toc, title, warnings } = render('# 标题', { theme: 'dark', toc: true });
+ * 只包含不依赖 DOM 的核心模块，可以在 Node 和浏览器中使用
+ */
+
+import { MarkdownConverter } from './MarkdownConverter.js';
+import { DocumentExporter } from './DocumentExporter.js';
+
+export { MarkdownConverter } from './MarkdownConverter.js';
+export { DocumentExporter } from './DocumentExporter.js';
+export { DocxConverter } from './DocxConverter.js';
+export { FileHandler } from './FileHandler.js';
+export { FrontMatterParser } from './FrontMatterParser.js';
+export { HTMLSanitizer } from './HTMLSanitizer.js';
+export { HTMLToMarkdown } from './HTMLToMarkdown.js';
+export { ImageStore } from './ImageStore.js';
+export { NotebookConverter } from './NotebookConverter.js';
+export { PrintOptimizer } from './PrintOptimizer.js';
+export { PrismHighlighter } from './PrismHighlighter.js';
+export { SiteGenerator } from './SiteGenerator.js';
+export { Slugger } from './Slugger.js';
+export { TOCGenerator } from './TOCGenerator.js';
+export { ZipReader } from './ZipReader.js';
+export { ZipWriter } from './ZipWriter.js';
+
+/**
+ * 将 Markdown 转换为自包含的 HTML 文档
+ * 每次调用使用新的转换器，插件只对本次转换生效
+ * @param {string} markdown Markdown 内容
+ * @param {Object} options 选项，除下列选项外与 FileHandler.createSelfContainedHTML 相同
+ *   （title、theme、lang、author、date、description、includeStyles、extraStyles、extraScripts、sanitizePolicy、tocHTML、
+ *   tocLayout、themeToggle），
+ *   显式传入的选项优先于 front matter
+ * @param {Array<Object>} options.plugins 额外注册的转换器插件，格式见 MarkdownConverter.use
+ * @param {Object} options.highlighter 代码高亮器，如 new PrismHighlighter(Prism)
+ * @param {boolean} options.toc 是否加入目录，缺省时使用 front matter 中的 toc
+ * @param {boolean} options.printCSS 是否加入完整的打印样式
+ * @param {Object} options.images 图片来源，如 ImageStore，能找到的图片嵌入为 data URI
+ * @returns {Object} { html, toc: [{ level, text, id }], title, warnings }
+ */
+export function render(markdown, options = {}) {
+    const { plugins = [], highlighter = null, ...documentOptions } = options;
+
+    const converter = new MarkdownConverter({
+        sanitizePolicy: options.sanitizePolicy,
+        highlighter
+    });
+    plugins.forEach(plugin => converter.use(plugin));
+
+    const exporter = new DocumentExporter({ converter });
+    const content = typeof markdown === 'string' ? markdown : '';
+    const result = exporter.exportMarkdown(content, documentOptions);
+
+    const warnings = [...converter.validateMarkdown(content).warnings];
+    const sanitizeReport = converter.getSanitizeReport();
+    const removedSummary = sanitizeReport ? converter.sanitizer.describeRemoved(sanitizeReport.removed) : '';
+    if (removedSummary) {
+        warnings.push(removedSummary);
+    }
+    result.images.failed.forEach(({ src, reason }) => {
+        warnings.push(`无法嵌入图片 ${src}: ${reason}`);
+    });
+
+    return {
+        html: result.html,
+        toc: converter.getHeadings().map(({ level, text, id }) => ({ level, text, id })),
+        title: result.title,
+        warnings
+    };
+}
@@ -6,24 +6,60 @@ import { MarkdownConverter } from './core/MarkdownConverter.js';
 import { FileHandler } from './core/FileHandler.js';
 import { ThemeManager } from './core/ThemeManager.js';
 import { PrintOptimizer } from './core/PrintOptimizer.js';
+import { DocumentExporter } from './core/DocumentExporter.js';
+import { SiteGenerator } from './core/SiteGenerator.js';
+import { ImageStore } from './core/ImageStore.js';
+import { AssetStore } from './core/AssetStore.js';
+import { createHighlightPlugin, createImagePlugin } from './core/BuiltinPlugins.js';
 import { InputPanel } from './components/InputPanel.js';
 import { PreviewPanel } from './components/PreviewPanel.js';
 import { ThemeToggle } from './components/ThemeToggle.js';
 import { ErrorHandler } from './components/ErrorHandler.js';
+import { CodeHighlighter } from './components/CodeHighlighter.js';
+import { ScrollSync } from './components/ScrollSync.js';
+import { LoadingIndicator } from './components/LoadingIndicator.js';
+import { AssetManager } from './components/AssetManager.js';
+import { ExportSettings } from './components/ExportSettings.js';
+import { SanitizePolicySelect } from './components/SanitizePolicySelect.js';
+import { MarkdownWorkerClient } from './core/MarkdownWorkerClient.js';
 
 class App {
     constructor() {
-        this.converter = new MarkdownConverter();
+        // 预览块元素带有源码行号，用于滚动同步
+        this.converter = new MarkdownConverter({ sourceLines: true });
         this.fileHandler = new FileHandler();
         this.themeManager = new ThemeManager();
         this.printOptimizer = new PrintOptimizer();
         this.errorHandler = new ErrorHandler();
+        this.codeHighlighter = new CodeHighlighter();
+        // 预览中的代码高亮使用带语言标签和复制按钮的高亮器
+        this.converter.use(createHighlightPlugin(this.codeHighlighter));
+        // 和 Markdown 一起上传的图片按相对路径查找，粘贴或单独拖入的图片保存在资源库中以 asset://id 引用，
+        // 两者在预览中显示，下载时嵌入为 data URI
+        this.imageStore = new ImageStore();
+        this.assetStore = new AssetStore();
+        this.imageSource = ImageStore.combine(this.assetStore, this.imageStore);
+        this.imagePlugin = createImagePlugin(this.imageSource);
+        this.converter.use(this.imagePlugin);
+        this.assetManager = null;
+        this.exportSettings = null;
+        // 下载与命令行工具使用相同的导出流程
+        this.documentExporter = new DocumentExporter({
+            converter: this.converter,
+            fileHandler: this.fileHandler
+        });
+        // 解析、代码高亮和目录提取在 Worker 中进行，不可用时退回主线程
+        this.markdownWorker = new MarkdownWorkerClient(this.converter);
         this.inputPanel = null;
         this.previewPanel = null;
         this.themeToggle = null;
+        this.sanitizePolicySelect = null;
+        this.scrollSync = null;
+        this.loadingIndicator = null;
         this.debounceTimer = null;
         this.currentHtmlContent = '';
         this.statusIndicator = null;
+        this.sanitizePolicyKey = 'md2page-sanitize-policy';
     }
 
     /**
@@ -31,6 +67,19 @@ class App {
      */
     init() {
         console.log('md2page 应用启动中...');
+
+        // 加载 HTML 清理策略
+        this.loadSanitizePolicy();
+
+        // 载入保存的图片资源，完成后刷新预览中引用的图片
+        this.assetStore.open().then(() => this.refreshPreviewImages());
+
+        // Prism 按需加载，加载完成前在主线程解析的代码块没有高亮，完成后重新渲染预览
+        this.codeHighlighter.ready.then((loaded) => {
+            if (loaded && this.inputPanel && this.inputPanel.getContent()) {
+                this.updatePreview(this.inputPanel.getContent());
+            }
+        });
         
         // 初始化组件
         this.initComponents();
@@ -58,6 +107,23 @@ class App {
             this.inputPanel.setOnError((error) => {
                 this.errorHandler.showFileError(error);
             });
+
+            // 上传文件夹时生成多页面站点
+            this.inputPanel.setOnFolderLoad((folder) => {
+                this.handleSiteDownload(folder);
+            });
+
+            // 图片保存到图片存储，返回 Markdown 中引用的名称
+            this.inputPanel.setOnImagesLoad((images, options) => this.handleImagesLoad(images, options));
+
+            this.inputPanel.setOnManageAssets(() => {
+                this.showAssetManager();
+            });
+
+            // 导入 Word 文档、笔记本时无法转换的格式和输出
+            this.inputPanel.setOnWarning((message) => {
+                this.errorHandler.showWarning(message);
+            });
         }
 
         // 初始化预览面板
@@ -67,13 +133,35 @@ class App {
             this.previewPanel.render();
         }
 
+        // 编辑器与预览的滚动同步
+        if (this.inputPanel && this.inputPanel.textarea && this.previewPanel && this.previewPanel.previewContent) {
+            this.scrollSync = new ScrollSync(this.inputPanel.textarea, this.previewPanel.previewContent);
+        }
+
         // 初始化主题切换
         const themeContainer = document.querySelector('.header-controls');
         if (themeContainer) {
             this.themeToggle = new ThemeToggle(this.themeManager);
             this.themeToggle.createToggleButton(themeContainer);
+            this.themeToggle.createCodeThemeSelect(themeContainer, this.codeHighlighter.getThemes());
+
+            // HTML 清理策略，修改后保存并重新渲染预览
+            this.sanitizePolicySelect = new SanitizePolicySelect({
+                policies: this.converter.sanitizer.getAvailablePolicies(),
+                policy: this.converter.sanitizer.getPolicy()
+            });
+            this.sanitizePolicySelect.setOnChange((policy) => {
+                this.setSanitizePolicy(policy);
+            });
+            this.sanitizePolicySelect.createSelect(themeContainer);
         }
 
+        // 代码高亮主题跟随界面主题和用户设置
+        this.codeHighlighter.bindThemeManager(this.themeManager);
+
+        // 解析进度指示器
+        this.loadingIndicator = new LoadingIndicator();
+
         // 初始化状态指示器
         const footerContainer = document.querySelector('.app-footer') || document.body;
         this.statusIndicator = this.errorHandler.createStatusIndicator(footerContainer);
@@ -107,6 +195,43 @@ class App {
         }
     }
 
+    /**
+     * 从本地存储加载 HTML 清理策略
+     */
+    loadSanitizePolicy() {
+        try {
+            const savedPolicy = localStorage.getItem(this.sanitizePolicyKey);
+            if (savedPolicy) {
+                this.converter.setSanitizePolicy(savedPolicy);
+            }
+        } catch (error) {
+            console.warn('无法从本地存储加载清理策略:', error);
+        }
+    }
+
+    /**
+     * 设置 HTML 清理策略
+     * @param {string} policy 策略名称 ('strict', 'safe', 'trusted')
+     */
+    setSanitizePolicy(policy) {
+        this.converter.setSanitizePolicy(policy);
+
+        try {
+            localStorage.setItem(this.sanitizePolicyKey, this.converter.sanitizer.getPolicy());
+        } catch (error) {
+            console.warn('无法保存清理策略到本地存储:', error);
+        }
+
+        if (this.sanitizePolicySelect) {
+            this.sanitizePolicySelect.setPolicy(this.converter.sanitizer.getPolicy());
+        }
+
+        // 使用新策略重新渲染
+        if (this.inputPanel) {
+            this.updatePreview(this.inputPanel.getContent());
+        }
+    }
+
     /**
      * 防抖更新预览
      * @param {string} content Markdown 内容
@@ -125,9 +250,11 @@ class App {
 
     /**
      * 更新预览内容
+     * 解析在后台进行，被更新的输入取代时直接放弃本次更新
      * @param {string} content Markdown 内容
+     * @returns {Promise<void>}
      */
-    updatePreview(content) {
+    async updatePreview(content) {
         if (!this.previewPanel) return;
 
         const downloadBtn = document.getElementById('download-btn');
@@ -137,6 +264,8 @@ class App {
         const validation = this.converter.validateMarkdown(content);
         if (!validation.isValid) {
             console.warn('Markdown 验证失败:', validation.errors);
+            // 尚未完成的解析结果不应该覆盖错误信息
+            this.markdownWorker.cancel();
             this.errorHandler.showValidationErrors(validation.errors);
             this.previewPanel.updateContent(`
                 <div class="error">
@@ -155,11 +284,23 @@ class App {
             return;
         }
 
-        // 转换 Markdown
-        const htmlContent = this.converter.parseMarkdown(content);
+        // 转换 Markdown，按块返回结果以便只更新变化的部分
+        const result = await this.parseContent(content);
+        if (!result) return;
+        const { html: htmlContent, blocks, headings } = result;
         
-        // 更新预览
-        this.previewPanel.updateContent(htmlContent);
+        // 更新预览，只对新插入的块执行代码高亮等处理
+        const changedElements = this.previewPanel.updateBlocks(blocks, headings);
+        changedElements.forEach(element => this.converter.afterRender(element));
+        if (this.scrollSync) {
+            this.scrollSync.invalidate();
+        }
+
+        // front matter 中的 toc 设置控制目录显示
+        const documentOptions = this.converter.getDocumentOptions();
+        if (typeof documentOptions.toc === 'boolean') {
+            this.previewPanel.setTOCVisible(documentOptions.toc);
+        }
         
         // 保存当前 HTML 内容用于下载
         this.currentHtmlContent = htmlContent;
@@ -173,6 +314,16 @@ class App {
             printBtn.disabled = !hasContent;
         }
 
+        // 报告被清理的内容
+        const sanitizeReport = this.converter.getSanitizeReport();
+        const removedSummary = sanitizeReport
+            ? this.converter.sanitizer.describeRemoved(sanitizeReport.removed)
+            : '';
+        if (removedSummary) {
+            console.warn('HTML 清理:', sanitizeReport.removed);
+            validation.warnings.push(removedSummary);
+        }
+
         // 显示警告（如果有）
         if (validation.warnings.length > 0) {
             console.warn('Markdown 警告:', validation.warnings);
@@ -185,7 +336,54 @@ class App {
     }
 
     /**
-     * 处理下载
+     * 解析 Markdown，解析时间较长时在预览区显示进度
+     * @param {string} content Markdown 内容
+     * @returns {Promise<Object|null>} { html, blocks, headings }，被新的解析取代时为 null
+     */
+    async parseContent(content) {
+        const target = this.previewPanel && this.previewPanel.container;
+        const loaderId = this.loadingIndicator && target
+            ? this.loadingIndicator.showInline(target, {
+                text: '正在解析...',
+                size: 'small',
+                showProgress: true,
+                delay: 300
+            })
+            : null;
+
+        try {
+            return await this.markdownWorker.parse(content, {
+                onProgress: (progress) => {
+                    if (loaderId) {
+                        this.loadingIndicator.updateProgress(progress * 100, loaderId);
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Markdown 解析失败:', error);
+            const html = `<p class="error">Markdown 解析失败: ${error.message}</p>`;
+            return { html, blocks: [{ key: html, html, line: null }], headings: [] };
+        } finally {
+            if (loaderId) {
+                this.loadingIndicator.hide(loaderId);
+            }
+        }
+    }
+
+    /**
+     * 获取文档信息
+     * front matter 中的设置优先，缺失时再从正文推断，主题默认与当前界面一致
+     * @param {string} markdownContent Markdown 内容
+     * @returns {Object} 文档信息 { options, title, theme, fileName }
+     */
+    getDocumentInfo(markdownContent) {
+        return this.documentExporter.getDocumentInfo(markdownContent, {
+            defaultTheme: this.themeManager.getEffectiveTheme()
+        });
+    }
+
+    /**
+     * 处理下载，先显示导出设置
      */
     handleDownload() {
         if (!this.currentHtmlContent) {
@@ -197,24 +395,47 @@ class App {
             return;
         }
 
+        if (!this.exportSettings) {
+            this.exportSettings = new ExportSettings({ codeThemes: this.codeHighlighter.getThemes() });
+            this.exportSettings.setOnApply((settings) => this.downloadDocument(settings));
+        }
+        this.exportSettings.show();
+    }
+
+    /**
+     * 按导出设置生成并下载 HTML 文件
+     * @param {Object} settings 导出设置（ExportSettings.getSettings()）
+     * @returns {Promise<void>}
+     */
+    async downloadDocument(settings) {
         try {
             if (this.statusIndicator) {
                 this.statusIndicator.show('正在生成 HTML 文件...', 'info', 0);
             }
 
-            // 获取原始 Markdown 内容用于生成文件名
+            // 获取原始 Markdown 内容用于生成标题和文件名
             const markdownContent = this.inputPanel ? this.inputPanel.getContent() : '';
             
+            // 选择了 Prism 主题时嵌入主题样式，代替内置的高亮配色
+            const codeThemeStyles = settings.codeTheme === 'builtin'
+                ? ''
+                : await this.codeHighlighter.getThemeStyles(settings.codeTheme);
+
             // 创建自包含的 HTML
-            const currentTheme = this.themeManager.getEffectiveTheme();
-            const selfContainedHTML = this.fileHandler.createSelfContainedHTML(
-                this.currentHtmlContent,
-                {
-                    title: this.fileHandler.generateFilename(markdownContent),
-                    theme: currentTheme,
-                    includeStyles: true
-                }
-            );
+            const documentInfo = this.documentExporter.createDocument(this.currentHtmlContent, markdownContent, {
+                ...this.exportSettings.getExportOptions(settings),
+                defaultTheme: this.themeManager.getEffectiveTheme(),
+                images: settings.embedImages ? this.imageSource : null,
+                codeThemeStyles
+            });
+            const selfContainedHTML = documentInfo.html;
+
+            // 列出未能嵌入的图片
+            if (documentInfo.images.failed.length > 0) {
+                this.errorHandler.showWarning(`以下图片未能嵌入:\n${documentInfo.images.failed
+                    .map(({ src, reason }) => `${src}（${reason}）`)
+                    .join('\n')}`);
+            }
 
             // 验证 HTML
             const validation = this.fileHandler.validateHTML(selfContainedHTML);
@@ -235,7 +456,7 @@ class App {
             // 下载文件
             const result = this.fileHandler.downloadHTML(
                 selfContainedHTML,
-                this.fileHandler.generateFilename(markdownContent)
+                documentInfo.fileName
             );
 
             if (result.success) {
@@ -250,7 +471,7 @@ class App {
                     message: result.error,
                     type: 'error',
                     showRetry: true,
-                    retryCallback: () => this.handleDownload()
+                    retryCallback: () => this.downloadDocument(settings)
                 });
                 if (this.statusIndicator) {
                     this.statusIndicator.show('下载失败', 'error');
@@ -265,7 +486,7 @@ class App {
                 details: error.stack,
                 type: 'error',
                 showRetry: true,
-                retryCallback: () => this.handleDownload()
+                retryCallback: () => this.downloadDocument(settings)
             });
             if (this.statusIndicator) {
                 this.statusIndicator.show('下载失败', 'error');
@@ -273,6 +494,122 @@ class App {
         }
     }
 
+    /**
+     * 保存上传或粘贴的图片，并刷新预览中的图片
+     * 粘贴或单独拖入的图片、导入的 Word 文档和笔记本中的图片保存到资源库，和 Markdown 一起上传的图片按文件名保存到图片存储
+     * @param {Array<Object>} images 图片 [{ name, data, mimeType }]，name 为空时自动生成
+     * @param {Object} options 选项
+     * @param {boolean} options.insert 是否会在编辑器中插入引用
+     * @param {boolean} options.asset 是否保存到资源库（插入引用时总是保存到资源库）
+     * @returns {Promise<Array<string|null>>} 与图片一一对应的引用，资源库中的图片为 asset://id，保存失败时为 null
+     */
+    async handleImagesLoad(images, options = {}) {
+        const references = [];
+        for (const { name, data, mimeType } of images) {
+            try {
+                if (options.insert || options.asset) {
+                    const asset = await this.assetStore.add(data, { name, mimeType });
+                    references.push(asset.reference);
+                } else {
+                    references.push(this.imageStore.add(name || this.imageStore.createName('image', mimeType), data, mimeType));
+                }
+            } catch (error) {
+                references.push(null);
+                this.errorHandler.showWarning(error.message);
+            }
+        }
+
+        const added = references.filter(Boolean).length;
+        if (added > 0) {
+            this.refreshPreviewImages();
+            this.errorHandler.showSuccess(`已添加 ${added} 张图片`);
+        }
+        return references;
+    }
+
+    /**
+     * 重新解析预览中的本地图片
+     */
+    refreshPreviewImages() {
+        if (this.previewPanel && this.previewPanel.previewContent) {
+            this.imagePlugin.afterRender(this.previewPanel.previewContent);
+        }
+    }
+
+    /**
+     * 显示图片资源管理
+     */
+    showAssetManager() {
+        if (!this.assetManager) {
+            this.assetManager = new AssetManager(this.assetStore);
+            this.assetManager.setOnInsert((reference) => {
+                if (this.inputPanel) {
+                    this.inputPanel.insertImageReferences([reference]);
+                }
+            });
+            this.assetManager.setOnChange(() => this.refreshPreviewImages());
+            this.assetManager.setOnError((message) => this.errorHandler.showWarning(message));
+        }
+
+        this.assetManager.show(this.inputPanel ? this.inputPanel.getContent() : '');
+    }
+
+    /**
+     * 把上传的文件夹生成为多页面站点并下载 ZIP
+     * 使用独立的转换器，不影响当前预览的解析状态
+     * @param {Object} folder 文件夹 { name, files: [{ path, content }], skipped }
+     */
+    handleSiteDownload(folder) {
+        try {
+            if (this.statusIndicator) {
+                this.statusIndicator.show('正在生成站点...', 'info', 0);
+            }
+
+            const generator = new SiteGenerator({
+                exporter: new DocumentExporter({
+                    converter: new MarkdownConverter({
+                        sanitizePolicy: this.converter.sanitizer.getPolicy(),
+                        highlighter: this.codeHighlighter
+                    })
+                })
+            });
+            const site = generator.generateZip(folder.files, {
+                title: folder.name,
+                defaultTheme: this.themeManager.getEffectiveTheme()
+            });
+
+            if (site.warnings.length > 0) {
+                console.warn('站点生成警告:', site.warnings);
+                this.errorHandler.showWarning(site.warnings.join('\n'));
+            }
+
+            const result = this.fileHandler.downloadFile(
+                site.data,
+                `${this.fileHandler.sanitizeFilename(folder.name)}.zip`,
+                'application/zip'
+            );
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.errorHandler.showSuccess(`站点已生成: ${result.fileName}（${site.pages.length} 个页面）`);
+            if (this.statusIndicator) {
+                this.statusIndicator.show(`下载完成: ${result.fileName}`, 'success');
+            }
+        } catch (error) {
+            console.error('生成站点时发生错误:', error);
+            this.errorHandler.showError({
+                title: '生成站点失败',
+                message: error.message,
+                type: 'error'
+            });
+            if (this.statusIndicator) {
+                this.statusIndicator.show('生成站点失败', 'error');
+            }
+        }
+    }
+
     /**
      * 处理打印
      */
@@ -293,7 +630,7 @@ class App {
 
             // 获取原始 Markdown 内容用于生成标题
             const markdownContent = this.inputPanel ? this.inputPanel.getContent() : '';
-            const title = this.fileHandler.generateFilename(markdownContent);
+            const documentInfo = this.getDocumentInfo(markdownContent);
 
             // 优化打印内容
             const optimizedContent = this.printOptimizer.optimizeForPrint(this.currentHtmlContent, {
@@ -312,13 +649,14 @@ class App {
             // 生成完整的打印页面
             const printHTML = `
 <!DOCTYPE html>
-<html lang="zh-CN">
+<html lang="${this.fileHandler.escapeAttribute(documentInfo.options.lang || 'zh-CN')}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${this.fileHandler.escapeHtml(title)}</title>
+    <title>${this.fileHandler.escapeHtml(documentInfo.title)}</title>
     <style>
         ${this.printOptimizer.generatePrintCSS()}
+        ${this.converter.getExportStyles()}
     </style>
 </head>
 <body>
@@ -0,0 +1,96 @@
+/**
+ * AlertBlocks 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MarkdownConverter } from '../src/core/MarkdownConverter.js';
+import { PrintOptimizer } from '../src/core/PrintOptimizer.js';
+
+describe('AlertBlocks', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new MarkdownConverter();
+    });
+
+    describe('GitHub 提示块', () => {
+        it('应该将 [!NOTE] 引用块渲染为提示框', () => {
+            const result = converter.parseMarkdown('> [!NOTE]\n> 有用的 **信息**');
+
+            expect(result).toContain('<div class="alert alert-note" role="note">');
+            expect(result).toContain('<svg class="alert-icon"');
+            expect(result).toContain('备注</p>');
+            expect(result).toContain('<p>有用的 <strong>信息</strong></p>');
+            expect(result).not.toContain('[!NOTE]');
+            expect(result).not.toContain('<blockquote>');
+        });
+
+        it('应该支持所有类型和自定义标题', () => {
+            ['TIP', 'IMPORTANT', 'WARNING', 'CAUTION'].forEach(type => {
+                const result = converter.parseMarkdown(`> [!${type}]\n> 内容`);
+                expect(result).toContain(`alert-${type.toLowerCase()}`);
+            });
+
+            expect(converter.parseMarkdown('> [!TIP] 小技巧\n> 内容')).toContain('小技巧</p>');
+        });
+
+        it('未知类型应该保留为普通引用', () => {
+            const result = converter.parseMarkdown('> [!UNKNOWN]\n> 内容');
+
+            expect(result).toContain('<blockquote>');
+            expect(result).not.toContain('class="alert');
+        });
+    });
+
+    describe('::: 容器', () => {
+        it('应该渲染容器和标题', () => {
+            const result = converter.parseMarkdown('::: warning 小心\n容器内容\n\n- 列表\n:::\n\n后续段落');
+
+            expect(result).toContain('<div class="alert alert-warning" role="note">');
+            expect(result).toContain('小心</p>');
+            expect(result).toContain('<li>列表</li>');
+            expect(result).toMatch(/<\/div>\s*<p>后续段落<\/p>/);
+        });
+
+        it('应该支持别名和嵌套', () => {
+            const result = converter.parseMarkdown('::: danger\n外层\n::: tip\n内层\n:::\n:::');
+
+            expect(result).toContain('alert-caution');
+            expect(result).toMatch(/alert-caution[\s\S]*alert-tip[\s\S]*内层[\s\S]*<\/div>\s*<\/div>/);
+        });
+
+        it('容器应该优先于紧随其后的定义列表', () => {
+            const result = converter.parseMarkdown('::: tip\n内容\n:::\n术语\n: 定义');
+
+            expect(result).toContain('<div class="alert alert-tip" role="note">');
+            expect(result).toContain('<dt>术语</dt>');
+        });
+
+        it('未知类型不应该识别为容器', () => {
+            expect(converter.parseMarkdown('::: foo\n内容\n:::')).not.toContain('class="alert');
+        });
+    });
+
+    it('strict 策略下也应该保留提示框结构', () => {
+        converter.setSanitizePolicy('strict');
+        const result = converter.parseMarkdown('> [!CAUTION]\n> 内容');
+
+        expect(result).toContain('<div class="alert alert-caution"');
+        expect(result).toContain('<path d=');
+    });
+
+    it('导出样式应该包含亮色和暗色配色', () => {
+        converter.parseMarkdown('> [!NOTE]\n> 内容');
+        const styles = converter.getExportStyles();
+
+        expect(styles).toContain('.alert-note { border-left-color: #0969da; }');
+        expect(styles).toContain('.theme-dark .alert-note');
+    });
+
+    it('打印样式应该包含提示块', () => {
+        const css = new PrintOptimizer().generatePrintCSS();
+
+        expect(css).toContain('.alert {');
+        expect(css).toContain('page-break-inside: avoid');
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * AssetManager 组件单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AssetManager } from '../src/components/AssetManager.js';
+import { AssetStore } from '../src/core/AssetStore.js';
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+describe('AssetManager', () => {
+    let store;
+    let manager;
+    let used;
+    let unused;
+
+    beforeEach(async () => {
+        URL.createObjectURL = vi.fn(() => 'blob:preview');
+        URL.revokeObjectURL = vi.fn();
+
+        store = new AssetStore({ indexedDB: null });
+        used = await store.add(PNG, { name: 'used.png' });
+        unused = await store.add(PNG, { name: 'unused.png' });
+        manager = new AssetManager(store);
+        manager.show(`![](${used.reference})`);
+    });
+
+    afterEach(() => {
+        manager.destroy();
+    });
+
+    const items = () => Array.from(document.querySelectorAll('.asset-item'));
+
+    it('应该列出全部图片并标记未使用的图片', () => {
+        expect(items().map(item => item.querySelector('.asset-name').value)).toEqual(['used.png', 'unused.png']);
+        expect(items()[1].classList.contains('unused')).toBe(true);
+        expect(document.getElementById('asset-summary').textContent).toBe('共 2 张图片，1 张未使用');
+        expect(items()[0].querySelector('.asset-thumbnail').getAttribute('src')).toBe('blob:preview');
+    });
+
+    it('应该可以只显示未使用的图片', () => {
+        const checkbox = document.getElementById('asset-unused-only');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change'));
+
+        expect(items().map(item => item.dataset.id)).toEqual([unused.id]);
+    });
+
+    it('修改名称时应该重命名资源', async () => {
+        const input = items()[1].querySelector('.asset-name');
+        input.value = '新名称.png';
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+        await vi.waitFor(() => expect(store.list()[1].name).toBe('新名称.png'));
+    });
+
+    it('应该删除未使用的图片并通知变化', async () => {
+        const onChange = vi.fn();
+        manager.setOnChange(onChange);
+
+        document.getElementById('asset-remove-unused').click();
+        await vi.waitFor(() => expect(onChange).toHaveBeenCalled());
+
+        expect(store.list().map(asset => asset.id)).toEqual([used.id]);
+        expect(items()).toHaveLength(1);
+    });
+
+    it('删除仍在使用的图片前应该确认', async () => {
+        const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(false);
+
+        items()[0].querySelector('[data-action="delete"]').click();
+
+        expect(confirmSpy).toHaveBeenCalled();
+        expect(store.has(used.reference)).toBe(true);
+        confirmSpy.mockRestore();
+    });
+
+    it('插入时应该返回引用并关闭', () => {
+        const onInsert = vi.fn();
+        manager.setOnInsert(onInsert);
+
+        items()[1].querySelector('[data-action="insert"]').click();
+
+        expect(onInsert).toHaveBeenCalledWith(unused.reference);
+        expect(document.getElementById('asset-manager-modal').style.display).toBe('none');
+    });
+});
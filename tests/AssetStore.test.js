@@ -0,0 +1,177 @@
+// @vitest-environment node
+/**
+ * AssetStore 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AssetStore } from '../src/core/AssetStore.js';
+import { ImageStore } from '../src/core/ImageStore.js';
+import { FileHandler } from '../src/core/FileHandler.js';
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+/**
+ * 只实现资源库用到的部分的内存 IndexedDB
+ */
+function createFakeIndexedDB() {
+    const databases = new Map();
+    const later = callback => setTimeout(callback, 0);
+
+    const createDatabase = () => ({
+        stores: new Map(),
+        createObjectStore(name, { keyPath }) {
+            this.stores.set(name, { keyPath, records: new Map() });
+        },
+        transaction(name) {
+            const { keyPath, records } = this.stores.get(name);
+            const transaction = {
+                objectStore: () => ({
+                    put: value => {
+                        records.set(value[keyPath], structuredClone(value));
+                        return { result: value[keyPath] };
+                    },
+                    delete: key => {
+                        records.delete(key);
+                        return { result: undefined };
+                    },
+                    getAll: () => ({ result: [...records.values()].map(value => structuredClone(value)) })
+                })
+            };
+            later(() => transaction.oncomplete());
+            return transaction;
+        }
+    });
+
+    return {
+        open(name) {
+            const request = {};
+            later(() => {
+                if (!databases.has(name)) {
+                    databases.set(name, createDatabase());
+                    request.result = databases.get(name);
+                    request.onupgradeneeded();
+                }
+                request.result = databases.get(name);
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+describe('AssetStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new AssetStore({ indexedDB: null });
+    });
+
+    it('应该添加图片并返回 asset:// 引用', async () => {
+        const asset = await store.add(PNG, { name: '截图.png' });
+
+        expect(asset).toMatchObject({ name: '截图.png', mimeType: 'image/png', size: 4 });
+        expect(asset.reference).toBe(`asset://${asset.id}`);
+        expect(store.has(asset.reference)).toBe(true);
+        expect(store.resolve(asset.reference)).toBe('data:image/png;base64,iVBORw==');
+    });
+
+    it('没有名称时应该生成名称', async () => {
+        const first = await store.add(PNG, { mimeType: 'image/png' });
+        const second = await store.add(PNG, { mimeType: 'image/jpeg' });
+
+        expect(first.name).toBe('image-1.png');
+        expect(second.name).toBe('image-2.jpg');
+        expect(first.id).not.toBe(second.id);
+    });
+
+    it('应该拒绝不支持的格式', async () => {
+        await expect(store.add(PNG, { name: 'notes.txt' })).rejects.toThrow('不支持的图片格式');
+    });
+
+    it('不是资源引用时应该返回 null，引用的资源不存在时应该报错', () => {
+        expect(store.resolve('logo.png')).toBeNull();
+        expect(() => store.resolve('asset://missing')).toThrow('图片资源不存在');
+    });
+
+    it('重命名不应该影响引用', async () => {
+        const asset = await store.add(PNG, { name: 'a.png' });
+        const renamed = await store.rename(asset.id, ' 标志 ');
+
+        expect(renamed.name).toBe('标志');
+        expect(renamed.reference).toBe(asset.reference);
+        await expect(store.rename(asset.id, '  ')).rejects.toThrow('资源名称不能为空');
+    });
+
+    it('应该找出并删除未使用的资源', async () => {
+        const used = await store.add(PNG, { name: 'used.png' });
+        const unused = await store.add(PNG, { name: 'unused.png' });
+        const markdown = `# 文档\n\n![](${used.reference})\n`;
+
+        expect(store.findUnused(markdown).map(asset => asset.id)).toEqual([unused.id]);
+        expect(await store.removeUnused(markdown)).toBe(1);
+        expect(store.list().map(asset => asset.id)).toEqual([used.id]);
+    });
+
+    it('应该把资源保存到 IndexedDB，重新打开后仍然可用', async () => {
+        const indexedDB = createFakeIndexedDB();
+        const first = await new AssetStore({ indexedDB }).open();
+        const kept = await first.add(PNG, { name: 'kept.png' });
+        const removed = await first.add(PNG, { name: 'removed.png' });
+        await first.rename(kept.id, '保留.png');
+        await first.remove(removed.id);
+
+        const second = await new AssetStore({ indexedDB }).open();
+
+        expect(second.list()).toEqual([{ ...kept, name: '保留.png' }]);
+        expect(second.resolve(kept.reference)).toBe('data:image/png;base64,iVBORw==');
+    });
+
+    it('数据库打开完成前添加的资源也应该保存到 IndexedDB', async () => {
+        const indexedDB = createFakeIndexedDB();
+        const first = new AssetStore({ indexedDB });
+        const opening = first.open();
+        const asset = await first.add(PNG, { name: 'early.png' });
+        await opening;
+
+        expect(first.open()).toBe(opening);
+
+        const second = await new AssetStore({ indexedDB }).open();
+        expect(second.list()).toEqual([asset]);
+    });
+
+        it('数据库无法打开时应该只在内存中保存', async () => {
+        const indexedDB = {
+            open() {
+                const request = { error: new Error('禁止访问') };
+                setTimeout(() => request.onerror(), 0);
+                return request;
+            }
+        };
+        const assets = await new AssetStore({ indexedDB }).open();
+
+        const asset = await assets.add(PNG, { name: 'a.png' });
+        expect(assets.has(asset.reference)).toBe(true);
+    });
+
+    it('应该找出 Markdown 中的资源引用', () => {
+        const references = AssetStore.findReferences('![](asset://abc-1) ![x](ASSET://Def-2 "标题") ![](logo.png)');
+
+        expect([...references]).toEqual(['abc-1', 'def-2']);
+        expect(AssetStore.parseReference('asset://abc-1')).toBe('abc-1');
+        expect(AssetStore.parseReference('https://example.com/a.png')).toBeNull();
+    });
+
+    it('导出时应该和图片存储组合使用', async () => {
+        const asset = await store.add(PNG, { name: 'a.png' });
+        const images = new ImageStore();
+        images.add('logo.gif', PNG);
+
+        const result = new FileHandler().embedImages(
+            `<img src="${asset.reference}"><img src="logo.gif"><img src="asset://gone">`,
+            ImageStore.combine(store, images)
+        );
+
+        expect(result.embedded).toEqual([asset.reference, 'logo.gif']);
+        expect(result.failed).toEqual([{ src: 'asset://gone', reason: '图片资源不存在' }]);
+    });
+});
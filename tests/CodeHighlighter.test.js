@@ -0,0 +1,104 @@
+/**
+ * CodeHighlighter 单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CodeHighlighter } from '../src/components/CodeHighlighter.js';
+
+describe('CodeHighlighter', () => {
+    let highlighter;
+
+    beforeEach(() => {
+        highlighter = new CodeHighlighter();
+    });
+
+    afterEach(() => {
+        highlighter.destroy();
+    });
+
+    it('应该在加载本地打包的 Prism 后高亮代码', async () => {
+        expect(await highlighter.ready).toBe(true);
+
+        expect(highlighter.highlight('const a = 1;', 'javascript')).toContain('<span class="token keyword">const</span>');
+        expect(highlighter.highlight('db.users.find()', 'mongodb')).toContain('token');
+        expect(highlighter.highlight('x', 'unknown')).toBeNull();
+    });
+
+    it('常用语言都应该有本地语法', async () => {
+        await highlighter.ready;
+
+        const missing = highlighter.getSupportedLanguages()
+            .filter(language => !highlighter.prismHighlighter.getGrammar(language));
+        expect(missing).toEqual([]);
+    });
+
+    it('应该使用打包后的本地样式地址切换主题', async () => {
+        const loadSpy = vi.spyOn(highlighter.themes.okaidia, 'load')
+            .mockResolvedValue({ default: '/assets/prism-okaidia.css' });
+
+        expect(await highlighter.switchTheme('okaidia')).toBe(true);
+
+        const link = document.querySelector('link[data-prism-theme]');
+        expect(link.getAttribute('data-prism-theme')).toBe('okaidia');
+        expect(link.getAttribute('href')).toBe('/assets/prism-okaidia.css');
+        loadSpy.mockRestore();
+    });
+
+    it('应该提供嵌入导出文件的主题样式', async () => {
+        const loadSpy = vi.spyOn(highlighter.themes.okaidia, 'loadStyles')
+            .mockResolvedValue({ default: '.token.keyword{color:#66d9ef}' });
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await highlighter.getThemeStyles('okaidia')).toBe('.token.keyword{color:#66d9ef}');
+        expect(await highlighter.getThemeStyles('unknown')).toBe('');
+
+        loadSpy.mockRestore();
+        warnSpy.mockRestore();
+    });
+
+    it('快速切换时应该只应用最后一次选择的主题', async () => {
+        const first = highlighter.switchTheme('coy');
+        const second = highlighter.switchTheme('twilight');
+
+        expect(await first).toBe(false);
+        expect(await second).toBe(true);
+        expect(document.querySelectorAll('link[data-prism-theme]')).toHaveLength(1);
+        expect(document.querySelector('link[data-prism-theme]').getAttribute('data-prism-theme')).toBe('twilight');
+    });
+
+    it('应该拒绝不支持的主题', async () => {
+        const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await highlighter.switchTheme('unknown')).toBe(false);
+        expect(warnSpy).toHaveBeenCalledWith('不支持的代码高亮主题: unknown');
+
+        warnSpy.mockRestore();
+    });
+
+    it('应该跟随主题管理器的高亮主题设置', () => {
+        const listeners = [];
+        const themeManager = {
+            codeTheme: 'default',
+            getCodeTheme() { return this.codeTheme; },
+            addListener: vi.fn(callback => {
+                listeners.push(callback);
+                return () => {};
+            })
+        };
+        const switchSpy = vi.spyOn(highlighter, 'switchTheme').mockResolvedValue(true);
+
+        highlighter.bindThemeManager(themeManager);
+        themeManager.codeTheme = 'tomorrow';
+        listeners.forEach(listener => listener('theme-change', {}));
+
+        expect(switchSpy.mock.calls).toEqual([['default'], ['tomorrow']]);
+    });
+
+    it('应该按界面主题分组列出可选主题', () => {
+        const themes = highlighter.getThemes();
+
+        expect(themes).toContainEqual({ id: 'default', name: '默认', appearance: 'light' });
+        expect(themes.filter(theme => theme.appearance === 'dark').map(theme => theme.id))
+            .toEqual(['dark', 'tomorrow', 'twilight', 'okaidia']);
+    });
+});
@@ -0,0 +1,181 @@
+// @vitest-environment node
+/**
+ * CommandLine / FileMatcher 单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { CommandLine } from '../src/cli/CommandLine.js';
+import { FileMatcher } from '../src/cli/FileMatcher.js';
+import { FileHandler } from '../src/core/FileHandler.js';
+
+/**
+ * 收集写入内容的输出流
+ */
+function createStream() {
+    return {
+        text: '',
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+}
+
+function writeFile(root, file, content) {
+    const fullPath = path.join(root, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content, 'utf8');
+}
+
+describe('CommandLine', () => {
+    let root;
+    let stdout;
+    let stderr;
+    let cli;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'md2page-'));
+        writeFile(root, 'docs/index.md', '---\ntitle: 首页\n---\n\n# 首页\n\n## 安装\n');
+        writeFile(root, 'docs/guide/usage.md', '# 使用\n');
+        writeFile(root, 'docs/notes.txt', '不是 Markdown');
+        stdout = createStream();
+        stderr = createStream();
+        cli = new CommandLine({ cwd: root, stdout, stderr });
+    });
+
+    afterEach(() => {
+        cli.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+    it('应该把单个文件转换为指定的输出文件', () => {
+        const code = cli.run(['docs/index.md', '-o', 'out/index.html', '--toc', '--theme', 'dark']);
+
+        expect(code).toBe(0);
+        const html = read('out/index.html');
+        expect(html).toContain('<title>首页</title>');
+        expect(html).toContain('<body class="theme-dark toc-sidebar">');
+        expect(html).toContain('<nav class="table-of-contents">');
+        expect(stdout.text).toContain('已生成');
+    });
+
+    it('应该可以不加入亮色/暗色切换按钮', () => {
+        expect(cli.run(['docs/index.md', '-o', 'fixed.html', '--theme', 'dark', '--no-theme-toggle'])).toBe(0);
+
+        expect(read('fixed.html')).toContain('<body class="theme-dark">');
+        expect(read('fixed.html')).not.toContain('theme-switch');
+    });
+
+    it('应该可以在导出文件中保存原始 Markdown', () => {
+        expect(cli.run(['docs/index.md', '-o', 'source.html', '--embed-source'])).toBe(0);
+
+        expect(FileHandler.extractMarkdownSource(read('source.html'))).toBe(read('docs/index.md'));
+    });
+
+        it('应该在导出文件中高亮代码', () => {
+        writeFile(root, 'docs/code.md', '```python\ndef main():\n    pass\n```\n');
+
+        expect(cli.run(['docs/code.md', '-o', 'code.html'])).toBe(0);
+        expect(read('code.html')).toContain('<span class="token keyword">def</span>');
+        expect(read('code.html')).toContain('.token.keyword');
+    });
+
+    it('没有指定输出时应该在输入文件旁生成 .html 文件', () => {
+        expect(cli.run(['docs/guide/usage.md', '--title', '用法'])).toBe(0);
+        expect(read('docs/guide/usage.html')).toContain('<title>用法</title>');
+    });
+
+    it('glob 输入应该输出到目录并保留目录层级', () => {
+        expect(cli.run(['docs/**/*.md', '-o', 'site', '--print-css'])).toBe(0);
+
+        expect(read('site/index.html')).toContain('@page');
+        expect(read('site/guide/usage.html')).toContain('<title>使用</title>');
+        expect(fs.existsSync(path.join(root, 'site/notes.html'))).toBe(false);
+    });
+
+    it('输出为 - 时应该写入标准输出', () => {
+        expect(cli.run(['docs/guide/usage.md', '-o', '-'])).toBe(0);
+        expect(stdout.text).toMatch(/^<!DOCTYPE html>/);
+    });
+
+    it('参数错误时应该返回 2 并显示用法', () => {
+        expect(cli.run(['docs/index.md', '--theme', 'blue'])).toBe(2);
+        expect(stderr.text).toContain('不支持的主题 blue');
+        expect(stderr.text).toContain('用法: md2page');
+
+        expect(cli.run([])).toBe(2);
+        expect(cli.run(['docs/index.md', '--unknown'])).toBe(2);
+        expect(cli.run(['docs/*.md', 'docs/guide/*.md', '-o', '-'])).toBe(2);
+    });
+
+    it('找不到输入文件时应该返回 1', () => {
+        expect(cli.run(['missing.md'])).toBe(1);
+        expect(stderr.text).toContain('没有找到输入文件');
+    });
+
+    it('应该显示帮助和版本号', () => {
+        expect(cli.run(['--help'])).toBe(0);
+        expect(stdout.text).toContain('--watch');
+
+        expect(cli.run(['-v'])).toBe(0);
+        expect(stdout.text).toMatch(/\d+\.\d+\.\d+/);
+    });
+
+    it('应该嵌入相对 Markdown 文件的本地图片', () => {
+        fs.writeFileSync(path.join(root, 'docs/guide/logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+        writeFile(root, 'docs/guide/images.md', '![标志](logo.png)\n\n![缺失](missing.png)\n');
+
+        expect(cli.run(['docs/guide/images.md', '-o', 'images.html'])).toBe(0);
+        expect(read('images.html')).toContain('src="data:image/png;base64,iVBORw=="');
+        expect(stderr.text).toContain('missing.png 未能嵌入: 找不到图片文件');
+
+        expect(cli.run(['docs/guide/images.md', '-o', 'linked.html', '--no-embed-images'])).toBe(0);
+        expect(read('linked.html')).toContain('src="logo.png"');
+    });
+
+    it('输入为目录时应该生成站点', () => {
+        expect(cli.run(['docs', '--title', '手册'])).toBe(0);
+        expect(fs.existsSync(path.join(root, 'docs.zip'))).toBe(true);
+        expect(stdout.text).toContain('（2 个页面）');
+
+        expect(cli.run(['docs', '-o', 'site'])).toBe(0);
+        expect(read('site/guide/usage.html')).toContain('<a class="site-title" href="../index.html">docs</a>');
+        expect(fs.existsSync(path.join(root, 'site/index.html'))).toBe(true);
+
+        expect(cli.run(['docs', 'docs/index.md'])).toBe(2);
+    });
+
+        it('监听模式下文件变化时应该重新生成', async () => {
+        expect(cli.run(['docs/index.md', '-o', 'out.html', '--watch'])).toBe(0);
+        expect(read('out.html')).toContain('<title>首页</title>');
+
+        cli.scheduleConversion(path.join(root, 'docs/index.md'), cli.parseArgs(['docs/index.md', '-o', 'out.html']));
+        writeFile(root, 'docs/index.md', '# 新标题\n');
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        expect(read('out.html')).toContain('<title>新标题</title>');
+    });
+});
+
+describe('FileMatcher', () => {
+    it('应该把 glob 转换为正则表达式', () => {
+        const matcher = FileMatcher.toRegExp('docs/**/*.{md,markdown}');
+
+        expect(matcher.test('docs/a.md')).toBe(true);
+        expect(matcher.test('docs/a/b/c.markdown')).toBe(true);
+        expect(matcher.test('docs/a.txt')).toBe(false);
+        expect(matcher.test('other/a.md')).toBe(false);
+        expect(FileMatcher.toRegExp('a?[!0-9].md').test('ab1.md')).toBe(false);
+        expect(FileMatcher.toRegExp('a?[!0-9].md').test('abc.md')).toBe(true);
+    });
+
+    it('应该获取 glob 的起始目录', () => {
+        expect(FileMatcher.getBase('docs/**/*.md')).toBe('docs');
+        expect(FileMatcher.getBase('*.md')).toBe('.');
+        expect(FileMatcher.isGlob('docs/a.md')).toBe(false);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * DiagramRenderer 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DiagramRenderer } from '../src/core/DiagramRenderer.js';
+
+describe('DiagramRenderer', () => {
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new DiagramRenderer();
+    });
+
+    describe('isDiagramLanguage', () => {
+        it('应该识别图表语言', () => {
+            expect(renderer.isDiagramLanguage('mermaid')).toBe(true);
+            expect(renderer.isDiagramLanguage('Flowchart')).toBe(true);
+            expect(renderer.isDiagramLanguage('sequence')).toBe(true);
+            expect(renderer.isDiagramLanguage('javascript')).toBe(false);
+            expect(renderer.isDiagramLanguage('')).toBe(false);
+        });
+    });
+
+    describe('mermaid 流程图', () => {
+        it('应该解析节点形状和连线', () => {
+            const graph = renderer.parse('graph LR\n  A[开始] -->|是| B{判断}\n  B -.-> C((结束))\n  B ==> D', 'mermaid');
+
+            expect(graph.direction).toBe('LR');
+            expect(graph.nodes.get('A')).toMatchObject({ label: '开始', shape: 'rect' });
+            expect(graph.nodes.get('B').shape).toBe('diamond');
+            expect(graph.nodes.get('C').shape).toBe('circle');
+            expect(graph.nodes.get('D').label).toBe('D');
+            expect(graph.edges).toEqual([
+                { from: 'A', to: 'B', label: '是', style: 'solid', arrow: true },
+                { from: 'B', to: 'C', label: '', style: 'dotted', arrow: true },
+                { from: 'B', to: 'D', label: '', style: 'thick', arrow: true }
+            ]);
+        });
+
+        it('应该支持链式连线、& 和带文字的连线', () => {
+            const graph = renderer.parse('flowchart TD\n  A & B --> C -- 下一步 --> D', 'mermaid');
+
+            expect(graph.direction).toBe('TB');
+            expect(graph.edges.map(edge => `${edge.from}-${edge.to}`)).toEqual(['A-C', 'B-C', 'C-D']);
+            expect(graph.edges[2].label).toBe('下一步');
+        });
+
+        it('应该按层次布局节点', () => {
+            const graph = renderer.parse('graph TD\n  A --> B\n  A --> C\n  B --> D\n  C --> D', 'mermaid');
+            const layout = renderer.layoutFlowchart(graph);
+            const y = (id) => layout.nodes.get(id).y;
+
+            expect(y('A')).toBeLessThan(y('B'));
+            expect(y('B')).toBe(y('C'));
+            expect(y('D')).toBeGreaterThan(y('B'));
+        });
+
+        it('应该处理环路', () => {
+            const html = renderer.render('graph TD\n  A --> B\n  B --> A', 'mermaid');
+
+            expect(html).toContain('<svg');
+            expect(html).toContain(' Q');
+        });
+
+        it('应该生成 SVG 并转义文本', () => {
+            const html = renderer.render('graph TD\n  A["a < b"] --> B', 'mermaid');
+
+            expect(html).toContain('<div class="diagram diagram-flowchart"><svg');
+            expect(html).toContain('a &lt; b');
+            expect(html).toContain('marker-end="url(#diagram-');
+        });
+    });
+
+    describe('flowchart.js', () => {
+        it('应该解析节点定义和条件分支', () => {
+            const graph = renderer.parse('st=>start: 开始\ncond=>condition: 有效?\ne=>end: 结束\nst->cond\ncond(yes, right)->e\ncond(no)->st', 'flowchart');
+
+            expect(graph.nodes.get('st').shape).toBe('stadium');
+            expect(graph.nodes.get('cond')).toMatchObject({ label: '有效?', shape: 'diamond' });
+            expect(graph.edges).toContainEqual({ from: 'cond', to: 'e', label: 'yes', style: 'solid', arrow: true });
+            expect(graph.edges).toContainEqual({ from: 'cond', to: 'st', label: 'no', style: 'solid', arrow: true });
+        });
+
+        it('引用未定义的节点应该报错', () => {
+            const html = renderer.render('st=>start: 开始\nst->missing', 'flowchart');
+
+            expect(html).toContain('diagram-error');
+            expect(html).toContain('未定义的节点: missing');
+        });
+    });
+
+    describe('时序图', () => {
+        it('应该解析 mermaid 时序图', () => {
+            const diagram = renderer.parse('sequenceDiagram\n  participant U as 用户\n  U->>S: 请求\n  S-->>U: 响应\n  Note over U,S: 完成', 'mermaid');
+
+            expect(diagram.type).toBe('sequence');
+            expect(diagram.participants).toEqual([{ id: 'U', label: '用户' }, { id: 'S', label: 'S' }]);
+            expect(diagram.items[0]).toMatchObject({ type: 'message', from: 0, to: 1, text: '请求', dashed: false, head: 'filled' });
+            expect(diagram.items[1]).toMatchObject({ dashed: true, head: 'filled' });
+            expect(diagram.items[2]).toMatchObject({ type: 'note', placement: 'over', targets: [0, 1] });
+        });
+
+        it('应该区分 js-sequence 的箭头类型', () => {
+            const diagram = renderer.parse('Title: 示例\nA->B: 实心\nA->>B: 空心', 'sequence');
+
+            expect(diagram.title).toBe('示例');
+            expect(diagram.items[0].head).toBe('filled');
+            expect(diagram.items[1].head).toBe('open');
+        });
+
+        it('应该渲染分组块', () => {
+            const html = renderer.render('sequenceDiagram\n  A->>B: 请求\n  alt 成功\n    B-->>A: 数据\n  else 失败\n    B-->>A: 错误\n  end', 'mermaid');
+
+            expect(html).toContain('<div class="diagram diagram-sequence">');
+            expect(html).toContain('alt [成功]');
+            expect(html).toContain('[失败]');
+        });
+
+        it('缺少 end 时应该报错', () => {
+            expect(renderer.render('sequenceDiagram\n  loop 重试\n  A->>B: x', 'mermaid')).toContain('缺少 end');
+        });
+    });
+
+    describe('错误处理', () => {
+        it('不支持的图表类型应该显示源码', () => {
+            const html = renderer.render('pie\n  "A": 1', 'mermaid');
+
+            expect(html).toContain('diagram-error');
+            expect(html).toContain('不支持的图表类型: pie');
+            expect(html).toContain('<pre><code>pie');
+        });
+    });
+});
@@ -0,0 +1,171 @@
+// @vitest-environment node
+/**
+ * DocumentExporter 单元测试
+ * 在 Node 环境中运行，确保导出流程不依赖 DOM
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DocumentExporter } from '../src/core/DocumentExporter.js';
+import { MarkdownConverter } from '../src/core/MarkdownConverter.js';
+import { TOCGenerator } from '../src/core/TOCGenerator.js';
+import { PrintOptimizer } from '../src/core/PrintOptimizer.js';
+import { PrismHighlighter } from '../src/core/PrismHighlighter.js';
+import { Prism } from '../src/core/PrismLanguages.js';
+
+const markdown = '---\ntitle: 手册\ntheme: dark\n---\n\n# 手册\n\n## 安装\n\n## 安装\n\n公式 $x^2$\n';
+
+describe('DocumentExporter', () => {
+    let exporter;
+
+    beforeEach(() => {
+        exporter = new DocumentExporter();
+    });
+
+    it('应该生成自包含的 HTML 文档', () => {
+        const result = exporter.exportMarkdown(markdown);
+
+        expect(result.html).toMatch(/^<!DOCTYPE html>/);
+        expect(result.html).toContain('<title>手册</title>');
+        expect(result.html).toContain('<h2 id="安装-1">');
+        expect(result.html).toContain('<math');
+        expect(result).toMatchObject({ title: '手册', theme: 'dark', fileName: '手册' });
+    });
+
+    it('显式选项应该覆盖 front matter', () => {
+        const result = exporter.exportMarkdown(markdown, { title: '指南', theme: 'light' });
+
+        expect(result.html).toContain('<title>指南</title>');
+        expect(result.theme).toBe('light');
+    });
+
+    it('没有指定主题时应该使用默认主题', () => {
+        expect(exporter.exportMarkdown('# 标题').theme).toBe('light');
+        expect(exporter.exportMarkdown('# 标题', { defaultTheme: 'dark' }).theme).toBe('dark');
+    });
+
+    it('应该按选项加入目录和打印样式', () => {
+        const plain = exporter.exportMarkdown(markdown).html;
+        expect(plain).not.toContain('<nav class="table-of-contents">');
+
+        const result = exporter.exportMarkdown(markdown, { toc: true, printCSS: true }).html;
+        expect(result).toContain('<nav class="table-of-contents">');
+        expect(result).toContain('href="#安装-1"');
+        expect(result).toContain('@page');
+    });
+
+    it('目录默认为侧边栏，可以放在正文前', () => {
+        const sidebar = exporter.exportMarkdown(markdown, { toc: true }).html;
+        expect(sidebar).toContain('class="theme-dark toc-sidebar"');
+        expect(sidebar).toContain('class="toc-toggle"');
+
+        const inline = exporter.exportMarkdown(markdown, { toc: true, tocLayout: 'inline' }).html;
+        expect(inline).toContain('<nav class="table-of-contents">');
+        expect(inline).not.toContain('toc-sidebar');
+    });
+
+    it('应该按选项、front matter、默认值的顺序决定是否加入目录', () => {
+        const withToc = '---\ntoc: true\n---\n\n# 标题\n';
+        const withoutToc = '---\ntoc: false\n---\n\n# 标题\n';
+
+        expect(exporter.exportMarkdown(withToc).html).toContain('<nav class="table-of-contents">');
+        expect(exporter.exportMarkdown(withToc, { toc: false }).html).not.toContain('<nav class="table-of-contents">');
+        expect(exporter.exportMarkdown(withoutToc, { defaultToc: true }).html).not.toContain('<nav class="table-of-contents">');
+        expect(exporter.exportMarkdown('# 标题', { defaultToc: true }).html).toContain('<nav class="table-of-contents">');
+    });
+
+    it('应该按目录深度生成目录', () => {
+        const result = exporter.exportMarkdown('# 一\n\n## 二\n\n### 三\n', { toc: true, tocDepth: 2 }).html;
+
+        expect(result).toContain('href="#二"');
+        expect(result).not.toContain('href="#三"');
+    });
+
+    it('应该把导出设置传给 createSelfContainedHTML', () => {
+        const result = exporter.exportMarkdown(markdown, {
+            maxWidth: '680px',
+            fontFamily: 'serif',
+            includeSource: true,
+            minify: true
+        }).html;
+
+        expect(result).toContain('body{--md-content-width: 680px;--md-font-family: serif}');
+        expect(result).toContain('<script type="text/markdown" id="md2page-source">---\ntitle: 手册');
+        expect(result.replace(/<script[\s\S]*?<\/script>/g, '')).not.toMatch(/\n +</);
+    });
+
+    it('应该与下载按钮使用已解析 HTML 的结果一致', () => {
+        const converter = new MarkdownConverter();
+        const shared = new DocumentExporter({ converter });
+        const html = converter.parseMarkdown(markdown);
+
+        expect(shared.createDocument(html, markdown).html).toBe(exporter.exportMarkdown(markdown).html);
+    });
+
+    it('应该把代码高亮和亮色、暗色配色嵌入导出文档', () => {
+        const converter = new MarkdownConverter({ sanitizePolicy: 'strict', highlighter: new PrismHighlighter(Prism) });
+        const highlighted = new DocumentExporter({ converter });
+        const result = highlighted.exportMarkdown('```js\nconst a = 1;\n```\n', { theme: 'dark' });
+
+        expect(result.html).toContain('<span class="token keyword">const</span>');
+        expect(result.html).toMatch(/\.token\.keyword[^{]*\{ color: #d73a49; \}/);
+        expect(result.html).toMatch(/\.theme-dark \.token\.keyword[^{]*\{ color: #cc99cd; \}/);
+        expect(result.html).not.toContain('cdn.jsdelivr.net');
+    });
+
+    it('使用其他高亮主题时应该代替内置配色', () => {
+        const converter = new MarkdownConverter({ highlighter: new PrismHighlighter(Prism) });
+        const result = new DocumentExporter({ converter }).exportMarkdown('```js\nconst a = 1;\n```\n', {
+            codeThemeStyles: 'pre[class*="language-"] { background: #272822; }'
+        });
+
+        expect(result.html).toContain('<pre class="language-js"><code class="language-js">');
+        expect(result.html).toContain('pre[class*="language-"] { background: #272822; }');
+        expect(result.html).not.toContain('.theme-dark .token.keyword');
+    });
+
+    it('没有高亮的代码时不应该加入配色', () => {
+        const converter = new MarkdownConverter({ highlighter: new PrismHighlighter(Prism) });
+        const result = new DocumentExporter({ converter }).exportMarkdown('```\n纯文本\n```\n');
+
+        expect(result.html).not.toContain('.token.keyword');
+    });
+});
+
+describe('不依赖 DOM 的 HTML 处理', () => {
+    it('应该保留创建导出器后注册的插件生成的标签', () => {
+        const converter = new MarkdownConverter({ sanitizePolicy: 'strict' });
+        const keysExporter = new DocumentExporter({ converter });
+        converter.use({
+            name: 'keys',
+            renderer: {
+                codespan(code) {
+                    return `<kbd>${code}</kbd>`;
+                }
+            },
+            sanitize: { tags: ['kbd'] }
+        });
+
+        const result = keysExporter.exportMarkdown('按 `Ctrl`');
+        keysExporter.exportMarkdown('再按 `Alt`');
+
+        expect(result.html).toContain('<kbd>Ctrl</kbd>');
+        expect(keysExporter.fileHandler.sanitizer.extraTags.has('kbd')).toBe(true);
+    });
+
+    it('TOCGenerator 应该从 HTML 字符串中提取标题', () => {
+        const generator = new TOCGenerator();
+        const headings = generator.extractHeadings('<h1 id="a">一 &amp; 二</h1><p>x</p><h3>三</h3>', { addIds: true });
+
+        expect(headings.map(heading => [heading.level, heading.text, heading.id]))
+            .toEqual([[1, '一 & 二', 'a'], [3, '三', '三']]);
+    });
+
+    it('PrintOptimizer 应该移除交互元素并处理分页', () => {
+        const optimizer = new PrintOptimizer();
+        const html = optimizer.optimizeForPrint('<h1>标题</h1><button>按钮</button><script>x()</script><img src="a.png">');
+
+        expect(html).not.toContain('<button');
+        expect(html).not.toContain('<script');
+        expect(html).toContain('<img');
+    });
+});
@@ -0,0 +1,214 @@
+// @vitest-environment node
+/**
+ * DocxConverter / ZipReader 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { DocxConverter } from '../src/core/DocxConverter.js';
+import { HTMLToMarkdown } from '../src/core/HTMLToMarkdown.js';
+import { ZipReader } from '../src/core/ZipReader.js';
+import { ZipWriter } from '../src/core/ZipWriter.js';
+
+const paragraph = (text, pPr = '', rPr = '') => '<w:p>'
+    + (pPr ? `<w:pPr>${pPr}</w:pPr>` : '')
+    + `<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}<w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+const listItem = (text, numId, level = 0) => paragraph(text, `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`);
+
+const STYLES = '<w:styles>'
+    + '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="1"><w:name w:val="heading 1"/></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="MyHeading"><w:name w:val="My Heading"/><w:basedOn w:val="2"/></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="2"><w:name w:val="heading 2"/></w:style>'
+    + '</w:styles>';
+
+const NUMBERING = '<w:numbering>'
+    + '<w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl><w:lvl w:ilvl="1"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>'
+    + '<w:abstractNum w:abstractNumId="1"><w:lvl w:ilvl="0"><w:start w:val="3"/><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>'
+    + '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>'
+    + '<w:num w:numId="2"><w:abstractNumId w:val="1"/></w:num>'
+    + '</w:numbering>';
+
+const RELATIONSHIPS = '<Relationships>'
+    + '<Relationship Id="rId1" Type="hyperlink" Target="https://example.com/?a=1&amp;b=2" TargetMode="External"/>'
+    + '<Relationship Id="rId2" Type="image" Target="media/image1.png"/>'
+    + '<Relationship Id="rId3" Type="image" Target="media/image2.emf"/>'
+    + '</Relationships>';
+
+/**
+ * 生成只包含正文和常用部件的 .docx
+ */
+function createDocx(body) {
+    return new ZipWriter()
+        .addFile('[Content_Types].xml', '<Types/>')
+        .addFile('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?>\n<w:document><w:body>${body}<w:sectPr/></w:body></w:document>`)
+        .addFile('word/styles.xml', STYLES)
+        .addFile('word/numbering.xml', NUMBERING)
+        .addFile('word/_rels/document.xml.rels', RELATIONSHIPS)
+        .addFile('word/media/image1.png', new Uint8Array([0x89, 0x50, 0x4e, 0x47]))
+        .generate();
+}
+
+const convert = body => new DocxConverter().convert(createDocx(body));
+
+describe('DocxConverter', () => {
+    it('应该识别标题样式，包括基于标题的自定义样式', async () => {
+        const { markdown } = await convert(
+            paragraph('文档', '<w:pStyle w:val="Title"/>')
+            + paragraph('第一章', '<w:pStyle w:val="1"/>')
+            + paragraph('小节', '<w:pStyle w:val="MyHeading"/>')
+            + paragraph('大纲', '<w:outlineLvl w:val="2"/>')
+        );
+
+        expect(markdown).toBe('# 文档\n\n# 第一章\n\n## 小节\n\n### 大纲');
+    });
+
+    it('应该合并格式相同的相邻文字', async () => {
+        const { markdown } = await convert('<w:p>'
+            + '<w:r><w:t xml:space="preserve">普通 </w:t></w:r>'
+            + '<w:r><w:rPr><w:b/></w:rPr><w:t>加</w:t></w:r>'
+            + '<w:r><w:rPr><w:b/></w:rPr><w:t>粗</w:t></w:r>'
+            + '<w:r><w:rPr><w:b w:val="0"/><w:i/></w:rPr><w:t xml:space="preserve"> 斜体</w:t></w:r>'
+            + '<w:r><w:rPr><w:strike/></w:rPr><w:t>删除</w:t></w:r>'
+            + '<w:r><w:t>H</w:t></w:r><w:r><w:rPr><w:vertAlign w:val="subscript"/></w:rPr><w:t>2</w:t></w:r>'
+            + '<w:r><w:rPr><w:rFonts w:ascii="Consolas"/></w:rPr><w:t>npm test</w:t></w:r>'
+            + '</w:p>');
+
+        expect(markdown).toBe('普通 **加粗** *斜体*~~删除~~H<sub>2</sub>`npm test`');
+    });
+
+    it('应该转换超链接和 HYPERLINK 域', async () => {
+        const { markdown } = await convert('<w:p>'
+            + '<w:hyperlink r:id="rId1"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/><w:u w:val="single"/></w:rPr><w:t>示例</w:t></w:r></w:hyperlink>'
+            + '<w:r><w:t xml:space="preserve"> 和 </w:t></w:r>'
+            + '<w:r><w:fldChar w:fldCharType="begin"/></w:r>'
+            + '<w:r><w:instrText xml:space="preserve"> HYPERLINK "https://example.com/field" </w:instrText></w:r>'
+            + '<w:r><w:fldChar w:fldCharType="separate"/></w:r>'
+            + '<w:r><w:t>域</w:t></w:r>'
+            + '<w:r><w:fldChar w:fldCharType="end"/></w:r>'
+            + '</w:p>');
+
+        expect(markdown).toBe('[示例](https://example.com/?a=1&b=2) 和 [域](https://example.com/field)');
+    });
+
+    it('应该按编号定义生成嵌套列表', async () => {
+        const { markdown } = await convert(
+            listItem('一', 1) + listItem('一.一', 1, 1) + listItem('二', 1) + listItem('步骤', 2)
+        );
+
+        expect(markdown).toBe('- 一\n  1. 一.一\n- 二\n\n3. 步骤');
+    });
+
+    it('应该转换表格，合并的单元格按 HTML 表格保留', async () => {
+        const cell = (content, tcPr = '') => `<w:tc>${tcPr ? `<w:tcPr>${tcPr}</w:tcPr>` : ''}${content}</w:tc>`;
+        const simple = '<w:tbl>'
+            + `<w:tr>${cell(paragraph('名称', '<w:jc w:val="center"/>'))}${cell(paragraph('值'))}</w:tr>`
+            + `<w:tr>${cell(paragraph('a'))}${cell(paragraph('1'))}</w:tr>`
+            + '</w:tbl>';
+        const merged = '<w:tbl>'
+            + `<w:tr>${cell(paragraph('合并'), '<w:gridSpan w:val="2"/>')}</w:tr>`
+            + `<w:tr>${cell(paragraph('纵向'), '<w:vMerge w:val="restart"/>')}${cell(paragraph('b'))}</w:tr>`
+            + `<w:tr>${cell('<w:p/>', '<w:vMerge/>')}${cell(paragraph('c'))}</w:tr>`
+            + '</w:tbl>';
+
+        const { markdown, warnings } = await convert(simple + merged);
+
+        expect(markdown).toBe('| 名称 | 值 |\n| :---: | --- |\n| a | 1 |\n\n'
+            + '<table>\n<tr>\n<td colspan="2"><p>合并</p></td>\n</tr>\n'
+            + '<tr>\n<td rowspan="2"><p>纵向</p></td><td><p>b</p></td>\n</tr>\n'
+            + '<tr>\n<td><p>c</p></td>\n</tr>\n</table>');
+        // 单元格的对齐方式由表格保留
+        expect(warnings).toEqual([]);
+    });
+
+    it('应该取出嵌入的图片，无法显示的图片记录为丢弃', async () => {
+        const drawing = id => `<w:r><w:drawing><wp:inline><wp:docPr id="1" descr="示意图"/><a:graphic><a:blip r:embed="${id}"/></a:graphic></wp:inline></w:drawing></w:r>`;
+
+        const { markdown, images, warnings } = await convert(`<w:p>${drawing('rId2')}${drawing('rId3')}</w:p>`);
+
+        expect(markdown).toBe('![示意图](image1.png)');
+        expect(images).toEqual([{ name: 'image1.png', data: new Uint8Array([0x89, 0x50, 0x4e, 0x47]), mimeType: 'image/png' }]);
+        expect(warnings).toEqual(['以下格式无法转换为 Markdown，已忽略：1 处无法显示的图片']);
+    });
+
+    it('应该汇总无法转换的格式', async () => {
+        const { markdown, warnings } = await convert(
+            paragraph('下划线', '', '<w:u w:val="single"/>')
+            + paragraph('红色', '<w:jc w:val="center"/>', '<w:color w:val="FF0000"/>')
+            + paragraph('蓝色', '', '<w:color w:val="0000FF"/><w:highlight w:val="yellow"/>')
+            + '<w:p><w:r><w:t>正文</w:t></w:r><w:r><w:footnoteReference w:id="1"/></w:r></w:p>'
+        );
+
+        expect(markdown).toBe('下划线\n\n红色\n\n蓝色\n\n正文');
+        expect(warnings).toEqual(['以下格式无法转换为 Markdown，已忽略：1 处下划线、2 处文字颜色、1 处段落对齐、1 处文字底色、1 处脚注']);
+    });
+
+    it('应该使用共享的 HTML 转换器选项', async () => {
+        const converter = new DocxConverter({ htmlConverter: new HTMLToMarkdown({ linkStyle: 'referenced' }) });
+
+        const { markdown } = await converter.convert(createDocx(
+            '<w:p><w:hyperlink r:id="rId1"><w:r><w:t>示例</w:t></w:r></w:hyperlink></w:p>'
+        ));
+
+        expect(markdown).toBe('[示例][1]\n\n[1]: https://example.com/?a=1&b=2');
+    });
+
+    it('缺少正文时应该抛出错误', async () => {
+        const data = new ZipWriter().addFile('content.xml', '<office/>').generate();
+
+        await expect(new DocxConverter().convert(data)).rejects.toThrow('不是有效的 Word 文档（.docx）');
+    });
+});
+
+describe('ZipReader', () => {
+    /**
+     * 把存储方式的 ZIP 中的第一个文件改为 deflate 压缩
+     */
+    function deflateFirstEntry(name, text) {
+        const stored = new ZipWriter().addFile(name, text).generate();
+        const view = new DataView(stored.buffer);
+        const nameLength = view.getUint16(26, true);
+        const compressed = deflateRawSync(Buffer.from(text));
+        const originalSize = view.getUint32(18, true);
+
+        const local = new Uint8Array(30 + nameLength + compressed.length);
+        local.set(stored.subarray(0, 30 + nameLength));
+        local.set(compressed, 30 + nameLength);
+        const localView = new DataView(local.buffer);
+        localView.setUint16(8, 8, true);
+        localView.setUint32(18, compressed.length, true);
+
+        const central = stored.slice(30 + nameLength + originalSize);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint16(10, 8, true);
+        centralView.setUint32(20, compressed.length, true);
+        // 中央目录结束记录中的目录位置
+        centralView.setUint32(central.length - 6, local.length, true);
+
+        const result = new Uint8Array(local.length + central.length);
+        result.set(local);
+        result.set(central, local.length);
+        return result;
+    }
+
+    it('应该读取存储方式的文件和 UTF-8 文件名', async () => {
+        const reader = new ZipReader(new ZipWriter().addFile('目录/文件.txt', '你好').addFile('b.bin', new Uint8Array([1, 2])).generate());
+
+        expect(reader.list()).toEqual(['目录/文件.txt', 'b.bin']);
+        expect(await reader.readText('目录/文件.txt')).toBe('你好');
+        expect(await reader.read('b.bin')).toEqual(new Uint8Array([1, 2]));
+    });
+
+    it('应该解压 deflate 压缩的文件', async () => {
+        const text = '重复的内容 '.repeat(100);
+        const reader = new ZipReader(deflateFirstEntry('word/document.xml', text));
+
+        expect(await reader.readText('word/document.xml')).toBe(text);
+    });
+
+    it('应该拒绝无效的文件', async () => {
+        expect(() => new ZipReader(new Uint8Array(40))).toThrow('不是有效的 ZIP 文件');
+        await expect(new ZipReader(new ZipWriter().addFile('a.txt', 'x').generate()).read('b.txt')).rejects.toThrow('ZIP 文件中没有 b.txt');
+    });
+});
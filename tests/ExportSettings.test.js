@@ -0,0 +1,102 @@
+/**
+ * ExportSettings 组件单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ExportSettings } from '../src/components/ExportSettings.js';
+
+const codeThemes = [
+    { id: 'default', name: '默认', appearance: 'light' },
+    { id: 'okaidia', name: 'Okaidia', appearance: 'dark' }
+];
+
+describe('ExportSettings', () => {
+    let settings;
+
+    beforeEach(() => {
+        localStorage.clear();
+        settings = new ExportSettings({ codeThemes });
+        settings.show();
+    });
+
+    afterEach(() => {
+        settings.destroy();
+    });
+
+    const field = id => document.getElementById(id);
+
+    it('应该列出高亮主题并显示默认设置', () => {
+        const options = Array.from(field('export-code-theme').options).map(option => option.value);
+
+        expect(options).toEqual(['builtin', 'default', 'okaidia']);
+        expect(field('export-theme-mode').value).toBe('auto');
+        expect(field('export-toc').checked).toBe(true);
+        expect(field('export-embed-images').checked).toBe(true);
+        expect(field('export-minify').checked).toBe(false);
+    });
+
+    it('下载时应该保存设置并在下次打开时恢复', () => {
+        const onApply = vi.fn();
+        settings.setOnApply(onApply);
+
+        field('export-theme-mode').value = 'dark';
+        field('export-code-theme').value = 'okaidia';
+        field('export-max-width').value = '960px';
+        field('export-toc-depth').value = '3';
+        field('export-include-source').checked = true;
+        field('export-settings-apply').click();
+
+        expect(onApply).toHaveBeenCalledWith(expect.objectContaining({
+            themeMode: 'dark',
+            codeTheme: 'okaidia',
+            maxWidth: '960px',
+            tocDepth: 3,
+            includeSource: true
+        }));
+        expect(field('export-settings-modal').style.display).toBe('none');
+
+        settings.destroy();
+        settings = new ExportSettings({ codeThemes });
+        settings.show();
+
+        expect(field('export-code-theme').value).toBe('okaidia');
+        expect(field('export-include-source').checked).toBe(true);
+    });
+
+    it('保存的设置无效时应该使用默认值', () => {
+        localStorage.setItem('md2page-export-settings', JSON.stringify({ themeMode: 'sepia', codeTheme: 'gone', minify: true }));
+
+        expect(new ExportSettings({ codeThemes }).getSettings()).toMatchObject({
+            themeMode: 'auto',
+            codeTheme: 'builtin',
+            minify: true
+        });
+    });
+
+    it('不加入目录时目录深度不可选，恢复默认时重置表单', () => {
+        const toc = field('export-toc');
+        toc.checked = false;
+        toc.dispatchEvent(new Event('change'));
+        expect(field('export-toc-depth').disabled).toBe(true);
+
+        field('export-settings-reset').click();
+        expect(toc.checked).toBe(true);
+        expect(field('export-toc-depth').disabled).toBe(false);
+    });
+
+    it('应该把设置转换为导出选项', () => {
+        expect(settings.getExportOptions()).toEqual({
+            themeToggle: true,
+            toc: true,
+            tocDepth: 6,
+            maxWidth: '',
+            fontFamily: '',
+            includeSource: false,
+            minify: false
+        });
+
+        const options = settings.getExportOptions({ ...settings.getSettings(), themeMode: 'light', fontFamily: 'serif' });
+        expect(options).toMatchObject({ theme: 'light', themeToggle: false });
+        expect(options.fontFamily).toContain('serif');
+    });
+});
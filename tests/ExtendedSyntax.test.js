@@ -0,0 +1,113 @@
+/**
+ * ExtendedSyntax 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MarkdownConverter } from '../src/core/MarkdownConverter.js';
+
+describe('ExtendedSyntax', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new MarkdownConverter();
+    });
+
+    describe('脚注', () => {
+        it('应该按引用顺序编号并在文末输出', () => {
+            const markdown = '第一[^b]，第二[^a]。\n\n[^a]: 脚注 A\n[^b]: 脚注 B';
+            const result = converter.parseMarkdown(markdown);
+
+            expect(result).toContain('<sup class="footnote-ref"><a href="#fn-b" id="fnref-b">1</a></sup>');
+            expect(result).toContain('<sup class="footnote-ref"><a href="#fn-a" id="fnref-a">2</a></sup>');
+            expect(result).toMatch(/<section class="footnotes">[\s\S]*<li id="fn-b">[\s\S]*<li id="fn-a">/);
+            expect(result).toContain('<a href="#fnref-a" class="footnote-backref" aria-label="返回正文">↩</a></p></li>');
+        });
+
+        it('多次引用应该生成多个返回链接', () => {
+            const result = converter.parseMarkdown('a[^1] b[^1]\n\n[^1]: 注释');
+
+            expect(result).toContain('id="fnref-1-2"');
+            expect(result).toContain('href="#fnref-1-2"');
+        });
+
+        it('未定义的脚注应该保留原文', () => {
+            const result = converter.parseMarkdown('文本[^missing]');
+
+            expect(result).toContain('[^missing]');
+            expect(result).not.toContain('footnotes');
+        });
+
+        it('应该支持多段脚注', () => {
+            const result = converter.parseMarkdown('引用[^long]\n\n[^long]: 第一段\n\n    第二段');
+
+            expect(result).toMatch(/<li id="fn-long"><p>第一段<\/p>\s*<p>第二段 <a/);
+        });
+    });
+
+    describe('定义列表', () => {
+        it('应该渲染术语和多个定义', () => {
+            const result = converter.parseMarkdown('术语\n: 定义一\n: 定义 *二*\n\n另一个术语\n: 定义三');
+
+            expect(result).toBe('<dl>\n<dt>术语</dt>\n<dd>定义一</dd>\n<dd>定义 <em>二</em></dd>\n<dt>另一个术语</dt>\n<dd>定义三</dd>\n</dl>\n');
+        });
+
+        it('普通段落不应该被识别为定义列表', () => {
+            expect(converter.parseMarkdown('普通段落\n第二行')).not.toContain('<dl>');
+        });
+
+        it('定义中可以引用后文定义的链接', () => {
+            const result = converter.parseMarkdown('术语\n: 见 [文档]\n\n[文档]: https://example.com');
+
+            expect(result).toContain('<dd>见 <a href="https://example.com">文档</a></dd>');
+        });
+    });
+
+    describe('缩写', () => {
+        it('应该为正文中的缩写添加 abbr 标签', () => {
+            const result = converter.parseMarkdown('HTML 和 CSS 文档，HTMLX 不替换。\n\n*[HTML]: Hyper Text Markup Language');
+
+            expect(result).toContain('<abbr title="Hyper Text Markup Language">HTML</abbr> 和');
+            expect(result).toContain('HTMLX');
+            expect(result).not.toContain('*[HTML]');
+        });
+
+        it('不应该替换代码中的缩写', () => {
+            const result = converter.parseMarkdown('`HTML`\n\n*[HTML]: Hyper Text Markup Language');
+
+            expect(result).toContain('<code>HTML</code>');
+        });
+    });
+
+    describe('上下标与高亮', () => {
+        it('应该渲染下标、上标和高亮', () => {
+            const result = converter.parseMarkdown('H~2~O，x^2^，==重点 **内容**==');
+
+            expect(result).toContain('H<sub>2</sub>O');
+            expect(result).toContain('x<sup>2</sup>');
+            expect(result).toContain('<mark>重点 <strong>内容</strong></mark>');
+        });
+
+        it('应该保留删除线和普通等号', () => {
+            const result = converter.parseMarkdown('~~删除~~ a == b == c');
+
+            expect(result).toContain('<del>删除</del>');
+            expect(result).toContain('a == b == c');
+        });
+
+        it('strict 策略下也应该保留扩展语法的元素', () => {
+            converter.setSanitizePolicy('strict');
+            const result = converter.parseMarkdown('H~2~O ==高亮==');
+
+            expect(result).toContain('<sub>2</sub>');
+            expect(result).toContain('<mark>高亮</mark>');
+        });
+    });
+
+    it('应该在导出样式中包含扩展语法样式', () => {
+        converter.parseMarkdown('==高亮==');
+        expect(converter.getExportStyles()).toContain('mark');
+
+        converter.parseMarkdown('普通文本');
+        expect(converter.getExportStyles()).toBe('');
+    });
+});
@@ -2,7 +2,7 @@
  * FileHandler 单元测试
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { FileHandler } from '../src/core/FileHandler.js';
 
 describe('FileHandler', () => {
@@ -143,6 +143,13 @@ describe('FileHandler', () => {
             expect(result.errors).toContain('缺少 HTML 根元素');
         });
 
+        it('导出的文档应该通过验证', () => {
+            const result = fileHandler.validateHTML(fileHandler.createSelfContainedHTML('<p>内容</p>'));
+
+            expect(result.isValid).toBe(true);
+            expect(result.errors).toHaveLength(0);
+        });
+
         it('应该警告缺少 DOCTYPE', () => {
             const htmlWithoutDoctype = '<html><head></head><body></body></html>';
             const result = fileHandler.validateHTML(htmlWithoutDoctype);
@@ -187,11 +194,300 @@ describe('FileHandler', () => {
             expect(result).toContain('#1a1a1a'); // 暗色背景
         });
 
+        it('应该使用文档语言和元信息', () => {
+            const content = '<p>测试</p>';
+            const result = fileHandler.createSelfContainedHTML(content, {
+                lang: 'en-US',
+                author: '张三',
+                date: '2024-01-15'
+            });
+
+            expect(result).toContain('<html lang="en-US">');
+            expect(result).toContain('<meta name="author" content="张三">');
+            expect(result).toContain('<meta name="date" content="2024-01-15">');
+            expect(result).not.toContain('name="description"');
+        });
+
+        it('应该嵌入额外样式并保留扩展的 MathML', () => {
+            fileHandler.extendSanitizer({ tags: ['math', 'mi'], attributes: { math: ['display'] } });
+            const result = fileHandler.createSelfContainedHTML('<math display="inline"><mi>x</mi></math>', {
+                extraStyles: '.math-display { text-align: center; }'
+            });
+
+            expect(result).toContain('.math-display { text-align: center; }');
+            expect(result).toContain('<math display="inline"><mi>x</mi></math>');
+        });
+
+        it('应该嵌入额外脚本并转义结束标签', () => {
+            const result = fileHandler.createSelfContainedHTML('<p>测试</p>', {
+                extraScripts: 'console.log("</script>")',
+                themeToggle: false
+            });
+
+            expect(result).toContain('<script>console.log("<\\/script>")');
+            expect(result.match(/<\/script>/g)).toHaveLength(1);
+        });
+
         it('应该可以禁用样式', () => {
             const content = '<p>测试</p>';
             const result = fileHandler.createSelfContainedHTML(content, { includeStyles: false });
             
             expect(result).not.toContain('<style>');
+            expect(result).not.toContain('theme-switch');
+        });
+    });
+
+    describe('导出设置', () => {
+        it('应该覆盖正文宽度和字体', () => {
+            const result = fileHandler.createSelfContainedHTML('<p>测试</p>', {
+                maxWidth: '960px',
+                fontFamily: "Georgia, 'Songti SC', serif"
+            });
+
+            expect(result).toContain('max-width: var(--md-content-width);');
+            expect(result).toMatch(/body \{\n    --md-content-width: 960px;\n    --md-font-family: Georgia, 'Songti SC', serif;\n\}/);
+        });
+
+        it('应该忽略无法安全放入样式表的值', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const result = fileHandler.createSelfContainedHTML('<p>测试</p>', {
+                maxWidth: '1px}</style><script>alert(1)</script>'
+            });
+
+            expect(result).not.toContain('alert(1)');
+            expect(warnSpy).toHaveBeenCalled();
+            warnSpy.mockRestore();
+        });
+
+        it('应该在其他样式之后嵌入代码高亮主题', () => {
+            const result = fileHandler.createSelfContainedHTML('<p>测试</p>', {
+                extraStyles: '.token.keyword { color: red; }',
+                codeThemeStyles: '.token.keyword { color: blue; }'
+            });
+
+            expect(result.indexOf('color: blue')).toBeGreaterThan(result.indexOf('color: red'));
+        });
+
+        it('应该保存可以还原的原始 Markdown', () => {
+            const markdown = '---\ntitle: 标题\n---\n\n# 标题\n\n<script>alert(1)</script> &lt; &amp; a < b\n';
+            const result = fileHandler.createSelfContainedHTML('<h1>标题</h1>', { markdownSource: markdown, minify: true });
+
+            expect(result.match(/<\/script/g)).toHaveLength(result.match(/<script/g).length);
+            expect(FileHandler.extractMarkdownSource(result)).toBe(markdown);
+            expect(FileHandler.isExportedHTML(result)).toBe(true);
+        });
+
+        it('没有保存原始 Markdown 时应该返回 null', () => {
+            const result = fileHandler.createSelfContainedHTML('<p>测试</p>');
+
+            expect(result).not.toContain('text/markdown');
+            expect(FileHandler.extractMarkdownSource(result)).toBeNull();
+            expect(FileHandler.isExportedHTML('<html><body><p>其他文件</p></body></html>')).toBe(false);
+        });
+
+        it('压缩时应该去掉缩进和样式空白，不改变代码块和行内空格', () => {
+            const content = '<p><strong>a</strong> <em>b</em></p>\n<pre><code>  缩进\n    保留</code></pre>';
+            const normal = fileHandler.createSelfContainedHTML(content);
+            const minified = fileHandler.createSelfContainedHTML(content, { minify: true });
+
+            expect(minified.length).toBeLessThan(normal.length * 0.85);
+            expect(minified).toContain('<strong>a</strong> <em>b</em>');
+            expect(minified).toContain('<pre><code>  缩进\n    保留</code></pre>');
+            expect(minified).toContain('body.theme-dark{');
+            expect(minified.replace(/<script[\s\S]*?<\/script>/g, '')).not.toMatch(/\n +</);
+            expect(fileHandler.validateHTML(minified).isValid).toBe(true);
+        });
+    });
+
+    describe('亮色/暗色切换', () => {
+        // 收集测试时 document 还没有被替换为模拟对象
+        const domDocument = document;
+        const darkMedia = matches => vi.fn(() => ({
+            matches,
+            media: '(prefers-color-scheme: dark)',
+            addEventListener: vi.fn()
+        }));
+
+        const runToggle = (bodyClass) => {
+            document.body.className = bodyClass;
+            document.body.innerHTML = fileHandler.getThemeToggle();
+            new Function(document.body.querySelector('script').textContent)();
+            return document.body.querySelector('.theme-switch');
+        };
+
+        beforeEach(() => {
+            // 切换脚本需要真实的 DOM
+            global.document = domDocument;
+            localStorage.clear();
+        });
+
+        it('应该同时包含两套配色并加入切换按钮', () => {
+            const result = fileHandler.createSelfContainedHTML('<p>测试</p>', { theme: 'dark' });
+
+            expect(result).toContain('--md-background-color: #fff;');
+            expect(result).toContain('--md-background-color: #1a1a1a;');
+            expect(result).toContain('<button type="button" class="theme-switch"');
+            expect(result).toContain('md2page-export-theme');
+        });
+
+        it('打印时应该使用亮色配色', () => {
+            const styles = fileHandler.getEmbeddedStyles();
+            const printStyles = styles.slice(styles.indexOf('@media print'));
+
+            expect(printStyles).toContain('body.theme-dark');
+            expect(printStyles).toContain('--md-background-color: #fff;');
+            expect(printStyles).not.toContain('#1a1a1a');
+        });
+
+        it('禁用切换时应该固定使用导出主题', () => {
+            const result = fileHandler.createSelfContainedHTML('<p>测试</p>', { theme: 'dark', themeToggle: false });
+
+            expect(result).toContain('<body class="theme-dark">');
+            expect(result).not.toContain('theme-switch');
+            expect(result).not.toContain('<script>');
+        });
+
+        it('默认应该跟随系统主题', () => {
+            window.matchMedia = darkMedia(true);
+            runToggle('theme-light');
+
+            expect(document.body.className).toBe('theme-dark');
+        });
+
+        it('应该记住读者的选择', () => {
+            window.matchMedia = darkMedia(false);
+            runToggle('theme-light').click();
+
+            expect(document.body.classList.contains('theme-dark')).toBe(true);
+            expect(localStorage.getItem('md2page-export-theme')).toBe('dark');
+
+            runToggle('theme-light');
+            expect(document.body.classList.contains('theme-dark')).toBe(true);
+        });
+
+        it('打印时应该临时切换为亮色', () => {
+            window.matchMedia = darkMedia(true);
+            runToggle('theme-light has-sidebar');
+
+            window.dispatchEvent(new Event('beforeprint'));
+            expect(document.body.className).toBe('has-sidebar theme-light');
+
+            window.dispatchEvent(new Event('afterprint'));
+            expect(document.body.className).toBe('has-sidebar theme-dark');
+        });
+    });
+
+    describe('侧边目录', () => {
+        const domDocument = document;
+        const tocHTML = '<ul class="toc-list"><li><a href="#a" class="toc-link" data-id="a">A</a></li>'
+            + '<li><a href="#b" class="toc-link" data-id="b">B</a></li></ul>';
+
+        const runSidebar = (width = 1200) => {
+            window.innerWidth = width;
+            window.matchMedia = undefined;
+            const html = fileHandler.createSelfContainedHTML('<h2 id="a">A</h2><p>正文</p><h2 id="b">B</h2>', {
+                tocHTML,
+                themeToggle: false
+            });
+            const body = html.slice(html.indexOf('<body'), html.indexOf('</body>'));
+            document.body.className = body.match(/class="([^"]*)"/)[1];
+            document.body.innerHTML = body.slice(body.indexOf('>') + 1);
+            new Function(document.body.querySelector('script').textContent)();
+            return document.body.querySelector('.toc-toggle');
+        };
+
+        // 记录脚本在 document 上注册的监听器，测试结束后移除，避免影响后面的测试
+        let documentListeners;
+
+        beforeEach(() => {
+            global.document = domDocument;
+            documentListeners = [];
+            const addEventListener = domDocument.addEventListener;
+            vi.spyOn(domDocument, 'addEventListener').mockImplementation(function (type, listener, options) {
+                documentListeners.push([type, listener]);
+                return addEventListener.call(this, type, listener, options);
+            });
+        });
+
+        afterEach(() => {
+            vi.restoreAllMocks();
+            documentListeners.forEach(([type, listener]) => domDocument.removeEventListener(type, listener));
+        });
+
+        it('应该默认生成侧边目录', () => {
+            const result = fileHandler.createSelfContainedHTML('<h2 id="a">A</h2>', { tocHTML });
+
+            expect(result).toContain('<body class="theme-light toc-sidebar">');
+            expect(result).toContain('<button type="button" class="toc-toggle" aria-expanded="true"');
+            expect(result).toContain('<nav class="table-of-contents">');
+            expect(result).toContain('body.toc-sidebar.toc-open .table-of-contents');
+        });
+
+        it('放在正文前或不嵌入样式时不应该生成侧边目录', () => {
+            const inline = fileHandler.createSelfContainedHTML('<p>x</p>', { tocHTML, tocLayout: 'inline' });
+            const unstyled = fileHandler.createSelfContainedHTML('<p>x</p>', { tocHTML, includeStyles: false });
+
+            [inline, unstyled].forEach(result => {
+                expect(result).toContain('<nav class="table-of-contents">');
+                expect(result).not.toContain('toc-toggle');
+            });
+        });
+
+        it('宽屏时应该可以收起和展开侧边栏', () => {
+            const toggle = runSidebar();
+            expect(toggle.getAttribute('aria-controls')).toBe('toc-sidebar');
+
+            toggle.click();
+            expect(document.body.classList.contains('toc-collapsed')).toBe(true);
+            expect(toggle.getAttribute('aria-expanded')).toBe('false');
+
+            toggle.click();
+            expect(document.body.classList.contains('toc-collapsed')).toBe(false);
+            expect(toggle.getAttribute('aria-label')).toBe('隐藏目录');
+        });
+
+        it('窄屏时应该作为抽屉打开并用 Esc 关闭', () => {
+            const toggle = runSidebar(600);
+            const overlay = document.querySelector('.toc-overlay');
+            expect(toggle.getAttribute('aria-expanded')).toBe('false');
+
+            toggle.click();
+            expect(document.body.classList.contains('toc-open')).toBe(true);
+            expect(overlay.hidden).toBe(false);
+            expect(document.activeElement.classList.contains('toc-link')).toBe(true);
+
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+            expect(document.body.classList.contains('toc-open')).toBe(false);
+            expect(overlay.hidden).toBe(true);
+            expect(document.activeElement).toBe(toggle);
+        });
+
+        it('应该可以用方向键在目录中移动焦点', () => {
+            runSidebar();
+            const links = document.querySelectorAll('.toc-link');
+            links[0].focus();
+
+            links[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+            expect(document.activeElement).toBe(links[1]);
+
+            links[1].dispatchEvent(new KeyboardEvent('keydown', { key: 'Home', bubbles: true }));
+            expect(document.activeElement).toBe(links[0]);
+        });
+
+        it('应该高亮已经滚动到的最后一个标题', () => {
+            const top = { a: -200, b: 40 };
+            const getRect = Element.prototype.getBoundingClientRect;
+            Element.prototype.getBoundingClientRect = function () {
+                return { top: this.id in top ? top[this.id] : 0 };
+            };
+
+            runSidebar();
+            const links = document.querySelectorAll('.toc-link');
+
+            expect(links[1].classList.contains('active')).toBe(true);
+            expect(links[1].getAttribute('aria-current')).toBe('location');
+            expect(links[0].classList.contains('active')).toBe(false);
+            Element.prototype.getBoundingClientRect = getRect;
         });
     });
 
@@ -4,6 +4,8 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { FileUpload } from '../src/components/FileUpload.js';
+import { FileHandler } from '../src/core/FileHandler.js';
+import { ZipWriter } from '../src/core/ZipWriter.js';
 
 describe('FileUpload', () => {
     let fileUpload;
@@ -33,7 +35,7 @@ describe('FileUpload', () => {
     describe('constructor', () => {
         it('应该初始化默认属性', () => {
             expect(fileUpload.maxFileSize).toBe(10 * 1024 * 1024); // 10MB
-            expect(fileUpload.allowedExtensions).toEqual(['.md', '.markdown', '.txt']);
+            expect(fileUpload.allowedExtensions).toEqual(['.md', '.markdown', '.txt', '.html', '.htm', '.docx', '.ipynb']);
             expect(fileUpload.onFileLoad).toBeNull();
             expect(fileUpload.onError).toBeNull();
         });
@@ -110,6 +112,28 @@ describe('FileUpload', () => {
             expect(result.isValid).toBe(true);
         });
 
+        it('应该接受 .html 扩展名', () => {
+            const result = fileUpload.validateFile({ name: 'export.html', size: 1024, type: 'text/html' });
+
+            expect(result.isValid).toBe(true);
+        });
+
+        it('应该接受 Word 文档', () => {
+            const result = fileUpload.validateFile({
+                name: '报告.docx',
+                size: 1024,
+                type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            });
+
+            expect(result.isValid).toBe(true);
+        });
+
+        it('应该接受 Jupyter 笔记本', () => {
+            const result = fileUpload.validateFile({ name: '分析.ipynb', size: 1024, type: 'application/x-ipynb+json' });
+
+            expect(result.isValid).toBe(true);
+        });
+
         it('应该拒绝非文本文件类型', () => {
             const mockFile = {
                 name: 'test.md',
@@ -172,6 +196,95 @@ describe('FileUpload', () => {
             });
         });
 
+        it('应该从导出的 HTML 文件中还原原始 Markdown', () => {
+            const markdown = '---\ntitle: 手册\n---\n\n# 手册 <br> & 更多\n';
+            const html = new FileHandler().createSelfContainedHTML('<h1>手册</h1>', { markdownSource: markdown });
+            const mockReader = { readAsText: vi.fn(), onload: null, onerror: null };
+            global.FileReader = vi.fn(() => mockReader);
+
+            const onFileLoadSpy = vi.fn();
+            fileUpload.setOnFileLoad(onFileLoadSpy);
+            fileUpload.readFile({ name: '手册.html', size: html.length, lastModified: Date.now() });
+            mockReader.onload({ target: { result: html } });
+
+            expect(onFileLoadSpy).toHaveBeenCalledWith(expect.objectContaining({ content: markdown, fileName: '手册.html' }));
+        });
+
+        it('导出的 HTML 文件中没有原始 Markdown 时应该报告错误', () => {
+            const exported = new FileHandler().createSelfContainedHTML('<p>内容</p>');
+            const mockReader = { readAsText: vi.fn(), onload: null, onerror: null };
+            global.FileReader = vi.fn(() => mockReader);
+
+            const onFileLoadSpy = vi.fn();
+            const onErrorSpy = vi.fn();
+            fileUpload.setOnFileLoad(onFileLoadSpy);
+            fileUpload.setOnError(onErrorSpy);
+
+            fileUpload.readFile({ name: 'a.html' });
+            mockReader.onload({ target: { result: exported } });
+            fileUpload.readFile({ name: 'b.htm' });
+            mockReader.onload({ target: { result: '<html><head><title>空</title></head><body></body></html>' } });
+
+            expect(onFileLoadSpy).not.toHaveBeenCalled();
+            expect(onErrorSpy.mock.calls[0][0]).toContain('导出时没有保存原始 Markdown');
+            expect(onErrorSpy.mock.calls[1][0]).toContain('没有可以转换的内容');
+        });
+
+        it('应该把其他 HTML 文件转换为 Markdown', () => {
+            const mockReader = { readAsText: vi.fn(), onload: null, onerror: null };
+            global.FileReader = vi.fn(() => mockReader);
+
+            const onFileLoadSpy = vi.fn();
+            fileUpload.setOnFileLoad(onFileLoadSpy);
+            fileUpload.htmlConverter.setOptions({ linkStyle: 'referenced' });
+            fileUpload.readFile({ name: '页面.html' });
+            mockReader.onload({ target: { result: '<html><body><h2>其他页面</h2><p>见 <a href="https://example.com">示例</a></p></body></html>' } });
+
+            expect(onFileLoadSpy).toHaveBeenCalledWith(expect.objectContaining({
+                content: '## 其他页面\n\n见 [示例][1]\n\n[1]: https://example.com',
+                fileName: '页面.html'
+            }));
+        });
+
+        it('应该把笔记本转换为 Markdown 并带上输出中的图片', () => {
+            const notebook = JSON.stringify({
+                nbformat: 4,
+                metadata: { language_info: { name: 'python' } },
+                cells: [{
+                    cell_type: 'code',
+                    source: ['plot()'],
+                    outputs: [{ output_type: 'display_data', data: { 'image/png': 'iVBORw0KGgo=' } }]
+                }]
+            });
+            const mockReader = { readAsText: vi.fn(), onload: null, onerror: null };
+            global.FileReader = vi.fn(() => mockReader);
+
+            const onFileLoadSpy = vi.fn();
+            fileUpload.setOnFileLoad(onFileLoadSpy);
+            fileUpload.readFile({ name: '分析.ipynb' });
+            mockReader.onload({ target: { result: notebook } });
+
+            const fileData = onFileLoadSpy.mock.calls[0][0];
+            expect(fileData.content).toBe('```python\nplot()\n```\n\n![](image-1.png)');
+            expect(fileData.images).toEqual([expect.objectContaining({ name: 'image-1.png', mimeType: 'image/png' })]);
+            expect(fileData.warnings).toEqual([]);
+        });
+
+        it('笔记本无效时应该报告错误', () => {
+            const mockReader = { readAsText: vi.fn(), onload: null, onerror: null };
+            global.FileReader = vi.fn(() => mockReader);
+
+            const onFileLoadSpy = vi.fn();
+            const onErrorSpy = vi.fn();
+            fileUpload.setOnFileLoad(onFileLoadSpy);
+            fileUpload.setOnError(onErrorSpy);
+            fileUpload.readFile({ name: '损坏.ipynb' });
+            mockReader.onload({ target: { result: '{"cells":' } });
+
+            expect(onFileLoadSpy).not.toHaveBeenCalled();
+            expect(onErrorSpy).toHaveBeenCalledWith('笔记本读取失败: 不是有效的 Jupyter 笔记本（.ipynb）');
+        });
+
         it('应该处理文件读取错误', () => {
             const mockFile = { name: 'test.md' };
             const mockReader = {
@@ -275,6 +388,159 @@ describe('FileUpload', () => {
         });
     });
 
+    describe('handleFolder', () => {
+        const createFile = (name, content) => ({ name, size: content.length, content });
+
+        beforeEach(() => {
+            // 模拟异步读取文件内容
+            fileUpload.readFileAsText = vi.fn(file => Promise.resolve(file.content));
+        });
+
+        it('应该读取文件夹中的 Markdown 文件，路径相对文件夹', async () => {
+            const callback = vi.fn();
+            fileUpload.setOnFolderLoad(callback);
+
+            await fileUpload.handleFolder([
+                { file: createFile('index.md', '# 首页'), path: 'docs/index.md' },
+                { file: createFile('usage.md', '# 使用'), path: 'docs/guide/usage.md' },
+                { file: createFile('logo.png', 'png'), path: 'docs/logo.png' },
+                { file: createFile('dep.md', '# 依赖'), path: 'docs/node_modules/dep.md' }
+            ]);
+
+            expect(callback).toHaveBeenCalledWith({
+                name: 'docs',
+                files: [
+                    { path: 'index.md', content: '# 首页' },
+                    { path: 'guide/usage.md', content: '# 使用' }
+                ],
+                skipped: 2
+            });
+        });
+
+        it('没有 Markdown 文件时应该报告错误', async () => {
+            const onError = vi.fn();
+            const onFolderLoad = vi.fn();
+            fileUpload.setOnError(onError);
+            fileUpload.setOnFolderLoad(onFolderLoad);
+
+            await fileUpload.handleFolder([{ file: createFile('a.png', 'x'), path: 'images/a.png' }]);
+
+            expect(onError).toHaveBeenCalledWith('文件夹中没有 Markdown 文件');
+            expect(onFolderLoad).not.toHaveBeenCalled();
+        });
+
+        it('应该递归读取拖入的文件夹', async () => {
+            const fileEntry = (name) => ({
+                name,
+                isFile: true,
+                isDirectory: false,
+                file: (resolve) => resolve(createFile(name, name))
+            });
+            const directoryEntry = (name, children) => ({
+                name,
+                isFile: false,
+                isDirectory: true,
+                createReader: () => {
+                    let read = false;
+                    return {
+                        readEntries: (resolve) => {
+                            resolve(read ? [] : children);
+                            read = true;
+                        }
+                    };
+                }
+            });
+
+            const root = directoryEntry('docs', [fileEntry('a.md'), directoryEntry('sub', [fileEntry('b.md')])]);
+            const files = await fileUpload.readDirectoryEntry(root, 'docs/');
+
+            expect(files.map(item => item.path)).toEqual(['docs/a.md', 'docs/sub/b.md']);
+        });
+    });
+
+    describe('handleFiles', () => {
+        const createFile = (name, type = '') => ({ name, type, size: 4 });
+
+        beforeEach(() => {
+            fileUpload.readFileAsArrayBuffer = vi.fn(() => Promise.resolve(new ArrayBuffer(4)));
+            fileUpload.handleFile = vi.fn();
+        });
+
+        it('应该把图片和 Markdown 文件分开处理', async () => {
+            const callback = vi.fn();
+            fileUpload.setOnImagesLoad(callback);
+
+            fileUpload.handleFiles([createFile('logo.png'), createFile('README.md'), createFile('shot', 'image/jpeg')]);
+            await vi.waitFor(() => expect(callback).toHaveBeenCalled());
+
+            expect(fileUpload.handleFile).toHaveBeenCalledWith(expect.objectContaining({ name: 'README.md' }));
+            const { images, standalone } = callback.mock.calls[0][0];
+            expect(standalone).toBe(false);
+            expect(images.map(image => [image.name, image.mimeType])).toEqual([
+                ['logo.png', 'image/png'],
+                ['shot', 'image/jpeg']
+            ]);
+        });
+
+        it('只上传图片时应该标记为单独上传', async () => {
+            const callback = vi.fn();
+            fileUpload.setOnImagesLoad(callback);
+
+            fileUpload.handleFiles([createFile('a.gif')]);
+            await vi.waitFor(() => expect(callback).toHaveBeenCalled());
+
+            expect(callback.mock.calls[0][0].standalone).toBe(true);
+            expect(fileUpload.handleFile).not.toHaveBeenCalled();
+        });
+
+        it('应该跳过超过大小限制的图片', async () => {
+            const onError = vi.fn();
+            const onImagesLoad = vi.fn();
+            fileUpload.setOnError(onError);
+            fileUpload.setOnImagesLoad(onImagesLoad);
+            fileUpload.setMaxFileSize(2);
+
+            await fileUpload.handleImages([createFile('big.png')]);
+
+            expect(onError).toHaveBeenCalledWith(expect.stringContaining('big.png'));
+            expect(onImagesLoad).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('readDocx', () => {
+        const createDocx = (body) => new ZipWriter()
+            .addFile('word/document.xml', `<w:document><w:body>${body}</w:body></w:document>`)
+            .addFile('word/_rels/document.xml.rels', '<Relationships><Relationship Id="rId1" Target="media/image1.png"/></Relationships>')
+            .addFile('word/media/image1.png', new Uint8Array([0x89, 0x50, 0x4e, 0x47]))
+            .generate();
+
+        it('应该把 Word 文档转换为 Markdown 并带上图片和警告', async () => {
+            const onFileLoad = vi.fn();
+            fileUpload.setOnFileLoad(onFileLoad);
+            fileUpload.readFileAsArrayBuffer = vi.fn(() => Promise.resolve(createDocx(
+                '<w:p><w:r><w:rPr><w:b/><w:u w:val="single"/></w:rPr><w:t>重点</w:t></w:r></w:p>'
+                + '<w:p><w:r><w:drawing><a:blip r:embed="rId1"/></w:drawing></w:r></w:p>'
+            )));
+
+            await fileUpload.readDocx({ name: '报告.docx', size: 100, lastModified: Date.now() });
+
+            const fileData = onFileLoad.mock.calls[0][0];
+            expect(fileData.content).toBe('**重点**\n\n![](image1.png)');
+            expect(fileData.images).toEqual([expect.objectContaining({ name: 'image1.png', mimeType: 'image/png' })]);
+            expect(fileData.warnings[0]).toContain('1 处下划线');
+        });
+
+        it('不是 Word 文档时应该报告错误', async () => {
+            const onError = vi.fn();
+            fileUpload.setOnError(onError);
+            fileUpload.readFileAsArrayBuffer = vi.fn(() => Promise.resolve(new ZipWriter().addFile('a.txt', 'x').generate()));
+
+            await fileUpload.readDocx({ name: '损坏.docx', size: 100, lastModified: Date.now() });
+
+            expect(onError).toHaveBeenCalledWith('Word 文档读取失败: 不是有效的 Word 文档（.docx）');
+        });
+    });
+
     describe('preventDefaults', () => {
         it('应该阻止默认事件', () => {
             const mockEvent = {
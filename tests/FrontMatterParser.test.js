@@ -0,0 +1,161 @@
+/**
+ * FrontMatterParser 单元测试
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { FrontMatterParser } from '../src/core/FrontMatterParser.js';
+
+describe('FrontMatterParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new FrontMatterParser();
+    });
+
+    describe('parse', () => {
+        it('应该解析 front matter 并移除正文中的块', () => {
+            const content = '---\ntitle: 项目文档\nauthor: 张三\n---\n# 正文标题\n';
+            const result = parser.parse(content);
+
+            expect(result.hasFrontMatter).toBe(true);
+            expect(result.data).toEqual({ title: '项目文档', author: '张三' });
+            expect(result.body).toBe('# 正文标题\n');
+            expect(result.lineCount).toBe(4);
+        });
+
+        it('没有 front matter 时应该原样返回', () => {
+            const content = '# 标题\n\n---\n\n内容';
+            const result = parser.parse(content);
+
+            expect(result.hasFrontMatter).toBe(false);
+            expect(result.body).toBe(content);
+            expect(result.data).toEqual({});
+        });
+
+        it('应该支持 ... 结束符和 Windows 换行', () => {
+            const result = parser.parse('---\r\ntitle: Test\r\n...\r\nBody');
+
+            expect(result.data.title).toBe('Test');
+            expect(result.body).toBe('Body');
+        });
+
+        it('应该处理空的 front matter', () => {
+            const result = parser.parse('---\n---\n正文');
+
+            expect(result.hasFrontMatter).toBe(true);
+            expect(result.body).toBe('正文');
+        });
+
+        it('解析失败时应该保留原始内容', () => {
+            const content = '---\n这不是 YAML\n---\n正文';
+            const result = parser.parse(content);
+
+            expect(result.hasFrontMatter).toBe(false);
+            expect(result.body).toBe(content);
+        });
+
+        it('以分隔线开头的普通文本不应该作为 front matter，也不应该输出警告', () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const content = '---\n\n第一段普通文字。\n\n---\n\n第二段';
+            const result = parser.parse(content);
+
+            expect(result.hasFrontMatter).toBe(false);
+            expect(result.body).toBe(content);
+            expect(warn).not.toHaveBeenCalled();
+            warn.mockRestore();
+        });
+    });
+
+    describe('parseYAML', () => {
+        it('应该解析标量类型', () => {
+            const data = parser.parseYAML('toc: true\ndraft: no\ncount: 3\nratio: 1.5\nempty: ~\nquoted: "a: b"\nsingle: \'it\'\'s\'');
+
+            expect(data).toEqual({
+                toc: true,
+                draft: false,
+                count: 3,
+                ratio: 1.5,
+                empty: null,
+                quoted: 'a: b',
+                single: "it's"
+            });
+        });
+
+        it('应该保留日期字符串', () => {
+            expect(parser.parseYAML('date: 2024-01-15').date).toBe('2024-01-15');
+        });
+
+        it('应该解析行内数组和对象', () => {
+            const data = parser.parseYAML('tags: [a, "b, c", d]\nexport: { toc: true, depth: 2 }');
+
+            expect(data.tags).toEqual(['a', 'b, c', 'd']);
+            expect(data.export).toEqual({ toc: true, depth: 2 });
+        });
+
+        it('应该解析块列表和嵌套映射', () => {
+            const yaml = 'authors:\n  - 张三\n  - 李四\nexport:\n  toc: true\n  depth: 3\nitems:\n- name: a\n  value: 1\n- name: b';
+            const data = parser.parseYAML(yaml);
+
+            expect(data.authors).toEqual(['张三', '李四']);
+            expect(data.export).toEqual({ toc: true, depth: 3 });
+            expect(data.items).toEqual([{ name: 'a', value: 1 }, { name: 'b' }]);
+        });
+
+        it('应该解析多行文本块', () => {
+            const data = parser.parseYAML('literal: |\n  第一行\n  第二行\nfolded: >\n  one\n  two\nnext: x');
+
+            expect(data.literal).toBe('第一行\n第二行');
+            expect(data.folded).toBe('one two');
+            expect(data.next).toBe('x');
+        });
+
+        it('应该忽略注释', () => {
+            const data = parser.parseYAML('# 注释\ntitle: 标题 # 行尾注释\nurl: "http://a.com/#x"');
+
+            expect(data.title).toBe('标题');
+            expect(data.url).toBe('http://a.com/#x');
+        });
+    });
+
+    describe('getDocumentOptions', () => {
+        it('应该提取支持的文档选项', () => {
+            const options = parser.getDocumentOptions({
+                title: '标题',
+                author: ['张三', '李四'],
+                date: '2024-01-15',
+                lang: 'en-US',
+                theme: 'Dark',
+                toc: true,
+                description: '描述',
+                other: 'ignored'
+            });
+
+            expect(options).toEqual({
+                title: '标题',
+                author: '张三, 李四',
+                date: '2024-01-15',
+                lang: 'en-US',
+                theme: 'dark',
+                toc: true,
+                description: '描述'
+            });
+        });
+
+        it('作者为映射时应该使用 name，其他非标量的值应该忽略', () => {
+            expect(parser.getDocumentOptions({ author: { name: '张三', email: 'zhang@example.com' } }).author).toBe('张三');
+            expect(parser.getDocumentOptions({ author: [{ name: '张三' }, '李四'] }).author).toBe('张三, 李四');
+            expect(parser.getDocumentOptions({ author: { email: 'zhang@example.com' }, title: ['a', 'b'], date: { year: 2024 } })).toEqual({});
+        });
+
+        it('应该忽略无效的主题和语言', () => {
+            const options = parser.getDocumentOptions({ theme: 'neon', lang: 'not a lang"' });
+
+            expect(options).toEqual({});
+        });
+
+        it('应该支持列表和逗号分隔的插件选择', () => {
+            expect(parser.getDocumentOptions({ plugins: ['mermaid', '-math'] }).plugins).toEqual(['mermaid', '-math']);
+            expect(parser.getDocumentOptions({ plugins: 'a, !b' }).plugins).toEqual(['a', '!b']);
+        });
+    });
+});
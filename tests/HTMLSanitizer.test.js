@@ -0,0 +1,146 @@
+/**
+ * HTMLSanitizer 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { HTMLSanitizer } from '../src/core/HTMLSanitizer.js';
+
+describe('HTMLSanitizer', () => {
+    let sanitizer;
+
+    beforeEach(() => {
+        sanitizer = new HTMLSanitizer();
+    });
+
+    describe('sanitize', () => {
+        it('应该移除 script 元素及其内容', () => {
+            const result = sanitizer.sanitize('<p>正文</p><script>alert("xss")</script>');
+
+            expect(result.html).toBe('<p>正文</p>');
+            expect(result.removed).toContainEqual({ type: 'element', name: 'script' });
+        });
+
+        it('应该移除事件处理属性', () => {
+            const result = sanitizer.sanitize('<img src="a.png" onerror="alert(1)" alt="图">');
+
+            expect(result.html).toBe('<img src="a.png" alt="图">');
+            expect(result.removed).toContainEqual({ type: 'attribute', name: 'onerror', tag: 'img' });
+        });
+
+        it('应该移除 javascript: 链接', () => {
+            const result = sanitizer.sanitize('<a href="javascript:alert(1)">点击</a>');
+
+            expect(result.html).toBe('<a>点击</a>');
+            expect(result.removed[0].type).toBe('url');
+        });
+
+        it('应该识别经过编码和混入空白的协议', () => {
+            const encoded = sanitizer.sanitize('<a href="&#106;avascript:alert(1)">x</a>');
+            const spaced = sanitizer.sanitize('<a href="java\tscript:alert(1)">x</a>');
+
+            expect(encoded.html).toBe('<a>x</a>');
+            expect(spaced.html).toBe('<a>x</a>');
+        });
+
+        it('应该保留安全链接和相对路径', () => {
+            const html = '<a href="https://example.com">外链</a><a href="#section">锚点</a><img src="./img/a.png" alt="">';
+            const result = sanitizer.sanitize(html);
+
+            expect(result.html).toBe(html);
+            expect(result.removed).toHaveLength(0);
+        });
+
+        it('应该只在图片中允许 data:image 链接', () => {
+            const img = sanitizer.sanitize('<img src="data:image/png;base64,AAAA" alt="">');
+            const link = sanitizer.sanitize('<a href="data:text/html;base64,AAAA">x</a>');
+
+            expect(img.html).toContain('data:image/png');
+            expect(link.html).toBe('<a>x</a>');
+        });
+
+        it('应该只在图片中允许 asset:// 资源引用', () => {
+            const img = sanitizer.sanitize('<img src="asset://abc-123" alt="">');
+            const link = sanitizer.sanitize('<a href="asset://abc-123">x</a>');
+
+            expect(img.html).toContain('src="asset://abc-123"');
+            expect(link.html).toBe('<a>x</a>');
+        });
+
+        it('应该转义无法闭合的标签开头', () => {
+            const result = sanitizer.sanitize('<p>a</p><img src=x onerror=alert(1)');
+
+            expect(result.html).not.toContain('<img');
+        });
+
+        it('应该移除 iframe 及其嵌套内容', () => {
+            const result = sanitizer.sanitize('<iframe src="x"><p>内部</p></iframe><p>外部</p>');
+
+            expect(result.html).toBe('<p>外部</p>');
+        });
+    });
+
+    describe('策略', () => {
+        it('strict 策略应该展开非 Markdown 元素并移除样式', () => {
+            const result = sanitizer.sanitize('<div style="color:red"><p>内容</p></div>', 'strict');
+
+            expect(result.html).toBe('<p>内容</p>');
+            expect(result.removed).toContainEqual({ type: 'element', name: 'div' });
+        });
+
+        it('safe 策略应该保留常见 HTML 和安全样式', () => {
+            const html = '<details open><summary>摘要</summary><kbd>Ctrl</kbd></details><span style="color: red">红</span>';
+            const result = sanitizer.sanitize(html, 'safe');
+
+            expect(result.html).toBe(html);
+        });
+
+        it('safe 策略应该移除包含 url() 的样式', () => {
+            const result = sanitizer.sanitize('<span style="background:url(javascript:alert(1))">x</span>', 'safe');
+
+            expect(result.html).toBe('<span>x</span>');
+        });
+
+        it('trusted 策略应该原样返回', () => {
+            const html = '<script>window.ok = true</script>';
+            const result = sanitizer.sanitize(html, 'trusted');
+
+            expect(result.html).toBe(html);
+            expect(result.removed).toHaveLength(0);
+        });
+
+        it('应该忽略不支持的策略', () => {
+            sanitizer.setPolicy('unknown');
+            expect(sanitizer.getPolicy()).toBe('safe');
+        });
+    });
+
+    describe('extend', () => {
+        it('应该允许扩展标签和属性', () => {
+            sanitizer.extend({ tags: ['math', 'mi'], attributes: { math: ['display'] } });
+            const result = sanitizer.sanitize('<math display="block"><mi>x</mi></math>', 'strict');
+
+            expect(result.html).toBe('<math display="block"><mi>x</mi></math>');
+        });
+
+        it('应该允许扩展协议', () => {
+            sanitizer.extend({ protocols: ['asset:'] });
+            const result = sanitizer.sanitize('<img src="asset://abc" alt="">');
+
+            expect(result.html).toContain('asset://abc');
+        });
+    });
+
+    describe('describeRemoved', () => {
+        it('应该生成移除摘要', () => {
+            const result = sanitizer.sanitize('<script></script><script></script><img src="a.png" onerror="x">');
+            const summary = sanitizer.describeRemoved(result.removed);
+
+            expect(summary).toContain('2 个<script> 元素');
+            expect(summary).toContain('1 个onerror 属性');
+        });
+
+        it('没有移除内容时应该返回空字符串', () => {
+            expect(sanitizer.describeRemoved([])).toBe('');
+        });
+    });
+});
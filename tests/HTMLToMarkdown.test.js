@@ -0,0 +1,162 @@
+// @vitest-environment node
+/**
+ * HTMLToMarkdown 单元测试
+ * 转换器不依赖 DOM，在 Node 环境中运行
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { HTMLToMarkdown } from '../src/core/HTMLToMarkdown.js';
+
+describe('HTMLToMarkdown', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new HTMLToMarkdown();
+    });
+
+    describe('基本元素', () => {
+        it('应该转换标题、段落和行内格式', () => {
+            const html = '<h1>标题 &amp; 副标题</h1><p>普通 <strong>加粗 </strong>和 <em>斜体</em>、<del>删除</del>、<code>a`b</code></p>';
+
+            expect(converter.convert(html)).toBe('# 标题 & 副标题\n\n普通 **加粗** 和 *斜体*、~~删除~~、``a`b``');
+        });
+
+        it('应该跳过页面中的脚本、样式和导航', () => {
+            const html = '<html><head><title>页面</title><style>p{}</style></head><body><nav><a href="/">首页</a></nav><p>正文</p><script>alert(1)</script></body></html>';
+
+            expect(converter.convert(html)).toBe('正文');
+        });
+
+        it('应该转义会被当作 Markdown 语法的文字', () => {
+            const html = '<p>1. 不是列表</p><p># 不是标题</p><p>a * b [c] snake_case _x_</p>';
+
+            expect(converter.convert(html)).toBe('1\\. 不是列表\n\n\\# 不是标题\n\na \\* b \\[c\\] snake_case \\_x\\_');
+        });
+
+        it('应该转换换行、分隔线和图片', () => {
+            const html = '<p>第一行<br>第二行</p><hr><img src="images/a b.png" alt="示意图" title="图 1">';
+
+            expect(converter.convert(html)).toBe('第一行\\\n第二行\n\n---\n\n![示意图](<images/a b.png> "图 1")');
+        });
+
+        it('应该识别只用样式表示的格式', () => {
+            // Google 文档复制的内容用 font-weight:normal 的 b 包裹全部内容
+            const html = '<b style="font-weight:normal"><span style="font-weight:700">粗</span> <span style="font-style:italic">斜</span></b>';
+
+            expect(converter.convert(html)).toBe('**粗** *斜*');
+        });
+    });
+
+    describe('链接', () => {
+        const html = '<p><a href="https://example.com/a" title="示例">文档</a>、<a href="https://example.com/b">另一个</a>、<a href="https://example.com/a" title="示例">再次</a></p>';
+
+        it('默认应该使用行内链接', () => {
+            expect(converter.convert(html)).toBe('[文档](https://example.com/a "示例")、[另一个](https://example.com/b)、[再次](https://example.com/a "示例")');
+        });
+
+        it('referenced 时应该把地址列在文末，相同的地址共用编号', () => {
+            converter.setOptions({ linkStyle: 'referenced' });
+
+            expect(converter.convert(html)).toBe(
+                '[文档][1]、[另一个][2]、[再次][1]\n\n[1]: https://example.com/a "示例"\n[2]: https://example.com/b'
+            );
+        });
+
+        it('应该生成自动链接并去掉脚本链接', () => {
+            const result = converter.convert('<p><a href="https://example.com">https://example.com</a> <a href="javascript:alert(1)">点击</a></p>');
+
+            expect(result).toBe('<https://example.com> 点击');
+        });
+
+        it('应该忽略无效的选项', () => {
+            converter.setOptions({ linkStyle: 'footnote', tableFallback: 'drop' });
+
+            expect(converter.getOptions()).toEqual({ linkStyle: 'inline', tableFallback: 'html' });
+        });
+    });
+
+    describe('列表和引用', () => {
+        it('应该转换嵌套列表和起始编号', () => {
+            const html = '<ul><li>一<ul><li>一.一</li></ul></li><li>二</li></ul><ol start="3"><li>三<li>四</ol>';
+
+            expect(converter.convert(html)).toBe('- 一\n  - 一.一\n- 二\n\n3. 三\n4. 四');
+        });
+
+        it('应该转换任务列表', () => {
+            const html = '<ul><li><input type="checkbox" checked disabled> 完成</li><li><input type="checkbox"> 待办</li></ul>';
+
+            expect(converter.convert(html)).toBe('- [x] 完成\n- [ ] 待办');
+        });
+
+        it('应该把 Word 的列表段落合并为列表', () => {
+            const html = [
+                '<p class=MsoListParagraph style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">·<span>&nbsp;&nbsp;</span></span>第一项</p>',
+                '<p class=MsoListParagraph style="mso-list:l0 level2 lfo1"><span style="mso-list:Ignore">a.</span>子项</p>',
+                '<p class=MsoListParagraph style="mso-list:l0 level1 lfo1"><span style="mso-list:Ignore">·</span>第二项</p>',
+                '<p class=MsoNormal>正文</p>'
+            ].join('\n');
+
+            expect(converter.convert(html)).toBe('- 第一项\n  1. 子项\n- 第二项\n\n正文');
+        });
+
+        it('应该转换引用中的段落和代码块', () => {
+            const html = '<blockquote><p>引用</p><pre>x\n  y</pre></blockquote>';
+
+            expect(converter.convert(html)).toBe('> 引用\n>\n> ```\n> x\n>   y\n> ```');
+        });
+    });
+
+    describe('代码块', () => {
+        it('应该保留代码的空行和缩进并识别语言', () => {
+            const html = '<pre class="language-js"><code>if (a) {\n\n    b();\n}\n</code></pre>';
+
+            expect(converter.convert(html)).toBe('```js\nif (a) {\n\n    b();\n}\n```');
+        });
+
+        it('代码中有反引号围栏时应该使用更长的围栏', () => {
+            const html = '<pre><code class="lang-markdown">```\ncode\n```</code></pre>';
+
+            expect(converter.convert(html)).toBe('````markdown\n```\ncode\n```\n````');
+        });
+
+        it('列表中的代码块应该按列表项缩进', () => {
+            const html = '<ol><li><p>运行：</p><pre><code>npm test</code></pre></li></ol>';
+
+            expect(converter.convert(html)).toBe('1. 运行：\n\n   ```\n   npm test\n   ```');
+        });
+    });
+
+    describe('表格', () => {
+        it('应该转换为 Markdown 表格并保留对齐方式', () => {
+            const html = '<table><thead><tr><th align="center">名称</th><th style="text-align:right">数量</th></tr></thead>'
+                + '<tbody><tr><td>a|b</td><td><code>1</code></td></tr></tbody></table>';
+
+            expect(converter.convert(html)).toBe('| 名称 | 数量 |\n| :---: | ---: |\n| a\\|b | `1` |');
+        });
+
+        const complexTable = '<table><tr><td colspan="2" style="color:red">合并</td></tr>'
+            + '<tr><td>a</td><td><p>段落一</p><p>段落二</p></td></tr></table>';
+
+        it('有合并单元格时默认应该保留为 HTML', () => {
+            expect(converter.convert(complexTable)).toBe(
+                '<table>\n<tr>\n<td colspan="2">合并</td>\n</tr>\n<tr>\n<td>a</td><td><p>段落一</p><p>段落二</p></td>\n</tr>\n</table>'
+            );
+        });
+
+        it('flatten 时应该拆开合并的单元格并用 <br> 连接段落', () => {
+            converter.setOptions({ tableFallback: 'flatten' });
+
+            expect(converter.convert(complexTable)).toBe('| 合并 |  |\n| --- | --- |\n| a | 段落一<br>段落二 |');
+        });
+    });
+
+    describe('hasRichContent', () => {
+        it('应该区分带格式的内容和只有样式的文本', () => {
+            expect(converter.hasRichContent('<meta charset="utf-8"><p>段落</p>')).toBe(true);
+            expect(converter.hasRichContent('<a href="https://example.com">链接</a>')).toBe(true);
+            expect(converter.hasRichContent('<div style="color:#333"><span>const a = 1;</span></div>')).toBe(false);
+            expect(converter.hasRichContent('<b style="font-weight:normal"><span>文字</span></b>')).toBe(false);
+            expect(converter.hasRichContent('')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+// @vitest-environment node
+/**
+ * ImageStore 与图片嵌入单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ImageStore } from '../src/core/ImageStore.js';
+import { FileHandler } from '../src/core/FileHandler.js';
+import { DocumentExporter } from '../src/core/DocumentExporter.js';
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+describe('ImageStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new ImageStore();
+    });
+
+    it('应该按路径和文件名查找图片', () => {
+        expect(store.add('./images/logo.png', PNG)).toBe('images/logo.png');
+
+        expect(store.has('images/logo.png')).toBe(true);
+        expect(store.has('/images/logo.png?v=1')).toBe(true);
+        expect(store.has('../assets/logo.png')).toBe(true);
+        expect(store.has('https://example.com/logo.png')).toBe(false);
+        expect(store.has('other.png')).toBe(false);
+    });
+
+    it('文件名匹配到多张图片时不应该猜测', () => {
+        store.add('a/logo.png', PNG);
+        store.add('b/logo.png', PNG);
+
+        expect(store.has('logo.png')).toBe(false);
+        expect(store.has('a/logo.png')).toBe(true);
+    });
+
+    it('应该解码路径中的百分号编码', () => {
+        store.add('我的 图片.png', PNG);
+
+        expect(store.has('%E6%88%91%E7%9A%84%20%E5%9B%BE%E7%89%87.png')).toBe(true);
+    });
+
+    it('应该返回 data URI', () => {
+        store.add('logo.png', PNG);
+
+        expect(store.resolve('logo.png')).toBe('data:image/png;base64,iVBORw==');
+        expect(store.resolve('missing.png')).toBeNull();
+    });
+
+    it('应该拒绝不支持的格式', () => {
+        expect(() => store.add('notes.txt', PNG)).toThrow('不支持的图片格式');
+        expect(() => store.add('', PNG, 'image/png')).toThrow('图片名称不能为空');
+    });
+
+    it('应该为粘贴的图片生成不重复的名称', () => {
+        store.add('image-1.png', PNG);
+
+        expect(store.createName('image', 'image/png')).toBe('image-2.png');
+        expect(store.createName('image', 'image/jpeg')).toBe('image-2.jpg');
+    });
+
+    it('应该列出和删除图片', () => {
+        store.add('a.png', PNG);
+        store.add('b.gif', PNG);
+        store.remove('a.png');
+
+        expect(store.list()).toEqual([{ name: 'b.gif', mimeType: 'image/gif', size: 4 }]);
+        store.clear();
+        expect(store.list()).toEqual([]);
+    });
+
+    it('应该分段编码较大的图片', () => {
+        const data = new Uint8Array(100000).fill(65);
+
+        expect(ImageStore.toBase64(data)).toBe(Buffer.from(data).toString('base64'));
+    });
+});
+
+describe('FileHandler.embedImages', () => {
+    let fileHandler;
+    let store;
+
+    beforeEach(() => {
+        fileHandler = new FileHandler();
+        store = new ImageStore();
+        store.add('logo.png', PNG);
+    });
+
+    it('应该嵌入能找到的图片并报告其余图片', () => {
+        const result = fileHandler.embedImages(
+            '<p><img src="logo.png" alt="标志"> <img src="missing.png"> <img src="https://example.com/a.png"></p>',
+            store
+        );
+
+        expect(result.html).toContain('<img src="data:image/png;base64,iVBORw==" alt="标志">');
+        expect(result.embedded).toEqual(['logo.png']);
+        expect(result.failed).toEqual([
+            { src: 'missing.png', reason: '找不到图片文件' },
+            { src: 'https://example.com/a.png', reason: '外部图片' }
+        ]);
+    });
+
+    it('应该跳过已经是 data URI 的图片', () => {
+        const result = fileHandler.embedImages('<img src="data:image/png;base64,AAAA">', store);
+
+        expect(result.html).toBe('<img src="data:image/png;base64,AAAA">');
+        expect(result.failed).toEqual([]);
+    });
+
+    it('导出文档时应该嵌入图片并返回报告', () => {
+        const exporter = new DocumentExporter();
+        const result = exporter.exportMarkdown('# 图片\n\n![标志](logo.png)\n\n![缺失](missing.png)\n', { images: store });
+
+        expect(result.html).toContain('src="data:image/png;base64,iVBORw=="');
+        expect(result.images).toEqual({
+            embedded: ['logo.png'],
+            failed: [{ src: 'missing.png', reason: '找不到图片文件' }]
+        });
+    });
+
+    it('没有图片来源时不应该修改图片地址', () => {
+        const exporter = new DocumentExporter();
+        const result = exporter.exportMarkdown('![标志](logo.png)\n');
+
+        expect(result.html).toContain('src="logo.png"');
+        expect(result.images).toEqual({ embedded: [], failed: [] });
+    });
+});
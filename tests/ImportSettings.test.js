@@ -0,0 +1,155 @@
+/**
+ * ImportSettings 组件单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ImportSettings } from '../src/components/ImportSettings.js';
+import { InputPanel } from '../src/components/InputPanel.js';
+
+const PAGE = '<html><body><p>见 <a href="https://example.com">示例</a></p>'
+    + '<table><tr><th colspan="2">季度</th></tr><tr><td>一</td><td>二</td></tr></table></body></html>';
+
+const NOTEBOOK = JSON.stringify({
+    nbformat: 4,
+    metadata: { language_info: { name: 'python' } },
+    cells: [
+        { cell_type: 'markdown', source: '# 分析' },
+        { cell_type: 'code', source: 'print(1)', outputs: [{ output_type: 'stream', name: 'stdout', text: '1\n' }] }
+    ]
+});
+
+const field = id => document.getElementById(id);
+
+describe('ImportSettings', () => {
+    let settings;
+
+    beforeEach(() => {
+        localStorage.clear();
+        settings = new ImportSettings();
+        settings.show();
+    });
+
+    afterEach(() => {
+        settings.destroy();
+    });
+
+    it('应该显示默认设置', () => {
+        expect(field('import-link-style').value).toBe('inline');
+        expect(field('import-table-fallback').value).toBe('html');
+        expect(field('import-hide-code').checked).toBe(false);
+        expect(field('import-hide-outputs').checked).toBe(false);
+    });
+
+    it('保存时应该记住设置并在下次打开时恢复', () => {
+        const onApply = vi.fn();
+        settings.setOnApply(onApply);
+
+        field('import-link-style').value = 'referenced';
+        field('import-table-fallback').value = 'flatten';
+        field('import-settings-apply').click();
+
+        expect(field('import-settings-modal').style.display).toBe('none');
+        expect(onApply).toHaveBeenCalledWith({ linkStyle: 'referenced', tableFallback: 'flatten', hideCode: false, hideOutputs: false });
+
+        settings.destroy();
+        settings = new ImportSettings();
+        settings.show();
+
+        expect(field('import-link-style').value).toBe('referenced');
+        expect(field('import-table-fallback').value).toBe('flatten');
+    });
+
+    it('保存的设置无效时应该使用默认值，恢复默认时重置表单', () => {
+        localStorage.setItem('md2page-import-settings', JSON.stringify({ linkStyle: 'footnote', tableFallback: 'flatten' }));
+
+        expect(new ImportSettings().getSettings()).toEqual({ linkStyle: 'inline', tableFallback: 'flatten', hideCode: false, hideOutputs: false });
+
+        field('import-table-fallback').value = 'flatten';
+        field('import-settings-reset').click();
+        expect(field('import-table-fallback').value).toBe('html');
+    });
+
+    it('隐藏代码和隐藏输出只能选择一个', () => {
+        field('import-hide-code').click();
+        field('import-hide-outputs').click();
+
+        expect(field('import-hide-code').checked).toBe(false);
+        expect(field('import-hide-outputs').checked).toBe(true);
+        expect(settings.getNotebookOptions(settings.readForm())).toEqual({ hideCode: false, hideOutputs: true });
+    });
+});
+
+describe('InputPanel 导入设置', () => {
+    let container;
+    let panel;
+
+    beforeEach(() => {
+        localStorage.clear();
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        panel.importSettings.destroy();
+        container.remove();
+    });
+
+    const renderPanel = () => {
+        panel = new InputPanel(container);
+        panel.render();
+        return panel;
+    };
+
+    const loadHTMLFile = () => {
+        const mockReader = { readAsText: vi.fn(), onload: null, onerror: null };
+        global.FileReader = vi.fn(() => mockReader);
+        panel.fileUpload.readFile({ name: '页面.html', size: PAGE.length, lastModified: Date.now() });
+        mockReader.onload({ target: { result: PAGE } });
+    };
+
+    it('在导入设置中修改后，载入的 HTML 文件应该按新的链接格式和表格处理方式转换', () => {
+        renderPanel();
+
+        loadHTMLFile();
+        expect(panel.getContent()).toContain('[示例](https://example.com)');
+        expect(panel.getContent()).toContain('<th colspan="2">季度</th>');
+
+        container.querySelector('#import-settings-btn').click();
+        field('import-link-style').value = 'referenced';
+        field('import-table-fallback').value = 'flatten';
+        field('import-settings-apply').click();
+
+        loadHTMLFile();
+        expect(panel.getContent()).toBe('见 [示例][1]\n\n| 季度 |  |\n| --- | --- |\n| 一 | 二 |\n\n[1]: https://example.com');
+    });
+
+    it('在导入设置中勾选隐藏代码后，载入的笔记本应该只保留输出', () => {
+        renderPanel();
+
+        container.querySelector('#import-settings-btn').click();
+        field('import-hide-code').click();
+        field('import-settings-apply').click();
+
+        const mockReader = { readAsText: vi.fn(), onload: null, onerror: null };
+        global.FileReader = vi.fn(() => mockReader);
+        panel.fileUpload.readFile({ name: '分析.ipynb', size: NOTEBOOK.length, lastModified: Date.now() });
+        mockReader.onload({ target: { result: NOTEBOOK } });
+
+        expect(panel.getContent()).toBe('# 分析\n\n```text\n1\n```');
+    });
+
+    it('粘贴富文本时应该使用保存的导入设置', () => {
+        localStorage.setItem('md2page-import-settings', JSON.stringify({ linkStyle: 'referenced', tableFallback: 'html' }));
+        renderPanel();
+
+        const event = new Event('paste', { cancelable: true });
+        event.clipboardData = {
+            getData: type => (type === 'text/html' ? '<p>见 <a href="https://example.com">示例</a></p>' : ''),
+            files: []
+        };
+        panel.textarea.dispatchEvent(event);
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(panel.getContent()).toBe('见 [示例][1]\n\n[1]: https://example.com');
+    });
+});
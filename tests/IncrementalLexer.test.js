@@ -0,0 +1,71 @@
+/**
+ * IncrementalLexer 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Marked } from 'marked';
+import { IncrementalLexer } from '../src/core/IncrementalLexer.js';
+
+describe('IncrementalLexer', () => {
+    let marked;
+    let lexer;
+
+    const markdown = '# 标题\n\n第一段\n\n- 列表\n- 项目\n\n```js\ncode\n```\n\n最后一段 [链接]\n\n[链接]: https://example.com\n';
+
+    // 比较 token 的类型和原文，与整篇分词的结果一致
+    const summarize = (tokens) => tokens.map(token => `${token.type}:${token.raw}`);
+
+    beforeEach(() => {
+        marked = new Marked();
+        lexer = new IncrementalLexer();
+    });
+
+    it('首次分词应该与 marked.lexer 一致', () => {
+        const tokens = lexer.lex(marked, markdown);
+
+        expect(summarize(tokens)).toEqual(summarize(marked.lexer(markdown)));
+        expect(tokens.links['链接'].href).toBe('https://example.com');
+        expect(lexer.lastStats.incremental).toBe(false);
+    });
+
+    it('修改一个块时应该复用其他块的 token', () => {
+        const before = lexer.lex(marked, markdown);
+        const changed = markdown.replace('第一段', '第一段（修改）');
+        const after = lexer.lex(marked, changed);
+
+        expect(lexer.lastStats.incremental).toBe(true);
+        expect(lexer.lastStats.reused).toBeGreaterThan(0);
+        expect(summarize(after)).toEqual(summarize(marked.lexer(changed)));
+        // 代码块 token 直接复用
+        expect(after.find(token => token.type === 'code')).toBe(before.find(token => token.type === 'code'));
+    });
+
+    it('修改影响后面的块时应该退回到整篇分词', () => {
+        lexer.lex(marked, markdown);
+        const changed = markdown.replace('- 列表', '```\n- 列表');
+        const after = lexer.lex(marked, changed);
+
+        expect(lexer.lastStats.incremental).toBe(false);
+        expect(summarize(after)).toEqual(summarize(marked.lexer(changed)));
+    });
+
+    it('链接引用定义变化时应该退回到整篇分词', () => {
+        lexer.lex(marked, markdown);
+        const changed = markdown.replace('第一段', '[链接]: https://example.org');
+        const after = lexer.lex(marked, changed);
+
+        expect(lexer.lastStats.incremental).toBe(false);
+        expect(after.links['链接'].href).toBe('https://example.org');
+    });
+
+    it('返回的列表被修改不应该影响缓存', () => {
+        const tokens = lexer.lex(marked, markdown);
+        tokens.unshift({ type: 'html', raw: '', text: '' });
+
+        expect(summarize(lexer.lex(marked, markdown))).toEqual(summarize(marked.lexer(markdown)));
+    });
+
+    it('normalize 应该统一换行符并展开行首制表符', () => {
+        expect(IncrementalLexer.normalize('a\r\n\tb\rc')).toBe('a\n    b\nc');
+    });
+});
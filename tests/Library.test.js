@@ -0,0 +1,91 @@
+// @vitest-environment node
+/**
+ * 库入口 render 单元测试
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, MarkdownConverter, PrismHighlighter, ImageStore } from '../src/core/index.js';
+import { Prism } from '../src/core/PrismLanguages.js';
+
+describe('render', () => {
+    it('应该返回 HTML、目录、标题和警告', () => {
+        const result = render('---\ntitle: 手册\n---\n\n# 手册 `v1`\n\n## 安装\n');
+
+        expect(result.html).toMatch(/^<!DOCTYPE html>/);
+        expect(result.html).toContain('<title>手册</title>');
+        expect(result.title).toBe('手册');
+        expect(result.toc).toEqual([
+            { level: 1, text: '手册 v1', id: '手册-v1' },
+            { level: 2, text: '安装', id: '安装' }
+        ]);
+        expect(result.warnings).toEqual([]);
+    });
+
+    it('应该接受 createSelfContainedHTML 的选项，并优先于 front matter', () => {
+        const { html } = render('---\nlang: zh-CN\nauthor: 张三\n---\n# 标题', {
+            title: '自定义',
+            theme: 'dark',
+            lang: 'en',
+            description: '说明',
+            extraStyles: '.custom { color: red; }',
+            extraScripts: 'window.loaded = true;'
+        });
+
+        expect(html).toContain('<title>自定义</title>');
+        expect(html).toContain('<html lang="en">');
+        expect(html).toContain('<meta name="author" content="张三">');
+        expect(html).toContain('<meta name="description" content="说明">');
+        expect(html).toContain('<body class="theme-dark">');
+        expect(html).toContain('.custom { color: red; }');
+        expect(html).toContain('window.loaded = true;');
+    });
+
+    it('includeStyles 为 false 时不应该嵌入样式', () => {
+        expect(render('# 标题', { includeStyles: false }).html).not.toContain('<style>');
+    });
+
+    it('应该注册传入的插件，且只对本次转换生效', () => {
+        const plugin = {
+            name: 'kbd',
+            postprocess: html => html.replace(/\[\[(\w+)\]\]/g, '<kbd>$1</kbd>'),
+            sanitize: { tags: ['kbd'] },
+            styles: 'kbd { border: 1px solid; }'
+        };
+
+        const result = render('按 [[Ctrl]]', { plugins: [plugin] });
+        expect(result.html).toContain('<kbd>Ctrl</kbd>');
+        expect(result.html).toContain('kbd { border: 1px solid; }');
+
+        expect(render('按 [[Ctrl]]').html).not.toContain('<kbd>');
+    });
+
+    it('清理移除的内容应该出现在警告中', () => {
+        const result = render('<span onclick="run()">文字</span>', { sanitizePolicy: 'safe' });
+
+        expect(result.html).not.toContain('onclick');
+        expect(result.warnings).toEqual(['已移除 1 个onclick 属性']);
+    });
+
+    it('应该嵌入图片，无法嵌入的图片出现在警告中', () => {
+        const images = new ImageStore();
+        images.add('logo.png', new Uint8Array([0x89, 0x50, 0x4e, 0x47]));
+        const result = render('![标志](logo.png) ![缺失](missing.png)', { images });
+
+        expect(result.html).toContain('src="data:image/png;base64,iVBORw=="');
+        expect(result.warnings).toEqual(['无法嵌入图片 missing.png: 找不到图片文件']);
+    });
+
+    it('应该支持目录和代码高亮选项', () => {
+        const result = render('# 标题\n\n```js\nconst a = 1;\n```', {
+            toc: true,
+            highlighter: new PrismHighlighter(Prism)
+        });
+
+        expect(result.html).toContain('<nav class="table-of-contents">');
+        expect(result.html).toContain('<span class="token keyword">const</span>');
+    });
+
+    it('应该导出核心类', () => {
+        expect(new MarkdownConverter().parseMarkdown('**粗体**')).toContain('<strong>粗体</strong>');
+    });
+});
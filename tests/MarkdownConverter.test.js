@@ -2,8 +2,9 @@
  * MarkdownConverter 单元测试
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { MarkdownConverter } from '../src/core/MarkdownConverter.js';
+import { createHighlightPlugin } from '../src/core/BuiltinPlugins.js';
 
 describe('MarkdownConverter', () => {
     let converter;
@@ -61,6 +62,69 @@ describe('MarkdownConverter', () => {
             expect(result).toContain('<td>值1</td>');
         });
 
+        it('应该清理原始 HTML 中的脚本', () => {
+            const markdown = '正文 <img src="x.png" onerror="alert(1)">\n\n<script>alert(1)</script>';
+            const result = converter.parseMarkdown(markdown);
+
+            expect(result).not.toContain('onerror');
+            expect(result).not.toContain('<script>');
+            expect(converter.getSanitizeReport().removed.length).toBeGreaterThan(0);
+        });
+
+        it('应该支持切换清理策略', () => {
+            converter.setSanitizePolicy('trusted');
+            const result = converter.parseMarkdown('<span onclick="x()">可信</span>');
+
+            expect(result).toContain('onclick');
+        });
+
+        it('应该移除 front matter 并记录其内容', () => {
+            const markdown = '---\ntitle: 文档标题\nlang: en\n---\n# 正文';
+            const result = converter.parseMarkdown(markdown);
+
+            expect(result).not.toContain('<hr>');
+            expect(result).not.toContain('title:');
+            expect(result).toContain('<h1 id="正文">正文</h1>');
+            expect(converter.getDocumentOptions()).toEqual({ title: '文档标题', lang: 'en' });
+        });
+
+        it('应该将数学公式渲染为 MathML', () => {
+            const markdown = '行内 $a_1 * b_2$ 公式\n\n$$\n\\frac{1}{2}\n$$';
+            const result = converter.parseMarkdown(markdown);
+
+            expect(result).toContain('<span class="math math-inline"><math');
+            expect(result).toContain('<msub><mi>a</mi><mn>1</mn></msub>');
+            expect(result).not.toContain('<em>');
+            expect(result).toContain('<div class="math math-display"><math');
+            expect(result).toContain('<mfrac><mn>1</mn><mn>2</mn></mfrac>');
+            expect(converter.getExportStyles()).toContain('.math-display');
+        });
+
+        it('块级公式中不能有空行', () => {
+            const result = converter.parseMarkdown('$$\na\n\nb\n$$');
+
+            expect(result).not.toContain('math-display');
+        });
+
+        it('不应该把金额识别为公式', () => {
+            const result = converter.parseMarkdown('价格从 $5 涨到 $10');
+
+            expect(result).not.toContain('<math');
+            expect(converter.getExportStyles()).toBe('');
+        });
+
+        it('应该将图表代码块渲染为 SVG', () => {
+            const markdown = '```mermaid\ngraph TD\n  A[开始] --> B[结束]\n```\n\n```js\nconst a = 1;\n```';
+            const result = converter.parseMarkdown(markdown);
+
+            expect(result).toContain('<div class="diagram diagram-flowchart"><svg');
+            expect(result).toContain('<rect');
+            expect(result).toContain('开始');
+            expect(result).toContain('<code class="language-js">');
+            expect(converter.getSanitizeReport().removed).toHaveLength(0);
+            expect(converter.getExportStyles()).toContain('.diagram-svg');
+        });
+
         it('应该处理解析错误', () => {
             // 模拟解析错误的情况
             const invalidInput = { invalid: 'object' };
@@ -109,9 +173,33 @@ describe('MarkdownConverter', () => {
             expect(converter.generateHeadingId('Mixed 中英文 Title')).toBe('mixed-中英文-title');
         });
 
-        it('应该处理特殊字符', () => {
-            expect(converter.generateHeadingId('Title with @#$%')).toBe('title-with');
-            expect(converter.generateHeadingId('---Title---')).toBe('title');
+        it('应该与 GitHub 一样处理特殊字符', () => {
+            expect(converter.generateHeadingId('Title with @#$%')).toBe('title-with-');
+            expect(converter.generateHeadingId('---Title---')).toBe('---title---');
+            expect(converter.generateHeadingId('🎉 发布说明')).toBe('-发布说明');
+        });
+
+        it('重复的标题应该依次追加序号', () => {
+            const result = converter.parseMarkdown('## 示例\n\n## 示例\n\n## 示例-1\n\n## 示例');
+
+            expect([...result.matchAll(/id="([^"]*)"/g)].map(match => match[1]))
+                .toEqual(['示例', '示例-1', '示例-1-1', '示例-2']);
+        });
+
+        it('应该使用标题的纯文本生成 ID', () => {
+            expect(converter.parseMarkdown('## 使用 `npm` 安装 *依赖*'))
+                .toContain('<h2 id="使用-npm-安装-依赖">');
+            expect(converter.parseMarkdown('## A &amp; B')).toContain('<h2 id="a--b">');
+        });
+
+        it('行内 HTML 标签和图片的替代文字不应该出现在 ID 中', () => {
+            expect(converter.parseMarkdown('## Use <kbd>Ctrl</kbd> key')).toContain('<h2 id="use-ctrl-key">');
+            expect(converter.parseMarkdown('## ![logo](x.png) Title')).toContain('<h2 id="-title">');
+        });
+
+        it('每次解析应该重新计算重复序号', () => {
+            converter.parseMarkdown('## 示例');
+            expect(converter.parseMarkdown('## 示例')).toContain('<h2 id="示例">');
         });
     });
 
@@ -129,6 +217,18 @@ describe('MarkdownConverter', () => {
             expect(result).toContain('<h1>测试</h1>');
         });
 
+        it('应该使用文档语言和元信息', () => {
+            const result = converter.generateHTML('<p>Test</p>', {
+                lang: 'en',
+                author: 'Alice',
+                description: 'A "quoted" summary'
+            });
+
+            expect(result).toContain('<html lang="en">');
+            expect(result).toContain('<meta name="author" content="Alice">');
+            expect(result).toContain('content="A &quot;quoted&quot; summary"');
+        });
+
         it('应该使用默认选项', () => {
             const content = '<p>测试</p>';
             const result = converter.generateHTML(content);
@@ -161,4 +261,191 @@ describe('MarkdownConverter', () => {
             expect(styles).toContain('#1a1a1a'); // 暗色背景
         });
     });
-});
\ No newline at end of file
+
+    describe('源码行号', () => {
+        it('默认不添加源码行号', () => {
+            expect(converter.parseMarkdown('# 标题')).not.toContain('data-source-line');
+        });
+
+        it('应该为顶层块元素添加源码行号', () => {
+            converter = new MarkdownConverter({ sourceLines: true });
+            const markdown = '# 标题\n\n第一行\n第二行\n\n[链接]: https://example.com\n\n- 列表\n- 项目\n\n```js\ncode\n```\n\n> [!NOTE]\n> 提示';
+            const result = converter.parseMarkdown(markdown);
+
+            expect(result).toContain('<h1 data-source-line="1" id="标题">');
+            expect(result).toContain('<p data-source-line="3">');
+            expect(result).toContain('<ul data-source-line="8">');
+            expect(result).toContain('<pre data-source-line="11">');
+            expect(result).toContain('<div data-source-line="15" class="alert alert-note"');
+            expect(result).not.toContain('source-line:');
+        });
+
+        it('行号应该包含 front matter 占用的行', () => {
+            converter = new MarkdownConverter({ sourceLines: true });
+            const result = converter.parseMarkdown('---\ntitle: 文档\n---\n\t\n正文[^1]\n\n[^1]: 脚注');
+
+            expect(result).toContain('<p data-source-line="5">正文');
+            expect(result).toContain('<section class="footnotes">');
+        });
+    });
+
+    describe('按块解析', () => {
+        const markdown = '# 标题\n\n段落 [链接]\n\n```js\ncode\n```\n\n- 列表\n\n[链接]: https://example.com';
+
+        it('结果应该与整篇解析一致', () => {
+            converter = new MarkdownConverter({ sourceLines: true });
+            const { html, blocks } = converter.parseBlocks(markdown);
+
+            expect(html).toBe(new MarkdownConverter({ sourceLines: true }).parseMarkdown(markdown));
+            expect(blocks.map(block => block.line)).toEqual([1, 3, 5, 9]);
+            expect(blocks[1].key).toBe('<p>段落 <a href="https://example.com">链接</a></p>\n');
+        });
+
+        it('修改一个块时其他块的标识不变，只有行号变化', () => {
+            converter = new MarkdownConverter({ sourceLines: true });
+            const before = converter.parseBlocks(markdown).blocks;
+            const after = converter.parseBlocks(markdown.replace('# 标题', '# 新标题\n\n新段落')).blocks;
+
+            expect(after).toHaveLength(5);
+            expect(after[0].key).not.toBe(before[0].key);
+            expect(after.slice(2).map(block => block.key)).toEqual(before.slice(1).map(block => block.key));
+            expect(after[2].line).toBe(5);
+            expect(converter.incrementalLexer.lastStats.incremental).toBe(true);
+        });
+
+        it('包含未闭合 HTML 的文档应该作为一个块', () => {
+            const { blocks } = converter.parseBlocks('<div>\n\n段落\n\n</div>');
+
+            expect(blocks).toHaveLength(1);
+            expect(blocks[0].html).toContain('<p>段落</p>');
+        });
+
+        it('分段解析的结果应该与 parseBlocks 一致并报告进度', async () => {
+            converter = new MarkdownConverter({ sourceLines: true });
+            const progress = [];
+            const result = await converter.parseBlocksAsync(markdown, { onProgress: value => progress.push(value) });
+
+            expect(result).toEqual(new MarkdownConverter({ sourceLines: true }).parseBlocks(markdown));
+            expect(progress.length).toBeGreaterThan(0);
+            expect(progress.every(value => value > 0 && value <= 1)).toBe(true);
+        });
+
+        it('取消分段解析时应该返回 null', async () => {
+            const controller = new AbortController();
+            const result = converter.parseBlocksAsync(markdown, {
+                signal: controller.signal,
+                onProgress: () => controller.abort()
+            });
+
+            expect(await result).toBeNull();
+        });
+
+        it('解析状态应该可以同步到其他转换器', () => {
+            converter.parseBlocks('---\ntitle: 文档\n---\n\n公式 $x^2$');
+            const other = new MarkdownConverter();
+            other.applyRenderState(converter.getRenderState());
+
+            expect(other.getDocumentOptions().title).toBe('文档');
+            expect(other.usedFeatures.has('math')).toBe(true);
+            expect(other.getSanitizeReport()).toEqual(converter.getSanitizeReport());
+        });
+
+        it('同步解析状态后只在本地注册的插件应该保持启用', () => {
+            converter.parseBlocks('---\nplugins: [-math]\n---\n\n# 标题');
+            const other = new MarkdownConverter();
+            const afterRender = vi.fn();
+            other.use({ name: 'local-preview', afterRender });
+            other.applyRenderState(converter.getRenderState());
+            other.afterRender({});
+
+            expect(afterRender).toHaveBeenCalled();
+            expect(other.activePlugins.some(plugin => plugin.name === 'math')).toBe(false);
+        });
+    });
+
+    describe('插件', () => {
+        it('内置功能应该注册为插件', () => {
+            expect(converter.getPluginNames()).toEqual(['source-line', 'toc', 'highlight', 'math', 'diagram', 'alert', 'extended-syntax']);
+        });
+
+        it('应该依次调用预处理和后处理钩子', () => {
+            converter.use({
+                name: 'shout',
+                preprocess: (markdown) => markdown.replace(/hello/g, 'HELLO'),
+                postprocess: (html, context) => `${html}<p>${context.plugins.length}</p>`
+            });
+
+            expect(converter.parseMarkdown('hello')).toBe('<p>HELLO</p>\n<p>7</p>');
+        });
+
+        it('应该支持分词器扩展、导出样式和脚本', () => {
+            converter.use({
+                name: 'kbd',
+                extensions: [{
+                    name: 'kbd',
+                    level: 'inline',
+                    start: (src) => src.indexOf('[['),
+                    tokenizer(src) {
+                        const match = /^\[\[([^\]]+)\]\]/.exec(src);
+                        if (match) return { type: 'kbd', raw: match[0], text: match[1] };
+                    },
+                    renderer: (token) => `<kbd>${token.text}</kbd>`
+                }],
+                sanitize: { tags: ['kbd'] },
+                styles: 'kbd { border: 1px solid; }',
+                scripts: (context) => `console.log(${context.plugins.includes('kbd')})`
+            });
+
+            converter.setSanitizePolicy('strict');
+            expect(converter.parseMarkdown('按 [[Ctrl]]')).toBe('<p>按 <kbd>Ctrl</kbd></p>\n');
+            expect(converter.getExportStyles()).toContain('kbd { border: 1px solid; }');
+            expect(converter.getExportScripts()).toBe('console.log(true)');
+            expect(converter.getSanitizerAllowList().tags).toContain('kbd');
+        });
+
+        it('应该可以通过 front matter 开启和禁用插件', () => {
+            converter.use({ name: 'footer', enabled: false, postprocess: (html) => `${html}<footer>尾注</footer>` });
+
+            expect(converter.parseMarkdown('$x$')).not.toContain('尾注');
+
+            const result = converter.parseMarkdown('---\nplugins: [footer, -math]\n---\n$x$');
+            expect(result).toContain('<footer>尾注</footer>');
+            expect(result).toContain('$x$');
+            expect(result).not.toContain('<math');
+        });
+
+        it('禁用目录插件后标题不再生成 ID', () => {
+            converter.parseMarkdown('# 标题');
+            expect(converter.getHeadings()).toEqual([{ level: 1, text: '标题', id: '标题' }]);
+
+            expect(converter.parseMarkdown('---\nplugins: -toc\n---\n# 标题')).toBe('<h1>标题</h1>\n');
+            expect(converter.getHeadings()).toEqual([]);
+        });
+
+        it('同名插件应该替换已注册的插件', () => {
+            const highlighter = { highlightCodeBlocks: vi.fn() };
+            converter.use(createHighlightPlugin(highlighter));
+            converter.parseMarkdown('```js\nlet a;\n```');
+
+            const container = document.createElement('div');
+            converter.afterRender(container);
+
+            expect(converter.getPluginNames().filter(name => name === 'highlight')).toHaveLength(1);
+            expect(highlighter.highlightCodeBlocks).toHaveBeenCalledWith(container);
+        });
+
+        it('应该可以在解析前处理 token 列表', () => {
+            converter.use({
+                name: 'drop-hr',
+                processTokens: (tokens) => tokens.filter(token => token.type !== 'hr')
+            });
+
+            expect(converter.parseMarkdown('a\n\n---\n\nb')).not.toContain('<hr>');
+        });
+
+        it('无效的插件应该抛出错误', () => {
+            expect(() => converter.use({})).toThrow('插件必须是带有 name 的对象');
+            expect(() => converter.use({ name: 'bad', postprocess: 'x' })).toThrow('postprocess 必须是函数');
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * MarkdownWorkerHost / MarkdownWorkerClient 单元测试
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MarkdownConverter } from '../src/core/MarkdownConverter.js';
+import { MarkdownWorkerHost } from '../src/core/MarkdownWorkerHost.js';
+import { MarkdownWorkerClient } from '../src/core/MarkdownWorkerClient.js';
+import { PrismHighlighter } from '../src/core/PrismHighlighter.js';
+import { Prism } from '../src/core/PrismLanguages.js';
+
+const markdown = '---\ntitle: 文档\n---\n\n# 标题\n\n段落\n\n```js\nconst a = 1;\n```\n\n## 小节\n';
+
+/**
+ * 在当前线程中运行 MarkdownWorkerHost 的模拟 Worker，消息异步传递
+ */
+class FakeWorker {
+    constructor() {
+        this.listeners = { message: [], error: [] };
+        this.sent = [];
+        this.terminated = false;
+        this.host = new MarkdownWorkerHost(
+            (message) => setTimeout(() => this.emit('message', { data: message }), 0),
+            { highlighter: new PrismHighlighter(Prism) }
+        );
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    postMessage(message) {
+        this.sent.push(message);
+        setTimeout(() => this.host.handleMessage(message), 0);
+    }
+
+    emit(type, event) {
+        this.listeners[type].forEach(listener => listener(event));
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+describe('MarkdownWorkerHost', () => {
+    let messages;
+    let host;
+
+    beforeEach(() => {
+        messages = [];
+        host = new MarkdownWorkerHost(message => messages.push(message), {
+            highlighter: new PrismHighlighter(Prism)
+        });
+    });
+
+    it('应该返回解析结果、标题和解析状态', async () => {
+        await host.handleMessage({ type: 'parse', id: 1, content: markdown });
+
+        const result = messages.find(message => message.type === 'result');
+        expect(result.id).toBe(1);
+        expect(result.result.html).toContain('<span class="token keyword">const</span>');
+        expect(result.result.headings.map(heading => [heading.level, heading.text, heading.id]))
+            .toEqual([[1, '标题', '标题'], [2, '小节', '小节']]);
+        expect(result.result.state.frontMatter.data.title).toBe('文档');
+        expect(messages.some(message => message.type === 'progress')).toBe(true);
+    });
+
+    it('新任务应该取消尚未完成的旧任务', async () => {
+        const first = host.handleMessage({ type: 'parse', id: 1, content: markdown });
+        const second = host.handleMessage({ type: 'parse', id: 2, content: '# 新内容' });
+        await Promise.all([first, second]);
+
+        expect(messages.filter(message => message.id === 1).map(message => message.type)).toEqual(['cancelled']);
+        expect(messages.find(message => message.type === 'result').id).toBe(2);
+    });
+
+    it('应该按照消息中的清理策略解析', async () => {
+        await host.handleMessage({
+            type: 'parse',
+            id: 1,
+            content: '<span style="color: red">文字</span>',
+            options: { sanitizePolicy: 'strict' }
+        });
+
+        const result = messages.find(message => message.type === 'result');
+        expect(result.result.html).not.toContain('style=');
+        expect(result.result.state.sanitizeReport.policy).toBe('strict');
+    });
+});
+
+describe('MarkdownWorkerClient', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new MarkdownConverter({ sourceLines: true });
+    });
+
+    it('应该通过 Worker 解析并同步解析状态', async () => {
+        const worker = new FakeWorker();
+        const client = new MarkdownWorkerClient(converter, { createWorker: () => worker });
+        const progress = [];
+
+        const result = await client.parse(markdown, { onProgress: value => progress.push(value) });
+
+        expect(worker.sent[0]).toMatchObject({ type: 'parse', content: markdown, options: { sanitizePolicy: 'safe' } });
+        expect(result.blocks.map(block => block.line)).toEqual([5, 7, 9, 13]);
+        expect(result.headings).toHaveLength(2);
+        expect(progress.length).toBeGreaterThan(0);
+        expect(converter.getDocumentOptions().title).toBe('文档');
+    });
+
+    it('被新任务取代的解析应该返回 null 并通知 Worker 取消', async () => {
+        const worker = new FakeWorker();
+        const client = new MarkdownWorkerClient(converter, { createWorker: () => worker });
+
+        const first = client.parse(markdown);
+        const second = client.parse('# 新内容');
+
+        expect(await first).toBeNull();
+        expect((await second).html).toContain('新内容');
+        expect(worker.sent.map(message => message.type)).toEqual(['parse', 'cancel', 'parse']);
+    });
+
+    it('不支持 Worker 时应该在主线程解析', async () => {
+        const client = new MarkdownWorkerClient(converter, { createWorker: () => null });
+
+        const result = await client.parse(markdown);
+
+        expect(result.html).toBe(new MarkdownConverter({ sourceLines: true }).parseBlocks(markdown).html);
+        expect(result.headings.map(heading => heading.text)).toEqual(['标题', '小节']);
+        expect(client.canUseWorker()).toBe(false);
+    });
+
+    it('Worker 出错时应该在主线程完成未完成的任务', async () => {
+        const worker = new FakeWorker();
+        worker.postMessage = vi.fn();
+        const client = new MarkdownWorkerClient(converter, { createWorker: () => worker });
+
+        const pending = client.parse(markdown);
+        worker.emit('error', { message: '加载失败' });
+
+        expect((await pending).headings).toHaveLength(2);
+        expect(worker.terminated).toBe(true);
+        expect(client.canUseWorker()).toBe(false);
+    });
+
+    it('注册了影响解析的自定义插件时不应该使用 Worker', async () => {
+        const createWorker = vi.fn(() => new FakeWorker());
+        const client = new MarkdownWorkerClient(converter, { createWorker });
+        converter.use({ name: 'footer', postprocess: html => html + '<p>页脚</p>' });
+
+        const result = await client.parse('段落');
+
+        expect(createWorker).not.toHaveBeenCalled();
+        expect(result.html).toContain('<p>页脚</p>');
+    });
+});
+
+describe('PrismHighlighter', () => {
+    const highlighter = new PrismHighlighter(Prism);
+
+    it('应该把代码转换为高亮 HTML', () => {
+        expect(highlighter.highlight('let a = "x";', 'JavaScript'))
+            .toContain('<span class="token string">"x"</span>');
+        expect(highlighter.highlight('fn main() {}', 'rust')).toContain('token keyword');
+    });
+
+    it('不支持的语言应该返回 null', () => {
+        expect(highlighter.highlight('code', 'unknown-language')).toBeNull();
+        expect(highlighter.highlight('code', '')).toBeNull();
+        expect(highlighter.highlight('code', 'extend')).toBeNull();
+    });
+
+    it('转换器使用高亮器时应该在解析阶段输出高亮结果', () => {
+        const converter = new MarkdownConverter({ sanitizePolicy: 'strict', highlighter });
+        const html = converter.parseMarkdown('```python\nprint("hi")\n```\n\n```unknown\n<b>\n```');
+
+        expect(html).toContain('<pre class="language-python"><code class="language-python"><span class="token keyword">print</span>');
+        expect(html).toContain('<code class="language-unknown">&lt;b&gt;\n</code>');
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * MathRenderer 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MathRenderer } from '../src/core/MathRenderer.js';
+
+describe('MathRenderer', () => {
+    let renderer;
+
+    beforeEach(() => {
+        renderer = new MathRenderer();
+    });
+
+    describe('render', () => {
+        it('应该渲染行内公式', () => {
+            const result = renderer.render('x^2');
+
+            expect(result).toContain('<span class="math math-inline">');
+            expect(result).toContain('display="inline"');
+            expect(result).toContain('<msup><mi>x</mi><mn>2</mn></msup>');
+            expect(result).toContain('<annotation encoding="application/x-tex">x^2</annotation>');
+        });
+
+        it('应该渲染块级公式', () => {
+            const result = renderer.render('a', { displayMode: true });
+
+            expect(result).toContain('<div class="math math-display">');
+            expect(result).toContain('display="block"');
+        });
+
+        it('解析失败时应该显示原始公式', () => {
+            const result = renderer.render('\\frac{1');
+
+            expect(result).toContain('math-error');
+            expect(result).toContain('$\\frac{1$');
+            expect(result).not.toContain('<math');
+        });
+
+        it('应该转义公式中的 HTML 字符', () => {
+            const result = renderer.render('a < b');
+
+            expect(result).toContain('<mo>&lt;</mo>');
+            expect(result).not.toContain('< b');
+        });
+    });
+
+    describe('toMathML', () => {
+        it('应该渲染分式和根式', () => {
+            expect(renderer.toMathML('\\frac{a}{b}')).toContain('<mfrac><mi>a</mi><mi>b</mi></mfrac>');
+            expect(renderer.toMathML('\\sqrt{x}')).toContain('<msqrt><mi>x</mi></msqrt>');
+            expect(renderer.toMathML('\\sqrt[3]{x}')).toContain('<mroot><mi>x</mi><mn>3</mn></mroot>');
+        });
+
+        it('应该渲染希腊字母和符号', () => {
+            const result = renderer.toMathML('\\alpha \\leq \\infty');
+
+            expect(result).toContain('<mi>α</mi>');
+            expect(result).toContain('<mo>≤</mo>');
+            expect(result).toContain('∞');
+        });
+
+        it('块级公式中的求和上下限应该放在上下方', () => {
+            const display = renderer.toMathML('\\sum_{i=1}^n i', true);
+            const inline = renderer.toMathML('\\sum_{i=1}^n i', false);
+
+            expect(display).toContain('<munderover>');
+            expect(inline).toContain('<msubsup>');
+        });
+
+        it('上标中的多位数字只取第一位', () => {
+            expect(renderer.toMathML('x^23')).toContain('<msup><mi>x</mi><mn>2</mn></msup><mn>3</mn>');
+        });
+
+        it('应该保留 \\text 中的空格', () => {
+            expect(renderer.toMathML('\\text{if x}')).toContain('<mtext>if x</mtext>');
+        });
+
+        it('应该渲染矩阵和分段函数', () => {
+            const matrix = renderer.toMathML('\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}');
+            const cases = renderer.toMathML('\\begin{cases} 1 & x > 0 \\\\ 0 & x \\le 0 \\end{cases}');
+
+            expect(matrix).toContain('<mtable>');
+            expect((matrix.match(/<mtr>/g) || []).length).toBe(2);
+            expect(matrix).toContain('<mo fence="true" stretchy="true">(</mo>');
+            expect(cases).toContain('columnalign="left"');
+        });
+
+        it('应该渲染 \\left 和 \\right 定界符', () => {
+            const result = renderer.toMathML('\\left[ x \\right)');
+
+            expect(result).toContain('<mo fence="true" stretchy="true">[</mo>');
+            expect(result).toContain('<mo fence="true" stretchy="true">)</mo>');
+        });
+
+        it('未知命令应该显示为错误节点', () => {
+            expect(renderer.toMathML('\\unknown')).toContain('<merror><mtext>\\unknown</mtext></merror>');
+        });
+
+        it('应该拒绝不匹配的环境', () => {
+            expect(() => renderer.toMathML('\\begin{matrix} a \\end{cases}')).toThrow('环境不匹配');
+        });
+    });
+});
@@ -0,0 +1,142 @@
+// @vitest-environment node
+/**
+ * NotebookConverter 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { NotebookConverter } from '../src/core/NotebookConverter.js';
+
+// 1x1 PNG 文件头，只用于检查解码
+const PNG_BASE64 = 'iVBORw0KGgo=';
+
+const notebook = (cells, metadata = { kernelspec: { language: 'python' } }) => JSON.stringify({
+    nbformat: 4,
+    nbformat_minor: 5,
+    metadata,
+    cells
+});
+
+const codeCell = (source, outputs = [], tags = []) => ({
+    cell_type: 'code',
+    metadata: { tags },
+    source,
+    outputs
+});
+
+describe('NotebookConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new NotebookConverter();
+    });
+
+    it('应该保留 Markdown 单元格并把代码转换为带语言的代码块', () => {
+        const { markdown } = converter.convert(notebook([
+            { cell_type: 'markdown', source: ['# 分析\n', '\n', '说明文字'] },
+            codeCell(['x = 1\n', 'print(x)\n'])
+        ], { language_info: { name: 'R' } }));
+
+        expect(markdown).toBe('# 分析\n\n说明文字\n\n```r\nx = 1\nprint(x)\n```');
+    });
+
+    it('应该把流输出和错误转换为文本块并去掉终端颜色', () => {
+        const { markdown } = converter.convert(notebook([codeCell('run()', [
+            { output_type: 'stream', name: 'stdout', text: ['第一行\n', '第二行\n'] },
+            { output_type: 'error', ename: 'ValueError', evalue: '无效', traceback: ['\u001b[0;31mValueError\u001b[0m: 无效'] }
+        ])]));
+
+        expect(markdown).toBe('```python\nrun()\n```\n\n```text\n第一行\n第二行\n```\n\n```text\nValueError: 无效\n```');
+    });
+
+    it('应该把 HTML 输出转换为表格，没有 HTML 时使用纯文本', () => {
+        const { markdown } = converter.convert(notebook([codeCell('df', [
+            {
+                output_type: 'execute_result',
+                data: {
+                    'text/html': ['<div><style scoped>.dataframe td { color: red; }</style>',
+                        '<table class="dataframe"><thead><tr><th></th><th>a</th></tr></thead>',
+                        '<tbody><tr><th>0</th><td>1</td></tr></tbody></table></div>'],
+                    'text/plain': ['   a\n', '0  1']
+                }
+            },
+            { output_type: 'execute_result', data: { 'text/plain': '42' } }
+        ])]));
+
+        expect(markdown).toBe('```python\ndf\n```\n\n|  | a |\n| --- | --- |\n| 0 | 1 |\n\n```text\n42\n```');
+    });
+
+    it('应该取出图片输出和单元格附件', () => {
+        const { markdown, images } = converter.convert(notebook([
+            {
+                cell_type: 'markdown',
+                source: '![流程](attachment:flow.png)',
+                attachments: { 'flow.png': { 'image/png': PNG_BASE64 } }
+            },
+            codeCell('plot()', [{
+                output_type: 'display_data',
+                data: { 'image/svg+xml': ['<svg xmlns="http://www.w3.org/2000/svg"/>'], 'text/plain': ['<Figure size 640x480 with 1 Axes>'] }
+            }])
+        ]));
+
+        expect(markdown).toBe('![流程](image-1.png)\n\n```python\nplot()\n```\n\n![](image-2.svg)');
+        expect(images.map(({ name, mimeType }) => [name, mimeType])).toEqual([
+            ['image-1.png', 'image/png'],
+            ['image-2.svg', 'image/svg+xml']
+        ]);
+        expect(Array.from(images[0].data.slice(0, 4))).toEqual([0x89, 0x50, 0x4e, 0x47]);
+        expect(new TextDecoder().decode(images[1].data)).toBe('<svg xmlns="http://www.w3.org/2000/svg"/>');
+    });
+
+    describe('隐藏代码和输出', () => {
+        const cells = [codeCell('print(1)', [{ output_type: 'stream', name: 'stdout', text: '1\n' }])];
+
+        it('hideCode 时应该只保留输出', () => {
+            converter.setOptions({ hideCode: true });
+
+            expect(converter.convert(notebook(cells)).markdown).toBe('```text\n1\n```');
+        });
+
+        it('hideOutputs 时应该只保留代码', () => {
+            converter.setOptions({ hideOutputs: true });
+
+            expect(converter.convert(notebook(cells)).markdown).toBe('```python\nprint(1)\n```');
+        });
+
+        it('应该按单元格标签隐藏代码、输出或整个单元格', () => {
+            const output = [{ output_type: 'execute_result', data: { 'text/plain': '2' } }];
+            const { markdown } = converter.convert(notebook([
+                codeCell('a', output, ['remove-input']),
+                codeCell('b', output, ['hide-output']),
+                codeCell('c', output, ['remove-cell'])
+            ]));
+
+            expect(markdown).toBe('```text\n2\n```\n\n```python\nb\n```');
+        });
+
+        it('应该忽略无效的选项', () => {
+            converter.setOptions({ hideCode: 'yes' });
+
+            expect(converter.getOptions()).toEqual({ hideCode: false, hideOutputs: false });
+        });
+    });
+
+    it('应该把标题写入 front matter 并提示无法显示的输出', () => {
+        const { markdown, warnings } = converter.convert(notebook([
+            codeCell('slider', [{ output_type: 'display_data', data: { 'application/vnd.jupyter.widget-view+json': { model_id: '1' } } }])
+        ], { title: '季度报告' }));
+
+        expect(markdown).toBe('---\ntitle: "季度报告"\n---\n\n```python\nslider\n```');
+        expect(warnings).toEqual(['1 个输出无法显示（如交互控件），已忽略']);
+    });
+
+    it('代码中有反引号围栏时应该使用更长的围栏', () => {
+        const { markdown } = converter.convert(notebook([codeCell('s = """\n```\n"""')]));
+
+        expect(markdown).toBe('````python\ns = """\n```\n"""\n````');
+    });
+
+    it('应该拒绝无效的笔记本', () => {
+        expect(() => converter.convert('{')).toThrow('不是有效的 Jupyter 笔记本（.ipynb）');
+        expect(() => converter.convert('{"nbformat": 3, "worksheets": []}')).toThrow('只支持 nbformat 4 及以上版本的笔记本');
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * PreviewPanel 单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { PreviewPanel } from '../src/components/PreviewPanel.js';
+import { MarkdownConverter } from '../src/core/MarkdownConverter.js';
+
+describe('PreviewPanel', () => {
+    let converter;
+    let panel;
+
+    const markdown = '# 标题\n\n第一段\n\n```js\ncode\n```\n\n## 小节\n\n最后一段';
+
+    const render = (content) => panel.updateBlocks(converter.parseBlocks(content).blocks);
+
+    beforeEach(() => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        converter = new MarkdownConverter({ sourceLines: true });
+        panel = new PreviewPanel(container);
+        panel.render();
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    describe('按块更新', () => {
+        it('首次更新应该渲染全部内容并返回预览容器', () => {
+            const changed = render(markdown);
+
+            expect(changed).toEqual([panel.previewContent]);
+            expect(panel.getContent()).toBe(converter.parseMarkdown(markdown));
+            expect(panel.tableOfContents.getItemCount()).toBe(2);
+        });
+
+        it('只应该替换变化的块', () => {
+            render(markdown);
+            const code = panel.previewContent.querySelector('pre');
+            const heading = panel.previewContent.querySelector('h2');
+
+            const changed = render(markdown.replace('第一段', '第一段\n\n新增段落'));
+
+            expect(changed.map(element => element.outerHTML)).toEqual(['<p data-source-line="5">新增段落</p>']);
+            expect(panel.previewContent.querySelector('pre')).toBe(code);
+            expect(panel.previewContent.querySelector('h2')).toBe(heading);
+        });
+
+        it('复用的块应该更新源码行号', () => {
+            render(markdown);
+            render(markdown.replace('第一段', '第一段\n\n新增段落'));
+
+            expect(panel.previewContent.querySelector('pre').dataset.sourceLine).toBe('7');
+            expect(panel.previewContent.querySelector('h2').dataset.sourceLine).toBe('11');
+            expect(panel.getContent()).toBe(converter.parseMarkdown(markdown.replace('第一段', '第一段\n\n新增段落')));
+        });
+
+        it('标题没有变化时不应该重新生成目录', () => {
+            render(markdown);
+            const tocLink = panel.tableOfContents.tocContent.querySelector('.toc-link');
+
+            render(markdown.replace('最后一段', '最后一段（修改）'));
+            expect(panel.tableOfContents.tocContent.querySelector('.toc-link')).toBe(tocLink);
+
+            render(markdown.replace('## 小节', '## 新小节'));
+            expect(panel.tableOfContents.tocContent.textContent).toContain('新小节');
+        });
+
+        it('整体替换内容后应该重新完整渲染', () => {
+            render(markdown);
+            panel.updateContent('<p>错误</p>');
+
+            expect(render(markdown)).toEqual([panel.previewContent]);
+            expect(panel.getContent()).toBe(converter.parseMarkdown(markdown));
+        });
+    });
+});
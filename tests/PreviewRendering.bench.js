@@ -0,0 +1,58 @@
+/**
+ * 预览渲染性能基准
+ * 对比大文档中修改一个字符后整篇重新渲染与按块增量渲染的耗时
+ * 运行：npm run bench
+ */
+
+import { describe, bench } from 'vitest';
+import { MarkdownConverter } from '../src/core/MarkdownConverter.js';
+import { PreviewPanel } from '../src/components/PreviewPanel.js';
+
+// 生成约 500KB 的手册
+const section = (i) => `## 第 ${i} 节\n\n这是一段 **加粗** 和 *斜体* 的文字，包含 \`code\` 与 [链接](https://example.com/${i})。\n\n`
+    + '- 列表项 A\n- 列表项 B\n\n'
+    + `\`\`\`js\nconst value = ${i};\nconsole.log(value);\n\`\`\`\n\n`
+    + `| 名称 | 数值 |\n|---|---|\n| 第 ${i} 项 | ${i * 2} |\n\n`
+    + `> 引用内容 ${i}\n\n`;
+
+let document500k = '# 手册\n\n';
+for (let i = 0; document500k.length < 500000; i++) {
+    document500k += section(i);
+}
+
+// 在文档中间的段落里交替插入和删除一个字符，模拟输入
+const middle = document500k.indexOf('这是一段', document500k.length / 2);
+const edits = [
+    document500k,
+    document500k.slice(0, middle) + '新' + document500k.slice(middle)
+];
+
+function createPanel() {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const panel = new PreviewPanel(container);
+    panel.render();
+    return panel;
+}
+
+describe('500KB 文档修改一个字符后更新预览', () => {
+    const fullConverter = new MarkdownConverter({ sourceLines: true });
+    const fullPanel = createPanel();
+    let fullIndex = 0;
+
+    bench('整篇重新渲染', () => {
+        const content = edits[fullIndex++ % 2];
+        // 不复用上一次的分词结果，与增量渲染之前的流程一致
+        fullConverter.incrementalLexer.reset();
+        fullPanel.updateContent(fullConverter.parseMarkdown(content));
+    }, { iterations: 3, time: 0, warmupIterations: 1 });
+
+    const blockConverter = new MarkdownConverter({ sourceLines: true });
+    const blockPanel = createPanel();
+    let blockIndex = 0;
+
+    bench('按块增量渲染', () => {
+        const content = edits[blockIndex++ % 2];
+        blockPanel.updateBlocks(blockConverter.parseBlocks(content).blocks);
+    }, { iterations: 20, time: 0, warmupIterations: 1 });
+});
@@ -0,0 +1,53 @@
+/**
+ * SanitizePolicySelect 组件单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SanitizePolicySelect } from '../src/components/SanitizePolicySelect.js';
+import { HTMLSanitizer } from '../src/core/HTMLSanitizer.js';
+
+describe('SanitizePolicySelect', () => {
+    let container;
+    let policySelect;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        policySelect = new SanitizePolicySelect({
+            policies: new HTMLSanitizer().getAvailablePolicies(),
+            policy: 'strict'
+        });
+    });
+
+    afterEach(() => {
+        policySelect.destroy();
+        container.remove();
+    });
+
+    it('应该列出所有策略并选中当前策略', () => {
+        const select = policySelect.createSelect(container);
+
+        expect(container.querySelector('#sanitize-policy-select')).toBe(select);
+        expect(Array.from(select.options).map(option => option.value)).toEqual(['strict', 'safe', 'trusted']);
+        expect(select.value).toBe('strict');
+    });
+
+    it('选择策略时应该调用回调', () => {
+        const onChange = vi.fn();
+        policySelect.setOnChange(onChange);
+        const select = policySelect.createSelect(container);
+
+        select.value = 'trusted';
+        select.dispatchEvent(new Event('change'));
+
+        expect(onChange).toHaveBeenCalledWith('trusted');
+    });
+
+    it('setPolicy 应该更新下拉框', () => {
+        const select = policySelect.createSelect(container);
+
+        policySelect.setPolicy('safe');
+
+        expect(select.value).toBe('safe');
+    });
+});
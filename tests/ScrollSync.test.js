@@ -0,0 +1,66 @@
+/**
+ * ScrollSync 单元测试
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { ScrollSync } from '../src/components/ScrollSync.js';
+
+describe('ScrollSync', () => {
+    let editor;
+    let preview;
+    let scrollSync;
+
+    beforeEach(() => {
+        editor = document.createElement('textarea');
+        editor.value = '# 标题\n\n第一段\n\n第二段';
+        preview = document.createElement('div');
+        preview.innerHTML = '<h1 data-source-line="1">标题</h1><p data-source-line="3">第一段</p><p data-source-line="5"><em>第二段</em></p>';
+        document.body.append(editor, preview);
+        scrollSync = new ScrollSync(editor, preview);
+    });
+
+    afterEach(() => {
+        scrollSync.destroy();
+        document.body.innerHTML = '';
+    });
+
+    describe('interpolate', () => {
+        const points = [{ from: 1, to: 0 }, { from: 3, to: 100 }, { from: 5, to: 300 }];
+
+        it('应该在对应点之间线性插值', () => {
+            expect(ScrollSync.interpolate(points, 2)).toBe(50);
+            expect(ScrollSync.interpolate(points, 4.5)).toBe(250);
+        });
+
+        it('超出范围时应该取最近的对应点', () => {
+            expect(ScrollSync.interpolate(points, 0)).toBe(0);
+            expect(ScrollSync.interpolate(points, 10)).toBe(300);
+            expect(ScrollSync.interpolate([], 1)).toBeNull();
+        });
+    });
+
+    it('应该计算行首位置', () => {
+        expect(ScrollSync.getLineStartIndex('a\nbc\nd', 1)).toBe(0);
+        expect(ScrollSync.getLineStartIndex('a\nbc\nd', 3)).toBe(5);
+        expect(ScrollSync.getLineStartIndex('a\nbc\nd', 10)).toBe(6);
+    });
+
+    it('点击预览中的块应该把光标移动到对应行', () => {
+        preview.querySelector('em').click();
+
+        expect(editor.selectionStart).toBe(editor.value.indexOf('第二段'));
+        expect(document.activeElement).toBe(editor);
+    });
+
+    it('禁用后点击不应该移动光标', () => {
+        scrollSync.setEnabled(false);
+        editor.setSelectionRange(0, 0);
+        preview.querySelector('p').click();
+
+        expect(editor.selectionStart).toBe(0);
+    });
+
+    it('应该按行号排序收集预览中的块', () => {
+        expect(scrollSync.getBlocks().map(block => block.line)).toEqual([1, 3, 5]);
+    });
+});
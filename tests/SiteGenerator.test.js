@@ -0,0 +1,140 @@
+// @vitest-environment node
+/**
+ * SiteGenerator / ZipWriter 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SiteGenerator } from '../src/core/SiteGenerator.js';
+import { ZipWriter } from '../src/core/ZipWriter.js';
+
+const files = [
+    { path: 'README.md', content: '# 项目\n\n参见[使用说明](guide/usage.md#安装)和[缺失页面](missing.md)。' },
+    { path: 'guide/usage.md', content: '---\ntitle: 使用说明\n---\n# 使用\n\n## 安装\n\n### 依赖\n\n返回[项目](../README.md)，访问 [网站](https://example.com/a.md)' },
+    { path: 'guide/10-advanced.md', content: '# 进阶' },
+    { path: 'guide/2-basic.md', content: '# 基础' },
+    { path: 'images/logo.png', content: 'png' }
+];
+
+/**
+ * 读取存储方式的 ZIP 中的文件
+ */
+function readZip(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const decoder = new TextDecoder();
+    const entries = {};
+    let pos = 0;
+
+    while (view.getUint32(pos, true) === 0x04034b50) {
+        const size = view.getUint32(pos + 18, true);
+        const nameLength = view.getUint16(pos + 26, true);
+        const name = decoder.decode(data.subarray(pos + 30, pos + 30 + nameLength));
+        const content = data.subarray(pos + 30 + nameLength, pos + 30 + nameLength + size);
+        entries[name] = { content: decoder.decode(content), crc: view.getUint32(pos + 14, true), raw: content };
+        pos += 30 + nameLength + size;
+    }
+
+    return entries;
+}
+
+describe('SiteGenerator', () => {
+    let generator;
+    let site;
+    const page = path => site.files.find(file => file.path === path).content;
+
+    beforeEach(() => {
+        generator = new SiteGenerator();
+        site = generator.generate(files, { title: '手册' });
+    });
+
+    it('应该按导航顺序生成页面并加入首页', () => {
+        expect(site.pages.map(item => [item.path, item.title])).toEqual([
+            ['index.html', '手册'],
+            ['README.html', '项目'],
+            ['guide/2-basic.html', '基础'],
+            ['guide/10-advanced.html', '进阶'],
+            ['guide/usage.html', '使用说明']
+        ]);
+        expect(site.files.map(file => file.path)).not.toContain('images/logo.png');
+
+        expect(page('index.html')).toContain('<a href="guide/usage.html">使用说明</a>');
+        expect(page('index.html')).toContain('<h2 id="guide">guide</h2>');
+    });
+
+    it('已有 index.md 时不应该生成首页', () => {
+        const result = generator.generate([{ path: 'index.md', content: '# 欢迎' }, { path: 'a.md', content: '# A' }]);
+
+        expect(result.pages.map(item => item.path)).toEqual(['index.html', 'a.html']);
+        expect(result.files[0].content).toContain('<title>欢迎</title>');
+    });
+
+    it('应该把相对 .md 链接改写为 .html，并报告不存在的页面', () => {
+        expect(page('README.html')).toContain('href="guide/usage.html#%E5%AE%89%E8%A3%85"');
+        expect(page('guide/usage.html')).toContain('href="../README.html"');
+        expect(page('guide/usage.html')).toContain('href="https://example.com/a.md"');
+        expect(site.warnings).toEqual(['README.md 链接的页面不存在: missing.md']);
+    });
+
+    it('侧边导航应该列出全部页面并展开当前页面的标题', () => {
+        const html = page('guide/usage.html');
+        const sidebar = html.slice(html.indexOf('<nav class="site-sidebar"'), html.indexOf('<div class="content">'));
+
+        expect(html).toContain('<body class="theme-light has-sidebar">');
+        expect(sidebar).toContain('<a class="site-title" href="../index.html">手册</a>');
+        expect(sidebar).toContain('<a href="../README.html">项目</a>');
+        expect(sidebar).toContain('<a href="usage.html" aria-current="page">使用说明</a>');
+        expect(sidebar).toContain('<a href="#安装" class="toc-link"');
+        expect(sidebar).toContain('<a href="#依赖" class="toc-link"');
+        expect(page('README.html')).not.toContain('href="#安装"');
+    });
+
+    it('应该加入上一页、下一页链接', () => {
+        const html = page('guide/2-basic.html');
+
+        expect(html).toContain('<a class="page-prev" href="../README.html" rel="prev">');
+        expect(html).toContain('<a class="page-next" href="10-advanced.html" rel="next">');
+        expect(page('index.html')).not.toContain('class="page-prev"');
+        expect(page('guide/usage.html')).not.toContain('class="page-next"');
+    });
+
+    it('页面标题应该包含站点标题，选项对所有页面生效', () => {
+        const result = generator.generate(files, { title: '手册', theme: 'dark' });
+        const html = result.files.find(file => file.path === 'guide/usage.html').content;
+
+        expect(html).toContain('<title>使用说明 - 手册</title>');
+        expect(html).toContain('theme-dark');
+    });
+
+    it('没有 Markdown 文件时应该抛出错误', () => {
+        expect(() => generator.generate([{ path: 'a.txt', content: '' }])).toThrow('没有可以生成站点的 Markdown 文件');
+    });
+
+    it('应该生成包含全部页面的 ZIP', () => {
+        const result = generator.generateZip(files, { title: '手册' });
+        const entries = readZip(result.data);
+
+        expect(Object.keys(entries)).toEqual(site.files.map(file => file.path));
+        expect(entries['guide/usage.html'].content).toBe(page('guide/usage.html'));
+    });
+
+    it('应该计算页面之间的相对地址', () => {
+        expect(SiteGenerator.getRelativeUrl('a/b/c.html', 'a/d.html')).toBe('../d.html');
+        expect(SiteGenerator.getRelativeUrl('index.html', 'a b/c.html')).toBe('a%20b/c.html');
+        expect(SiteGenerator.resolvePath('a/b.md', '../c/./d.md')).toBe('c/d.md');
+    });
+});
+
+describe('ZipWriter', () => {
+    it('应该写入 UTF-8 文件名和正确的 CRC', () => {
+        const data = new ZipWriter().addFile('目录/文件.txt', 'hello').generate();
+        const entries = readZip(data);
+
+        expect(entries['目录/文件.txt'].content).toBe('hello');
+        expect(entries['目录/文件.txt'].crc).toBe(0x3610a686);
+        // 中央目录结束记录
+        expect(new DataView(data.buffer).getUint32(data.length - 22, true)).toBe(0x06054b50);
+    });
+
+    it('路径为空时应该抛出错误', () => {
+        expect(() => new ZipWriter().addFile('', 'x')).toThrow('ZIP 文件路径不能为空');
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Slugger 单元测试
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Slugger } from '../src/core/Slugger.js';
+
+describe('Slugger', () => {
+    let slugger;
+
+    beforeEach(() => {
+        slugger = new Slugger();
+    });
+
+    describe('slugify', () => {
+        it('应该与 GitHub 的锚点规则一致', () => {
+            expect(Slugger.slugify('Hello World')).toBe('hello-world');
+            expect(Slugger.slugify('Getting Started!')).toBe('getting-started');
+            expect(Slugger.slugify('API: v2.0 (beta)')).toBe('api-v20-beta');
+            expect(Slugger.slugify('snake_case and kebab-case')).toBe('snake_case-and-kebab-case');
+            expect(Slugger.slugify('a  -  b')).toBe('a-----b');
+        });
+
+        it('应该保留中文、日文和带重音的字母', () => {
+            expect(Slugger.slugify('安装与配置')).toBe('安装与配置');
+            expect(Slugger.slugify('第一章：简介')).toBe('第一章简介');
+            expect(Slugger.slugify('日本語のテスト')).toBe('日本語のテスト');
+            expect(Slugger.slugify('Café Déjà Vu')).toBe('café-déjà-vu');
+        });
+
+        it('应该去掉 emoji', () => {
+            expect(Slugger.slugify('🚀 快速开始')).toBe('-快速开始');
+            expect(Slugger.slugify('Features ✨')).toBe('features-');
+            expect(Slugger.slugify('👍')).toBe('');
+        });
+
+        it('非字符串应该返回空字符串', () => {
+            expect(Slugger.slugify(null)).toBe('');
+            expect(Slugger.slugify(undefined)).toBe('');
+        });
+    });
+
+    describe('slug', () => {
+        it('重复的锚点应该依次追加 -1、-2', () => {
+            expect(slugger.slug('示例')).toBe('示例');
+            expect(slugger.slug('示例')).toBe('示例-1');
+            expect(slugger.slug('示例')).toBe('示例-2');
+        });
+
+        it('追加序号后与已有锚点冲突时应该继续递增', () => {
+            expect(slugger.slug('foo')).toBe('foo');
+            expect(slugger.slug('foo')).toBe('foo-1');
+            expect(slugger.slug('foo-1')).toBe('foo-1-1');
+            expect(slugger.slug('foo')).toBe('foo-2');
+        });
+
+        it('reset 后应该重新计数', () => {
+            slugger.slug('示例');
+            slugger.reset();
+
+            expect(slugger.slug('示例')).toBe('示例');
+        });
+    });
+});
@@ -214,6 +214,52 @@ describe('ThemeManager', () => {
         });
     });
 
+    describe('代码高亮主题', () => {
+        it('亮色和暗色界面应该有各自的默认高亮主题', () => {
+            expect(themeManager.getCodeTheme('light')).toBe('default');
+            expect(themeManager.getCodeTheme('dark')).toBe('tomorrow');
+        });
+
+        it('应该按当前界面主题保存并通知监听器', () => {
+            const listener = vi.fn();
+            themeManager.addListener(listener);
+            themeManager.setTheme('dark');
+
+            themeManager.setCodeTheme('okaidia');
+
+            expect(themeManager.getCodeTheme()).toBe('okaidia');
+            expect(themeManager.getCodeTheme('light')).toBe('default');
+            expect(mockLocalStorage.setItem).toHaveBeenCalledWith(
+                'md2page-code-theme',
+                JSON.stringify({ light: 'default', dark: 'okaidia' })
+            );
+            expect(listener).toHaveBeenCalledWith('code-theme-change', {
+                appTheme: 'dark',
+                codeTheme: 'okaidia',
+                effectiveCodeTheme: 'okaidia'
+            });
+        });
+
+        it('应该从本地存储加载高亮主题并忽略无效内容', () => {
+            mockLocalStorage.getItem.mockReturnValue(JSON.stringify({ light: 'coy', dark: 42 }));
+
+            themeManager.loadCodeThemesFromStorage();
+
+            expect(mockLocalStorage.getItem).toHaveBeenCalledWith('md2page-code-theme');
+            expect(themeManager.getCodeTheme('light')).toBe('coy');
+            expect(themeManager.getCodeTheme('dark')).toBe('tomorrow');
+        });
+
+        it('重置时应该恢复默认高亮主题', () => {
+            themeManager.setCodeTheme('coy', 'light');
+
+            themeManager.reset();
+
+            expect(mockLocalStorage.removeItem).toHaveBeenCalledWith('md2page-code-theme');
+            expect(themeManager.getCodeTheme('light')).toBe('default');
+        });
+    });
+
     describe('toggleTheme', () => {
         it('应该循环切换主题', () => {
             const setSpy = vi.spyOn(themeManager, 'setTheme');
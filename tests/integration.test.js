@@ -136,21 +136,22 @@ describe('App Integration', () => {
     });
 
     describe('内容处理流程', () => {
-        it('应该处理 Markdown 内容更新', () => {
+        it('应该处理 Markdown 内容更新', async () => {
             const testMarkdown = '# 测试标题\n\n这是测试内容。';
             
             // Mock 必要的 DOM 元素
             app.previewPanel = {
-                updateContent: vi.fn()
+                updateContent: vi.fn(),
+                updateBlocks: vi.fn(() => [])
             };
             
-            app.updatePreview(testMarkdown);
+            await app.updatePreview(testMarkdown);
             
             expect(app.currentHtmlContent).toBeTruthy();
-            expect(app.previewPanel.updateContent).toHaveBeenCalled();
+            expect(app.previewPanel.updateBlocks).toHaveBeenCalled();
         });
 
-        it('应该处理无效内容', () => {
+        it('应该处理无效内容', async () => {
             app.previewPanel = {
                 updateContent: vi.fn()
             };
@@ -158,7 +159,7 @@ describe('App Integration', () => {
             const showErrorSpy = vi.spyOn(app.errorHandler, 'showValidationErrors');
             
             // 测试空内容
-            app.updatePreview('');
+            await app.updatePreview('');
             
             expect(showErrorSpy).toHaveBeenCalled();
         });
@@ -260,6 +261,18 @@ describe('App Integration', () => {
         });
     });
 
+    describe('HTML 清理策略', () => {
+        it('在下拉框中选择的策略应该保存并更新下拉框', () => {
+            app.sanitizePolicySelect = { setPolicy: vi.fn() };
+
+            app.setSanitizePolicy('strict');
+
+            expect(app.converter.sanitizer.getPolicy()).toBe('strict');
+            expect(localStorage.setItem).toHaveBeenCalledWith('md2page-sanitize-policy', 'strict');
+            expect(app.sanitizePolicySelect.setPolicy).toHaveBeenCalledWith('strict');
+        });
+    });
+
     describe('演示内容', () => {
         it('应该加载演示内容', () => {
             app.inputPanel = {
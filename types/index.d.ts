@@ -0,0 +1,425 @@
+/**
+ * md2page 类型定义
+ * 对应库入口 src/core/index.js
+ */
+
+export type Theme = 'light' | 'dark';
+
+export type SanitizePolicy = 'strict' | 'safe' | 'trusted';
+
+/** 标题 */
+export interface Heading {
+    level: number;
+    text: string;
+    id: string;
+}
+
+/** 单次解析中传给插件钩子的上下文 */
+export interface PluginContext {
+    converter: MarkdownConverter;
+    /** front matter 数据 */
+    frontMatter: Record<string, unknown>;
+    /** 正文之前 front matter 占用的行数 */
+    lineOffset: number;
+    /** 交给 marked 分词的正文 */
+    markdown: string;
+    /** 本次启用的插件名称 */
+    plugins: string[];
+    usedFeatures: Set<string>;
+    [key: string]: unknown;
+}
+
+/** HTML 清理允许列表 */
+export interface SanitizeAllowList {
+    tags?: string[];
+    attributes?: Record<string, string[]>;
+    protocols?: string[];
+}
+
+/** 转换器插件，见 MarkdownConverter.use */
+export interface MarkdownPlugin {
+    name: string;
+    /** false 时默认不启用，需要在 front matter 的 plugins 中开启 */
+    enabled?: boolean;
+    preprocess?(markdown: string, context: PluginContext): string;
+    /** marked 分词器扩展 */
+    extensions?: unknown[];
+    /** marked 渲染器覆盖，返回 false 交给默认渲染器 */
+    renderer?: Record<string, (...args: any[]) => string | false>;
+    processTokens?(tokens: unknown[], context: PluginContext): unknown[] | void;
+    postprocess?(html: string, context: PluginContext): string;
+    styles?: string | ((context: PluginContext) => string);
+    scripts?: string | ((context: PluginContext) => string);
+    sanitize?: SanitizeAllowList;
+    reset?(context: PluginContext): void;
+    /** 预览内容插入页面后调用，只在浏览器中使用 */
+    afterRender?(container: unknown, context: PluginContext): void;
+}
+
+/** 代码高亮器 */
+export interface Highlighter {
+    /** 返回高亮后的 HTML，不支持的语言返回 null */
+    highlight(code: string, language: string): string | null;
+    /** 导出文档中高亮代码的配色，文档中有高亮的代码时嵌入 */
+    getStyles?(): string;
+}
+
+/** FileHandler.createSelfContainedHTML 的选项 */
+export interface DocumentOptions {
+    title?: string;
+    theme?: Theme;
+    lang?: string;
+    author?: string;
+    date?: string;
+    description?: string;
+    includeStyles?: boolean;
+    extraStyles?: string;
+    extraScripts?: string;
+    sanitizePolicy?: SanitizePolicy;
+    /** 目录 HTML */
+    tocHTML?: string;
+    /** 目录布局：sidebar（默认）为带有滚动高亮、可收起的侧边栏，窄屏上为抽屉；inline 放在正文前 */
+    tocLayout?: 'sidebar' | 'inline';
+    /** 多页面站点的侧边导航 HTML */
+    sidebarHTML?: string;
+    /** 放在正文后的 HTML，如上一页、下一页链接 */
+    footerHTML?: string;
+    /** 图片来源，传入时把能找到的图片嵌入为 data URI */
+    images?: ImageSource | null;
+    /** 是否加入亮色/暗色切换按钮，默认 true；加入时页面跟随读者的系统主题，theme 只在脚本不可用时使用 */
+    themeToggle?: boolean;
+    /** 正文最大宽度，如 '960px'，'none' 为不限制，缺省为 800px */
+    maxWidth?: string;
+    /** 正文字体（CSS font-family） */
+    fontFamily?: string;
+    /** 代码高亮主题的 CSS；通过 DocumentExporter 导出时代替高亮插件自带的配色 */
+    codeThemeStyles?: string;
+    /** 原始 Markdown，传入时保存在 <script type="text/markdown" id="md2page-source"> 中 */
+    markdownSource?: string | null;
+    /** 是否压缩输出，代码块和脚本保持不变 */
+    minify?: boolean;
+}
+
+/** 导出时查找图片，返回 data URI，找不到时返回 null */
+export interface ImageSource {
+    resolve(src: string): string | null;
+}
+
+/** 图片嵌入报告 */
+export interface ImageReport {
+    embedded: string[];
+    failed: Array<{ src: string; reason: string }>;
+}
+
+/** DocumentExporter 的导出选项 */
+export interface ExportOptions extends DocumentOptions {
+    /** 选项和 front matter 都没有指定主题时使用的主题 */
+    defaultTheme?: Theme;
+    /** 是否加入目录，布局由 tocLayout 决定；缺省时使用 front matter 中的 toc */
+    toc?: boolean;
+    /** 选项和 front matter 都没有指定 toc 时是否加入目录 */
+    defaultToc?: boolean;
+    /** 目录包含的最深标题级别，默认 6 */
+    tocDepth?: number;
+    /** 是否在文件中保存原始 Markdown（<script type="text/markdown">） */
+    includeSource?: boolean;
+    /** 是否加入完整的打印样式 */
+    printCSS?: boolean;
+}
+
+/** render 的选项 */
+export interface RenderOptions extends ExportOptions {
+    /** 额外注册的转换器插件 */
+    plugins?: MarkdownPlugin[];
+    /** 代码高亮器，如 new PrismHighlighter(Prism) */
+    highlighter?: Highlighter | null;
+}
+
+/** render 的结果 */
+export interface RenderResult {
+    /** 自包含的 HTML 文档 */
+    html: string;
+    /** 文档中的标题 */
+    toc: Heading[];
+    title: string;
+    /** 内容过长、清理移除了元素、图片无法嵌入等提示 */
+    warnings: string[];
+}
+
+/**
+ * 将 Markdown 转换为自包含的 HTML 文档
+ */
+export function render(markdown: string, options?: RenderOptions): RenderResult;
+
+export interface SanitizeReport {
+    html: string;
+    removed: Array<{ type: 'element' | 'attribute' | 'url'; name: string; tag?: string; value?: string }>;
+    policy: SanitizePolicy;
+}
+
+export interface ConverterOptions {
+    sanitizePolicy?: SanitizePolicy;
+    /** 是否为顶层块元素添加 data-source-line 源码行号 */
+    sourceLines?: boolean;
+    highlighter?: Highlighter | null;
+}
+
+export class MarkdownConverter {
+    constructor(options?: ConverterOptions);
+    sanitizer: HTMLSanitizer;
+    frontMatterParser: FrontMatterParser;
+    use(plugin: MarkdownPlugin): this;
+    getPlugin(name: string): MarkdownPlugin | undefined;
+    getPluginNames(): string[];
+    parseMarkdown(content: string): string;
+    parseBlocks(content: string): { html: string; blocks: Array<{ key: string; html: string; line: number }> };
+    setSanitizePolicy(policy: SanitizePolicy): void;
+    getSanitizeReport(): SanitizeReport | null;
+    getSanitizerAllowList(): SanitizeAllowList;
+    getExportStyles(): string;
+    getExportScripts(): string;
+    getHeadings(): Heading[];
+    getDocumentOptions(content?: string | null): Omit<DocumentOptions, 'includeStyles' | 'extraStyles' | 'extraScripts' | 'sanitizePolicy' | 'tocHTML'> & {
+        toc?: boolean;
+        plugins?: string[];
+    };
+    validateMarkdown(content: string): { isValid: boolean; errors: string[]; warnings: string[] };
+    generateHeadingId(text: string): string;
+}
+
+export interface ExportResult {
+    html: string;
+    title: string;
+    theme: Theme;
+    fileName: string;
+    images: ImageReport;
+}
+
+export class DocumentExporter {
+    constructor(options?: { converter?: MarkdownConverter; fileHandler?: FileHandler });
+    converter: MarkdownConverter;
+    fileHandler: FileHandler;
+    getDocumentInfo(markdownContent: string, options?: ExportOptions): {
+        options: Record<string, unknown>;
+        title: string;
+        theme: Theme;
+        fileName: string;
+    };
+    exportMarkdown(markdownContent: string, options?: ExportOptions): ExportResult;
+    createDocument(htmlContent: string, markdownContent: string, options?: ExportOptions): ExportResult;
+    generateTOC(htmlContent: string): string;
+}
+
+export interface DocxImage {
+    name: string;
+    data: Uint8Array;
+    mimeType: string | null;
+}
+
+export interface DocxResult {
+    /** 图片按名称引用，保存图片后替换为实际的引用 */
+    markdown: string;
+    images: DocxImage[];
+    /** 找不到的图片和无法转换的格式说明 */
+    warnings: string[];
+}
+
+export class DocxConverter {
+    constructor(options?: { htmlConverter?: HTMLToMarkdown });
+    convert(data: Uint8Array | ArrayBuffer): Promise<DocxResult>;
+}
+
+export interface NotebookOptions {
+    /** 隐藏代码，只保留输出 */
+    hideCode?: boolean;
+    /** 隐藏输出，只保留代码 */
+    hideOutputs?: boolean;
+}
+
+export class NotebookConverter {
+    constructor(options?: NotebookOptions & { htmlConverter?: HTMLToMarkdown });
+    setOptions(options?: NotebookOptions): void;
+    getOptions(): Required<NotebookOptions>;
+    /** 返回值的格式与 DocxConverter 相同 */
+    convert(json: string): DocxResult;
+    static fromBase64(base64: string): Uint8Array;
+}
+
+export class FileHandler {
+    constructor();
+    /** 是否为本工具导出的 HTML 文件 */
+    static isExportedHTML(html: string): boolean;
+    /** 取出导出时保存的原始 Markdown（markdownSource / includeSource），没有保存时返回 null */
+    static extractMarkdownSource(html: string): string | null;
+    /** 只能在浏览器中使用 */
+    downloadHTML(htmlContent: string, fileName?: string | null): { success: boolean; fileName?: string; size?: number; error?: string };
+    /** 只能在浏览器中使用 */
+    downloadFile(content: string | Uint8Array, fileName: string, mimeType: string): { success: boolean; fileName?: string; size?: number; error?: string };
+    generateFilename(content: string): string;
+    extractTitle(content: string): string | null;
+    sanitizeFilename(filename: string): string;
+    validateHTML(htmlContent: string): { isValid: boolean; errors: string[]; warnings: string[] };
+    createSelfContainedHTML(htmlContent: string, options?: DocumentOptions): string;
+    extendSanitizer(allowList: SanitizeAllowList): void;
+    getSanitizeReport(): SanitizeReport | null;
+    embedImages(htmlContent: string, images: ImageSource): ImageReport & { html: string };
+    getImageReport(): (ImageReport & { html: string }) | null;
+    escapeHtml(text: string): string;
+    setDefaultFileName(name: string): void;
+}
+
+export interface FrontMatter {
+    data: Record<string, unknown>;
+    body: string;
+    raw: string;
+    lineCount: number;
+    hasFrontMatter: boolean;
+}
+
+export class FrontMatterParser {
+    parse(content: string): FrontMatter;
+    parseYAML(yaml: string): Record<string, unknown>;
+    getDocumentOptions(data?: Record<string, unknown>): ReturnType<MarkdownConverter['getDocumentOptions']>;
+}
+
+export class HTMLSanitizer {
+    constructor(policy?: SanitizePolicy);
+    setPolicy(policy: SanitizePolicy): void;
+    getPolicy(): SanitizePolicy;
+    getAvailablePolicies(): SanitizePolicy[];
+    extend(allowList?: SanitizeAllowList): void;
+    sanitize(html: string, policy?: SanitizePolicy): SanitizeReport;
+    describeRemoved(removed: SanitizeReport['removed']): string;
+}
+
+export interface HTMLToMarkdownOptions {
+    /** 链接格式，'referenced' 时地址列在文末，默认 'inline' */
+    linkStyle?: 'inline' | 'referenced';
+    /** 无法用 Markdown 表示的表格保留为 HTML 或展开为 Markdown 表格，默认 'html' */
+    tableFallback?: 'html' | 'flatten';
+}
+
+export class HTMLToMarkdown {
+    constructor(options?: HTMLToMarkdownOptions);
+    setOptions(options?: HTMLToMarkdownOptions): void;
+    getOptions(): Required<HTMLToMarkdownOptions>;
+    convert(html: string): string;
+    hasRichContent(html: string): boolean;
+}
+
+export class PrintOptimizer {
+    constructor();
+    generatePrintCSS(options?: Record<string, unknown>): string;
+    optimizeForPrint(htmlContent: string, options?: Record<string, unknown>): string;
+    estimatePageCount(htmlContent: string): number;
+    generatePrintFilename(originalName: string): string;
+}
+
+export class PrismHighlighter implements Highlighter {
+    /** Prism 实例 */
+    constructor(prism: unknown);
+    highlight(code: string, language: string): string | null;
+    /** 亮色配色，暗色配色作用于 .theme-dark 中 */
+    getStyles(): string;
+}
+
+export class Slugger {
+    constructor();
+    slug(value: string): string;
+    reset(): void;
+    static slugify(value: string): string;
+}
+
+export class TOCGenerator {
+    constructor();
+    generateTOC(htmlContent: string, options?: {
+        minLevel?: number;
+        maxLevel?: number;
+        includeLevel?: number[] | null;
+        excludeLevel?: number[] | null;
+        addIds?: boolean;
+    }): { headings: Array<Heading & { index: number }>; html: string; count: number; levels: Record<string, number> };
+    extractHeadings(htmlContent: string, options?: {
+        minLevel?: number;
+        maxLevel?: number;
+        includeLevel?: number[];
+        excludeLevel?: number[];
+        addIds?: boolean;
+    }): Array<Heading & { index: number }>;
+    generateHeadingId(text: string, index: number): string;
+}
+
+/** 站点中的文件，path 为相对站点根目录的路径，使用 / 分隔 */
+export interface SiteFile {
+    path: string;
+    content: string;
+}
+
+export interface SitePage {
+    /** 输出的 HTML 路径 */
+    path: string;
+    /** Markdown 源文件路径 */
+    source: string;
+    title: string;
+    headings: Heading[];
+}
+
+export interface SiteResult {
+    files: SiteFile[];
+    pages: SitePage[];
+    /** 链接到不存在页面等提示 */
+    warnings: string[];
+}
+
+export class SiteGenerator {
+    constructor(options?: { exporter?: DocumentExporter });
+    /** options.title 为站点标题，其余选项对所有页面生效 */
+    generate(files: SiteFile[], options?: ExportOptions): SiteResult;
+    generateZip(files: SiteFile[], options?: ExportOptions): Omit<SiteResult, 'files'> & { data: Uint8Array };
+}
+
+export class ZipReader {
+    constructor(data: Uint8Array | ArrayBuffer);
+    list(): string[];
+    has(name: string): boolean;
+    read(name: string): Promise<Uint8Array>;
+    readText(name: string): Promise<string>;
+    static inflate(data: Uint8Array): Promise<Uint8Array>;
+}
+
+export class ZipWriter {
+    constructor();
+    addFile(path: string, content: string | Uint8Array, options?: { date?: Date }): this;
+    generate(): Uint8Array;
+    static crc32(data: Uint8Array): number;
+}
+
+export interface StoredImage {
+    name: string;
+    mimeType: string;
+    data: Uint8Array;
+}
+
+export class ImageStore implements ImageSource {
+    constructor();
+    /** 返回保存的名称 */
+    add(name: string, data: Uint8Array | ArrayBuffer, mimeType?: string | null): string;
+    createName(prefix: string, mimeType: string): string;
+    get(src: string): StoredImage | null;
+    has(src: string): boolean;
+    resolve(src: string): string | null;
+    /** 只能在支持 URL.createObjectURL 的环境中使用 */
+    getObjectURL(src: string): string | null;
+    remove(name: string): void;
+    clear(): void;
+    list(): Array<{ name: string; mimeType: string; size: number }>;
+    static normalizePath(value: string): string;
+    static getMimeType(name: string): string | null;
+    static isImageName(name: string): boolean;
+    static isImageType(mimeType: string): boolean;
+    static toBase64(bytes: Uint8Array): string;
+    /** 依次查找多个图片来源 */
+    static combine(...sources: Array<ImageSource & { getObjectURL(src: string): string | null }>): ImageSource & {
+        getObjectURL(src: string): string | null;
+    };
+}
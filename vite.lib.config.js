@@ -0,0 +1,20 @@
+import { defineConfig } from 'vite'
+
+// 库构建：把 src/core 打包为 ESM 和 CommonJS 两种格式，供 npm 包使用
+export default defineConfig({
+  build: {
+    outDir: 'lib',
+    emptyOutDir: true,
+    sourcemap: true,
+    minify: false,
+    lib: {
+      entry: 'src/core/index.js',
+      formats: ['es', 'cjs'],
+      fileName: (format) => format === 'es' ? 'md2page.js' : 'md2page.cjs'
+    },
+    rollupOptions: {
+      // 依赖由使用方安装，不打包进库
+      external: ['marked', /^prismjs/]
+    }
+  }
+})